@@ -0,0 +1,166 @@
+// Change journal - undo/redo and history of user-entered data, one journal per show (journal.json)
+// Journaled: cue notes, colors, tags and pages, scene data and tag colors. Console data is
+// not - the console owns it and sends it again on the next refresh.
+//
+// An entry is one user action and may change many cues:
+//   { id, time, author, action, changes: [change], undone, undone_at, undone_by }
+//   change: { target: 'cue', list, cue, part, field, before, after }
+//         | { target: 'scene-data' | 'tag-colors', before, after }
+// Undo and redo are linear: undo takes back the newest entry that is still applied,
+// redo re-applies what was undone, and a new entry drops what could be redone.
+//
+// Hooks:
+//   load()                -> stored journal ({ entries, redo }) or null
+//   save(journal)
+//   apply(change, value)  -> false if the target is gone (e.g. the cue was deleted on the console)
+
+const MAX_ENTRIES = 500;
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function copyValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// "5", "2/5", "5 P1" like the cue list shows it
+function describeCue(list, cue, part) {
+    const number = String(list || '1') !== '1' ? `${list}/${cue}` : String(cue);
+    return part > 0 ? `${number} P${part}` : number;
+}
+
+function summarizeEntry(entry) {
+    if (!entry) return null;
+    return {
+        id: entry.id,
+        time: entry.time,
+        author: entry.author,
+        action: entry.action,
+        changeCount: entry.changes.length
+    };
+}
+
+function createChangeJournal(hooks) {
+    const now = hooks.now || Date.now;
+
+    function read() {
+        const stored = hooks.load() || {};
+        return {
+            entries: Array.isArray(stored.entries) ? stored.entries : [],
+            redo: Array.isArray(stored.redo) ? stored.redo : []
+        };
+    }
+
+    // Changes that don't change anything are dropped; returns the entry or null
+    function record({ action, author, changes }) {
+        const effective = changes
+            .filter(change => !sameValue(change.before, change.after))
+            .map(change => ({ ...change, before: copyValue(change.before), after: copyValue(change.after) }));
+        if (effective.length === 0) return null;
+
+        const journal = read();
+        const time = now();
+        const entry = {
+            id: `${time.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            time: new Date(time).toISOString(),
+            author: author || null,
+            action: action,
+            changes: effective,
+            undone: false
+        };
+        journal.entries.push(entry);
+        journal.redo = [];
+        if (journal.entries.length > MAX_ENTRIES) {
+            journal.entries = journal.entries.slice(-MAX_ENTRIES);
+        }
+        hooks.save(journal);
+        return entry;
+    }
+
+    function applyEntry(entry, direction) {
+        const changes = direction === 'undo' ? entry.changes.slice().reverse() : entry.changes;
+        let skipped = 0;
+        changes.forEach(change => {
+            if (hooks.apply(change, copyValue(direction === 'undo' ? change.before : change.after)) === false) {
+                skipped++;
+            }
+        });
+        return skipped;
+    }
+
+    // -> { entry, skipped } or null when there is nothing to undo
+    function undo(author) {
+        const journal = read();
+        const entry = journal.entries.slice().reverse().find(e => !e.undone);
+        if (!entry) return null;
+        const skipped = applyEntry(entry, 'undo');
+        entry.undone = true;
+        entry.undone_at = new Date(now()).toISOString();
+        entry.undone_by = author || null;
+        journal.redo.push(entry.id);
+        hooks.save(journal);
+        return { entry: entry, skipped: skipped };
+    }
+
+    function redo() {
+        const journal = read();
+        let entry = null;
+        while (!entry && journal.redo.length > 0) {
+            const id = journal.redo.pop();
+            entry = journal.entries.find(e => e.id === id && e.undone) || null;
+        }
+        if (!entry) return null;
+        const skipped = applyEntry(entry, 'redo');
+        entry.undone = false;
+        delete entry.undone_at;
+        delete entry.undone_by;
+        hooks.save(journal);
+        return { entry: entry, skipped: skipped };
+    }
+
+    // What undo and redo would do next
+    function getState() {
+        const journal = read();
+        const redoId = journal.redo[journal.redo.length - 1];
+        return {
+            undo: summarizeEntry(journal.entries.slice().reverse().find(e => !e.undone)),
+            redo: summarizeEntry(journal.entries.find(e => e.id === redoId && e.undone))
+        };
+    }
+
+    // Changes of one cue, newest first
+    function getCueHistory(list, cue, part, limit = 100) {
+        const history = [];
+        read().entries.slice().reverse().forEach(entry => {
+            entry.changes.forEach(change => {
+                if (change.target !== 'cue' || String(change.list) !== String(list) ||
+                    String(change.cue) !== String(cue) || (change.part || 0) !== (part || 0)) return;
+                history.push({
+                    time: entry.time,
+                    author: entry.author,
+                    action: entry.action,
+                    field: change.field,
+                    before: change.before,
+                    after: change.after,
+                    undone: entry.undone
+                });
+            });
+        });
+        return history.slice(0, limit);
+    }
+
+    return {
+        record,
+        undo,
+        redo,
+        getState,
+        getCueHistory
+    };
+}
+
+module.exports = {
+    createChangeJournal,
+    describeCue,
+    MAX_ENTRIES
+};
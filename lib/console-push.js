@@ -0,0 +1,219 @@
+// Push cue labels and notes back to EOS
+// Every push is typed on the console command line through /eos/newcmd, e.g.
+//   Cue 2/5 Part 1 Label "Sunrise, slow"#
+// and verified by reading the cue back with /eos/get/cue/<list>/<cue>[/<part>].
+// Cue data for that cue may still be on its way from an earlier request (cue sync), so the
+// read-back is only sent once EOS has answered an /eos/ping sent after the command lines -
+// replies come in order, anything that arrives after the ping answers the read-back.
+
+const DEFAULT_VERIFY_TIMEOUT = 3000;
+
+// The command line has no escape character: a quoted string ends at the next
+// double quote and '#' is Enter. Line breaks cannot be typed at all.
+function formatEosText(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .trim()
+        .replace(/\r\n|\r|\n/g, ' / ')
+        .replace(/"/g, "'")
+        .replace(/#/g, 'No.')
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function formatCueTarget(list, cueNumber, partNumber) {
+    const part = parseInt(partNumber) || 0;
+    return `Cue ${list}/${cueNumber}${part > 0 ? ` Part ${part}` : ''}`;
+}
+
+// Pressing Label (or Notes) twice and Enter removes the text
+function buildTextCommand(keyword, list, cueNumber, partNumber, text) {
+    const target = formatCueTarget(list, cueNumber, partNumber);
+    const value = formatEosText(text);
+    return value
+        ? `${target} ${keyword} "${value}"#`
+        : `${target} ${keyword} ${keyword}#`;
+}
+
+function buildLabelCommand(list, cueNumber, partNumber, label) {
+    return buildTextCommand('Label', list, cueNumber, partNumber, label);
+}
+
+function buildNotesCommand(list, cueNumber, partNumber, notes) {
+    return buildTextCommand('Notes', list, cueNumber, partNumber, notes);
+}
+
+// Hooks:
+//   sendOSC(address, ...args)
+//   isConnected()
+//   verifyTimeoutMs, logger
+function createConsolePush(hooks) {
+    const logger = hooks.logger || console;
+    const verifyTimeoutMs = hooks.verifyTimeoutMs || DEFAULT_VERIFY_TIMEOUT;
+    const waiters = new Map(); // "list/cue/part" -> [{ resolve, timer }]
+    const pings = new Map(); // token -> { resolve, timer }
+    let pingCount = 0;
+
+    function waiterKey(list, cueNumber, partNumber) {
+        return `${list}/${parseFloat(cueNumber)}/${parseInt(partNumber) || 0}`;
+    }
+
+    // Resolves with the parsed cue fields, or null when the console does not answer
+    function waitForCue(list, cueNumber, partNumber) {
+        const key = waiterKey(list, cueNumber, partNumber);
+        return new Promise(resolve => {
+            const waiter = { resolve: resolve, timer: null };
+            waiter.timer = setTimeout(() => {
+                const pending = waiters.get(key) || [];
+                const remaining = pending.filter(w => w !== waiter);
+                if (remaining.length > 0) {
+                    waiters.set(key, remaining);
+                } else {
+                    waiters.delete(key);
+                }
+                resolve(null);
+            }, verifyTimeoutMs);
+            waiters.set(key, [...(waiters.get(key) || []), waiter]);
+        });
+    }
+
+    // Resolves true once EOS has answered - everything it sent before the ping is in by then
+    function waitForConsole() {
+        pingCount++;
+        const token = `qnote-push-${pingCount}`;
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                pings.delete(token);
+                resolve(false);
+            }, verifyTimeoutMs);
+            pings.set(token, { resolve: resolve, timer: timer });
+            hooks.sendOSC('/eos/ping', token);
+        });
+    }
+
+    // Called for every /eos/out/ping - the heartbeat's replies carry no token
+    function handlePingReply(args) {
+        const token = String((args || [])[0]);
+        const ping = pings.get(token);
+        if (!ping) return;
+        pings.delete(token);
+        clearTimeout(ping.timer);
+        ping.resolve(true);
+    }
+
+    // Called for every cue read from the console (cue sync onCueData hook)
+    function handleCueData(list, cueNumber, partNumber, fields) {
+        const key = waiterKey(list, cueNumber, partNumber);
+        const pending = waiters.get(key);
+        if (!pending) return;
+        waiters.delete(key);
+        pending.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.resolve(fields);
+        });
+    }
+
+    // cue: Qnote cue record    values: { label, notes, clear } - a field that is undefined is not pushed
+    // An empty field would clear the console's text, so it is skipped unless it is listed in clear
+    // Notes are only pushed to consoles that report a cue notes field (cue.console_notes)
+    async function pushCue(cue, values) {
+        const list = String(cue.cue_list || '1');
+        const cueNumber = String(cue.cue_number);
+        const part = cue.part_number || 0;
+        const result = { cue_list: list, cue_number: cueNumber, part_number: part, verified: false };
+
+        if (!hooks.isConnected()) {
+            result.error = 'Not connected to EOS';
+            return result;
+        }
+
+        const clear = values.clear || [];
+        const keepsConsoleText = (field) => !formatEosText(values[field]) && !clear.includes(field);
+
+        const commands = [];
+        if (values.label !== undefined && keepsConsoleText('label')) {
+            result.label = { skipped: true, reason: 'Empty in Qnote - the console keeps its label' };
+        } else if (values.label !== undefined) {
+            const sent = formatEosText(values.label);
+            result.label = { sent: sent, adjusted: sent !== String(values.label).trim() };
+            commands.push(buildLabelCommand(list, cueNumber, part, values.label));
+        }
+        if (values.notes !== undefined) {
+            if (cue.console_notes === undefined) {
+                result.notes = { skipped: true, reason: 'Console does not report cue notes' };
+            } else if (keepsConsoleText('notes')) {
+                result.notes = { skipped: true, reason: 'Empty in Qnote - the console keeps its notes' };
+            } else {
+                const sent = formatEosText(values.notes);
+                result.notes = { sent: sent, adjusted: sent !== String(values.notes).trim() };
+                commands.push(buildNotesCommand(list, cueNumber, part, values.notes));
+            }
+        }
+        if (commands.length === 0) {
+            result.error = 'Nothing to push';
+            return result;
+        }
+
+        commands.forEach(command => {
+            logger.log(`⬆️ Pushing to console: ${command}`);
+            hooks.sendOSC('/eos/newcmd', command);
+        });
+        if (!await waitForConsole()) {
+            result.error = 'No reply from console - could not verify';
+            return result;
+        }
+
+        // Register before sending so a fast reply cannot be missed
+        const reply = waitForCue(list, cueNumber, part);
+        hooks.sendOSC(`/eos/get/cue/${list}/${cueNumber}${part > 0 ? `/${part}` : ''}`);
+
+        const fields = await reply;
+        if (!fields) {
+            result.error = 'No reply from console - could not verify';
+            return result;
+        }
+
+        let verified = true;
+        if (result.label && !result.label.skipped) {
+            result.label.console = fields.label;
+            result.label.ok = fields.label === result.label.sent;
+            verified = verified && result.label.ok;
+        }
+        if (result.notes && !result.notes.skipped) {
+            result.notes.console = fields.console_notes !== undefined ? fields.console_notes : null;
+            result.notes.ok = result.notes.console === result.notes.sent;
+            verified = verified && result.notes.ok;
+        }
+        result.verified = verified;
+        if (!verified) {
+            logger.log(`⚠️ Console push of ${formatCueTarget(list, cueNumber, part)} did not verify`);
+        }
+        return result;
+    }
+
+    // One cue at a time so the console is never flooded; onProgress(done, total, result)
+    async function pushCues(items, onProgress) {
+        const results = [];
+        for (const item of items) {
+            const result = await pushCue(item.cue, item.values);
+            results.push(result);
+            if (onProgress) onProgress(results.length, items.length, result);
+        }
+        return results;
+    }
+
+    return {
+        pushCue,
+        pushCues,
+        handleCueData,
+        handlePingReply,
+        getPendingCount: () => Array.from(waiters.values()).reduce((sum, pending) => sum + pending.length, pings.size)
+    };
+}
+
+module.exports = {
+    createConsolePush,
+    formatEosText,
+    buildLabelCommand,
+    buildNotesCommand
+};
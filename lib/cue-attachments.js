@@ -0,0 +1,94 @@
+// Cue attachments - focus photos, script page scans, magic sheet PDFs, ...
+// cue.attachments: [{ id, file, name, caption, type: 'image' | 'pdf', size, added_at }] in
+// display order; the files are stored with the show (see show-images.js). Cues from before
+// attachments have a single image_path, which becomes their first attachment.
+
+const path = require('path');
+const { detectImageType, detectDocumentType } = require('./show-images');
+
+const MAX_CAPTION_LENGTH = 200;
+
+// 'image' | 'pdf' | null from the file content
+function detectAttachmentType(buffer) {
+    if (detectImageType(buffer)) return 'image';
+    return detectDocumentType(buffer);
+}
+
+function makeAttachmentId(now = Date.now()) {
+    return `${now.toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function normalizeCaption(caption) {
+    return String(caption || '').replace(/\s+/g, ' ').trim().slice(0, MAX_CAPTION_LENGTH);
+}
+
+// The attachment an old image_path stands for
+function legacyImageAttachment(imagePath) {
+    const file = path.basename(String(imagePath));
+    return { id: `img-${file}`, file: file, name: file, caption: '', type: 'image', size: null, added_at: null };
+}
+
+// Attachments of a cue or orphaned note, old single images included
+function getCueAttachments(record) {
+    if (!record) return [];
+    const attachments = Array.isArray(record.attachments) ? record.attachments : [];
+    if (record.image_path && !attachments.some(a => a.file === path.basename(String(record.image_path)))) {
+        return [legacyImageAttachment(record.image_path), ...attachments];
+    }
+    return attachments;
+}
+
+// First image - shown in the cue list and the printed report
+function getCoverImage(record) {
+    return getCueAttachments(record).find(attachment => attachment.type === 'image') || null;
+}
+
+// image_path -> attachments on every record that still has it; returns true if anything changed
+function migrateCueAttachments(records) {
+    let changed = false;
+    records.forEach(record => {
+        if (!('image_path' in record)) return;
+        record.attachments = getCueAttachments(record);
+        delete record.image_path;
+        changed = true;
+    });
+    return changed;
+}
+
+// Attachments of source the target doesn't have yet go to the end
+function mergeAttachments(target, source) {
+    const attachments = getCueAttachments(target).slice();
+    getCueAttachments(source).forEach(attachment => {
+        if (!attachments.some(a => a.file === attachment.file)) {
+            attachments.push(attachment);
+        }
+    });
+    delete target.image_path;
+    target.attachments = attachments;
+}
+
+// Attachments in the order of ids - ids must name every attachment exactly once
+function reorderAttachments(attachments, ids) {
+    if (!Array.isArray(ids) || ids.length !== attachments.length || new Set(ids).size !== ids.length) {
+        throw new Error('The new order must list every attachment once');
+    }
+    return ids.map(id => {
+        const attachment = attachments.find(a => a.id === id);
+        if (!attachment) {
+            throw new Error(`Unknown attachment: ${id}`);
+        }
+        return attachment;
+    });
+}
+
+module.exports = {
+    MAX_CAPTION_LENGTH,
+    detectAttachmentType,
+    makeAttachmentId,
+    normalizeCaption,
+    getCueAttachments,
+    getCoverImage,
+    migrateCueAttachments,
+    mergeAttachments,
+    reorderAttachments
+};
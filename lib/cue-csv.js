@@ -0,0 +1,169 @@
+// Annotated cue list as CSV - for spreadsheets and back
+// The export has everything production wants to see (scenes, durations, notes, ...);
+// the import only touches the user-owned fields: notes, tags, page and cue color.
+// Rows are matched by list / cue / part, cues are never created or deleted.
+
+const { parseCsvRows } = require('./show-import');
+
+const EXPORT_COLUMNS = ['List', 'Cue', 'Part', 'Label', 'Scene', 'Duration (s)', 'Notes', 'Tags', 'Page', 'Cue Color'];
+
+// Column names the import understands (lowercase, spaces -> _)
+const IMPORT_COLUMNS = {
+    list: ['list', 'cue_list'],
+    cue: ['cue', 'cue_number'],
+    part: ['part', 'part_number'],
+    notes: ['notes', 'note'],
+    tags: ['tags', 'tag'],
+    page: ['page', 'script_page'],
+    color: ['cue_color', 'color']
+};
+
+const USER_FIELDS = ['notes', 'tags', 'page', 'color'];
+const DEFAULT_COLOR = '#ffffff';
+
+// Spreadsheets run cells starting with = + - @ (or a tab / carriage return before one) as
+// formulas - a leading ' keeps them text
+function protectCell(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function unprotectCell(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+function escapeCsvCell(value) {
+    const text = protectCell(value === null || value === undefined ? '' : String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function compareCues(a, b) {
+    const list = parseFloat(a.cue_list || '1') - parseFloat(b.cue_list || '1');
+    if (list !== 0) return list;
+    const cue = parseFloat(a.cue_number) - parseFloat(b.cue_number);
+    if (cue !== 0) return cue;
+    return (a.part_number || 0) - (b.part_number || 0);
+}
+
+// options: { sceneOf: { list: { cueNumber: scene } }, durations: { cueNumber: seconds } (main list), mainPlaybackList }
+function buildCueCsv(cues, options = {}) {
+    const sceneOf = options.sceneOf || {};
+    const durations = options.durations || {};
+    const mainList = String(options.mainPlaybackList || '1');
+    const lines = [EXPORT_COLUMNS.join(',')];
+    cues.slice().sort(compareCues).forEach(cue => {
+        const list = String(cue.cue_list || '1');
+        const part = cue.part_number || 0;
+        const duration = list === mainList && part === 0 ? durations[String(cue.cue_number)] : undefined;
+        const color = cue.color && cue.color.toLowerCase() !== DEFAULT_COLOR ? cue.color : '';
+        lines.push([
+            list,
+            cue.cue_number,
+            part,
+            cue.label || '',
+            part === 0 ? ((sceneOf[list] || {})[String(cue.cue_number)] || '') : '',
+            duration !== undefined ? duration.toFixed(1) : '',
+            cue.notes || '',
+            (cue.tags || []).join('; '),
+            cue.page || '',
+            color
+        ].map(escapeCsvCell).join(','));
+    });
+    // BOM so spreadsheet apps read the file as UTF-8
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function mapHeader(row) {
+    const names = row.map(cell => String(cell).trim().toLowerCase().replace(/\s*\(.*\)$/, '').replace(/[\s-]+/g, '_'));
+    const columns = {};
+    Object.keys(IMPORT_COLUMNS).forEach(key => {
+        const index = names.findIndex(name => IMPORT_COLUMNS[key].includes(name));
+        if (index !== -1) columns[key] = index;
+    });
+    return columns;
+}
+
+function parseColor(value) {
+    const text = value.trim();
+    if (!text) return DEFAULT_COLOR;
+    const match = /^#?([0-9a-f]{6})$/i.exec(text);
+    return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+// CSV text -> { columns: [user fields present], rows: [{ line, list, cue, part, fields }], errors: [{ line, error }] }
+// Only the columns present in the sheet are imported, so a sheet with just Cue and Notes updates notes only
+function parseCueCsvImport(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+    const rows = parseCsvRows(input, delimiter);
+    if (rows.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const header = mapHeader(rows[0]);
+    if (header.cue === undefined) {
+        throw new Error('No "Cue" column found in the first row');
+    }
+    const columns = USER_FIELDS.filter(field => header[field] !== undefined);
+    if (columns.length === 0) {
+        throw new Error('No Notes, Tags, Page or Cue Color column found in the first row');
+    }
+
+    const result = { columns: columns, rows: [], errors: [] };
+    rows.slice(1).forEach((row, index) => {
+        const line = index + 2;
+        if (row.every(cell => !String(cell).trim())) return;
+        const cell = (key) => header[key] !== undefined && row[header[key]] !== undefined
+            ? unprotectCell(String(row[header[key]]))
+            : '';
+
+        const cue = cell('cue').trim();
+        if (!/^\d+(?:\.\d+)?$/.test(cue)) {
+            result.errors.push({ line: line, error: `Invalid cue number "${cue}"` });
+            return;
+        }
+        const list = cell('list').trim() || '1';
+        const part = parseInt(cell('part').trim() || '0');
+        if (!/^\d+$/.test(list) || isNaN(part) || part < 0) {
+            result.errors.push({ line: line, error: `Invalid list or part for cue ${cue}` });
+            return;
+        }
+
+        const fields = {};
+        if (columns.includes('notes')) fields.notes = cell('notes').replace(/\r\n/g, '\n');
+        if (columns.includes('tags')) {
+            fields.tags = cell('tags').split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+        }
+        if (columns.includes('page')) fields.page = cell('page').trim();
+        if (columns.includes('color')) {
+            const color = parseColor(cell('color'));
+            if (color === null) {
+                result.errors.push({ line: line, error: `Invalid color "${cell('color').trim()}" for cue ${cue} - use #rrggbb` });
+                return;
+            }
+            fields.color = color;
+        }
+        result.rows.push({ line: line, list: list, cue: String(parseFloat(cue)), part: part, fields: fields });
+    });
+    return result;
+}
+
+// Fields of a row that differ from the cue
+function getChangedFields(cue, fields) {
+    return Object.keys(fields).filter(field => {
+        if (field === 'tags') {
+            return JSON.stringify(cue.tags || []) !== JSON.stringify(fields.tags);
+        }
+        if (field === 'color') {
+            return (cue.color || DEFAULT_COLOR).toLowerCase() !== fields.color;
+        }
+        return (cue[field] || '') !== fields[field];
+    });
+}
+
+module.exports = {
+    buildCueCsv,
+    parseCueCsvImport,
+    getChangedFields,
+    EXPORT_COLUMNS
+};
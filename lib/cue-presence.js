@@ -0,0 +1,89 @@
+// Who has which cue open in the editor - for the "Sam is editing cue 12" indicators
+// Browsers report the cue they opened (null when they close the editor) and repeat it as a
+// heartbeat; a browser that hasn't reported for PRESENCE_TIMEOUT (closed tab, lost Wi-Fi)
+// is dropped by prune().
+//
+// Hooks:
+//   onChange(editors)  - editors: [{ clientId, name, cue_list, cue_number, part_number, since }]
+//   now()              - optional clock for tests
+
+const PRESENCE_TIMEOUT = 45 * 1000;
+
+function normalizeAddress(cue) {
+    return {
+        cue_list: String(cue.cue_list || '1'),
+        cue_number: String(cue.cue_number),
+        part_number: parseInt(cue.part_number) || 0
+    };
+}
+
+function createCuePresence(hooks = {}) {
+    const now = hooks.now || Date.now;
+    const clients = new Map();
+
+    function list() {
+        return [...clients.values()].map(({ seen, ...editor }) => editor);
+    }
+
+    function changed() {
+        if (hooks.onChange) hooks.onChange(list());
+    }
+
+    // cue: { cue_list, cue_number, part_number } or null when the editor was closed
+    function update(clientId, name, cue) {
+        const existing = clients.get(clientId);
+        if (!cue) {
+            if (existing) {
+                clients.delete(clientId);
+                changed();
+            }
+            return;
+        }
+        const address = normalizeAddress(cue);
+        const same = existing && existing.name === name && existing.cue_list === address.cue_list &&
+            existing.cue_number === address.cue_number && existing.part_number === address.part_number;
+        clients.set(clientId, {
+            clientId: clientId,
+            name: name,
+            ...address,
+            since: same ? existing.since : new Date(now()).toISOString(),
+            seen: now()
+        });
+        if (!same) changed();
+    }
+
+    function leave(clientId) {
+        update(clientId, null, null);
+    }
+
+    function prune() {
+        const cutoff = now() - PRESENCE_TIMEOUT;
+        let removed = false;
+        clients.forEach((client, clientId) => {
+            if (client.seen < cutoff) {
+                clients.delete(clientId);
+                removed = true;
+            }
+        });
+        if (removed) changed();
+    }
+
+    function clear() {
+        if (clients.size === 0) return;
+        clients.clear();
+        changed();
+    }
+
+    return {
+        update,
+        leave,
+        prune,
+        clear,
+        list
+    };
+}
+
+module.exports = {
+    createCuePresence,
+    PRESENCE_TIMEOUT
+};
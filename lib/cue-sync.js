@@ -0,0 +1,839 @@
+// EOS cue sync - turns incoming EOS OSC traffic into changes of the cue list
+// Owns the bulk-refresh session, active/pending polling and cue merge logic.
+// The server injects storage, OSC output and side effects as hooks:
+//
+//   getCues() / setCues(cues)   current show's cue array
+//   saveCues()                  persist the cue array (debounced)
+//   broadcastEvent(type, data)  live update to browsers
+//   sendOSC(address, ...args)   send to EOS
+//   canSendOSC()                true when a transport exists
+//   isConnected()               true while EOS is answering
+//   getMainPlaybackList() / setMainPlaybackList(list, label)
+//   onShowName(name)            EOS reported its show name
+//   onCueFired(list, cue, label) active cue changed (show timing)
+//   onCueData(list, cue, part, fields) a cue was read from the console (push verification)
+//   onRefreshComplete(report, previousCues) a list refresh finished (see refresh-report.js)
+//   logger                      console-like object (defaults to console)
+
+const { parseCueText: parseCueTextMessage, parseCueGetAddress, parseCueGetArgs } = require('./eos-parser');
+const { buildRefreshReport } = require('./refresh-report');
+
+function compareCues(a, b) {
+    const listA = parseInt(a.cue_list || '1');
+    const listB = parseInt(b.cue_list || '1');
+    if (listA !== listB) return listA - listB;
+
+    const numA = parseFloat(a.cue_number);
+    const numB = parseFloat(b.cue_number);
+    if (numA !== numB) return numA - numB;
+
+    const partA = a.part_number || 0;
+    const partB = b.part_number || 0;
+    return partA - partB;
+}
+
+function createCueSync(hooks) {
+    const logger = hooks.logger || console;
+    const log = (...args) => logger.log(...args);
+    const noop = () => {};
+    const onShowName = hooks.onShowName || noop;
+    const onCueFired = hooks.onCueFired || noop;
+    const onCueData = hooks.onCueData || noop;
+    const onRefreshComplete = hooks.onRefreshComplete || noop;
+    const broadcastEvent = hooks.broadcastEvent || noop;
+
+    // Bulk refresh session - one cue list at a time, others wait in the queue
+    let bulkRefreshInProgress = false;
+    let bulkRefreshCueList = null;
+    let bulkRefreshExpectedCount = 0;
+    let bulkRefreshReceivedIndices = new Set();
+    let bulkRefreshTimeouts = []; // Track all active timeouts for this refresh
+    let bulkRefreshReceivedCues = new Set(); // Track cue numbers received in current refresh
+    let bulkRefreshQueue = []; // Queue of cue lists waiting to be refreshed
+    let bulkRefreshBaseline = []; // Copies of the list's cues when the refresh started (change report)
+    let lastKnownCueCount = {}; // Track cue count per list for auto-detection
+
+    // Active/pending polling
+    let knownCueLists = [];
+    let activeCuePoller = null;
+    let activePollingQueue = [];
+    let activePollingInProgress = false;
+    let currentPollRequest = null;
+
+    // Push the current active/pending cue of a list (or of all lists if list is null)
+    function broadcastCueState(list, type) {
+        const listStr = (list !== null && list !== undefined) ? String(list) : null;
+        const current = listStr
+            ? hooks.getCues().find(c => c.last_seen === type && String(c.cue_list || '1') === listStr)
+            : null;
+        broadcastEvent('cue-state', {
+            type: type,
+            cue_list: listStr,
+            cue_number: current ? current.cue_number : null,
+            part_number: current ? (current.part_number || 0) : 0
+        });
+    }
+
+    // Clear active/pending from every cue of a list (or of all lists if list is null)
+    function clearLastSeen(type, list) {
+        hooks.getCues().forEach(c => {
+            if (c.last_seen === type && (list === null || list === undefined || String(c.cue_list || '1') === String(list))) {
+                c.last_seen = null;
+            }
+        });
+    }
+
+    // ========== BULK REFRESH ==========
+
+    // Request all cues from a specific cue list
+    function requestAllCues(cueList = 1) {
+        if (!hooks.canSendOSC()) {
+            logger.error('⚠️ OSC client not initialized');
+            return;
+        }
+
+        // If a refresh is already in progress, queue this request
+        if (bulkRefreshInProgress) {
+            // Avoid duplicate queue entries
+            if (!bulkRefreshQueue.includes(cueList) && bulkRefreshCueList !== cueList) {
+                bulkRefreshQueue.push(cueList);
+                log(`📋 Queued cue list ${cueList} for refresh (${bulkRefreshQueue.length} in queue)`);
+            }
+            return;
+        }
+
+        log(`📋 Requesting cue count from cue list ${cueList}...`);
+
+        // Reset bulk refresh state
+        bulkRefreshInProgress = true;
+        bulkRefreshCueList = cueList;
+        bulkRefreshExpectedCount = 0;
+        bulkRefreshReceivedIndices.clear();
+        bulkRefreshReceivedCues.clear();
+        bulkRefreshBaseline = hooks.getCues()
+            .filter(c => String(c.cue_list || '1') === String(cueList))
+            .map(c => Object.assign({}, c));
+
+        // CueView method: First get the count, then request each cue by INDEX
+        // This is much more reliable than requesting by cue number
+        hooks.sendOSC(`/eos/get/cue/${cueList}/count`);
+        log(`📡 Sent: /eos/get/cue/${cueList}/count`);
+        log(`💡 Waiting for EOS to respond with cue count...`);
+
+        // Set a timeout in case EOS doesn't respond - try wildcard fallback
+        const fallbackTimeout = setTimeout(() => {
+            if (bulkRefreshInProgress && bulkRefreshExpectedCount === 0) {
+                log(`⚠️ No count response - trying wildcard fallback...`);
+                // Try the wildcard approach as fallback
+                hooks.sendOSC(`/eos/get/cue/${cueList}/0/1000`);
+                log(`📡 Sent: /eos/get/cue/${cueList}/0/1000 (range request)`);
+
+                // Also try requesting cue 0 which often exists
+                hooks.sendOSC(`/eos/get/cue/${cueList}/1`);
+                log(`📡 Sent: /eos/get/cue/${cueList}/1`);
+
+                // Try the cuelist/cue/*/list wildcard pattern from earlier versions
+                hooks.sendOSC(`/eos/get/cuelist/${cueList}/cue/*/list`);
+                log(`📡 Sent: /eos/get/cuelist/${cueList}/cue/*/list (wildcard)`);
+
+                // Final timeout to end refresh if nothing works
+                const failTimeout = setTimeout(() => {
+                    if (bulkRefreshInProgress && bulkRefreshExpectedCount === 0) {
+                        logger.error(`⚠️ No response from EOS - cue refresh failed`);
+                        bulkRefreshInProgress = false;
+                        bulkRefreshCueList = null;
+                    }
+                }, 5000);
+                bulkRefreshTimeouts.push(failTimeout);
+            }
+        }, 5000);
+        bulkRefreshTimeouts.push(fallbackTimeout);
+    }
+
+    // Cancel all pending timers of the current refresh
+    function clearBulkRefreshTimeouts() {
+        bulkRefreshTimeouts.forEach(t => clearTimeout(t));
+        bulkRefreshTimeouts = [];
+    }
+
+    // Abandon an in-flight refresh without the "remove cues not received" cleanup
+    // Used when the connection drops - missing responses don't mean deleted cues
+    function abortBulkRefresh() {
+        if (bulkRefreshInProgress) {
+            log(`⚠️ Aborting cue refresh of list ${bulkRefreshCueList}`);
+        }
+        clearBulkRefreshTimeouts();
+        bulkRefreshInProgress = false;
+        bulkRefreshCueList = null;
+        bulkRefreshExpectedCount = 0;
+        bulkRefreshReceivedIndices.clear();
+        bulkRefreshReceivedCues.clear();
+        bulkRefreshBaseline = [];
+        bulkRefreshQueue = [];
+    }
+
+    // Called when we receive the cue count response
+    function handleCueCountResponse(cueList, count) {
+        if (!bulkRefreshInProgress || bulkRefreshCueList !== cueList) {
+            log(`⚠️ Ignoring count response for list ${cueList} - not part of current refresh`);
+            return;
+        }
+
+        log(`📊 Cue list ${cueList} has ${count} cues`);
+        bulkRefreshExpectedCount = count;
+
+        // Track cue count for auto-detection
+        lastKnownCueCount[cueList] = count;
+
+        if (count === 0) {
+            log('✅ No cues in list - refresh complete');
+            // Still need to clean up old cues from this list
+            checkBulkRefreshComplete();
+            return;
+        }
+
+        // CueView method: Request each cue by INDEX (position in the list)
+        // This gets cue at position 0, 1, 2, etc. regardless of cue number
+        log(`📡 Requesting ${count} cues by index (CueView method, batched)...`);
+        let i = 0;
+        const batchInterval = setInterval(() => {
+            for (let k = 0; k < 10 && i < count; k++, i++) {
+                hooks.sendOSC(`/eos/get/cue/${cueList}/index/${i}`);
+            }
+            if (i >= count) {
+                clearInterval(batchInterval);
+                log(`✅ All ${count} index requests sent (batched).`);
+            }
+        }, 50);
+        bulkRefreshTimeouts.push(batchInterval);
+
+        log(`💡 Responses will appear as EOS sends them...`);
+
+        // Set a completion timeout based on cue count
+        // Give extra time for cue processing before cleanup
+        const timeout = Math.max(5000, count * 100); // At least 5s, or 100ms per cue
+        const completionTimeout = setTimeout(() => {
+            checkBulkRefreshComplete();
+        }, timeout);
+        bulkRefreshTimeouts.push(completionTimeout);
+    }
+
+    // Check if all expected cues have been received
+    function checkBulkRefreshComplete() {
+        if (!bulkRefreshInProgress) return;
+
+        const received = bulkRefreshReceivedIndices.size;
+        const expected = bulkRefreshExpectedCount;
+        const listNum = bulkRefreshCueList;
+
+        log(`📊 Received ${received}/${expected} cue responses`);
+
+        // Remove cues from this list that weren't in the refresh
+        // Keep user data (notes, colors, tags) but remove cues that no longer exist on EOS
+        const cues = hooks.getCues();
+        const cueListStr = String(listNum);
+
+        const remaining = cues.filter(cue => {
+            const cueList = String(cue.cue_list || '1');
+            // Keep cues from other lists
+            if (cueList !== cueListStr) return true;
+            // Keep cues that were received in this refresh
+            if (bulkRefreshReceivedCues.has(cue.cue_number)) return true;
+            // Remove cues that weren't in the refresh
+            log(`🗑️ Removing old cue ${cue.cue_number} from list ${cueList} (not in EOS)`);
+            broadcastEvent('cue-delete', {
+                cue_list: cueList,
+                cue_number: cue.cue_number,
+                part_number: cue.part_number || 0
+            });
+            return false;
+        });
+
+        const removedCount = cues.length - remaining.length;
+        if (removedCount > 0) {
+            hooks.setCues(remaining);
+            log(`🧹 Cleaned up ${removedCount} old cue(s) not found in EOS`);
+            hooks.saveCues();
+        }
+
+        const report = buildRefreshReport(
+            cueListStr,
+            bulkRefreshBaseline,
+            hooks.getCues().filter(c => String(c.cue_list || '1') === cueListStr),
+            { received: received, expected: expected }
+        );
+        const previousCues = bulkRefreshBaseline;
+
+        // Mark as complete
+        clearBulkRefreshTimeouts();
+        bulkRefreshInProgress = false;
+        bulkRefreshCueList = null;
+        bulkRefreshExpectedCount = 0;
+        bulkRefreshReceivedIndices.clear();
+        bulkRefreshReceivedCues.clear();
+        bulkRefreshBaseline = [];
+
+        log(`✅ Cue refresh complete - ${received} cues loaded`);
+        onRefreshComplete(report, previousCues);
+
+        // Process next queued cue list if any
+        if (bulkRefreshQueue.length > 0) {
+            const nextList = bulkRefreshQueue.shift();
+            log(`📋 Processing next queued cue list: ${nextList} (${bulkRefreshQueue.length} remaining)`);
+            requestAllCues(nextList);
+        }
+    }
+
+    // Called when we receive a cue index response
+    function handleCueIndexResponse(cueList, index) {
+        if (!bulkRefreshInProgress || bulkRefreshCueList !== cueList) {
+            log(`⚠️ Ignoring index response for list ${cueList} index ${index} - not part of current refresh`);
+            return; // Not part of current bulk refresh
+        }
+
+        // Guard against stale responses from cancelled refreshes
+        // Don't process index responses until we've received the count
+        if (bulkRefreshExpectedCount === 0) {
+            log(`⚠️ Ignoring stale index response ${index} - count not yet received`);
+            return;
+        }
+
+        // Validate index is in expected range
+        if (index < 0 || index >= bulkRefreshExpectedCount) {
+            log(`⚠️ Ignoring out-of-range index response ${index} - expected 0-${bulkRefreshExpectedCount - 1}`);
+            return;
+        }
+
+        bulkRefreshReceivedIndices.add(index);
+
+        // Check if we've received all expected responses
+        // Use setImmediate to ensure cue data is fully processed before cleanup
+        if (bulkRefreshReceivedIndices.size >= bulkRefreshExpectedCount) {
+            setImmediate(() => checkBulkRefreshComplete());
+        }
+    }
+
+    // ========== ACTIVE/PENDING POLLING ==========
+
+    function startActiveCuePolling() {
+        if (activeCuePoller) clearInterval(activeCuePoller);
+        activeCuePoller = setInterval(() => {
+            if (!hooks.isConnected() || bulkRefreshInProgress || activePollingInProgress) return;
+            processNextPollRequest();
+        }, 500);
+    }
+
+    function processNextPollRequest() {
+        if (activePollingInProgress || !hooks.isConnected() || bulkRefreshInProgress) return;
+
+        if (activePollingQueue.length === 0) {
+            knownCueLists.forEach(listNum => {
+                activePollingQueue.push({ list: String(listNum), type: 'active' });
+                activePollingQueue.push({ list: String(listNum), type: 'pending' });
+            });
+            if (activePollingQueue.length === 0) return;
+        }
+
+        const request = activePollingQueue.shift();
+        currentPollRequest = request;
+        activePollingInProgress = true;
+
+        const oscPath = `/eos/get/cue/${request.list}/${request.type}`;
+        hooks.sendOSC(oscPath);
+
+        setTimeout(() => {
+            if (activePollingInProgress && currentPollRequest === request) {
+                log(`⏳ Poll timeout: ${request.type} for list ${request.list} (no response)`);
+                activePollingInProgress = false;
+                currentPollRequest = null;
+            }
+        }, 600);
+    }
+
+    // Replay of a recorded outbound poll: restore the context the answer was parsed with
+    function trackPollRequest(address) {
+        const match = address.match(/^\/eos\/get\/cue\/(\d+)\/(active|pending)$/);
+        if (!match) return;
+        currentPollRequest = { list: match[1], type: match[2] };
+        activePollingInProgress = true;
+    }
+
+    // A poll of the given type was answered - allow the next one
+    function finishPollRequest(type) {
+        if (activePollingInProgress && currentPollRequest && currentPollRequest.type === type) {
+            activePollingInProgress = false;
+            currentPollRequest = null;
+        }
+    }
+
+    // Forget everything learned from the previous connection so it is rediscovered
+    function resetDiscovery() {
+        if (activeCuePoller) {
+            clearInterval(activeCuePoller);
+            activeCuePoller = null;
+        }
+        activePollingQueue = [];
+        activePollingInProgress = false;
+        currentPollRequest = null;
+        knownCueLists = [];
+        abortBulkRefresh();
+    }
+
+    // ========== OSC MESSAGES ==========
+
+    function parseEOSCueMessage(msg) {
+        try {
+            const address = msg[0];
+            const args = msg.slice(1);
+
+            log('Parsing EOS message:', address, args);
+
+            // Handle show name - auto-switch to matching show
+            if (address.includes('/eos/out/show/name')) {
+                log('✅ EOS Show name:', args[0]);
+                onShowName(args[0]);
+            }
+
+            // Handle EOS version response
+            if (address === '/eos/out/get/version') {
+                log('✅ EOS Version:', args[0]);
+            }
+
+            // Handle cuelist count response
+            if (address === '/eos/out/get/cuelist/count') {
+                const cuelistCount = args[0];
+                log(`✅ EOS has ${cuelistCount} cuelist(s)`);
+
+                // Request detailed info for each cuelist
+                for (let i = 0; i < cuelistCount; i++) {
+                    hooks.sendOSC(`/eos/get/cuelist/index/${i}`);
+                    log(`📡 Sent: /eos/get/cuelist/index/${i}`);
+                }
+            }
+
+            // Handle cuelist index response (cuelist metadata, NOT cue data)
+            // Format: /eos/out/get/cuelist/<cuelist#>/list/<index>/<count>
+            if (address.match(/^\/eos\/out\/get\/cuelist\/-?\d+\/list\/\d+\/\d+$/)) {
+                const pathParts = address.split('/');
+                const cuelistNumber = parseInt(pathParts[5]);
+
+                if (cuelistNumber < 0) {
+                    log(`⏭️ Skipping system cuelist ${cuelistNumber}`);
+                    return;
+                }
+
+                if (!knownCueLists.includes(cuelistNumber)) {
+                    knownCueLists.push(cuelistNumber);
+                    log(`📋 Added cuelist ${cuelistNumber} to knownCueLists: [${knownCueLists}]`);
+                    startActiveCuePolling();
+                }
+
+                log(`✅ Discovered cuelist ${cuelistNumber}`);
+                log(`📋 Requesting cues from cuelist ${cuelistNumber}...`);
+
+                requestAllCues(cuelistNumber);
+
+                return;
+            }
+
+            // Handle cue notifications from subscription
+            // Format: /eos/out/notify/cue/<list>/list/<index>/<count>
+            // Args: [sequence_number, cue_number_string, ...]
+            if (address.includes('/eos/out/notify/cue/')) {
+                log(`🔔 NOTIFY: ${address}`);
+                log(`   Args (${args.length}):`, args);
+
+                // Extract list number and count from path
+                const pathParts = address.split('/');
+                const listIdx = pathParts.indexOf('cue') + 1;
+                const listNum = parseInt(pathParts[listIdx]);
+
+                // Check if cue count changed (indicates cue added/deleted)
+                // Path format: /eos/out/notify/cue/<list>/list/<index>/<count>
+                const countMatch = address.match(/\/list\/\d+\/(\d+)$/);
+                if (countMatch) {
+                    const newCount = parseInt(countMatch[1]);
+                    const oldCount = lastKnownCueCount[listNum] || 0;
+
+                    if (newCount !== oldCount && oldCount > 0) {
+                        log(`🔄 Cue count changed: ${oldCount} → ${newCount} in list ${listNum}`);
+                        log(`📋 Triggering auto-refresh...`);
+                        lastKnownCueCount[listNum] = newCount;
+
+                        // Trigger full refresh if not already in progress
+                        if (!bulkRefreshInProgress) {
+                            requestAllCues(listNum);
+                        }
+                        return;
+                    }
+                }
+
+                const seqNum = args[0]; // Notification sequence number
+                const cueNumber = args[1]; // Cue number as string
+                log(`✅ Cue notification: Cue ${cueNumber} (seq ${seqNum})`);
+
+                // Request full data for this cue using the correct format
+                hooks.sendOSC(`/eos/get/cue/${listNum}/${cueNumber}`);
+                log(`📡 Requested details for cue ${cueNumber} in list ${listNum}`);
+            }
+
+            // Handle active cue text - contains full cue info
+            // Matches: /eos/out/active/cue/text, /eos/out/active/cue/<list>/text
+            if (address.match(/^\/eos\/out\/active\/cue\/([\d]+\/)?text$/)) {
+                const cueText = args[0] || '';
+                const addrListMatch = address.match(/\/cue\/(\d+)\/text$/);
+                const addrList = addrListMatch ? addrListMatch[1] : null;
+                const pollList = (currentPollRequest && currentPollRequest.type === 'active') ? currentPollRequest.list : null;
+                const contextList = addrList || pollList;
+                log(`✅ Active cue text: "${cueText}" (addrList=${addrList}, pollList=${pollList})`);
+                parseCueText(cueText, 'active', contextList);
+                finishPollRequest('active');
+            }
+
+            // Handle pending cue text - contains next cue info
+            // Matches: /eos/out/pending/cue/text, /eos/out/pending/cue/<list>/text
+            if (address.match(/^\/eos\/out\/pending\/cue\/([\d]+\/)?text$/)) {
+                const cueText = args[0] || '';
+                const addrListMatch = address.match(/\/cue\/(\d+)\/text$/);
+                const addrList = addrListMatch ? addrListMatch[1] : null;
+                const pollList = (currentPollRequest && currentPollRequest.type === 'pending') ? currentPollRequest.list : null;
+                const contextList = addrList || pollList;
+                log(`✅ Pending cue text: "${cueText}" (addrList=${addrList}, pollList=${pollList})`);
+                parseCueText(cueText, 'pending', contextList);
+                finishPollRequest('pending');
+            }
+
+            // Handle per-list active/pending cue notifications (without /text suffix)
+            // EOS sends: /eos/out/active/cue/<list>/<cue> when subscribed
+            // Match: must have /eos/out/active/cue/ followed by list/cue numbers, not /text
+            {
+                const activeListMatch = address.match(/^\/eos\/out\/active\/cue\/(\d+)\/(\d+(?:\.\d+)?)(\/\w+)?$/);
+                if (activeListMatch && !address.endsWith('/text')) {
+                    const list = activeListMatch[1];
+                    const cueNum = activeListMatch[2];
+                    log(`✅ Per-list active cue: List ${list}, Cue ${cueNum} (addr: ${address})`);
+                    setActiveCueByListAndNumber(list, cueNum, 'active');
+                }
+            }
+
+            {
+                const pendingListMatch = address.match(/^\/eos\/out\/pending\/cue\/(\d+)\/(\d+(?:\.\d+)?)(\/\w+)?$/);
+                if (pendingListMatch && !address.endsWith('/text')) {
+                    const list = pendingListMatch[1];
+                    const cueNum = pendingListMatch[2];
+                    log(`✅ Per-list pending cue: List ${list}, Cue ${cueNum} (addr: ${address})`);
+                    setActiveCueByListAndNumber(list, cueNum, 'pending');
+                }
+            }
+
+            // Log any unrecognized active/pending messages for diagnostics
+            if ((address.startsWith('/eos/out/active/') || address.startsWith('/eos/out/pending/')) &&
+                !address.match(/\/cue\/([\d]+\/)?text$/) &&
+                !address.match(/\/cue\/\d+\/\d+/)) {
+                log(`📡 Unrecognized active/pending OSC: ${address}`, args);
+            }
+
+            // Handle fader config response - auto-detect main playback list
+            // Format: /eos/out/get/fader/0/config = <index>, <type>, <id>, <label>
+            // Type 1 = Cuelist, ID = cuelist number
+            const faderConfigMatch = address.match(/^\/eos\/out\/get\/fader\/0\/config$/);
+            if (faderConfigMatch || address.includes('/eos/out/fader/0/config')) {
+                log(`🎛️ Fader 0 config response:`, args);
+                if (args.length >= 3) {
+                    const faderType = args[1];
+                    const faderTargetId = args[2];
+                    const faderLabel = args[3] || '';
+                    if (Number(faderType) === 1) {
+                        const newMainList = String(faderTargetId);
+                        if (newMainList !== hooks.getMainPlaybackList()) {
+                            log(`🎛️ Main Playback Fader has cuelist ${newMainList} ("${faderLabel}") - updating mainPlaybackList`);
+                            hooks.setMainPlaybackList(newMainList, faderLabel);
+                        } else {
+                            log(`🎛️ Main Playback Fader confirmed: cuelist ${newMainList} ("${faderLabel}")`);
+                        }
+                    }
+                }
+            }
+
+            // Handle OSC Get responses
+            // Format: /eos/out/get/cue/<list>/<cue>/<part>/list/<index>/<count>
+            // OR: /eos/out/get/cuelist/<list>/cue/<cue>/<part>/list/<index>/<count> (from wildcard)
+            if (address.includes('/eos/out/get/cue/') || address.includes('/eos/out/get/cuelist/')) {
+                // IMPORTANT: Ignore sub-responses for fx, actions, links, etc.
+                // We only want the main cue data response
+                if (address.includes('/fx/') || address.includes('/actions/') ||
+                    address.includes('/links/') || address.includes('/curves/')) {
+                    log(`⏭️ Skipping sub-response: ${address}`);
+                    return;
+                }
+
+                log(`📥 GET RESPONSE: ${address}`);
+                log(`   Args (${args.length}):`, args);
+
+                const { isWildcard, isCount, listNum, cueNumber, partNumber, pathIndex, pathCount } = parseCueGetAddress(address);
+
+                if (isCount) {
+                    // Response to count request (from /eos/get/cue/<list>/count)
+                    const count = args[0];
+                    log(`✅ Cuelist ${listNum} has ${count} cues`);
+
+                    // Handle the count response for bulk refresh
+                    handleCueCountResponse(parseInt(listNum), count);
+                } else {
+                    // Response to cue data request
+                    const listIndex = args[0];
+                    const uid = args[1];
+
+                    log(`✅ GET Response - List ${listNum}, Cue ${cueNumber}, Part ${partNumber}`);
+                    log(`   Index: ${listIndex}, UID: ${uid?.substring(0, 8)}...`);
+                    log(`   Path count: ${pathCount}, Path index: ${pathIndex}`);
+
+                    // Extract count from path - wildcard responses contain count in every message
+                    // For wildcard requests, set the count directly without requesting indices
+                    // (EOS sends all cues automatically, we just track receipt)
+                    if (bulkRefreshInProgress && pathCount !== null && bulkRefreshExpectedCount === 0) {
+                        log(`✅ Extracted count from ${isWildcard ? 'wildcard' : 'legacy'} response: ${pathCount} cues`);
+                        bulkRefreshExpectedCount = pathCount;
+                        log(`📊 Expecting ${pathCount} cue responses from ${isWildcard ? 'wildcard' : 'index'} request`);
+
+                        // Set a completion timeout
+                        const timeout = Math.max(5000, pathCount * 50);
+                        const completionTimeout = setTimeout(() => {
+                            checkBulkRefreshComplete();
+                        }, timeout);
+                        bulkRefreshTimeouts.push(completionTimeout);
+                    }
+
+                    // Track this response for bulk refresh completion
+                    if (typeof listIndex === 'number') {
+                        handleCueIndexResponse(parseInt(listNum), listIndex);
+                    }
+
+                    const fields = parseCueGetArgs(args);
+
+                    log(`   📊 Extracted: Label="${fields.label}", Up=${fields.up_time}s, Down=${fields.down_time}s`);
+                    log(`   📊 Flags: M=${fields.mark}, B=${fields.block}, A=${fields.assert}, F=${fields.follow_time}, H=${fields.hang_time}`);
+                    log(`   📊 Scene: "${fields.scene}", SceneEnd: ${fields.scene_end}, Parts: ${fields.part_count}`);
+
+                    if (cueNumber && cueNumber !== '0' && parseInt(listNum) >= 0) {
+                        log(`💾 Saving cue ${cueNumber}: "${fields.label}" - Fade: ${fields.fade_time || 'N/A'}`);
+                        updateOrCreateCue(cueNumber, {
+                            ...fields,
+                            cue_list: listNum,
+                            part_number: parseInt(partNumber) || 0
+                        });
+                        onCueData(listNum, cueNumber, parseInt(partNumber) || 0, fields);
+
+                        if (currentPollRequest && activePollingInProgress && String(listNum) === currentPollRequest.list) {
+                            const pollType = currentPollRequest.type;
+                            log(`🎯 Polled ${pollType} cue response: List ${listNum}, Cue ${cueNumber}`);
+                            setActiveCueByListAndNumber(String(listNum), cueNumber, pollType);
+                            activePollingInProgress = false;
+                            currentPollRequest = null;
+                        }
+                    }
+                }
+            }
+
+            // Handle custom OSC send string format: /cue/<list>/<number>/<label>
+            if (address.startsWith('/cue/') && !address.includes('/eos/')) {
+                const pathParts = address.split('/').filter(p => p);
+                if (pathParts.length >= 3) {
+                    const listNum = pathParts[1];
+                    const cueNum = pathParts[2];
+                    const label = args[0] || pathParts[3] || '';
+                    log(`✅ Custom cue format - List ${listNum}, Cue ${cueNum}:`, label);
+                    updateOrCreateCue(cueNum, { label: label, cue_list: listNum });
+                }
+            }
+
+        } catch (error) {
+            logger.error('Error parsing OSC message:', error);
+        }
+    }
+
+    // ========== CUE STATE ==========
+
+    // Set active/pending cue by list number and cue number (for per-list OSC notifications)
+    function setActiveCueByListAndNumber(list, cueNum, type) {
+        try {
+            log(`🔍 Setting ${type} cue: List ${list}, Cue ${cueNum}`);
+
+            // Clear last_seen only from cues in the SAME list
+            clearLastSeen(type, list);
+
+            // Find and update this cue
+            const targetCue = hooks.getCues().find(c =>
+                String(c.cue_number) === String(cueNum) &&
+                String(c.cue_list || '1') === String(list)
+            );
+
+            if (targetCue) {
+                targetCue.last_seen = type;
+                log(`📝 Set ${type} cue: List ${list}, Cue ${cueNum}, Label: "${targetCue.label || ''}"`);
+            } else {
+                log(`⚠️ Cue ${cueNum} in list ${list} not found in local data`);
+                updateOrCreateCue(cueNum, {
+                    cue_list: list,
+                    last_seen: type
+                });
+            }
+
+            if (type === 'active') {
+                onCueFired(String(list), cueNum, targetCue?.label || '');
+            }
+
+            hooks.saveCues();
+            broadcastCueState(list, type);
+        } catch (error) {
+            logger.error('Error setting active cue by list/number:', error);
+        }
+    }
+
+    // Apply an active/pending cue text from EOS (see parseCueText in eos-parser.js)
+    function parseCueText(cueText, type, contextList) {
+        try {
+            const parsed = parseCueTextMessage(cueText, contextList);
+
+            if (!parsed) {
+                logger.warn(`⚠️ REGEX MISMATCH: Could not parse cue text '${cueText}'`);
+                return;
+            }
+
+            // EOS cleared the cue - only reset the list we know it came from
+            // Without a list, clear every list as a fallback
+            if (parsed.reset) {
+                clearLastSeen(type, contextList || null);
+                hooks.saveCues();
+                broadcastCueState(contextList || null, type);
+                return;
+            }
+
+            const { list, cue, label, fadeTime, completion } = parsed;
+            log(`📝 Parsed ${type} cue: List ${list}, Cue ${cue}, Label: "${label}"`);
+
+            if (type === 'active') {
+                onCueFired(String(list), cue, label);
+            }
+
+            // Clear active/pending only in the SAME list
+            clearLastSeen(type, list);
+
+            const updates = {
+                cue_list: list,
+                label: label,
+                last_seen: type,
+                completion: completion
+            };
+
+            if (fadeTime && (completion === '0%' || type === 'pending')) {
+                updates.fade_time = fadeTime;
+            }
+
+            updateOrCreateCue(cue, updates);
+            broadcastCueState(list, type);
+        } catch (error) {
+            logger.error('Error parsing cue text:', error);
+        }
+    }
+
+    function updateOrCreateCue(cueNumber, updates) {
+        // Use list+cue+part as unique key to avoid collisions
+        const cueList = updates.cue_list || '1';
+        const partNumber = updates.part_number || 0;
+
+        // For parts > 0, include part in the key; part 0 is the main cue
+        const cueKey = partNumber > 0
+            ? `${cueList}/${cueNumber}/${partNumber}`
+            : `${cueList}/${cueNumber}`;
+
+        // Track this cue as received during bulk refresh (track base cue number)
+        if (bulkRefreshInProgress && String(bulkRefreshCueList) === String(cueList)) {
+            bulkRefreshReceivedCues.add(cueNumber);
+        }
+
+        const cues = hooks.getCues();
+        let existingCue = cues.find(c => {
+            const existingList = c.cue_list || '1';
+            const existingPart = c.part_number || 0;
+            const existingKey = existingPart > 0
+                ? `${existingList}/${c.cue_number}/${existingPart}`
+                : `${existingList}/${c.cue_number}`;
+            return existingKey === cueKey;
+        });
+
+        if (existingCue) {
+            // Only update if we have new data (don't overwrite with empty strings)
+            // Exception: always update last_seen even if null (to clear it)
+            // Exception: always update EOS fields (mark/block/assert/scene/parts) from console even if empty
+            const alwaysUpdateFields = ['last_seen', 'mark', 'block', 'assert', 'scene', 'console_notes', 'part_count', 'part_number', 'follow_hang', 'follow_time', 'hang_time', 'up_time', 'down_time', 'focus_time', 'color_time', 'beam_time', 'up_delay', 'down_delay', 'focus_delay', 'color_delay', 'beam_delay', 'duration'];
+            Object.keys(updates).forEach(key => {
+                if (alwaysUpdateFields.includes(key)) {
+                    existingCue[key] = updates[key];
+                } else if (updates[key] !== '' && updates[key] !== undefined && updates[key] !== null) {
+                    existingCue[key] = updates[key];
+                }
+            });
+            log(`✏️ Updated cue ${cueKey}:`, updates);
+            broadcastEvent('cue-upsert', existingCue);
+        } else {
+            const newCue = {
+                cue_number: cueNumber,
+                cue_list: cueList,
+                label: '',
+                fade_time: '',
+                notes: '',
+                color: '#ffffff',
+                attachments: [],
+                tags: [],
+                mark: '',
+                block: '',
+                assert: '',
+                follow_time: null,
+                hang_time: null,
+                follow_hang: '',
+                scene: '',
+                part_count: 0,
+                part_number: 0,
+                focus_time: null,
+                color_time: null,
+                beam_time: null,
+                duration: null,
+                ...updates
+            };
+            cues.push(newCue);
+            log(`➕ Created new cue ${cueKey}`);
+
+            cues.sort(compareCues);
+            broadcastEvent('cue-upsert', newCue);
+        }
+        hooks.saveCues();
+    }
+
+    function getState() {
+        return {
+            bulkRefreshInProgress,
+            bulkRefreshCueList,
+            bulkRefreshExpectedCount,
+            bulkRefreshQueue: bulkRefreshQueue.slice(),
+            knownCueLists: knownCueLists.slice(),
+            lastKnownCueCount: Object.assign({}, lastKnownCueCount)
+        };
+    }
+
+    return {
+        parseEOSCueMessage,
+        parseCueText,
+        setActiveCueByListAndNumber,
+        updateOrCreateCue,
+        requestAllCues,
+        checkBulkRefreshComplete,
+        abortBulkRefresh,
+        resetDiscovery,
+        trackPollRequest,
+        broadcastCueState,
+        getState
+    };
+}
+
+module.exports = { createCueSync, compareCues };
@@ -0,0 +1,236 @@
+// EOS OSC parsing helpers
+// Pure functions - no state, no I/O - so they can be tested against recorded OSC traffic
+
+// EOS sends times in milliseconds; Qnote shows seconds with 2 decimals
+function msToSeconds(ms) {
+    return Math.round(ms / 10) / 100;
+}
+
+// Parse the active/pending cue text EOS sends with /eos/out/active/cue/text
+// Active format: "1/2 cue 2 label 1.8 3%" = "list/cue <label_text> fade_time completion%"
+// Pending format: "1/2 cue 2 label 1.9" = "list/cue <label_text> fade_time" (no percentage)
+// Returns { reset: true } when EOS clears the cue, null when the text can't be parsed
+function parseCueText(cueText, contextList) {
+    const text = (cueText || '').trim();
+
+    // Handle "empty" or "reset" cases sent by EOS
+    if (!text || text === '0.0 100%' || text.startsWith('0.0 ') || text.startsWith('0/0')) {
+        return { reset: true };
+    }
+
+    let list, cue, remainder;
+
+    // Standard format "list/cue" (e.g. "2/5 Label")
+    const listCueMatch = text.match(/^(\d+)\/(\d+(?:\.\d+)?)(?:\s+(.*))?$/);
+
+    if (listCueMatch) {
+        list = listCueMatch[1];
+        cue = listCueMatch[2];
+        remainder = listCueMatch[3] ? listCueMatch[3].trim() : '';
+    } else if (contextList) {
+        // Fallback: cue number only (e.g. "5") - common for active cues in list 2, 3, etc.
+        // The list comes from the OSC address or the poll request
+        const cueOnlyMatch = text.match(/^(\d+(?:\.\d+)?)(?:\s+(.*))?$/);
+        if (!cueOnlyMatch) return null;
+        list = String(contextList);
+        cue = cueOnlyMatch[1];
+        remainder = cueOnlyMatch[2] ? cueOnlyMatch[2].trim() : '';
+    } else {
+        return null;
+    }
+
+    // Extract fade time and completion (%)
+    let fadeTime = '';
+    let completion = '';
+    let label = '';
+
+    const fadeTimePattern = '[\\d.:]+';
+
+    // Pattern 1: Numbers only "fade completion%" (no label)
+    const noLabelActiveMatch = remainder.match(new RegExp(`^(${fadeTimePattern})\\s+(\\d+)%\\s*$`));
+    if (noLabelActiveMatch) {
+        fadeTime = noLabelActiveMatch[1];
+        completion = noLabelActiveMatch[2] + '%';
+    } else {
+        // Pattern 2: Label followed by fade and completion
+        const labelActiveMatch = remainder.match(new RegExp(`^(.+?)\\s+(${fadeTimePattern})\\s+(\\d+)%\\s*$`));
+        if (labelActiveMatch) {
+            label = labelActiveMatch[1].trim();
+            fadeTime = labelActiveMatch[2];
+            completion = labelActiveMatch[3] + '%';
+        } else {
+            // Pattern 3: Fade only (no label) - pending cue
+            const noLabelPendingMatch = remainder.match(new RegExp(`^(${fadeTimePattern})\\s*$`));
+            if (noLabelPendingMatch) {
+                fadeTime = noLabelPendingMatch[1];
+            } else {
+                // Pattern 4: Label followed by fade time
+                const labelPendingMatch = remainder.match(new RegExp(`^(.+?)\\s+(${fadeTimePattern})\\s*$`));
+                if (labelPendingMatch) {
+                    label = labelPendingMatch[1].trim();
+                    fadeTime = labelPendingMatch[2];
+                } else {
+                    // No fade, the rest is the label
+                    label = remainder;
+                }
+            }
+        }
+    }
+
+    return { list, cue, label, fadeTime, completion };
+}
+
+// Parse the address of an OSC Get response
+// Legacy format: /eos/out/get/cue/<list>/<cue>/<part>/list/<index>/<count>
+// Wildcard format: /eos/out/get/cuelist/<list>/cue/<cue>/<part>/list/<index>/<count>
+// Count format: /eos/out/get/cue/<list>/count
+function parseCueGetAddress(address) {
+    const pathParts = address.split('/');
+    const isWildcard = address.includes('/eos/out/get/cuelist/');
+    let listNum, cueNumber, partNumber;
+
+    if (isWildcard) {
+        const cuelistIdx = pathParts.indexOf('cuelist');
+        listNum = pathParts[cuelistIdx + 1];
+        const cueIdx = pathParts.indexOf('cue', cuelistIdx);
+        cueNumber = pathParts[cueIdx + 1];
+        partNumber = pathParts[cueIdx + 2];
+    } else {
+        const cueIdx = pathParts.indexOf('cue');
+        listNum = pathParts[cueIdx + 1];
+        cueNumber = pathParts[cueIdx + 2];
+        partNumber = pathParts[cueIdx + 3];
+    }
+
+    // Extract count and index from path if present (always in list responses)
+    const listIdx = pathParts.indexOf('list');
+
+    return {
+        isWildcard,
+        isCount: pathParts.includes('count'),
+        listNum,
+        cueNumber,
+        partNumber,
+        pathIndex: listIdx > 0 ? parseInt(pathParts[listIdx + 1]) : null,
+        pathCount: listIdx > 0 ? parseInt(pathParts[listIdx + 2]) : null
+    };
+}
+
+// Format fade time like CueView: show both up/down if different, or just one if same
+function formatFadeTime(upTime, downTime) {
+    if (upTime !== null && downTime !== null) {
+        return upTime === downTime ? `${upTime}` : `↑${upTime} ↓${downTime}`;
+    }
+    if (upTime !== null) return `${upTime}`;
+    if (downTime !== null) return `${downTime}`;
+    return '';
+}
+
+// Format follow/hang display like CueView
+function formatFollowHang(followTime, hangTime) {
+    let display = '';
+    if (followTime !== null) {
+        display += `F${followTime}`;
+    }
+    if (hangTime !== null) {
+        if (display) display += ' ';
+        display += `H${hangTime}`;
+    }
+    return display;
+}
+
+// Convert the arguments of a cue Get response into cue fields
+// EOS sends structured data in args (matching Cue-View's cue.js):
+// args[0] = index (number)
+// args[1] = uid (string)
+// args[2] = label (string)
+// args[3] = up time duration in milliseconds
+// args[4] = up time delay
+// args[5] = down time duration in milliseconds
+// args[6] = down time delay
+// args[7] = focus time duration
+// args[8] = focus time delay
+// args[9] = color time duration
+// args[10] = color time delay
+// args[11] = beam time duration
+// args[12] = beam time delay
+// args[16] = mark (string)
+// args[17] = block (string)
+// args[18] = assert (string)
+// args[20] = follow time in milliseconds (-1 if none)
+// args[21] = hang time in milliseconds (-1 if none)
+// args[26] = part count (number)
+// args[27] = cue notes (string, not sent by older software)
+// args[28] = scene (string)
+// args[29] = scene end (bool)
+function parseCueGetArgs(args) {
+    const label = (typeof args[2] === 'string') ? args[2] : '';
+    const upTimeMilliseconds = (typeof args[3] === 'number' && args[3] >= 0) ? args[3] : null;
+    const downTimeMilliseconds = (typeof args[5] === 'number' && args[5] >= 0) ? args[5] : null;
+
+    const focusTime = (typeof args[7] === 'number' && args[7] >= 0) ? msToSeconds(args[7]) : null;
+    const colorTime = (typeof args[9] === 'number' && args[9] >= 0) ? msToSeconds(args[9]) : null;
+    const beamTime = (typeof args[11] === 'number' && args[11] >= 0) ? msToSeconds(args[11]) : null;
+
+    const upDelay = (typeof args[4] === 'number' && args[4] > 0) ? msToSeconds(args[4]) : null;
+    const downDelay = (typeof args[6] === 'number' && args[6] > 0) ? msToSeconds(args[6]) : null;
+    const focusDelay = (typeof args[8] === 'number' && args[8] > 0) ? msToSeconds(args[8]) : null;
+    const colorDelay = (typeof args[10] === 'number' && args[10] > 0) ? msToSeconds(args[10]) : null;
+    const beamDelay = (typeof args[12] === 'number' && args[12] > 0) ? msToSeconds(args[12]) : null;
+
+    const followMs = (typeof args[20] === 'number') ? args[20] : -1;
+    const hangMs = (typeof args[21] === 'number') ? args[21] : -1;
+
+    const upTime = upTimeMilliseconds !== null ? msToSeconds(upTimeMilliseconds) : null;
+    const downTime = downTimeMilliseconds !== null ? msToSeconds(downTimeMilliseconds) : null;
+    const followTime = followMs >= 0 ? msToSeconds(followMs) : null;
+    const hangTime = hangMs >= 0 ? msToSeconds(hangMs) : null;
+
+    // Overall duration is the longest of all time types, like Cue-View
+    const duration = Math.max(
+        upTimeMilliseconds || 0,
+        downTimeMilliseconds || 0,
+        args[7] || 0,
+        args[9] || 0,
+        args[11] || 0
+    );
+
+    const fields = {
+        label: label,
+        uid: args[1],
+        fade_time: formatFadeTime(upTime, downTime),
+        up_time: upTime,
+        down_time: downTime,
+        focus_time: focusTime,
+        color_time: colorTime,
+        beam_time: beamTime,
+        up_delay: upDelay,
+        down_delay: downDelay,
+        focus_delay: focusDelay,
+        color_delay: colorDelay,
+        beam_delay: beamDelay,
+        mark: (typeof args[16] === 'string' && args[16]) ? args[16] : '',
+        block: (typeof args[17] === 'string' && args[17]) ? args[17] : '',
+        assert: (typeof args[18] === 'string' && args[18]) ? args[18] : '',
+        follow_time: followTime,
+        hang_time: hangTime,
+        follow_hang: formatFollowHang(followTime, hangTime),
+        part_count: (typeof args[26] === 'number') ? args[26] : 0,
+        scene: (typeof args[28] === 'string') ? args[28] : '',
+        scene_end: args[29] === true || args[29] === 1,
+        duration: duration > 0 ? msToSeconds(duration) : null
+    };
+    // Only present when the console has a notes field, so pushing notes can tell
+    if (typeof args[27] === 'string') {
+        fields.console_notes = args[27];
+    }
+    return fields;
+}
+
+module.exports = {
+    parseCueText,
+    parseCueGetAddress,
+    parseCueGetArgs,
+    formatFadeTime,
+    formatFollowHang
+};
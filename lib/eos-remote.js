@@ -0,0 +1,173 @@
+// Remote playback control: GO, Stop/Back and Go To Cue sent to EOS
+// Firing is refused unless the current show allows it and an operator has armed it.
+// Arming lasts armWindowMs and is extended by every command, so a stage manager
+// calling a sequence stays armed while an unattended browser falls back to safe.
+
+const LIST_PATTERN = /^\d+$/;
+const CUE_PATTERN = /^\d+(?:\.\d+)?$/;
+
+const DEFAULT_ARM_WINDOW = 60000;
+
+// Remote firing is off until an admin turns it on for the show. Shows saved while it
+// defaulted to on carry remote_firing: true without that choice (no remote_firing_set) - off.
+function isRemoteFiringEnabled(showSettings) {
+    return showSettings.remote_firing === true && showSettings.remote_firing_set === true;
+}
+
+function failure(status, error) {
+    return { success: false, status: status, error: error };
+}
+
+// Build the OSC message for an action
+// action: 'go' | 'stop' | 'goto'    params: { list, cue, part }
+// getPendingCue(list) returns the pending cue number of a list (used for GO on a non-main list)
+function buildRemoteCommand(action, params, mainPlaybackList, getPendingCue) {
+    const list = String(params.list || mainPlaybackList);
+    if (!LIST_PATTERN.test(list)) {
+        return failure(400, `Invalid cue list: ${params.list}`);
+    }
+    const isMain = list === String(mainPlaybackList);
+
+    if (action === 'go') {
+        // The GO key acts on the main playback fader; other lists fire their pending cue
+        if (isMain) {
+            return { success: true, address: '/eos/key/go_0', args: [], description: `GO (list ${list})` };
+        }
+        const pending = getPendingCue(list);
+        if (!pending) {
+            return failure(409, `No pending cue on list ${list}`);
+        }
+        return { success: true, address: `/eos/cue/${list}/${pending}/fire`, args: [], description: `GO list ${list} (cue ${pending})` };
+    }
+
+    if (action === 'stop') {
+        // Stop/Back only has a key on the main playback
+        if (!isMain) {
+            return failure(400, `Stop/Back is only available for the main playback list (${mainPlaybackList})`);
+        }
+        return { success: true, address: '/eos/key/stop', args: [], description: `Stop/Back (list ${list})` };
+    }
+
+    if (action === 'goto') {
+        const cue = String(params.cue === undefined || params.cue === null ? '' : params.cue).trim();
+        if (!CUE_PATTERN.test(cue)) {
+            return failure(400, `Invalid cue number: ${params.cue}`);
+        }
+        const part = parseInt(params.part) || 0;
+        const partText = part > 0 ? ` Part ${part}` : '';
+        return {
+            success: true,
+            address: '/eos/newcmd',
+            args: [`Go_To_Cue ${list}/${cue}${partText}#`],
+            description: `Go To Cue ${list}/${cue}${partText}`
+        };
+    }
+
+    return failure(400, `Unknown remote action: ${action}`);
+}
+
+// Hooks:
+//   sendOSC(address, ...args)
+//   isConnected()              - live connection to EOS (not a replay)
+//   isEnabled()                - per-show remote firing setting
+//   getMainPlaybackList()
+//   getPendingCue(list)
+//   onStateChange(state)       - arming changed (broadcast to the UIs)
+//   armWindowMs, logger
+function createRemoteControl(hooks) {
+    const logger = hooks.logger || console;
+    const armWindowMs = hooks.armWindowMs || DEFAULT_ARM_WINDOW;
+    const onStateChange = hooks.onStateChange || (() => {});
+
+    let armedUntil = 0;
+    let disarmTimer = null;
+
+    function isArmed() {
+        return armedUntil > Date.now();
+    }
+
+    function getState() {
+        const armed = isArmed();
+        return {
+            enabled: !!hooks.isEnabled(),
+            connected: !!hooks.isConnected(),
+            armed: armed,
+            armedUntil: armed ? armedUntil : null,
+            remainingMs: armed ? armedUntil - Date.now() : 0,
+            armWindowMs: armWindowMs
+        };
+    }
+
+    function scheduleDisarm() {
+        if (disarmTimer) clearTimeout(disarmTimer);
+        disarmTimer = setTimeout(() => {
+            disarmTimer = null;
+            logger.log('🔒 Remote firing disarmed (timed out)');
+            onStateChange(getState());
+        }, armedUntil - Date.now());
+        if (disarmTimer.unref) disarmTimer.unref();
+    }
+
+    function arm() {
+        if (!hooks.isEnabled()) {
+            return failure(403, 'Remote firing is disabled for this show');
+        }
+        const wasArmed = isArmed();
+        armedUntil = Date.now() + armWindowMs;
+        scheduleDisarm();
+        if (!wasArmed) {
+            logger.log(`🔓 Remote firing armed for ${Math.round(armWindowMs / 1000)}s`);
+        }
+        onStateChange(getState());
+        return { success: true, state: getState() };
+    }
+
+    function disarm(reason) {
+        const wasArmed = isArmed();
+        armedUntil = 0;
+        if (disarmTimer) clearTimeout(disarmTimer);
+        disarmTimer = null;
+        if (wasArmed) {
+            logger.log(`🔒 Remote firing disarmed${reason ? ` (${reason})` : ''}`);
+            onStateChange(getState());
+        }
+        return { success: true, state: getState() };
+    }
+
+    function execute(action, params = {}) {
+        if (!hooks.isEnabled()) {
+            return failure(403, 'Remote firing is disabled for this show');
+        }
+        if (!hooks.isConnected()) {
+            return failure(409, 'Not connected to EOS');
+        }
+        if (!isArmed()) {
+            return failure(409, 'Remote firing is not armed');
+        }
+        const command = buildRemoteCommand(action, params, hooks.getMainPlaybackList(), hooks.getPendingCue);
+        if (!command.success) {
+            return command;
+        }
+        hooks.sendOSC(command.address, ...command.args);
+        logger.log(`🎬 Remote ${command.description}: ${command.address} ${command.args.join(' ')}`.trim());
+        // Keep an operator who is actively calling the show armed
+        armedUntil = Date.now() + armWindowMs;
+        scheduleDisarm();
+        onStateChange(getState());
+        return { success: true, address: command.address, args: command.args, description: command.description, state: getState() };
+    }
+
+    return {
+        arm,
+        disarm,
+        execute,
+        isArmed,
+        getState
+    };
+}
+
+module.exports = {
+    createRemoteControl,
+    buildRemoteCommand,
+    isRemoteFiringEnabled
+};
@@ -0,0 +1,162 @@
+// OSC traffic recorder and replay
+// A session is a .jsonl file - one JSON object per line:
+//   { "time": <epoch ms>, "dir": "meta", "show": "...", "protocol": "tcp" }   first line
+//   { "time": <epoch ms>, "dir": "in" | "out", "address": "/eos/...", "args": [...] }
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_NAME_PATTERN = /^[\w.-]+\.jsonl$/;
+
+function isValidSessionName(name) {
+    return typeof name === 'string' && SESSION_NAME_PATTERN.test(name) && !name.startsWith('.');
+}
+
+// session-2026-10-19T20-15-03.jsonl
+function makeSessionName(date = new Date()) {
+    const stamp = date.toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-');
+    return `session-${stamp}.jsonl`;
+}
+
+function createOscRecorder() {
+    let stream = null;
+    let sessionFile = null;
+    let messageCount = 0;
+
+    function start(sessionsDir, meta = {}) {
+        stop();
+        fs.mkdirSync(sessionsDir, { recursive: true });
+        let name = makeSessionName();
+        // Two sessions in the same second (e.g. quick show switch) get a suffix
+        for (let i = 2; fs.existsSync(path.join(sessionsDir, name)); i++) {
+            name = makeSessionName().replace('.jsonl', `-${i}.jsonl`);
+        }
+        sessionFile = path.join(sessionsDir, name);
+        stream = fs.createWriteStream(sessionFile, { flags: 'a' });
+        stream.on('error', (err) => {
+            console.error('❌ OSC recorder write error:', err.message);
+            stream = null;
+        });
+        messageCount = 0;
+        stream.write(JSON.stringify({ time: Date.now(), dir: 'meta', ...meta }) + '\n');
+        console.log(`🎙️ Recording OSC traffic to ${sessionFile}`);
+        return name;
+    }
+
+    // No-op while not recording, so callers don't have to check
+    function record(dir, address, args = []) {
+        if (!stream) return;
+        messageCount++;
+        stream.write(JSON.stringify({ time: Date.now(), dir: dir, address: address, args: args }) + '\n');
+    }
+
+    function stop() {
+        if (!stream) return;
+        stream.end();
+        console.log(`🎙️ OSC recording stopped (${messageCount} messages in ${path.basename(sessionFile)})`);
+        stream = null;
+        sessionFile = null;
+    }
+
+    return {
+        start,
+        record,
+        stop,
+        isRecording: () => stream !== null,
+        getSessionName: () => sessionFile ? path.basename(sessionFile) : null,
+        getMessageCount: () => messageCount
+    };
+}
+
+// Newest first
+function listSessions(sessionsDir) {
+    if (!fs.existsSync(sessionsDir)) return [];
+    return fs.readdirSync(sessionsDir)
+        .filter(isValidSessionName)
+        .map(name => {
+            const stat = fs.statSync(path.join(sessionsDir, name));
+            return { name: name, size: stat.size, modified: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+// Read a session file; lines that are not valid JSON (e.g. cut off by a crash) are skipped
+function readSession(sessionFile) {
+    const lines = fs.readFileSync(sessionFile, 'utf8').split('\n');
+    const entries = [];
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            // Ignore partial lines
+        }
+    });
+    return entries;
+}
+
+// Play recorded entries back with their original spacing divided by speed
+// speed 0 = as fast as possible. onEntry(entry, index) is called for every non-meta entry.
+function createReplay(entries, options = {}) {
+    const speed = options.speed === undefined ? 1 : Number(options.speed);
+    const onEntry = options.onEntry || (() => {});
+    const onDone = options.onDone || (() => {});
+    const messages = entries.filter(e => e.dir === 'in' || e.dir === 'out');
+
+    let index = 0;
+    let timer = null;
+    let running = false;
+
+    function scheduleNext() {
+        if (!running) return;
+        if (index >= messages.length) {
+            running = false;
+            onDone({ completed: true, played: index, total: messages.length });
+            return;
+        }
+        const entry = messages[index];
+        const previous = index > 0 ? messages[index - 1] : entry;
+        const delay = speed > 0 ? Math.max(0, (entry.time - previous.time) / speed) : 0;
+        const run = () => {
+            if (!running) return;
+            index++;
+            onEntry(entry, index - 1);
+            scheduleNext();
+        };
+        if (delay > 0) {
+            timer = setTimeout(run, delay);
+        } else {
+            timer = null;
+            setImmediate(run);
+        }
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        scheduleNext();
+    }
+
+    function stop() {
+        if (!running) return;
+        running = false;
+        if (timer) clearTimeout(timer);  // A pending setImmediate sees running === false
+        timer = null;
+        onDone({ completed: false, played: index, total: messages.length });
+    }
+
+    return {
+        start,
+        stop,
+        isRunning: () => running,
+        getProgress: () => ({ played: index, total: messages.length })
+    };
+}
+
+module.exports = {
+    createOscRecorder,
+    createReplay,
+    listSessions,
+    readSession,
+    isValidSessionName
+};
@@ -0,0 +1,283 @@
+// Cue list report as a real PDF - the same on every laptop and tablet
+// Every page gets the show name and date on top, "Page X of Y" at the bottom and
+// the table header again; rows that don't fit move to the next page.
+// Columns and scene groups come from the report builder (lib/report-builder.js).
+
+const { createPdfDocument, widthOf, wrapText, wrapRuns } = require('./pdf-writer');
+const { REPORT_COLUMNS, getCellText } = require('./report-builder');
+const { getCoverImage } = require('./cue-attachments');
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 34;
+const FOOTER_HEIGHT = 22;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 11.5;
+const CELL_PADDING = 4;
+const IMAGE_WIDTH = 80;
+const IMAGE_MAX_HEIGHT = 60;
+
+// Fixed widths in points, the rest of the table is shared by the flex columns
+const COLUMN_WIDTHS = {
+    cue: { width: 52 },
+    label: { flex: 0.28 },
+    scene: { flex: 0.15 },
+    up: { width: 38 },
+    down: { width: 38 },
+    focus: { width: 38 },
+    color_time: { width: 38 },
+    beam: { width: 38 },
+    follow_hang: { width: 58 },
+    flags: { width: 38 },
+    duration: { width: 50 },
+    tags: { flex: 0.17 },
+    notes: { flex: 0.55 },
+    page: { width: 38 },
+    image: { width: IMAGE_WIDTH + CELL_PADDING * 2 }
+};
+
+// Notes use the same markup as the cue list: *bold* _italic_ ~strike~
+function parseNoteRuns(notes) {
+    const runs = [];
+    const pattern = /\*([^*]+)\*|_([^_]+)_|~([^~]+)~/g;
+    let last = 0;
+    let match;
+    const text = String(notes || '');
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+        if (match[1] !== undefined) runs.push({ text: match[1], bold: true });
+        if (match[2] !== undefined) runs.push({ text: match[2], italic: true });
+        if (match[3] !== undefined) runs.push({ text: match[3], strike: true });
+        last = pattern.lastIndex;
+    }
+    if (last < text.length) runs.push({ text: text.slice(last) });
+    return runs;
+}
+
+// Cue color over white at low opacity, for the row background
+function tint(color, amount) {
+    const hex = /^#?([0-9a-f]{6})$/i.exec(color || '');
+    if (!hex) return null;
+    return '#' + [0, 2, 4].map(i => {
+        const value = parseInt(hex[1].slice(i, i + 2), 16);
+        return Math.round(255 - (255 - value) * amount).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+// The column set of reports made before the report builder
+function getLegacyColumns(options) {
+    const keys = ['cue', 'label'];
+    if (options.includeDurations) keys.push('duration');
+    keys.push('tags', 'notes', 'page');
+    if (options.includeImages) keys.push('image');
+    return keys;
+}
+
+function getColumns(tableWidth, keys) {
+    const columns = REPORT_COLUMNS
+        .filter(column => keys.includes(column.key))
+        .map(column => Object.assign({ key: column.key, title: column.title }, COLUMN_WIDTHS[column.key]));
+
+    const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+    const flexTotal = columns.reduce((sum, column) => sum + (column.flex || 0), 0);
+    // Without a flex column the fixed ones share the spare width; with many fixed
+    // columns on a portrait page they shrink so label and notes stay readable
+    const scale = flexTotal === 0 ? tableWidth / fixed : Math.min(1, tableWidth * 0.6 / fixed);
+    let x = MARGIN;
+    columns.forEach(column => {
+        column.width = column.width ? column.width * scale : (tableWidth - fixed * scale) * column.flex / flexTotal;
+        column.x = x;
+        x += column.width;
+    });
+    return columns;
+}
+
+// report: { showName, showNotes, orientation: 'portrait' | 'landscape', generatedAt,
+//           columns: [column keys], groups: [{ scene, notes, color, cues }] (see buildReport),
+//           sceneOf, durations: { cueNumber: seconds } (main list cues), mainPlaybackList,
+//           loadImage(cue) -> Buffer | null (first image attachment of the cue) }
+// Older callers pass cues, includeDurations and includeImages instead of columns and groups
+function buildCueListPdf(report) {
+    const showName = report.showName || 'EOS Cue List';
+    const generatedAt = report.generatedAt || new Date();
+    const doc = createPdfDocument({ landscape: report.orientation === 'landscape', title: `${showName} - Cue List` });
+    const tableWidth = doc.width - MARGIN * 2;
+    const columns = getColumns(tableWidth, report.columns || getLegacyColumns(report));
+    const groups = report.groups || [{ scene: null, notes: '', color: null, cues: report.cues || [] }];
+    const cueCount = groups.reduce((sum, group) => sum + group.cues.length, 0);
+    const cellContext = { sceneOf: report.sceneOf, durations: report.durations, mainPlaybackList: report.mainPlaybackList };
+    const bodyTop = MARGIN + HEADER_HEIGHT;
+    const bodyBottom = doc.height - MARGIN - FOOTER_HEIGHT;
+    const tableTop = bodyTop + LINE_HEIGHT + CELL_PADDING * 2;
+    let y = bodyTop;
+
+    function drawTableHeader() {
+        doc.rect(MARGIN, y, tableWidth, tableTop - bodyTop, { fill: '#2a2a2a' });
+        columns.forEach(column => {
+            doc.text(column.x + CELL_PADDING, y + CELL_PADDING + 1.5, column.title.toUpperCase(),
+                { size: 7.5, font: 'bold', color: '#ffffff' });
+        });
+        y = tableTop;
+    }
+
+    function newPage(withTableHeader) {
+        doc.addPage();
+        y = bodyTop;
+        if (withTableHeader) drawTableHeader();
+    }
+
+    // Lines of every text cell, laid out once per row
+    function layoutRow(cue) {
+        const cells = {};
+        columns.forEach(column => {
+            const width = column.width - CELL_PADDING * 2;
+            if (column.key === 'notes') {
+                cells.notes = cue.notes ? wrapRuns(parseNoteRuns(cue.notes), width, FONT_SIZE) : [];
+            } else if (column.key === 'tags') {
+                cells.tags = wrapText(getCellText(cue, 'tags', cellContext), width, FONT_SIZE - 1)
+                    .map(text => [{ text: text, font: 'regular', x: 0, small: true }]);
+            } else if (column.key !== 'image') {
+                const font = column.key === 'cue' ? 'bold' : 'regular';
+                cells[column.key] = wrapText(getCellText(cue, column.key, cellContext), width, FONT_SIZE, font)
+                    .map(text => [{ text: text, font: font, x: 0 }]);
+            }
+        });
+
+        let image = null;
+        const imageColumn = columns.find(column => column.key === 'image');
+        if (imageColumn && getCoverImage(cue) && report.loadImage) {
+            const buffer = report.loadImage(cue);
+            const embedded = buffer ? doc.addImage(buffer) : null;
+            if (embedded) {
+                const maxWidth = Math.min(IMAGE_WIDTH, imageColumn.width - CELL_PADDING * 2);
+                const scale = Math.min(maxWidth / embedded.width, IMAGE_MAX_HEIGHT / embedded.height);
+                image = { id: embedded.id, width: embedded.width * scale, height: embedded.height * scale };
+            } else {
+                cells.image = [[{ text: '(image not embeddable)', font: 'italic', x: 0, small: true }]];
+            }
+        }
+        return { cells: cells, image: image };
+    }
+
+    function drawRow(cue) {
+        const row = layoutRow(cue);
+        const lineCount = Math.max(1, ...Object.values(row.cells).map(lines => lines.length));
+        const imageHeight = row.image ? row.image.height : 0;
+        const color = cue.color && cue.color.toLowerCase() !== '#ffffff' ? cue.color : null;
+        const background = color ? tint(color, 0.12) : null;
+
+        const linesThatFit = () => Math.floor((bodyBottom - y - CELL_PADDING * 2) / LINE_HEIGHT);
+        const rowHeight = (lines, withImage) => Math.max(lines * LINE_HEIGHT, withImage ? imageHeight : 0) + CELL_PADDING * 2;
+
+        // A row taller than a page continues on the next one
+        let offset = 0;
+        while (offset < lineCount) {
+            const remaining = lineCount - offset;
+            let available = linesThatFit();
+            if (y + rowHeight(remaining, offset === 0) > bodyBottom) {
+                const fitsOnEmptyPage = tableTop + rowHeight(remaining, offset === 0) <= bodyBottom;
+                if (fitsOnEmptyPage || offset > 0 || available < 2) {
+                    newPage(true);
+                    available = linesThatFit();
+                }
+            }
+            const count = Math.min(remaining, available);
+            const withImage = offset === 0 && row.image;
+            const height = rowHeight(count, withImage);
+
+            if (background) doc.rect(MARGIN, y, tableWidth, height, { fill: background });
+            if (color) doc.rect(MARGIN, y, 3, height, { fill: color });
+            columns.forEach(column => {
+                const lines = (row.cells[column.key] || []).slice(offset, offset + count);
+                lines.forEach((segments, index) => {
+                    segments.forEach(segment => {
+                        doc.text(column.x + CELL_PADDING + segment.x, y + CELL_PADDING + index * LINE_HEIGHT, segment.text, {
+                            size: segment.small ? FONT_SIZE - 1 : FONT_SIZE,
+                            font: segment.font,
+                            strike: segment.strike,
+                            color: segment.strike ? '#888888' : (column.key === 'tags' || segment.small ? '#555555' : '#222222')
+                        });
+                    });
+                });
+                if (column.key === 'image' && withImage) {
+                    doc.drawImage(row.image.id, column.x + CELL_PADDING, y + CELL_PADDING, row.image.width, row.image.height);
+                }
+            });
+            y += height;
+            doc.line(MARGIN, y, MARGIN + tableWidth, y, { color: '#dddddd', width: 0.5 });
+            offset += count;
+        }
+    }
+
+    // Scene name across the table, the scene notes below it
+    function drawSceneHeader(group) {
+        const noteLines = group.notes ? wrapRuns(parseNoteRuns(group.notes), tableWidth - 16, FONT_SIZE) : [];
+        const height = LINE_HEIGHT + 4 + noteLines.length * LINE_HEIGHT + CELL_PADDING * 2;
+        // Keep the header with at least one row of its scene
+        if (y + height + LINE_HEIGHT + CELL_PADDING * 2 > bodyBottom) newPage(true);
+        doc.rect(MARGIN, y, tableWidth, height, { fill: tint(group.color, 0.18) || '#e8eef7' });
+        doc.rect(MARGIN, y, 4, height, { fill: group.color || '#4a90e2' });
+        doc.text(MARGIN + 10, y + CELL_PADDING, group.scene, { size: FONT_SIZE + 2, font: 'bold', color: '#222222' });
+        noteLines.forEach((segments, index) => {
+            segments.forEach(segment => {
+                doc.text(MARGIN + 10 + segment.x, y + CELL_PADDING + LINE_HEIGHT + 4 + index * LINE_HEIGHT, segment.text, {
+                    size: FONT_SIZE,
+                    font: segment.font === 'regular' ? 'italic' : segment.font,
+                    strike: segment.strike,
+                    color: '#444444'
+                });
+            });
+        });
+        y += height;
+    }
+
+    function drawShowNotes() {
+        const lines = wrapRuns(parseNoteRuns(report.showNotes), tableWidth - 16, FONT_SIZE + 1);
+        if (y + 40 > bodyBottom) newPage(false);
+        y += 18;
+        doc.text(MARGIN, y, 'Show Notes', { size: 13, font: 'bold', color: '#333333' });
+        y += 22;
+        lines.forEach(segments => {
+            if (y + LINE_HEIGHT + 2 > bodyBottom) newPage(false);
+            segments.forEach(segment => {
+                doc.text(MARGIN + 8 + segment.x, y, segment.text, {
+                    size: FONT_SIZE + 1,
+                    font: segment.font,
+                    strike: segment.strike,
+                    color: segment.strike ? '#888888' : '#333333'
+                });
+            });
+            y += LINE_HEIGHT + 2;
+        });
+    }
+
+    newPage(true);
+    groups.forEach(group => {
+        if (group.scene) drawSceneHeader(group);
+        group.cues.forEach(drawRow);
+    });
+    if (report.showNotes) drawShowNotes();
+
+    // Headers and footers once the page count is known
+    const dateText = `Generated: ${generatedAt.toLocaleDateString()} ${generatedAt.toLocaleTimeString()}`;
+    const footerText = `Generated by Qnote for EOS - ${cueCount} cues`;
+    const pageCount = doc.pageCount;
+    for (let index = 0; index < pageCount; index++) {
+        doc.setPage(index);
+        const nameWidth = tableWidth - widthOf(dateText, 8) - 20;
+        const title = wrapText(showName, nameWidth, 16, 'bold')[0] || '';
+        doc.text(MARGIN, MARGIN, title, { size: 16, font: 'bold', color: '#222222' });
+        doc.text(doc.width - MARGIN, MARGIN + 6, dateText, { size: 8, color: '#666666', align: 'right' });
+        doc.line(MARGIN, MARGIN + 24, doc.width - MARGIN, MARGIN + 24, { color: '#333333', width: 1.5 });
+        const footerY = doc.height - MARGIN - 10;
+        doc.line(MARGIN, footerY - 6, doc.width - MARGIN, footerY - 6, { color: '#dddddd', width: 0.5 });
+        doc.text(MARGIN, footerY, footerText, { size: 8, color: '#888888' });
+        doc.text(doc.width - MARGIN, footerY, `Page ${index + 1} of ${pageCount}`, { size: 8, color: '#888888', align: 'right' });
+    }
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    buildCueListPdf,
+    parseNoteRuns
+};
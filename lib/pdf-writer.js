@@ -0,0 +1,513 @@
+// Minimal PDF writer - no dependencies, no network
+// Uses the standard Helvetica fonts every PDF viewer has built in (WinAnsi text only),
+// so nothing has to be embedded except JPEG / PNG images.
+// Coordinates are in points from the top left corner of the page.
+
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    Letter: [612, 792]
+};
+
+const FONTS = {
+    regular: { name: 'F1', base: 'Helvetica' },
+    bold: { name: 'F2', base: 'Helvetica-Bold' },
+    italic: { name: 'F3', base: 'Helvetica-Oblique' },
+    boldItalic: { name: 'F4', base: 'Helvetica-BoldOblique' }
+};
+
+// Character widths (1/1000 em) of Helvetica and Helvetica-Bold for ASCII 32-126
+// The oblique faces have the same widths
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes outside Latin-1
+const WIN_ANSI_EXTRA = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+    0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+    0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+    0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+    0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// Text as WinAnsi bytes - emoji are left out, other characters become '?'
+function encodeText(text) {
+    const bytes = [];
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (code === 0x09) {
+            bytes.push(0x20);
+        } else if (code >= 0x20 && code <= 0x7E) {
+            bytes.push(code);
+        } else if (code >= 0xA0 && code <= 0xFF) {
+            bytes.push(code);
+        } else if (WIN_ANSI_EXTRA[code]) {
+            bytes.push(WIN_ANSI_EXTRA[code]);
+        } else if (code > 0xFFFF || (code >= 0x2190 && code <= 0x2BFF) || (code >= 0xFE00 && code <= 0xFE0F) || code === 0x200D) {
+            continue;
+        } else if (code >= 0x20) {
+            bytes.push(0x3F);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function charWidth(byte, bold) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    if (byte >= 32 && byte <= 126) return widths[byte - 32];
+    // Accented letters: close enough to the average lowercase letter
+    return 556;
+}
+
+function isBoldFont(font) {
+    return font === 'bold' || font === 'boldItalic';
+}
+
+// Width of a text in points
+function widthOf(text, size, font = 'regular') {
+    const bold = isBoldFont(font);
+    let width = 0;
+    for (const byte of encodeText(text)) {
+        width += charWidth(byte, bold);
+    }
+    return width * size / 1000;
+}
+
+// Plain text -> lines that fit the width (long words are broken)
+function wrapText(text, width, size, font = 'regular') {
+    const lines = [];
+    String(text || '').split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (widthOf(candidate, size, font) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            while (widthOf(word, size, font) > width && word.length > 1) {
+                let cut = word.length - 1;
+                while (cut > 1 && widthOf(word.slice(0, cut), size, font) > width) cut--;
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+            line = word;
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Styled runs [{ text, bold, italic, strike }] -> lines of segments
+// Each line: [{ text, font, strike, x }] with x relative to the line start
+function wrapRuns(runs, width, size) {
+    const lines = [[]];
+    let x = 0;
+    const fontOf = run => run.bold ? (run.italic ? 'boldItalic' : 'bold') : (run.italic ? 'italic' : 'regular');
+    const place = (text, run) => {
+        const line = lines[lines.length - 1];
+        const last = line[line.length - 1];
+        const font = fontOf(run);
+        if (last && last.font === font && last.strike === !!run.strike) {
+            last.text += text;
+        } else {
+            line.push({ text: text, font: font, strike: !!run.strike, x: x });
+        }
+        x += widthOf(text, size, font);
+    };
+    const newLine = () => {
+        const line = lines[lines.length - 1];
+        // Trailing spaces don't count
+        while (line.length > 0 && /\s$/.test(line[line.length - 1].text)) {
+            line[line.length - 1].text = line[line.length - 1].text.replace(/\s+$/, '');
+            if (!line[line.length - 1].text) line.pop(); else break;
+        }
+        lines.push([]);
+        x = 0;
+    };
+
+    runs.forEach(run => {
+        const font = fontOf(run);
+        String(run.text).split(/(\r?\n)/).forEach(part => {
+            if (/^\r?\n$/.test(part)) {
+                newLine();
+                return;
+            }
+            part.split(/(\s+)/).filter(Boolean).forEach(token => {
+                if (/^\s+$/.test(token)) {
+                    if (x > 0) place(' ', run);
+                    return;
+                }
+                const tokenWidth = widthOf(token, size, font);
+                if (x > 0 && x + tokenWidth > width) newLine();
+                if (tokenWidth > width) {
+                    wrapText(token, width, size, font).forEach((piece, index) => {
+                        if (index > 0) newLine();
+                        place(piece, run);
+                    });
+                    return;
+                }
+                place(token, run);
+            });
+        });
+    });
+    return lines;
+}
+
+function colorOperands(color) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+    const hex = match ? match[1] : '000000';
+    return [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+function escapePdfString(bytes) {
+    let result = '';
+    for (const byte of bytes) {
+        if (byte === 0x28 || byte === 0x29 || byte === 0x5C) {
+            result += '\\' + String.fromCharCode(byte);
+        } else if (byte < 0x20 || byte > 0x7E) {
+            result += '\\' + byte.toString(8).padStart(3, '0');
+        } else {
+            result += String.fromCharCode(byte);
+        }
+    }
+    return `(${result})`;
+}
+
+function pdfDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// JPEG: embedded as is, the viewer decodes it
+function readJpeg(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        // Start of frame (not DHT / JPG / DAC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            const components = buffer[offset + 9];
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5),
+                dict: {
+                    ColorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+                    BitsPerComponent: 8,
+                    Filter: '/DCTDecode',
+                    ...(components === 4 ? { Decode: '[1 0 1 0 1 0 1 0]' } : {})
+                },
+                data: buffer
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Undo the PNG row filters -> raw pixel rows
+function unfilterPng(data, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const pixels = Buffer.alloc(stride * height);
+    let input = 0;
+    for (let row = 0; row < height; row++) {
+        const filter = data[input++];
+        const start = row * stride;
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[start + i - bytesPerPixel] : 0;
+            const up = row > 0 ? pixels[start - stride + i] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? pixels[start - stride + i - bytesPerPixel] : 0;
+            let value = data[input++];
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += Math.floor((left + up) / 2);
+            else if (filter === 4) value += paeth(left, up, upLeft);
+            pixels[start + i] = value & 0xFF;
+        }
+    }
+    return pixels;
+}
+
+// PNG: the compressed data can be used directly (PDF knows the PNG predictors),
+// only images with an alpha channel have to be split into color and soft mask
+function readPng(buffer) {
+    const signature = '89504e470d0a1a0a';
+    if (buffer.length < 33 || buffer.slice(0, 8).toString('hex') !== signature) return null;
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    const chunks = [];
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.slice(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    if (!header || chunks.length === 0 || header.interlace !== 0) return null;
+
+    const { width, height, bitDepth, colorType } = header;
+    const compressed = Buffer.concat(chunks);
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) return null;
+
+    if (colorType === 4 || colorType === 6) {
+        if (bitDepth !== 8) return null;
+        const pixels = unfilterPng(zlib.inflateSync(compressed), width, height, channels);
+        const colorChannels = channels - 1;
+        const color = Buffer.alloc(width * height * colorChannels);
+        const alpha = Buffer.alloc(width * height);
+        for (let i = 0; i < width * height; i++) {
+            pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+            alpha[i] = pixels[i * channels + colorChannels];
+        }
+        return {
+            width: width,
+            height: height,
+            dict: {
+                ColorSpace: colorChannels === 1 ? '/DeviceGray' : '/DeviceRGB',
+                BitsPerComponent: 8,
+                Filter: '/FlateDecode'
+            },
+            data: zlib.deflateSync(color),
+            mask: zlib.deflateSync(alpha)
+        };
+    }
+
+    let colorSpace = colorType === 0 ? '/DeviceGray' : '/DeviceRGB';
+    if (colorType === 3) {
+        if (!palette) return null;
+        colorSpace = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+    }
+    return {
+        width: width,
+        height: height,
+        dict: {
+            ColorSpace: colorSpace,
+            BitsPerComponent: bitDepth,
+            Filter: '/FlateDecode',
+            DecodeParms: `<< /Predictor 15 /Colors ${channels} /BitsPerComponent ${bitDepth} /Columns ${width} >>`
+        },
+        data: compressed
+    };
+}
+
+function dictionary(entries) {
+    return '<< ' + Object.entries(entries).map(([key, value]) => `/${key} ${value}`).join(' ') + ' >>';
+}
+
+// options: { size: 'A4' | 'Letter', landscape, title, author }
+function createPdfDocument(options = {}) {
+    const [shortSide, longSide] = PAGE_SIZES[options.size] || PAGE_SIZES.A4;
+    const width = options.landscape ? longSide : shortSide;
+    const height = options.landscape ? shortSide : longSide;
+
+    const pages = [];
+    const images = [];
+    let current = null;
+
+    function op(line) {
+        if (!current) addPage();
+        current.ops.push(line);
+    }
+
+    function addPage() {
+        current = { ops: [] };
+        pages.push(current);
+        return pages.length - 1;
+    }
+
+    // Go back to an earlier page, e.g. to add "Page X of Y" once the total is known
+    function setPage(index) {
+        current = pages[index];
+    }
+
+    // y is the top of the text line
+    function text(x, y, value, style = {}) {
+        const size = style.size || 10;
+        const font = FONTS[style.font] || FONTS.regular;
+        const bytes = encodeText(value);
+        if (bytes.length === 0) return;
+        let left = x;
+        if (style.align === 'right') left = x - widthOf(value, size, style.font);
+        if (style.align === 'center') left = x - widthOf(value, size, style.font) / 2;
+        const baseline = height - y - size * 0.8;
+        op(`BT /${font.name} ${formatNumber(size)} Tf ${colorOperands(style.color)} rg ` +
+            `1 0 0 1 ${formatNumber(left)} ${formatNumber(baseline)} Tm ${escapePdfString(bytes)} Tj ET`);
+        if (style.strike) {
+            const strikeY = baseline + size * 0.28;
+            line(left, height - strikeY, left + widthOf(value, size, style.font), height - strikeY,
+                { color: style.color, width: size / 14 });
+        }
+    }
+
+    function rect(x, y, w, h, style = {}) {
+        const commands = [];
+        if (style.fill) commands.push(`${colorOperands(style.fill)} rg`);
+        if (style.stroke) commands.push(`${colorOperands(style.stroke)} RG ${formatNumber(style.lineWidth || 0.5)} w`);
+        commands.push(`${formatNumber(x)} ${formatNumber(height - y - h)} ${formatNumber(w)} ${formatNumber(h)} re`);
+        commands.push(style.fill && style.stroke ? 'B' : style.fill ? 'f' : 'S');
+        op(commands.join(' '));
+    }
+
+    function line(x1, y1, x2, y2, style = {}) {
+        op(`${colorOperands(style.color)} RG ${formatNumber(style.width || 0.5)} w ` +
+            `${formatNumber(x1)} ${formatNumber(height - y1)} m ${formatNumber(x2)} ${formatNumber(height - y2)} l S`);
+    }
+
+    // JPEG / PNG buffer -> { id, width, height }, null if the format can't be embedded
+    function addImage(buffer) {
+        let image = null;
+        try {
+            image = readJpeg(buffer) || readPng(buffer);
+        } catch (error) {
+            image = null;
+        }
+        if (!image) return null;
+        image.name = `Im${images.length + 1}`;
+        images.push(image);
+        return { id: images.length - 1, width: image.width, height: image.height };
+    }
+
+    function drawImage(id, x, y, w, h) {
+        const image = images[id];
+        op(`q ${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${formatNumber(height - y - h)} cm /${image.name} Do Q`);
+    }
+
+    function toBuffer() {
+        if (pages.length === 0) addPage();
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+        const stream = (dict, data) => Buffer.concat([
+            Buffer.from(`${dictionary(Object.assign({}, dict, { Length: data.length }))}\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = {};
+        Object.values(FONTS).forEach(font => {
+            fontIds[font.name] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+        });
+        const imageIds = images.map(image => {
+            const dict = Object.assign({ Type: '/XObject', Subtype: '/Image', Width: image.width, Height: image.height }, image.dict);
+            if (image.mask) {
+                dict.SMask = `${addObject(stream({
+                    Type: '/XObject', Subtype: '/Image', Width: image.width, Height: image.height,
+                    ColorSpace: '/DeviceGray', BitsPerComponent: 8, Filter: '/FlateDecode'
+                }, image.mask))} 0 R`;
+            }
+            return addObject(stream(dict, image.data));
+        });
+
+        const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+        const imageResources = images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ');
+        const resources = `<< /Font << ${fontResources} >>${images.length > 0 ? ` /XObject << ${imageResources} >>` : ''} >>`;
+
+        const pageIds = pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            const contentId = addObject(stream({ Filter: '/FlateDecode' }, content));
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+                `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const info = { Producer: escapePdfString(encodeText('Qnote for EOS')), CreationDate: `(${pdfDate(new Date())})` };
+        if (options.title) info.Title = escapePdfString(encodeText(options.title));
+        if (options.author) info.Author = escapePdfString(encodeText(options.author));
+        const infoId = addObject(dictionary(info));
+
+        const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        let length = parts[0].length;
+        const offsets = objects.map((body, index) => {
+            const offset = length;
+            const chunk = Buffer.concat([
+                Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            parts.push(chunk);
+            length += chunk.length;
+            return offset;
+        });
+        const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n']
+            .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`))
+            .join('');
+        parts.push(Buffer.from(xref +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${length}\n%%EOF\n`, 'latin1'));
+        return Buffer.concat(parts);
+    }
+
+    return {
+        width,
+        height,
+        addPage,
+        setPage,
+        get pageCount() { return pages.length; },
+        text,
+        rect,
+        line,
+        addImage,
+        drawImage,
+        toBuffer
+    };
+}
+
+module.exports = {
+    createPdfDocument,
+    widthOf,
+    wrapText,
+    wrapRuns,
+    encodeText
+};
@@ -0,0 +1,147 @@
+// Refresh change report - what changed on the console since the last sync
+// Compares the cues of a list before a bulk refresh with the cues after it.
+// Cues are recognised by their EOS uid, which survives a Move To - a renumbered cue is
+// found by it, also when another cue took its old number.
+
+// Console fields compared between refreshes (user fields never come from EOS)
+const REPORT_FIELDS = [
+    'label',
+    'up_time', 'up_delay', 'down_time', 'down_delay',
+    'focus_time', 'focus_delay', 'color_time', 'color_delay', 'beam_time', 'beam_delay',
+    'follow_time', 'hang_time',
+    'mark', 'block', 'assert'
+];
+
+function cueKey(cue) {
+    return `${cue.cue_number}/${cue.part_number || 0}`;
+}
+
+function describeCue(cue) {
+    return {
+        cue_number: String(cue.cue_number),
+        part_number: cue.part_number || 0,
+        label: cue.label || ''
+    };
+}
+
+// Missing, null and empty all mean "not set"
+function normalizeValue(value) {
+    return value === undefined || value === null || value === '' ? null : value;
+}
+
+function diffCueFields(before, after) {
+    const changes = [];
+    REPORT_FIELDS.forEach(field => {
+        const from = normalizeValue(before[field]);
+        const to = normalizeValue(after[field]);
+        if (from !== to) {
+            changes.push({ field: field, from: from, to: to });
+        }
+    });
+    return changes;
+}
+
+// Two cues at the same number are different cues when both have a uid and the uids differ
+function isOtherCue(before, after) {
+    return !!(before.uid && after.uid && before.uid !== after.uid);
+}
+
+// before / after: the cues of one list at the start and at the end of the refresh
+// info: { received, expected } - a refresh that timed out is marked incomplete
+// A cue whose uid turns up under another number was moved, also when its old number now
+// holds another cue (two cues swapped, or a new cue recorded where the moved one was).
+// A number whose uid changed without a move is a deleted and an added cue.
+function buildRefreshReport(list, before, after, info = {}) {
+    const afterByKey = new Map(after.map(cue => [cueKey(cue), cue]));
+    const afterByUid = new Map(after.filter(cue => cue.uid).map(cue => [cue.uid, cue]));
+
+    const renumbered = [];
+    const moved = new Set();
+    before.forEach(oldCue => {
+        const newCue = oldCue.uid ? afterByUid.get(oldCue.uid) : null;
+        if (!newCue || cueKey(newCue) === cueKey(oldCue)) return;
+        renumbered.push({
+            from: describeCue(oldCue),
+            to: describeCue(newCue),
+            label: newCue.label || '',
+            changes: diffCueFields(oldCue, newCue)
+        });
+        moved.add(oldCue);
+        moved.add(newCue);
+    });
+
+    // after cue -> the same cue before the refresh, for cues that kept their number
+    const kept = new Map();
+    before.forEach(oldCue => {
+        if (moved.has(oldCue)) return;
+        const newCue = afterByKey.get(cueKey(oldCue));
+        if (newCue && !moved.has(newCue) && !isOtherCue(oldCue, newCue)) {
+            kept.set(newCue, oldCue);
+        }
+    });
+    const keptBefore = new Set(kept.values());
+
+    const added = after.filter(cue => !moved.has(cue) && !kept.has(cue));
+    const deleted = before.filter(cue => !moved.has(cue) && !keptBefore.has(cue));
+
+    const changed = [];
+    after.forEach(cue => {
+        const previous = kept.get(cue);
+        if (!previous) return;
+        const changes = diffCueFields(previous, cue);
+        if (changes.length > 0) {
+            changed.push(Object.assign(describeCue(cue), { changes: changes }));
+        }
+    });
+
+    const received = info.received !== undefined ? info.received : after.length;
+    const expected = info.expected !== undefined ? info.expected : after.length;
+
+    return {
+        time: new Date().toISOString(),
+        cue_list: String(list),
+        received: received,
+        expected: expected,
+        complete: received >= expected,
+        cue_count: after.length,
+        added: added.map(describeCue),
+        deleted: deleted.map(describeCue),
+        renumbered: renumbered,
+        changed: changed,
+        summary: {
+            added: added.length,
+            deleted: deleted.length,
+            renumbered: renumbered.length,
+            changed: changed.length
+        }
+    };
+}
+
+// Things addressed by list/cue/part that are kept outside the cues (work notes, script
+// markers) follow the cues renumbered in list. items is changed in place -> number moved
+function followRenumberedCues(items, list, renumbered) {
+    const targets = new Map();
+    items.forEach(item => {
+        if (String(item.cue_list) !== String(list)) return;
+        const entry = renumbered.find(e => e.from.cue_number === String(item.cue_number) && e.from.part_number === (item.part_number || 0));
+        if (entry) targets.set(item, entry.to);
+    });
+    // Set after matching every item, so cues swapping numbers don't move twice
+    targets.forEach((to, item) => {
+        item.cue_number = to.cue_number;
+        item.part_number = to.part_number;
+    });
+    return targets.size;
+}
+
+function hasChanges(report) {
+    const summary = report.summary;
+    return summary.added + summary.deleted + summary.renumbered + summary.changed > 0;
+}
+
+module.exports = {
+    buildRefreshReport,
+    followRenumberedCues,
+    hasChanges,
+    REPORT_FIELDS
+};
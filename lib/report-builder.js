@@ -0,0 +1,204 @@
+// Report builder - which cues and which columns go into a printed report
+// Filters by cue list, tag, scene and script page range, groups by scene with the
+// scene notes from scene-data.json. Presets are saved per show (report_presets.json).
+
+// Every column a report can have, in print order
+const REPORT_COLUMNS = [
+    { key: 'cue', title: 'Cue #' },
+    { key: 'label', title: 'Label' },
+    { key: 'scene', title: 'Scene' },
+    { key: 'up', title: 'Up' },
+    { key: 'down', title: 'Down' },
+    { key: 'focus', title: 'Focus' },
+    { key: 'color_time', title: 'Color' },
+    { key: 'beam', title: 'Beam' },
+    { key: 'follow_hang', title: 'Follow/Hang' },
+    { key: 'flags', title: 'M/B/A' },
+    { key: 'duration', title: 'Duration' },
+    { key: 'tags', title: 'Tags' },
+    { key: 'notes', title: 'Notes' },
+    { key: 'page', title: 'Page' },
+    { key: 'image', title: 'Image' }
+];
+
+const DEFAULT_REPORT = {
+    columns: ['cue', 'label', 'tags', 'notes', 'page'],
+    lists: [],        // empty = all lists
+    tags: [],         // cue has any of these tags
+    scenes: [],
+    pageFrom: null,
+    pageTo: null,
+    groupByScene: false,
+    includeShowNotes: true,
+    orientation: 'portrait'
+};
+
+// Shipped with every show until the show saves its own
+const DEFAULT_PRESETS = [
+    {
+        id: 'lx-operator',
+        name: 'LX operator sheet',
+        options: {
+            columns: ['cue', 'label', 'up', 'down', 'follow_hang', 'flags', 'duration', 'notes'],
+            includeShowNotes: false,
+            orientation: 'landscape'
+        }
+    },
+    {
+        id: 'sm-calling',
+        name: 'SM calling script',
+        options: {
+            columns: ['cue', 'label', 'page', 'notes', 'tags'],
+            groupByScene: true
+        }
+    }
+];
+
+const TIME_FIELDS = {
+    up: ['up_time', 'up_delay'],
+    down: ['down_time', 'down_delay'],
+    focus: ['focus_time', 'focus_delay'],
+    color_time: ['color_time', 'color_delay'],
+    beam: ['beam_time', 'beam_delay']
+};
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return value.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toPageNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+function normalizeReportOptions(options) {
+    const source = options || {};
+    const known = REPORT_COLUMNS.map(column => column.key);
+    const columns = toStringList(source.columns).filter(key => known.includes(key));
+    return {
+        columns: columns.length > 0 ? known.filter(key => columns.includes(key)) : DEFAULT_REPORT.columns.slice(),
+        lists: toStringList(source.lists),
+        tags: toStringList(source.tags),
+        scenes: toStringList(source.scenes),
+        pageFrom: toPageNumber(source.pageFrom),
+        pageTo: toPageNumber(source.pageTo),
+        groupByScene: source.groupByScene === true,
+        includeShowNotes: source.includeShowNotes !== false,
+        orientation: source.orientation === 'landscape' ? 'landscape' : 'portrait'
+    };
+}
+
+// "12", "12a", "12-13" -> 12; no number -> null
+function getPageNumber(page) {
+    const match = /^\s*(\d+(?:\.\d+)?)/.exec(String(page || ''));
+    return match ? parseFloat(match[1]) : null;
+}
+
+function compareCues(a, b) {
+    const list = parseFloat(a.cue_list || '1') - parseFloat(b.cue_list || '1');
+    if (list !== 0) return list;
+    const cue = parseFloat(a.cue_number) - parseFloat(b.cue_number);
+    if (cue !== 0) return cue;
+    return (a.part_number || 0) - (b.part_number || 0);
+}
+
+// Scene of a cue - parts belong to the scene of their cue
+// sceneOf: { list: { cueNumber: scene } } (see getSceneMap)
+function getCueScene(cue, sceneOf) {
+    return ((sceneOf || {})[String(cue.cue_list || '1')] || {})[String(cue.cue_number)] || null;
+}
+
+function formatTime(time, delay) {
+    if (time === '' || time === null || time === undefined) return '';
+    return delay !== null && delay !== undefined && delay > 0 ? `D${delay} ${time}` : String(time);
+}
+
+// m:ss.s like the duration column of the cue list
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined || seconds < 0) return '--';
+    const mins = Math.floor(seconds / 60);
+    const secs = (seconds % 60).toFixed(1);
+    return `${mins}:${secs.padStart(4, '0')}`;
+}
+
+function formatCueNumber(cue) {
+    const list = String(cue.cue_list || '1');
+    const number = list !== '1' ? `${list}/${cue.cue_number}` : String(cue.cue_number);
+    return cue.part_number > 0 ? `${number} P${cue.part_number}` : number;
+}
+
+// Plain text of a cell (notes and images are drawn by the report itself)
+// context: { sceneOf, durations: { cueNumber: seconds } (main list), mainPlaybackList }
+function getCellText(cue, key, context = {}) {
+    const isPart = cue.part_number > 0;
+    if (key === 'cue') return formatCueNumber(cue);
+    if (key === 'label') return cue.label || '';
+    if (key === 'scene') return isPart ? '' : (getCueScene(cue, context.sceneOf) || '');
+    if (TIME_FIELDS[key]) return formatTime(cue[TIME_FIELDS[key][0]], cue[TIME_FIELDS[key][1]]);
+    if (key === 'follow_hang') return isPart ? '' : (cue.follow_hang || '');
+    if (key === 'flags') return [cue.mark && 'M', cue.block && 'B', cue.assert && 'A'].filter(Boolean).join(' ');
+    if (key === 'duration') {
+        const isMain = String(cue.cue_list || '1') === String(context.mainPlaybackList || '1') && !isPart;
+        return isMain ? formatDuration((context.durations || {})[String(cue.cue_number)]) : '';
+    }
+    if (key === 'tags') return (cue.tags || []).join(', ');
+    if (key === 'notes') return cue.notes || '';
+    if (key === 'page') return cue.page || '';
+    return '';
+}
+
+function matchesFilters(cue, options, sceneOf) {
+    if (options.lists.length > 0 && !options.lists.includes(String(cue.cue_list || '1'))) return false;
+    if (options.tags.length > 0) {
+        const wanted = options.tags.map(tag => tag.toLowerCase());
+        if (!(cue.tags || []).some(tag => wanted.includes(String(tag).toLowerCase()))) return false;
+    }
+    if (options.scenes.length > 0 && !options.scenes.includes(getCueScene(cue, sceneOf))) return false;
+    if (options.pageFrom !== null || options.pageTo !== null) {
+        const page = getPageNumber(cue.page);
+        if (page === null) return false;
+        if (options.pageFrom !== null && page < options.pageFrom) return false;
+        if (options.pageTo !== null && page > options.pageTo) return false;
+    }
+    return true;
+}
+
+// -> { options, columns: [{ key, title }], groups: [{ scene, notes, color, cues }], cueCount }
+// Without grouping there is one group with scene null
+// context: { sceneOf, sceneData: { scene: { notes, color } } }
+function buildReport(cues, reportOptions, context = {}) {
+    const options = normalizeReportOptions(reportOptions);
+    const selected = cues.filter(cue => matchesFilters(cue, options, context.sceneOf)).sort(compareCues);
+
+    const groups = [];
+    selected.forEach(cue => {
+        const scene = options.groupByScene ? getCueScene(cue, context.sceneOf) : null;
+        const last = groups[groups.length - 1];
+        if (last && last.scene === scene) {
+            last.cues.push(cue);
+            return;
+        }
+        const info = scene ? ((context.sceneData || {})[scene] || {}) : {};
+        const color = info.color && info.color.toLowerCase() !== '#ffffff' ? info.color : null;
+        groups.push({ scene: scene, notes: info.notes || '', color: color, cues: [cue] });
+    });
+
+    return {
+        options: options,
+        columns: REPORT_COLUMNS.filter(column => options.columns.includes(column.key)),
+        groups: groups,
+        cueCount: selected.length
+    };
+}
+
+module.exports = {
+    REPORT_COLUMNS,
+    DEFAULT_PRESETS,
+    normalizeReportOptions,
+    buildReport,
+    getCellText,
+    getPageNumber,
+    formatDuration
+};
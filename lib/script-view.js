@@ -0,0 +1,139 @@
+// Script view - the show's script as pages of text, with cue markers on its lines
+// The script is uploaded as plain text: one file (pages split at form feeds or at lines like
+// "Page 12", otherwise every LINES_PER_PAGE lines) or one text file per page. It is stored
+// per show in script.json: { name, uploaded_at, pages: [{ number, lines }] }.
+// Cue markers are kept in script_markers.json, at most one per cue:
+//   { cue_list, cue_number, part_number, page_index, line }
+// A placed cue's page number comes from its marker (getMarkerPage) instead of being typed.
+
+const LINES_PER_PAGE = 50;
+const MAX_SCRIPT_LINES = 50000;
+const PAGE_HEADING = /^\s*[-=[(]*\s*page\s+(\d+[a-z]?)\s*[-=\])]*\s*$/i;
+
+function splitLines(text) {
+    return String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).map(line => line.replace(/\s+$/, ''));
+}
+
+// Drop blank lines at the end of a page
+function trimPage(lines) {
+    let end = lines.length;
+    while (end > 0 && lines[end - 1] === '') end--;
+    return lines.slice(0, end);
+}
+
+// One text -> [{ number, lines }]
+function parseScriptText(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    let pages;
+    if (input.includes('\f')) {
+        pages = input.split('\f').map((pageText, index) => ({ number: String(index + 1), lines: trimPage(splitLines(pageText)) }));
+    } else {
+        const lines = splitLines(input);
+        if (lines.some(line => PAGE_HEADING.test(line))) {
+            pages = [];
+            let lead = [];
+            lines.forEach(line => {
+                const heading = PAGE_HEADING.exec(line);
+                if (heading) {
+                    // Lines before the first heading (title, cast list) go on the first page
+                    pages.push({ number: heading[1], lines: lead });
+                    lead = [];
+                } else if (pages.length === 0) {
+                    lead.push(line);
+                } else {
+                    pages[pages.length - 1].lines.push(line);
+                }
+            });
+            pages.forEach(page => { page.lines = trimPage(page.lines); });
+        } else {
+            pages = [];
+            for (let start = 0; start < lines.length; start += LINES_PER_PAGE) {
+                pages.push({ number: String(pages.length + 1), lines: trimPage(lines.slice(start, start + LINES_PER_PAGE)) });
+            }
+        }
+    }
+    // Empty pages at the end (trailing form feed) don't count
+    while (pages.length > 0 && pages[pages.length - 1].lines.length === 0) pages.pop();
+    return pages;
+}
+
+// Uploaded files [{ name, text }] -> pages; several files are one page each, in file name
+// order, numbered by the last number in the file name
+function parseScriptUpload(files) {
+    if (files.length === 0) throw new Error('No script file uploaded');
+    let pages;
+    if (files.length === 1) {
+        pages = parseScriptText(files[0].text);
+    } else {
+        pages = [...files]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+            .map((file, index) => {
+                const numbers = file.name.replace(/\.[^.]*$/, '').match(/\d+/g);
+                return { number: numbers ? String(parseInt(numbers[numbers.length - 1])) : String(index + 1), lines: trimPage(splitLines(file.text)) };
+            });
+    }
+    if (pages.length === 0) throw new Error('The script is empty');
+    if (pages.reduce((sum, page) => sum + page.lines.length, 0) > MAX_SCRIPT_LINES) {
+        throw new Error(`Scripts can have up to ${MAX_SCRIPT_LINES} lines`);
+    }
+    return pages;
+}
+
+function isSameCue(marker, address) {
+    return String(marker.cue_list) === String(address.cue_list) &&
+        String(marker.cue_number) === String(address.cue_number) &&
+        (marker.part_number || 0) === (parseInt(address.part_number) || 0);
+}
+
+function findScriptMarker(markers, address) {
+    return markers.find(marker => isSameCue(marker, address)) || null;
+}
+
+function isValidPosition(pages, pageIndex, line) {
+    const page = pages[pageIndex];
+    return !!page && Number.isInteger(line) && line >= 0 && line < page.lines.length;
+}
+
+// -> markers with the cue placed at page_index / line (a cue has one marker)
+function setScriptMarker(markers, address, position, pages) {
+    const pageIndex = parseInt(position.page_index);
+    const line = parseInt(position.line);
+    if (!isValidPosition(pages, pageIndex, line)) {
+        throw new Error('That line is not in the script');
+    }
+    const marker = {
+        cue_list: String(address.cue_list || '1'),
+        cue_number: String(address.cue_number),
+        part_number: parseInt(address.part_number) || 0,
+        page_index: pageIndex,
+        line: line
+    };
+    return [...markers.filter(m => !isSameCue(m, address)), marker];
+}
+
+function removeScriptMarker(markers, address) {
+    return markers.filter(marker => !isSameCue(marker, address));
+}
+
+function getMarkerPage(pages, marker) {
+    const page = pages[marker.page_index];
+    return page ? page.number : '';
+}
+
+// After a new script upload: markers on lines that still exist stay, the rest are dropped
+// -> { kept, dropped }
+function reconcileScriptMarkers(markers, pages) {
+    const kept = markers.filter(marker => isValidPosition(pages, marker.page_index, marker.line));
+    return { kept: kept, dropped: markers.filter(marker => !kept.includes(marker)) };
+}
+
+module.exports = {
+    LINES_PER_PAGE,
+    parseScriptText,
+    parseScriptUpload,
+    findScriptMarker,
+    setScriptMarker,
+    removeScriptMarker,
+    getMarkerPage,
+    reconcileScriptMarkers
+};
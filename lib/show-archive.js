@@ -0,0 +1,150 @@
+// Show archive - a whole show in one file for moving it to another machine
+// The archive is gzip-compressed JSON: every JSON file of the show folder (cues, notes,
+// timings, runs, tag colors, scene data, ...) plus the images (and their thumbnails) its
+// cues and orphaned notes point at. OSC traffic sessions are debug recordings and stay behind.
+// Data migrations of the show files themselves (cue addressing, legacy timings) run as
+// usual when the imported show is opened.
+
+const zlib = require('zlib');
+const path = require('path');
+
+const ARCHIVE_FORMAT = 'qnote-show-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXTENSION = '.qnote';
+// The upload may be 500 MB of gzip - unpacked it must still fit in one string
+const MAX_UNPACKED_SIZE = 512 * 1024 * 1024;
+
+// MIGRATIONS[n] upgrades an archive from version n + 1 to version n + 2
+const MIGRATIONS = [];
+
+// Show files and images are written by name - no paths, nothing hidden
+function isSafeFileName(name) {
+    return typeof name === 'string' && name === path.basename(name) && !name.startsWith('.') && name.length <= 255;
+}
+
+// A show name becomes a folder name - nothing that could point outside the shows folder
+// -> the trimmed name; throws for names that can't be a show
+function checkShowName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Show name is required');
+    if (trimmed === '.' || trimmed === '..' || /[\/\\\x00-\x1f\x7f]/.test(trimmed)) {
+        throw new Error(`Invalid show name: ${JSON.stringify(trimmed)}`);
+    }
+    return trimmed;
+}
+
+// The last line of defence before a show folder is deleted or replaced: it must sit
+// directly in showsDir -> showDir
+function checkShowDir(showsDir, showDir) {
+    if (path.dirname(path.resolve(showDir)) !== path.resolve(showsDir)) {
+        throw new Error(`Not a show folder: ${showDir}`);
+    }
+    return showDir;
+}
+
+// files: { 'cues.json': parsed JSON, ... }, images / thumbnails: { fileName: Buffer }
+function buildShowArchive({ showName, appVersion, files, images = {}, thumbnails = {}, missingImages = [] }) {
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        appVersion: appVersion || null,
+        exportedAt: new Date().toISOString(),
+        showName: showName,
+        files: files,
+        images: {},
+        thumbnails: {},
+        missingImages: missingImages
+    };
+    Object.keys(images).forEach(name => {
+        archive.images[name] = images[name].toString('base64');
+    });
+    Object.keys(thumbnails).forEach(name => {
+        archive.thumbnails[name] = thumbnails[name].toString('base64');
+    });
+    return zlib.gzipSync(Buffer.from(JSON.stringify(archive)));
+}
+
+function migrateArchive(archive) {
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        throw new Error('Unknown show archive version');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new Error(`This show archive was made by a newer version of Qnote (archive version ${archive.version}) - please update Qnote to import it`);
+    }
+    while (archive.version < ARCHIVE_VERSION) {
+        archive = MIGRATIONS[archive.version - 1](archive);
+    }
+    return archive;
+}
+
+// Buffer -> { showName, exportedAt, appVersion, files, images / thumbnails: { fileName: Buffer }, missingImages }
+// Throws for anything that isn't a readable show archive
+function parseShowArchive(buffer, maxUnpackedSize = MAX_UNPACKED_SIZE) {
+    let archive;
+    try {
+        archive = JSON.parse(zlib.gunzipSync(buffer, { maxOutputLength: maxUnpackedSize }).toString('utf8'));
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`The show archive unpacks to more than ${Math.round(maxUnpackedSize / 1024 / 1024)} MB`);
+        }
+        throw new Error('Not a Qnote show archive (expected a .qnote file)');
+    }
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw new Error('Not a Qnote show archive (expected a .qnote file)');
+    }
+    archive = migrateArchive(archive);
+
+    if (!archive.files || typeof archive.files !== 'object' || !Array.isArray(archive.files['cues.json'])) {
+        throw new Error('The show archive has no cue list');
+    }
+    const files = {};
+    Object.keys(archive.files).forEach(name => {
+        if (!isSafeFileName(name) || !name.endsWith('.json')) {
+            throw new Error(`Invalid file name in show archive: ${name}`);
+        }
+        files[name] = archive.files[name];
+    });
+    const readImages = (source) => {
+        const images = {};
+        Object.keys(source || {}).forEach(name => {
+            if (!isSafeFileName(name)) {
+                throw new Error(`Invalid image name in show archive: ${name}`);
+            }
+            images[name] = Buffer.from(String(source[name]), 'base64');
+        });
+        return images;
+    };
+
+    return {
+        showName: String(archive.showName || '').trim() || 'Imported Show',
+        exportedAt: archive.exportedAt || null,
+        appVersion: archive.appVersion || null,
+        files: files,
+        images: readImages(archive.images),
+        thumbnails: readImages(archive.thumbnails),
+        missingImages: Array.isArray(archive.missingImages) ? archive.missingImages : []
+    };
+}
+
+// "Hamlet" -> "Hamlet (2)", "Hamlet (3)", ... whichever is free
+function getUniqueShowName(name, existingNames) {
+    const taken = new Set(existingNames.map(existing => existing.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+    const base = name.replace(/ \(\d+\)$/, '');
+    let counter = 2;
+    while (taken.has(`${base} (${counter})`.toLowerCase())) {
+        counter++;
+    }
+    return `${base} (${counter})`;
+}
+
+module.exports = {
+    ARCHIVE_VERSION,
+    ARCHIVE_EXTENSION,
+    buildShowArchive,
+    parseShowArchive,
+    getUniqueShowName,
+    checkShowName,
+    checkShowDir,
+    isSafeFileName
+};
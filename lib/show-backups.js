@@ -0,0 +1,144 @@
+// Crash-safe show files and backups
+// JSON is written to "<file>.tmp", flushed to disk and renamed over the old file, so a crash
+// or power cut leaves either the old or the new version - never a truncated file.
+// Every show keeps rotating copies of its JSON files in <show>/backups/<timestamp>/. A file
+// that no longer parses is set aside as "<file>.corrupt-<timestamp>" and restored from the
+// newest backup with a valid copy.
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_DIR = 'backups';
+const MAX_BACKUPS = 20;
+const BACKUP_NAME_PATTERN = /^\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z$/;
+
+function writeFileAtomicSync(file, data) {
+    const tempFile = `${file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+}
+
+function writeJsonFileSync(file, value) {
+    writeFileAtomicSync(file, JSON.stringify(value, null, 2));
+}
+
+// "2026-10-19T19-36-28-103Z" - sorts by time and is a valid folder name everywhere
+function makeBackupName(now = Date.now()) {
+    return new Date(now).toISOString().replace(/[:.]/g, '-');
+}
+
+function getBackupTime(name) {
+    const [date, time] = name.split('T');
+    const [h, m, s, ms] = time.replace('Z', '').split('-');
+    return `${date}T${h}:${m}:${s}.${ms}Z`;
+}
+
+function getShowJsonFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => name.endsWith('.json') && fs.statSync(path.join(dir, name)).isFile());
+}
+
+// Backups of a show, newest first -> [{ name, time, files }]
+function listBackups(showDir) {
+    const backupsDir = path.join(showDir, BACKUP_DIR);
+    if (!fs.existsSync(backupsDir)) return [];
+    return fs.readdirSync(backupsDir)
+        .filter(name => BACKUP_NAME_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map(name => ({ name: name, time: getBackupTime(name), files: getShowJsonFiles(path.join(backupsDir, name)) }));
+}
+
+// Copy the show's JSON files into a new backup and drop the oldest beyond MAX_BACKUPS
+// Returns the backup name, or null if the show has no files yet
+function createBackup(showDir, now = Date.now()) {
+    const files = getShowJsonFiles(showDir);
+    if (files.length === 0) return null;
+    const name = makeBackupName(now);
+    const backupDir = path.join(showDir, BACKUP_DIR, name);
+    fs.mkdirSync(backupDir, { recursive: true });
+    files.forEach(file => fs.copyFileSync(path.join(showDir, file), path.join(backupDir, file)));
+    listBackups(showDir).slice(MAX_BACKUPS).forEach(backup => {
+        fs.rmSync(path.join(showDir, BACKUP_DIR, backup.name), { recursive: true, force: true });
+    });
+    return name;
+}
+
+function parseJsonFile(file) {
+    try {
+        return { ok: true, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        return { ok: false, error: error };
+    }
+}
+
+// Read a show JSON file, recovering it from the backups if it doesn't parse
+// -> { data, recoveredFrom, corruptFile } - data is undefined if the file doesn't exist,
+//    or if it is corrupt and no backup has a valid copy
+function readJsonFileWithRecovery(file, now = Date.now()) {
+    if (!fs.existsSync(file)) return { data: undefined, recoveredFrom: null, corruptFile: null };
+    const parsed = parseJsonFile(file);
+    if (parsed.ok) return { data: parsed.data, recoveredFrom: null, corruptFile: null };
+
+    const corruptFile = `${file}.corrupt-${makeBackupName(now)}`;
+    fs.renameSync(file, corruptFile);
+    const showDir = path.dirname(file);
+    for (const backup of listBackups(showDir)) {
+        const copy = path.join(showDir, BACKUP_DIR, backup.name, path.basename(file));
+        if (!fs.existsSync(copy)) continue;
+        const restored = parseJsonFile(copy);
+        if (!restored.ok) continue;
+        writeJsonFileSync(file, restored.data);
+        return { data: restored.data, recoveredFrom: backup.name, corruptFile: corruptFile };
+    }
+    return { data: undefined, recoveredFrom: null, corruptFile: corruptFile };
+}
+
+// The named JSON files of every backup, newest first -> [{ 'cues.json': data, ... }]
+// A copy that is missing or does not parse is left out
+function readBackupFiles(showDir, fileNames) {
+    return listBackups(showDir).map(backup => {
+        const files = {};
+        fileNames.forEach(fileName => {
+            const parsed = parseJsonFile(path.join(showDir, BACKUP_DIR, backup.name, fileName));
+            if (parsed.ok) files[fileName] = parsed.data;
+        });
+        return files;
+    });
+}
+
+// Put the files of a backup back in place (files added since then are left alone)
+function restoreBackup(showDir, name) {
+    if (!BACKUP_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid backup name: ${name}`);
+    }
+    const backupDir = path.join(showDir, BACKUP_DIR, name);
+    const files = getShowJsonFiles(backupDir);
+    if (files.length === 0) {
+        throw new Error(`Backup not found: ${name}`);
+    }
+    files.forEach(file => {
+        const parsed = parseJsonFile(path.join(backupDir, file));
+        if (parsed.ok) writeJsonFileSync(path.join(showDir, file), parsed.data);
+    });
+    return files;
+}
+
+module.exports = {
+    BACKUP_DIR,
+    MAX_BACKUPS,
+    writeFileAtomicSync,
+    writeJsonFileSync,
+    makeBackupName,
+    listBackups,
+    createBackup,
+    readJsonFileWithRecovery,
+    readBackupFiles,
+    restoreBackup
+};
@@ -0,0 +1,99 @@
+// Cue attachment files (images and PDFs) - stored per show in <show>/images, thumbnails
+// in <show>/images/thumbs. Uploads are checked by content (not by the browser's MIME type)
+// and size. Thumbnails of images are made by the browser (canvas) at upload time and stored
+// as "<image name>.jpg".
+
+const path = require('path');
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_DOCUMENT_SIZE = 25 * 1024 * 1024;
+const MAX_THUMBNAIL_SIZE = 512 * 1024;
+const THUMBNAIL_DIR = 'thumbs';
+
+const IMAGE_TYPES = {
+    jpeg: { extension: '.jpg', mime: 'image/jpeg' },
+    png: { extension: '.png', mime: 'image/png' },
+    gif: { extension: '.gif', mime: 'image/gif' },
+    webp: { extension: '.webp', mime: 'image/webp' }
+};
+
+// Attachments that aren't images
+const DOCUMENT_TYPES = {
+    pdf: { extension: '.pdf', mime: 'application/pdf' }
+};
+
+// Files that carry file references (attachments, legacy image_path) besides the cue list
+const IMAGE_FILES = ['cues.json', 'orphaned_notes.json'];
+
+// Image type from the first bytes of the file, null if it isn't a supported image
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'png';
+    if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+function detectDocumentType(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+    return buffer.toString('latin1', 0, 5) === '%PDF-' ? 'pdf' : null;
+}
+
+// "My Photo (1).jpeg" -> "1760000000000-My_Photo_1.jpg" - extension always matches the content
+function makeImageFileName(originalName, type, now = Date.now()) {
+    const base = path.basename(String(originalName || 'image'), path.extname(String(originalName || '')))
+        .replace(/[^\w.-]+/g, '_')
+        .replace(/^[._]+|_+$/g, '')
+        .slice(0, 80) || 'image';
+    return `${now}-${base}${(IMAGE_TYPES[type] || DOCUMENT_TYPES[type]).extension}`;
+}
+
+function getThumbnailName(imageName) {
+    return `${imageName}.jpg`;
+}
+
+// File names referenced by the show files - files: { 'cues.json': parsed JSON, ... }
+function getReferencedImages(files) {
+    const names = new Set();
+    IMAGE_FILES.forEach(fileName => {
+        const records = files[fileName];
+        if (!Array.isArray(records)) return;
+        records.forEach(record => {
+            if (!record) return;
+            if (record.image_path) {
+                names.add(path.basename(String(record.image_path)));
+            }
+            (Array.isArray(record.attachments) ? record.attachments : []).forEach(attachment => {
+                if (attachment && attachment.file) names.add(path.basename(String(attachment.file)));
+            });
+        });
+    });
+    return [...names];
+}
+
+// Files of an images folder nothing points at
+// A thumbnail is orphaned when its image is orphaned or gone
+// -> { images: [names], thumbnails: [names] }
+function findOrphanedImages(referenced, imageNames, thumbnailNames) {
+    const used = new Set(referenced);
+    const images = imageNames.filter(name => !used.has(name));
+    const kept = new Set(imageNames.filter(name => used.has(name)));
+    const thumbnails = thumbnailNames.filter(name => !name.endsWith('.jpg') || !kept.has(name.slice(0, -4)));
+    return { images: images, thumbnails: thumbnails };
+}
+
+module.exports = {
+    MAX_IMAGE_SIZE,
+    MAX_DOCUMENT_SIZE,
+    MAX_THUMBNAIL_SIZE,
+    THUMBNAIL_DIR,
+    IMAGE_TYPES,
+    DOCUMENT_TYPES,
+    detectImageType,
+    detectDocumentType,
+    makeImageFileName,
+    getThumbnailName,
+    getReferencedImages,
+    findOrphanedImages
+};
@@ -0,0 +1,359 @@
+// Offline import of EOS show exports - no console needed
+// Reads the USITT ASCII export (File > Export > ASCII) and the CSV export and turns
+// every cue and part into the same fields a cue Get response gives (see parseCueGetArgs),
+// so imported cues merge through updateOrCreateCue exactly like synced ones.
+
+const { parseCueGetArgs } = require('./eos-parser');
+
+// Cue record used by both parsers; times are in seconds, null = not set
+function emptyRecord(list, cue, part) {
+    return {
+        list: String(list),
+        cue: String(cue),
+        part: part || 0,
+        label: '',
+        up: null, upDelay: null,
+        down: null, downDelay: null,
+        focus: null, focusDelay: null,
+        color: null, colorDelay: null,
+        beam: null, beamDelay: null,
+        follow: null, hang: null,
+        mark: '', block: '', assert: '',
+        scene: '', sceneEnd: false
+    };
+}
+
+// "5", "2.5", "1:30", "0:05.5", "1:02:03" -> seconds; anything else -> null
+function parseTime(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text || /^(-|none|manual)$/i.test(text)) return null;
+    if (!/^\d+(?::\d+)*(?:\.\d+)?$/.test(text)) return null;
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Mark/Block/Assert columns hold a flag ("1", "Yes") or the letter EOS shows ("M", "I", ...)
+function parseFlag(value, letter) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text || /^(0|false|no|off)$/i.test(text)) return '';
+    if (/^(1|true|yes|on|x)$/i.test(text)) return letter;
+    return text;
+}
+
+function parseBool(value) {
+    return /^(1|true|yes|on|x)$/i.test(String(value === undefined || value === null ? '' : value).trim());
+}
+
+function stripQuotes(text) {
+    const trimmed = String(text || '').trim();
+    return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+function normalizeCueNumber(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!/^\d+(?:\.\d+)?$/.test(text)) return null;
+    return String(parseFloat(text));
+}
+
+// ========== USITT ASCII ==========
+
+// Primary keywords end the current cue; secondary keywords describe it.
+// ETC extensions use the $$ prefix. Unknown keywords (Chan, Group, Patch, ...) are skipped.
+const ASCII_TIME_KEYWORDS = {
+    up: ['up', 'upDelay'],
+    down: ['down', 'downDelay'],
+    $$focus: ['focus', 'focusDelay'],
+    $$focustime: ['focus', 'focusDelay'],
+    $$color: ['color', 'colorDelay'],
+    $$colortime: ['color', 'colorDelay'],
+    $$beam: ['beam', 'beamDelay'],
+    $$beamtime: ['beam', 'beamDelay']
+};
+const ASCII_PRIMARY_KEYWORDS = ['group', 'sub', 'patch', 'set', 'clear', 'enddata', '$$palette', '$$preset', '$$effect', '$$macro'];
+
+function parseUsittAscii(text) {
+    const records = [];
+    let currentList = '1';
+    let cueRecord = null;   // Part 0 of the cue being read
+    let record = null;      // Cue or part that secondary keywords apply to
+
+    String(text).split(/\r\n|\r|\n/).forEach(rawLine => {
+        // "!" starts a comment line; labels may contain "!" so it is not stripped mid-line
+        const line = rawLine.trim();
+        if (!line || line.startsWith('!')) return;
+        const match = line.match(/^(\S+)\s*(.*)$/);
+        const keyword = match[1].toLowerCase();
+        const rest = match[2].trim();
+        const words = rest.split(/\s+/).filter(Boolean);
+
+        if (keyword === 'cue') {
+            const cueNumber = normalizeCueNumber(words[0]);
+            if (cueNumber === null) {
+                cueRecord = record = null;
+                return;
+            }
+            // ETC writes "Cue <number> <list>"
+            const list = words[1] && /^\d+$/.test(words[1]) ? words[1] : currentList;
+            cueRecord = record = emptyRecord(list, cueNumber, 0);
+            records.push(record);
+            return;
+        }
+        if (keyword === '$cuelist' || keyword === '$$cuelist') {
+            if (/^\d+$/.test(words[0] || '')) currentList = words[0];
+            cueRecord = record = null;
+            return;
+        }
+        if (ASCII_PRIMARY_KEYWORDS.includes(keyword)) {
+            cueRecord = record = null;
+            return;
+        }
+        if (!record) return;
+
+        if (keyword === 'part') {
+            const part = parseInt(words[0]);
+            if (part > 0 && cueRecord) {
+                record = emptyRecord(cueRecord.list, cueRecord.cue, part);
+                records.push(record);
+            }
+            return;
+        }
+        if (ASCII_TIME_KEYWORDS[keyword]) {
+            const [timeField, delayField] = ASCII_TIME_KEYWORDS[keyword];
+            record[timeField] = parseTime(words[0]);
+            if (words[1] !== undefined) record[delayField] = parseTime(words[1]);
+            return;
+        }
+        switch (keyword) {
+            case 'text':
+            case '$$label':
+                record.label = stripQuotes(rest);
+                break;
+            case 'followon':
+            case '$$follow':
+                record.follow = parseTime(words[0]);
+                break;
+            case '$$hang':
+                record.hang = parseTime(words[0]);
+                break;
+            case '$$mark':
+                record.mark = words.length ? parseFlag(words[0], 'M') : 'M';
+                break;
+            case '$$block':
+                record.block = words.length ? parseFlag(words[0], 'B') : 'B';
+                break;
+            case '$$assert':
+                record.assert = words.length ? parseFlag(words[0], 'A') : 'A';
+                break;
+            case '$$scene':
+                record.scene = stripQuotes(rest);
+                break;
+            case '$$sceneend':
+                record.sceneEnd = words.length ? parseBool(words[0]) : true;
+                break;
+        }
+    });
+    return records;
+}
+
+// ========== CSV ==========
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks
+// delimiter: ';' for sheets saved by spreadsheet apps in locales with a decimal comma
+function parseCsvRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Column names of the EOS CSV export, plus the short names people use in hand-made sheets
+const CSV_COLUMNS = {
+    type: ['target_type_as_text'],
+    list: ['target_list_number', 'cue_list', 'cuelist', 'list'],
+    cue: ['target_id', 'cue_number', 'cue'],
+    part: ['part_number', 'part'],
+    label: ['label', 'text'],
+    time: ['time'],
+    up: ['up_time', 'up'],
+    upDelay: ['up_delay'],
+    down: ['down_time', 'down'],
+    downDelay: ['down_delay'],
+    focus: ['focus_time', 'focus'],
+    focusDelay: ['focus_delay'],
+    color: ['color_time', 'color'],
+    colorDelay: ['color_delay'],
+    beam: ['beam_time', 'beam'],
+    beamDelay: ['beam_delay'],
+    follow: ['follow', 'follow_time'],
+    hang: ['hang', 'hang_time'],
+    mark: ['mark'],
+    block: ['block'],
+    assert: ['assert'],
+    scene: ['scene'],
+    sceneEnd: ['scene_end']
+};
+
+// A header names the cue column and at least one other known column, and has no
+// numeric cells (a data row like "1,Cue,1,5,..." also contains the word "Cue")
+function mapCsvHeader(row) {
+    if (row.some(cell => /^\s*\d+(?:\.\d+)?\s*$/.test(cell))) return null;
+    const names = row.map(cell => String(cell).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const columns = {};
+    Object.keys(CSV_COLUMNS).forEach(key => {
+        const index = names.findIndex(name => CSV_COLUMNS[key].includes(name));
+        if (index !== -1) columns[key] = index;
+    });
+    return columns.cue !== undefined && Object.keys(columns).length >= 2 ? columns : null;
+}
+
+function parseCueCsv(text) {
+    const records = [];
+    let columns = null;
+
+    parseCsvRows(text).forEach(row => {
+        if (row.length === 1 && !row[0].trim()) return;
+        // The EOS export has one header per section (START_TARGETS ... END_TARGETS)
+        const header = mapCsvHeader(row);
+        if (header) {
+            columns = header;
+            return;
+        }
+        if (!columns || /^(START|END)_/i.test(String(row[0]).trim())) return;
+
+        const cell = (key) => columns[key] !== undefined ? row[columns[key]] : undefined;
+        if (columns.type !== undefined && String(cell('type')).trim().toLowerCase() !== 'cue') return;
+        const cueNumber = normalizeCueNumber(cell('cue'));
+        if (cueNumber === null) return;
+
+        const list = /^\d+$/.test(String(cell('list') || '').trim()) ? String(cell('list')).trim() : '1';
+        const record = emptyRecord(list, cueNumber, parseInt(cell('part')) || 0);
+        record.label = String(cell('label') || '').trim();
+        ['up', 'upDelay', 'down', 'downDelay', 'focus', 'focusDelay', 'color', 'colorDelay',
+            'beam', 'beamDelay', 'follow', 'hang'].forEach(key => {
+            record[key] = parseTime(cell(key));
+        });
+        // A single "Time" column sets both up and down
+        const time = parseTime(cell('time'));
+        if (time !== null) {
+            if (record.up === null) record.up = time;
+            if (record.down === null) record.down = time;
+        }
+        record.mark = parseFlag(cell('mark'), 'M');
+        record.block = parseFlag(cell('block'), 'B');
+        record.assert = parseFlag(cell('assert'), 'A');
+        record.scene = String(cell('scene') || '').trim();
+        record.sceneEnd = parseBool(cell('sceneEnd'));
+        records.push(record);
+    });
+    return records;
+}
+
+// ========== CONVERSION ==========
+
+function secondsToMs(seconds, none) {
+    return seconds === null ? none : Math.round(seconds * 1000);
+}
+
+// Same argument layout as /eos/out/get/cue/... so parseCueGetArgs does the conversion
+function recordToCueArgs(record, partCount) {
+    const args = new Array(30).fill('');
+    args[0] = 0;
+    args[1] = undefined;  // No uid offline
+    args[2] = record.label;
+    args[3] = secondsToMs(record.up, -1);
+    args[4] = secondsToMs(record.upDelay, 0);
+    args[5] = secondsToMs(record.down, -1);
+    args[6] = secondsToMs(record.downDelay, 0);
+    args[7] = secondsToMs(record.focus, -1);
+    args[8] = secondsToMs(record.focusDelay, 0);
+    args[9] = secondsToMs(record.color, -1);
+    args[10] = secondsToMs(record.colorDelay, 0);
+    args[11] = secondsToMs(record.beam, -1);
+    args[12] = secondsToMs(record.beamDelay, 0);
+    args[16] = record.mark;
+    args[17] = record.block;
+    args[18] = record.assert;
+    args[20] = secondsToMs(record.follow, -1);
+    args[21] = secondsToMs(record.hang, -1);
+    args[26] = partCount;
+    args[27] = undefined;  // Console notes are not exported
+    args[28] = record.part === 0 ? record.scene : '';
+    args[29] = record.part === 0 && record.sceneEnd;
+    return args;
+}
+
+// Records -> [{ cueNumber, updates }] ready for updateOrCreateCue
+function toCueUpdates(records) {
+    const partCounts = {};
+    records.forEach(record => {
+        if (record.part > 0) {
+            const key = `${record.list}/${record.cue}`;
+            partCounts[key] = Math.max(partCounts[key] || 0, record.part);
+        }
+    });
+    return records.map(record => {
+        const partCount = record.part === 0 ? (partCounts[`${record.list}/${record.cue}`] || 0) : 0;
+        const fields = parseCueGetArgs(recordToCueArgs(record, partCount));
+        delete fields.uid;
+        return {
+            cueNumber: record.cue,
+            updates: Object.assign(fields, { cue_list: record.list, part_number: record.part })
+        };
+    });
+}
+
+// Pick the parser from the file name, or sniff the content
+function detectFormat(text, fileName) {
+    const name = String(fileName || '').toLowerCase();
+    if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.asc') || name.endsWith('.txt')) return 'ascii';
+    if (/^\s*(ident|manufacturer|console)\b/im.test(text) || /^\s*cue\s+\d/im.test(text)) return 'ascii';
+    return 'csv';
+}
+
+function parseShowExport(text, fileName) {
+    const format = detectFormat(text, fileName);
+    const records = format === 'csv' ? parseCueCsv(text) : parseUsittAscii(text);
+    return { format: format, records: records, cues: toCueUpdates(records) };
+}
+
+module.exports = {
+    parseShowExport,
+    parseUsittAscii,
+    parseCueCsv,
+    parseCsvRows,
+    parseTime,
+    toCueUpdates
+};
@@ -0,0 +1,234 @@
+// Recorded performance runs - baselines for the countdown and run statistics
+// A run is one recording of the show: { id, date, stoppedAt, notes, cueTimings, pauses }
+// cueTimings entries are the show timer records: { cueNumber, cueList, label, timestamp, timeFromPrevious }
+// Timestamps are show time - pauses and intermissions are left out and kept in
+// pauses: { type: 'pause' | 'intermission', label, afterCue, at, duration }
+
+const DEFAULT_BASELINE = { mode: 'last', count: 3, runId: null };
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getRunTotal(run) {
+    const timestamps = (run.cueTimings || []).map(t => t.timestamp);
+    return timestamps.length > 0 ? round(Math.max(...timestamps)) : 0;
+}
+
+function getRunPauseTime(run) {
+    return round((run.pauses || []).reduce((sum, pause) => sum + (pause.duration || 0), 0));
+}
+
+function summarizeRun(run) {
+    return {
+        id: run.id,
+        date: run.date,
+        stoppedAt: run.stoppedAt || null,
+        notes: run.notes || '',
+        cueCount: (run.cueTimings || []).length,
+        totalTime: getRunTotal(run),
+        pauseCount: (run.pauses || []).length,
+        pauseTime: getRunPauseTime(run)
+    };
+}
+
+// Oldest first, so deltas read "this run compared to the one before"
+function sortRuns(runs) {
+    return runs.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+function normalizeBaseline(baseline) {
+    const result = Object.assign({}, DEFAULT_BASELINE, baseline || {});
+    if (!['last', 'average', 'run'].includes(result.mode)) {
+        result.mode = DEFAULT_BASELINE.mode;
+    }
+    result.count = Math.max(1, parseInt(result.count) || DEFAULT_BASELINE.count);
+    return result;
+}
+
+// Average several runs: each cue fires at its mean show time, in that order.
+// Mean timestamps (not mean gaps) keep a cue that was skipped in one run from
+// shifting every following cue.
+function averageRuns(runs) {
+    const byCue = new Map();
+    runs.forEach(run => {
+        (run.cueTimings || []).forEach(timing => {
+            const key = String(timing.cueNumber);
+            if (!byCue.has(key)) {
+                byCue.set(key, { cueNumber: timing.cueNumber, cueList: timing.cueList, label: timing.label, timestamps: [] });
+            }
+            byCue.get(key).timestamps.push(timing.timestamp);
+        });
+    });
+
+    const averaged = Array.from(byCue.values())
+        .map(entry => ({
+            cueNumber: entry.cueNumber,
+            cueList: entry.cueList,
+            label: entry.label,
+            timestamp: round(entry.timestamps.reduce((sum, t) => sum + t, 0) / entry.timestamps.length)
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    averaged.forEach((timing, index) => {
+        timing.timeFromPrevious = index === 0 ? 0 : round(timing.timestamp - averaged[index - 1].timestamp);
+    });
+    return averaged;
+}
+
+// Pauses taken after the same cue are the same break: average when and how long
+function averagePauses(runs) {
+    const byCue = new Map();
+    runs.forEach(run => {
+        (run.pauses || []).forEach(pause => {
+            const key = `${pause.type}/${pause.afterCue}`;
+            if (!byCue.has(key)) byCue.set(key, []);
+            byCue.get(key).push(pause);
+        });
+    });
+    return Array.from(byCue.values())
+        .map(pauses => ({
+            type: pauses[0].type,
+            label: pauses[0].label,
+            afterCue: pauses[0].afterCue,
+            at: round(pauses.reduce((sum, p) => sum + p.at, 0) / pauses.length),
+            duration: round(pauses.reduce((sum, p) => sum + p.duration, 0) / pauses.length)
+        }))
+        .sort((a, b) => a.at - b.at);
+}
+
+// The runs a baseline is built from
+// baseline: { mode: 'last' | 'average' | 'run', count, runId }
+function selectBaselineRuns(runs, baseline) {
+    const options = normalizeBaseline(baseline);
+    const sorted = sortRuns(runs).filter(run => (run.cueTimings || []).length > 0);
+    if (sorted.length === 0) return [];
+
+    if (options.mode === 'run') {
+        const run = sorted.find(r => r.id === options.runId);
+        if (run) return [run];
+    }
+    if (options.mode === 'average') {
+        return sorted.slice(-options.count);
+    }
+    return [sorted[sorted.length - 1]];
+}
+
+// The cue timings the countdown predicts from
+function buildBaselineTimings(runs, baseline) {
+    const selected = selectBaselineRuns(runs, baseline);
+    if (selected.length === 0) return [];
+    return selected.length === 1 ? selected[0].cueTimings : averageRuns(selected);
+}
+
+// The pauses the countdown expects (e.g. the intermission still to come)
+function buildBaselinePauses(runs, baseline) {
+    const selected = selectBaselineRuns(runs, baseline);
+    if (selected.length === 0) return [];
+    return selected.length === 1 ? (selected[0].pauses || []) : averagePauses(selected);
+}
+
+function describeValues(values) {
+    const present = values.filter(v => v !== null);
+    if (present.length === 0) {
+        return { count: 0, mean: null, min: null, max: null, stddev: null };
+    }
+    const mean = present.reduce((sum, v) => sum + v, 0) / present.length;
+    // Sample standard deviation - the runs are a sample of all performances
+    const variance = present.length > 1
+        ? present.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (present.length - 1)
+        : 0;
+    return {
+        count: present.length,
+        mean: round(mean),
+        min: round(Math.min(...present)),
+        max: round(Math.max(...present)),
+        stddev: round(Math.sqrt(variance))
+    };
+}
+
+function getDeltas(values) {
+    return values.map((value, index) => {
+        const previous = index > 0 ? values[index - 1] : null;
+        return value !== null && previous !== null ? round(value - previous) : null;
+    });
+}
+
+// Scene of every cue of a list, following EOS: the first cue of a scene carries
+// the scene name, scene_end closes it
+function getSceneMap(cues, list) {
+    const sceneOf = {};
+    let currentScene = null;
+    cues
+        .filter(c => String(c.cue_list || '1') === String(list) && !(c.part_number > 0))
+        .sort((a, b) => parseFloat(a.cue_number) - parseFloat(b.cue_number))
+        .forEach(cue => {
+            if (cue.scene) currentScene = cue.scene;
+            if (currentScene) sceneOf[String(cue.cue_number)] = currentScene;
+            if (cue.scene_end === true) currentScene = null;
+        });
+    return sceneOf;
+}
+
+// Per-cue and per-scene statistics over several runs
+// A cue's value in a run is its time from the previous cue (the duration column)
+function computeRunStatistics(runs, sceneOf = {}) {
+    const sorted = sortRuns(runs);
+
+    const cueNumbers = new Map();
+    sorted.forEach(run => (run.cueTimings || []).forEach(timing => {
+        const key = String(timing.cueNumber);
+        if (!cueNumbers.has(key) || timing.label) cueNumbers.set(key, timing.label || '');
+    }));
+
+    const cueRows = Array.from(cueNumbers.keys())
+        .sort((a, b) => parseFloat(a) - parseFloat(b))
+        .map(cueNumber => {
+            const values = sorted.map(run => {
+                const timing = (run.cueTimings || []).find(t => String(t.cueNumber) === cueNumber);
+                return timing ? round(timing.timeFromPrevious || 0) : null;
+            });
+            return {
+                cueNumber: cueNumber,
+                label: cueNumbers.get(cueNumber),
+                scene: sceneOf[cueNumber] || null,
+                values: values,
+                deltas: getDeltas(values),
+                stats: describeValues(values)
+            };
+        });
+
+    const sceneNames = [];
+    cueRows.forEach(row => {
+        if (row.scene && !sceneNames.includes(row.scene)) sceneNames.push(row.scene);
+    });
+    const sceneRows = sceneNames.map(scene => {
+        const rows = cueRows.filter(row => row.scene === scene);
+        const values = sorted.map((run, index) => {
+            const present = rows.map(row => row.values[index]).filter(v => v !== null);
+            return present.length > 0 ? round(present.reduce((sum, v) => sum + v, 0)) : null;
+        });
+        return { scene: scene, values: values, deltas: getDeltas(values), stats: describeValues(values) };
+    });
+
+    const totals = sorted.map(run => getRunTotal(run));
+    const pauseTimes = sorted.map(run => getRunPauseTime(run));
+    return {
+        runs: sorted.map(summarizeRun),
+        totals: { values: totals, deltas: getDeltas(totals), stats: describeValues(totals) },
+        pauses: { values: pauseTimes, deltas: getDeltas(pauseTimes), stats: describeValues(pauseTimes) },
+        scenes: sceneRows,
+        cues: cueRows
+    };
+}
+
+module.exports = {
+    DEFAULT_BASELINE,
+    normalizeBaseline,
+    summarizeRun,
+    sortRuns,
+    buildBaselineTimings,
+    buildBaselinePauses,
+    computeRunStatistics,
+    getSceneMap
+};
@@ -0,0 +1,109 @@
+// Standby / warning calls - reminders for the stage manager before the pending cue is due
+// The due time comes from the countdown baseline (recorded timings): the pending main list
+// cue's timestamp minus the show clock. A warning is given warning_seconds before, the standby
+// standby_seconds before ("Standby LX 45"); 0 turns a call off.
+// A cue changes its own calls with a tag or a line in its notes:
+//   "No Standby" (no calls), "No Warning", "Standby 20", "Warning: 90s", "Standby: off"
+
+const MAX_CALL_SECONDS = 3600;
+const MAX_LOG_ENTRIES = 2000;
+const CALL_TEXT = { warning: 'Warning', standby: 'Standby' };
+const CALL_OVERRIDE = /^\s*(no\s+)?(standby|warning)\s*[:=]?\s*(off|none|\d+)?\s*(?:s|secs?|seconds?)?\s*$/i;
+
+// Call times from the settings form -> whole seconds
+function normalizeCallSeconds(value) {
+    const seconds = Number(value);
+    if (value === '' || value === null || !Number.isInteger(seconds) || seconds < 0 || seconds > MAX_CALL_SECONDS) {
+        throw new Error(`Call times are whole seconds from 0 to ${MAX_CALL_SECONDS}`);
+    }
+    return seconds;
+}
+
+// One tag or notes line -> { type, seconds } (seconds 0 = no call), or null when it is not a call override
+function parseCallOverride(text) {
+    const match = CALL_OVERRIDE.exec(String(text));
+    if (!match) return null;
+    const type = match[2].toLowerCase();
+    if (match[1]) {
+        // "No Warning" - but "No Standby" drops both calls
+        return match[3] ? null : { type: type === 'standby' ? 'all' : type, seconds: 0 };
+    }
+    if (!match[3]) return null;
+    return { type: type, seconds: /^\d+$/.test(match[3]) ? Math.min(parseInt(match[3]), MAX_CALL_SECONDS) : 0 };
+}
+
+// -> { warning, standby } seconds before the cue; tags come after the notes lines, so a tag wins
+function getCallPlan(settings, cue) {
+    const plan = {
+        warning: parseInt(settings.warning_seconds) || 0,
+        standby: parseInt(settings.standby_seconds) || 0
+    };
+    const sources = [...String(cue.notes || '').split(/\r?\n/), ...(cue.tags || [])];
+    sources.forEach(source => {
+        const override = parseCallOverride(source);
+        if (!override) return;
+        if (override.type === 'all') {
+            plan.warning = 0;
+            plan.standby = 0;
+        } else {
+            plan[override.type] = override.seconds;
+        }
+    });
+    return plan;
+}
+
+// "Standby LX 45"
+function formatCallText(type, department, cue) {
+    return [CALL_TEXT[type], String(department || '').trim(), cue.cue_number].filter(Boolean).join(' ');
+}
+
+// Remembers which calls were given for the pending cue, so every call is given once
+function createStandbyCaller() {
+    let currentKey = null;
+    let given = [];
+
+    // pending: { key, dueIn (seconds), plan (getCallPlan) } or null when nothing is pending
+    // -> { calls: types given now, current: the latest call for the pending cue or null }
+    function update(pending) {
+        if (!pending) {
+            currentKey = null;
+            given = [];
+            return { calls: [], current: null };
+        }
+        if (pending.key !== currentKey) {
+            currentKey = pending.key;
+            given = [];
+        }
+        const calls = [];
+        const { dueIn, plan } = pending;
+        // An overdue cue gets no calls - there is nothing left to warn about
+        if (dueIn > 0) {
+            if (plan.standby > 0 && dueIn <= plan.standby) {
+                // Close to the cue already: the standby replaces the warning
+                if (!given.includes('standby')) calls.push('standby');
+            } else if (plan.warning > 0 && dueIn <= plan.warning && !given.includes('warning')) {
+                calls.push('warning');
+            }
+        }
+        given.push(...calls);
+        const current = given.includes('standby') ? 'standby' : given.includes('warning') ? 'warning' : null;
+        return { calls: calls, current: current };
+    }
+
+    return { update };
+}
+
+// -> the log with entry added, oldest entries dropped past MAX_LOG_ENTRIES
+function addCallLogEntry(log, entry) {
+    return [...log, entry].slice(-MAX_LOG_ENTRIES);
+}
+
+module.exports = {
+    CALL_TEXT,
+    normalizeCallSeconds,
+    parseCallOverride,
+    getCallPlan,
+    formatCallText,
+    createStandbyCaller,
+    addCallLogEntry
+};
@@ -0,0 +1,256 @@
+// Local user accounts, roles and sessions
+// Accounts live in data/users.json: { users: [...], links: [...] }
+//   user: { id, name, role, pin: { salt, hash }, session_version, created_at }
+//   link: { id, label, created_at, expires_at }  - read-only viewer links for phones
+// Roles are ordered; each one may do everything the ones before it may:
+//   viewer        - read the cue list, notes, reports
+//   note-taker    - edit notes, colors, tags, pages, attachments, scene data
+//   stage-manager - shows, show timer, console refresh/push/GO, imports
+//   admin         - console settings, deleting shows, restoring backups, accounts
+// Sessions are stateless tokens "<payload>.<HMAC>" signed with the per-install secret.
+// Admin actions need a PIN confirmed in the last ADMIN_PIN_WINDOW (payload.adm).
+// Changing a PIN or deleting the user bumps session_version, which ends their sessions.
+//
+// Hooks:
+//   load()        -> stored accounts or null
+//   save(accounts)
+//   secret        - per-install secret (string)
+//   now()         - optional clock for tests
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'note-taker', 'stage-manager', 'admin'];
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+const ADMIN_PIN_WINDOW = 15 * 60 * 1000;
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_NAME_LENGTH = 40;
+
+function hasRole(role, needed) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(needed) && ROLES.includes(needed);
+}
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+    return { salt: salt, hash: crypto.scryptSync(String(pin), salt, 32).toString('hex') };
+}
+
+function verifyPin(pin, stored) {
+    if (!stored || !stored.salt || !stored.hash) return false;
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = crypto.scryptSync(String(pin), stored.salt, 32);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Payload of a token signed with secret, or null if it was tampered with
+function verifyToken(token, secret) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+        return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// "a=1; b=2" -> { a: '1', b: '2' }
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Not URI-encoded - skip it
+        }
+    });
+    return cookies;
+}
+
+function publicUser(user) {
+    return { id: user.id, name: user.name, role: user.role, created_at: user.created_at };
+}
+
+function createUserAccounts(hooks) {
+    const now = hooks.now || Date.now;
+    const stored = hooks.load() || {};
+    const accounts = {
+        users: Array.isArray(stored.users) ? stored.users : [],
+        links: Array.isArray(stored.links) ? stored.links : []
+    };
+
+    function save() {
+        hooks.save(accounts);
+    }
+
+    function makeId() {
+        return `${now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    function findByName(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return accounts.users.find(user => user.name.toLowerCase() === key) || null;
+    }
+
+    function checkName(name, exceptId) {
+        const clean = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        if (!clean) throw new Error('A name is required');
+        const existing = findByName(clean);
+        if (existing && existing.id !== exceptId) throw new Error(`There is already a user called ${existing.name}`);
+        return clean;
+    }
+
+    function checkPin(pin) {
+        if (!PIN_PATTERN.test(String(pin || ''))) throw new Error('The PIN must be 4 to 8 digits');
+        return String(pin);
+    }
+
+    function checkRole(role) {
+        if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+        return role;
+    }
+
+    function adminCount(exceptId) {
+        return accounts.users.filter(user => user.role === 'admin' && user.id !== exceptId).length;
+    }
+
+    function createUser({ name, role, pin }) {
+        const user = {
+            id: makeId(),
+            name: checkName(name),
+            role: checkRole(role),
+            pin: hashPin(checkPin(pin)),
+            session_version: 1,
+            created_at: new Date(now()).toISOString()
+        };
+        accounts.users.push(user);
+        save();
+        return publicUser(user);
+    }
+
+    function updateUser(id, changes) {
+        const user = accounts.users.find(u => u.id === id);
+        if (!user) throw new Error('User not found');
+        if (changes.role !== undefined && checkRole(changes.role) !== 'admin' && user.role === 'admin' && adminCount(id) === 0) {
+            throw new Error('The last admin cannot lose the admin role');
+        }
+        if (changes.name !== undefined) user.name = checkName(changes.name, id);
+        if (changes.role !== undefined) user.role = changes.role;
+        if (changes.pin !== undefined) {
+            user.pin = hashPin(checkPin(changes.pin));
+            user.session_version++;
+        }
+        save();
+        return publicUser(user);
+    }
+
+    function deleteUser(id) {
+        const user = accounts.users.find(u => u.id === id);
+        if (!user) throw new Error('User not found');
+        if (user.role === 'admin' && adminCount(id) === 0) throw new Error('The last admin cannot be deleted');
+        accounts.users = accounts.users.filter(u => u.id !== id);
+        save();
+    }
+
+    // -> the user, or null for an unknown name or a wrong PIN
+    function verifyLogin(name, pin) {
+        const user = findByName(name);
+        if (!user || !verifyPin(pin, user.pin)) return null;
+        return publicUser(user);
+    }
+
+    function createViewerLink({ label, days }) {
+        const link = {
+            id: makeId(),
+            label: String(label || '').trim().slice(0, MAX_NAME_LENGTH) || 'Viewer',
+            created_at: new Date(now()).toISOString(),
+            expires_at: days > 0 ? new Date(now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+        };
+        accounts.links.push(link);
+        save();
+        return { ...link, token: signToken({ link: link.id }, hooks.secret) };
+    }
+
+    function deleteViewerLink(id) {
+        if (!accounts.links.some(link => link.id === id)) throw new Error('Link not found');
+        accounts.links = accounts.links.filter(link => link.id !== id);
+        save();
+    }
+
+    function findLink(id) {
+        const link = accounts.links.find(l => l.id === id);
+        if (!link || (link.expires_at && Date.parse(link.expires_at) < now())) return null;
+        return link;
+    }
+
+    // Viewer link token (the /view/<token> part of the URL) -> the link or null
+    function openViewerLink(token) {
+        const payload = verifyToken(token, hooks.secret);
+        return payload && payload.link ? findLink(payload.link) : null;
+    }
+
+    function issueSession(user, options = {}) {
+        const stored = accounts.users.find(u => u.id === user.id);
+        return signToken({
+            uid: stored.id,
+            v: stored.session_version,
+            exp: now() + SESSION_LIFETIME,
+            adm: options.adminPin ? now() + ADMIN_PIN_WINDOW : 0
+        }, hooks.secret);
+    }
+
+    function issueLinkSession(link) {
+        const expires = link.expires_at ? Date.parse(link.expires_at) : now() + SESSION_LIFETIME;
+        return signToken({ lid: link.id, exp: expires }, hooks.secret);
+    }
+
+    // Session cookie -> { user: { id, name, role }, link, adminPin } or null
+    function readSession(token) {
+        const payload = verifyToken(token, hooks.secret);
+        if (!payload || !(payload.exp > now())) return null;
+        if (payload.lid) {
+            const link = findLink(payload.lid);
+            return link ? { user: { id: null, name: link.label, role: 'viewer' }, link: link, adminPin: false } : null;
+        }
+        const user = accounts.users.find(u => u.id === payload.uid);
+        if (!user || user.session_version !== payload.v) return null;
+        return { user: publicUser(user), link: null, adminPin: payload.adm > now() };
+    }
+
+    return {
+        hasUsers: () => accounts.users.length > 0,
+        listUsers: () => accounts.users.map(publicUser),
+        listViewerLinks: () => accounts.links.map(link => ({ ...link, expired: !findLink(link.id), token: signToken({ link: link.id }, hooks.secret) })),
+        createUser,
+        updateUser,
+        deleteUser,
+        verifyLogin,
+        createViewerLink,
+        deleteViewerLink,
+        openViewerLink,
+        issueSession,
+        issueLinkSession,
+        readSession
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_LIFETIME,
+    ADMIN_PIN_WINDOW,
+    hasRole,
+    hashPin,
+    verifyPin,
+    signToken,
+    verifyToken,
+    parseCookies,
+    createUserAccounts
+};
@@ -0,0 +1,142 @@
+// Daily work notes report as a PDF - one section per department with the open notes
+// (new ones marked) and what was closed that day, for the notes session after a rehearsal.
+// The report data comes from buildDailyReport (lib/work-notes.js); page layout follows
+// the cue list PDF (lib/pdf-report.js).
+
+const { createPdfDocument, widthOf, wrapText } = require('./pdf-writer');
+const { describeCue } = require('./change-journal');
+const { STATUS_LABELS } = require('./work-notes');
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 34;
+const FOOTER_HEIGHT = 22;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 11.5;
+const CELL_PADDING = 4;
+
+const PRIORITY_COLORS = { high: '#d32f2f', normal: '#444444', low: '#888888' };
+
+// Widths in points; the note column gets the rest
+const COLUMNS = [
+    { key: 'cue', title: 'Cue', width: 52 },
+    { key: 'label', title: 'Label', width: 96 },
+    { key: 'priority', title: 'Priority', width: 48 },
+    { key: 'text', title: 'Note' },
+    { key: 'assignee', title: 'Assignee', width: 78 },
+    { key: 'status', title: 'Status', width: 58 }
+];
+
+function getCellText(note, key, cueLabel) {
+    if (key === 'cue') return describeCue(note.cue_list, note.cue_number, note.part_number);
+    if (key === 'label') return cueLabel(note) || '';
+    if (key === 'status') return note.status === 'open' && note.isNew ? 'New' : STATUS_LABELS[note.status];
+    return String(note[key] || '');
+}
+
+// options: { showName, report (buildDailyReport), cueLabel(note) -> label, generatedAt }
+function buildWorkNotesPdf(options) {
+    const showName = options.showName || 'EOS Cue List';
+    const report = options.report;
+    const cueLabel = options.cueLabel || (() => '');
+    const generatedAt = options.generatedAt || new Date();
+    const doc = createPdfDocument({ title: `${showName} - Work Notes ${report.day}` });
+    const tableWidth = doc.width - MARGIN * 2;
+    const fixed = COLUMNS.reduce((sum, column) => sum + (column.width || 0), 0);
+    let x = MARGIN;
+    const columns = COLUMNS.map(column => {
+        const placed = Object.assign({}, column, { x: x, width: column.width || tableWidth - fixed });
+        x += placed.width;
+        return placed;
+    });
+    const bodyTop = MARGIN + HEADER_HEIGHT;
+    const bodyBottom = doc.height - MARGIN - FOOTER_HEIGHT;
+    const rowHeight = (lines) => lines * LINE_HEIGHT + CELL_PADDING * 2;
+    let y = bodyTop;
+
+    function newPage() {
+        doc.addPage();
+        y = bodyTop;
+    }
+
+    function drawTableHeader() {
+        doc.rect(MARGIN, y, tableWidth, rowHeight(1), { fill: '#2a2a2a' });
+        columns.forEach(column => {
+            doc.text(column.x + CELL_PADDING, y + CELL_PADDING + 1.5, column.title.toUpperCase(),
+                { size: 7.5, font: 'bold', color: '#ffffff' });
+        });
+        y += rowHeight(1);
+    }
+
+    function drawRow(note, closed) {
+        const cells = {};
+        columns.forEach(column => {
+            const font = column.key === 'cue' || (column.key === 'status' && note.isNew) ? 'bold' : 'regular';
+            cells[column.key] = { font: font, lines: wrapText(getCellText(note, column.key, cueLabel), column.width - CELL_PADDING * 2, FONT_SIZE, font) };
+        });
+        const lineCount = Math.max(1, ...Object.values(cells).map(cell => cell.lines.length));
+        if (y + rowHeight(lineCount) > bodyBottom) {
+            newPage();
+            drawTableHeader();
+        }
+        if (note.isNew) doc.rect(MARGIN, y, tableWidth, rowHeight(lineCount), { fill: '#fff8e1' });
+        columns.forEach(column => {
+            const color = closed ? '#888888' : column.key === 'priority' ? PRIORITY_COLORS[note.priority] : '#222222';
+            cells[column.key].lines.forEach((line, index) => {
+                doc.text(column.x + CELL_PADDING, y + CELL_PADDING + index * LINE_HEIGHT, line, {
+                    size: FONT_SIZE,
+                    font: cells[column.key].font,
+                    strike: closed && column.key === 'text',
+                    color: color
+                });
+            });
+        });
+        y += rowHeight(lineCount);
+        doc.line(MARGIN, y, MARGIN + tableWidth, y, { color: '#dddddd', width: 0.5 });
+    }
+
+    function drawDepartment(section) {
+        // Keep the department header with its table header and first row
+        if (y + 20 + rowHeight(1) * 2 > bodyBottom) newPage();
+        y += 8;
+        doc.rect(MARGIN, y, tableWidth, 20, { fill: '#e8eef7' });
+        doc.rect(MARGIN, y, 4, 20, { fill: '#4a90e2' });
+        doc.text(MARGIN + 10, y + 4, section.department, { size: FONT_SIZE + 3, font: 'bold', color: '#222222' });
+        doc.text(doc.width - MARGIN - 8, y + 6, `${section.open.length} open · ${section.closed.length} closed today`,
+            { size: 8, color: '#555555', align: 'right' });
+        y += 20;
+        drawTableHeader();
+        section.open.forEach(note => drawRow(note, false));
+        section.closed.forEach(note => drawRow(note, true));
+    }
+
+    newPage();
+    const summary = report.summary;
+    doc.text(MARGIN, y, `Work notes for ${report.day}: ${summary.open} open (${summary.created} new), ${summary.closed} closed`,
+        { size: 11, font: 'bold', color: '#333333' });
+    y += 18;
+    if (report.departments.length === 0) {
+        doc.text(MARGIN, y, 'No open work notes and nothing closed on this day.', { size: FONT_SIZE + 1, font: 'italic', color: '#666666' });
+    }
+    report.departments.forEach(drawDepartment);
+
+    const title = `${showName} - Work Notes`;
+    const dateText = `Generated: ${generatedAt.toLocaleDateString()} ${generatedAt.toLocaleTimeString()}`;
+    const pageCount = doc.pageCount;
+    for (let index = 0; index < pageCount; index++) {
+        doc.setPage(index);
+        const nameWidth = tableWidth - widthOf(dateText, 8) - 20;
+        doc.text(MARGIN, MARGIN, wrapText(title, nameWidth, 16, 'bold')[0] || '', { size: 16, font: 'bold', color: '#222222' });
+        doc.text(doc.width - MARGIN, MARGIN + 6, dateText, { size: 8, color: '#666666', align: 'right' });
+        doc.line(MARGIN, MARGIN + 24, doc.width - MARGIN, MARGIN + 24, { color: '#333333', width: 1.5 });
+        const footerY = doc.height - MARGIN - 10;
+        doc.line(MARGIN, footerY - 6, doc.width - MARGIN, footerY - 6, { color: '#dddddd', width: 0.5 });
+        doc.text(MARGIN, footerY, 'Generated by Qnote for EOS', { size: 8, color: '#888888' });
+        doc.text(doc.width - MARGIN, footerY, `Page ${index + 1} of ${pageCount}`, { size: 8, color: '#888888', align: 'right' });
+    }
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    buildWorkNotesPdf
+};
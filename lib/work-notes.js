@@ -0,0 +1,127 @@
+// Department work notes - the fix-list of a cue, kept apart from its free-text notes
+// Stored per show in work_notes.json as one flat list. A note points at its cue by
+// list/cue/part like the per-cue routes, so a console refresh never touches it: renumbered
+// cues take their notes along (moveWorkNotes), and notes of deleted cues stay on the list
+// until someone closes them.
+//   note: { id, cue_list, cue_number, part_number, department, priority, assignee, status,
+//           text, created_at, created_by, updated_at, closed_at }
+
+const crypto = require('crypto');
+const { followRenumberedCues } = require('./refresh-report');
+
+const DEPARTMENTS = ['LX', 'Sound', 'Video', 'SM'];
+const PRIORITIES = ['high', 'normal', 'low'];
+const STATUSES = ['open', 'done', 'wontfix'];
+const STATUS_LABELS = { open: 'Open', done: 'Done', wontfix: 'Won\'t fix' };
+const MAX_TEXT_LENGTH = 2000;
+const MAX_ASSIGNEE_LENGTH = 40;
+
+function checkChoice(value, choices, what) {
+    if (!choices.includes(value)) throw new Error(`Unknown ${what}: ${value}`);
+    return value;
+}
+
+function checkText(text) {
+    const clean = String(text || '').trim().slice(0, MAX_TEXT_LENGTH);
+    if (!clean) throw new Error('The work note needs a text');
+    return clean;
+}
+
+// "2026-10-19" in the server's time zone - work notes reports go by the local day
+function getLocalDay(time) {
+    const date = new Date(time);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0')).join('-');
+}
+
+// fields: { department, priority, assignee, text } for the cue at address
+function createWorkNote(address, fields, author, now = Date.now()) {
+    const time = new Date(now).toISOString();
+    return {
+        id: `${now.toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+        cue_list: String(address.cue_list || '1'),
+        cue_number: String(address.cue_number),
+        part_number: parseInt(address.part_number) || 0,
+        department: checkChoice(fields.department, DEPARTMENTS, 'department'),
+        priority: checkChoice(fields.priority || 'normal', PRIORITIES, 'priority'),
+        assignee: String(fields.assignee || '').trim().slice(0, MAX_ASSIGNEE_LENGTH),
+        status: 'open',
+        text: checkText(fields.text),
+        created_at: time,
+        created_by: author || null,
+        updated_at: time,
+        closed_at: null
+    };
+}
+
+// -> a copy of note with the changes; closing stamps closed_at, reopening clears it
+function updateWorkNote(note, changes, now = Date.now()) {
+    const updated = Object.assign({}, note);
+    if (changes.department !== undefined) updated.department = checkChoice(changes.department, DEPARTMENTS, 'department');
+    if (changes.priority !== undefined) updated.priority = checkChoice(changes.priority, PRIORITIES, 'priority');
+    if (changes.assignee !== undefined) updated.assignee = String(changes.assignee || '').trim().slice(0, MAX_ASSIGNEE_LENGTH);
+    if (changes.text !== undefined) updated.text = checkText(changes.text);
+    if (changes.status !== undefined && checkChoice(changes.status, STATUSES, 'status') !== note.status) {
+        updated.status = changes.status;
+        updated.closed_at = changes.status === 'open' ? null : new Date(now).toISOString();
+    }
+    updated.updated_at = new Date(now).toISOString();
+    return updated;
+}
+
+// Cue order within a list, then by priority
+function compareWorkNotes(a, b) {
+    const list = parseInt(a.cue_list) - parseInt(b.cue_list);
+    if (list !== 0) return list;
+    const cue = parseFloat(a.cue_number) - parseFloat(b.cue_number);
+    if (cue !== 0) return cue;
+    if (a.part_number !== b.part_number) return a.part_number - b.part_number;
+    return PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority);
+}
+
+// filters: { department, status, cue_list } - missing or 'all' means any
+function filterWorkNotes(notes, filters = {}) {
+    const matches = (value, wanted) => !wanted || wanted === 'all' || String(value) === String(wanted);
+    return notes
+        .filter(note => matches(note.department, filters.department) &&
+            matches(note.status, filters.status) && matches(note.cue_list, filters.cue_list))
+        .sort(compareWorkNotes);
+}
+
+// A refresh of list moved cues (refresh report "renumbered" entries) - the notes follow
+// -> number of notes moved; notes is changed in place
+function moveWorkNotes(notes, list, renumbered) {
+    return followRenumberedCues(notes, list, renumbered);
+}
+
+// The daily report: per department the open notes (new ones flagged) and the ones closed that day
+// -> { day, departments: [{ department, open, closed }], summary: { open, created, closed } }
+function buildDailyReport(notes, day, departments = DEPARTMENTS) {
+    const report = { day: day, departments: [], summary: { open: 0, created: 0, closed: 0 } };
+    departments.forEach(department => {
+        const own = notes.filter(note => note.department === department).sort(compareWorkNotes);
+        const open = own.filter(note => note.status === 'open')
+            .map(note => Object.assign({ isNew: getLocalDay(note.created_at) === day }, note));
+        const closed = own.filter(note => note.status !== 'open' && note.closed_at && getLocalDay(note.closed_at) === day);
+        if (open.length === 0 && closed.length === 0) return;
+        report.departments.push({ department: department, open: open, closed: closed });
+        report.summary.open += open.length;
+        report.summary.created += open.filter(note => note.isNew).length +
+            closed.filter(note => getLocalDay(note.created_at) === day).length;
+        report.summary.closed += closed.length;
+    });
+    return report;
+}
+
+module.exports = {
+    DEPARTMENTS,
+    PRIORITIES,
+    STATUSES,
+    STATUS_LABELS,
+    getLocalDay,
+    createWorkNote,
+    updateWorkNote,
+    filterWorkNotes,
+    moveWorkNotes,
+    buildDailyReport
+};
@@ -6,7 +6,7 @@ let currentCueId = null;
 let currentCueTags = [];
 let connectedToEOS = false;
 let showTimerState = null;
-let countdownInterval = null;
+let countdownActive = false;
 let currentDurations = {};
 let currentShowName = 'Default';
 let sceneData = {};
@@ -14,18 +14,321 @@ let collapsedScenes = new Set();
 let lastActiveCueNumber = null;
 let lastPendingCueNumber = null;
 let mainPlaybackList = '1';
+let remoteState = { enabled: false, connected: false, armed: false, remainingMs: 0 };
+let remoteArmedUntil = 0;  // Local clock
+let remoteCountdownTimer = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
+    if (!await checkAuth()) return;
     await loadShows();
     await loadSettings();
+    loadRemoteState();
     await loadCues();
     loadShowNotes();
     await loadShowTimings();
     loadTagColorMappings();
     loadSceneData();
+    loadOrphanCount();
+    loadJournalState();
+    if (userHasRole('stage-manager')) loadBackups();
+    loadPresence();
+    loadWorkNotes();
+    loadScript();
+    connectLiveUpdates();
 });
 
+// Accounts - nothing loads until this browser is signed in (or opened a viewer link)
+let currentUser = null;
+let authRoles = [];
+let authMode = 'login';
+
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth/status');
+        const status = await response.json();
+        authRoles = status.roles || [];
+        if (!status.user) {
+            showAuthOverlay(status.setupRequired ? 'setup' : 'login');
+            return false;
+        }
+        currentUser = status.user;
+        applyRoleVisibility(status.viaLink);
+        return true;
+    } catch (error) {
+        console.error('Error checking sign-in:', error.message || error);
+        return false;
+    }
+}
+
+function userHasRole(role) {
+    return !!currentUser && authRoles.indexOf(currentUser.role) >= authRoles.indexOf(role);
+}
+
+// Hide what the signed-in role can't use - the server checks every change anyway
+function applyRoleVisibility(viaLink) {
+    document.body.dataset.role = currentUser.role;
+    document.querySelectorAll('[data-min-role]').forEach(element => {
+        element.classList.toggle('role-hidden', !userHasRole(element.dataset.minRole));
+    });
+    document.getElementById('showSelector').disabled = !userHasRole('stage-manager');
+    document.getElementById('showNotesText').readOnly = !userHasRole('note-taker');
+    document.getElementById('userBadgeName').textContent = `👤 ${currentUser.name} (${viaLink ? 'viewer link' : currentUser.role})`;
+    document.getElementById('userBadge').style.display = 'flex';
+}
+
+function showAuthOverlay(mode) {
+    authMode = mode;
+    document.getElementById('authTitle').textContent = mode === 'setup' ? 'Create the Admin Account' : 'Sign in to Qnote';
+    document.getElementById('authHint').textContent = mode === 'setup'
+        ? 'Qnote has no accounts yet. This first account is the admin - add everyone else in OSC Settings → Users & Viewer Links.'
+        : 'Ask your admin for an account or a viewer link.';
+    document.getElementById('authSubmit').textContent = mode === 'setup' ? 'Create Account' : 'Sign In';
+    document.getElementById('authError').textContent = '';
+    document.getElementById('authOverlay').style.display = 'flex';
+    document.getElementById('authName').focus();
+}
+
+async function submitAuth() {
+    const name = document.getElementById('authName').value.trim();
+    const pin = document.getElementById('authPin').value;
+    const errorBox = document.getElementById('authError');
+    if (!name || !pin) {
+        errorBox.textContent = 'Enter your name and PIN';
+        return;
+    }
+    try {
+        const response = await fetch(authMode === 'setup' ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name, pin: pin })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            errorBox.textContent = result.error || 'Sign in failed';
+            document.getElementById('authPin').value = '';
+            return;
+        }
+        location.reload();
+    } catch (error) {
+        errorBox.textContent = 'Qnote server not reachable';
+    }
+}
+
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error signing out:', error.message || error);
+    }
+    location.reload();
+}
+
+// Every request goes through here: an expired session brings back the sign-in screen, and
+// admin actions ask for the PIN and are sent again once it is confirmed
+const serverFetch = window.fetch.bind(window);
+let pinPrompt = null;
+let pinPromptResolve = null;
+
+window.fetch = async (url, options) => {
+    const response = await serverFetch(url, options);
+    if (response.status !== 401 && response.status !== 403) return response;
+    const result = await response.clone().json().catch(() => ({}));
+    if (result.signInRequired) {
+        showAuthOverlay('login');
+    } else if (result.pinRequired && await requestAdminPin()) {
+        return serverFetch(url, options);
+    }
+    return response;
+};
+
+// -> true once the PIN is confirmed, false if the dialog was cancelled
+function requestAdminPin() {
+    if (!pinPrompt) {
+        pinPrompt = new Promise(resolve => { pinPromptResolve = resolve; });
+        document.getElementById('pinInput').value = '';
+        document.getElementById('pinError').textContent = '';
+        document.getElementById('pinModal').style.display = 'flex';
+        document.getElementById('pinInput').focus();
+    }
+    return pinPrompt;
+}
+
+async function submitAdminPin() {
+    try {
+        const response = await serverFetch('/api/auth/pin', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: document.getElementById('pinInput').value })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            document.getElementById('pinError').textContent = result.error || 'Wrong PIN';
+            document.getElementById('pinInput').value = '';
+            return;
+        }
+        closePinModal(true);
+    } catch (error) {
+        document.getElementById('pinError').textContent = 'Qnote server not reachable';
+    }
+}
+
+function closePinModal(confirmed) {
+    document.getElementById('pinModal').style.display = 'none';
+    if (pinPromptResolve) pinPromptResolve(confirmed);
+    pinPrompt = null;
+    pinPromptResolve = null;
+}
+
+// Admin area - users and viewer links
+let adminUsers = [];
+
+function adminUserName(id) {
+    const user = adminUsers.find(u => u.id === id);
+    return user ? user.name : 'this user';
+}
+
+async function loadAdminArea() {
+    try {
+        const response = await fetch('/api/users');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not open the admin area');
+        renderAdminArea(data);
+        document.getElementById('adminArea').style.display = 'block';
+        document.getElementById('openAdminAreaButton').style.display = 'none';
+    } catch (error) {
+        alert(error.message || 'Error opening the admin area');
+    }
+}
+
+function roleOptions(roles, selected) {
+    return roles.map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`).join('');
+}
+
+function renderAdminArea(data) {
+    adminUsers = data.users;
+    document.getElementById('newUserRole').innerHTML = roleOptions(data.roles, 'note-taker');
+    document.getElementById('userList').innerHTML = data.users.map(user => `
+        <div style="display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+            <span style="flex: 1; color: #ddd; font-size: 13px;">${escapeHtml(user.name)}${user.id === currentUser.id ? ' <span style="color: #888;">(you)</span>' : ''}</span>
+            <select style="width: auto; font-size: 12px;" onchange="updateUser('${user.id}', { role: this.value })">${roleOptions(data.roles, user.role)}</select>
+            <button type="button" class="button" style="padding: 4px 10px; font-size: 12px;" onclick="resetUserPin('${user.id}')">🔑 New PIN</button>
+            <button type="button" class="button danger" style="padding: 4px 10px; font-size: 12px;" onclick="deleteUser('${user.id}')">🗑️</button>
+        </div>`).join('');
+
+    const links = document.getElementById('viewerLinkList');
+    if (data.links.length === 0) {
+        links.innerHTML = '<p style="color: #888; font-size: 12px;">No viewer links yet.</p>';
+        return;
+    }
+    links.innerHTML = data.links.map(link => {
+        const expiry = link.expired ? '<span style="color: #f44336;">expired</span>'
+            : link.expires_at ? `until ${escapeHtml(new Date(link.expires_at).toLocaleString())}` : 'until deleted';
+        return `
+        <div style="display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+            <span style="flex: 1; color: #ddd; font-size: 13px;">${escapeHtml(link.label)} <span style="color: #888;">· ${expiry}</span></span>
+            ${link.expired ? '' : `<button type="button" class="button" style="padding: 4px 10px; font-size: 12px;" onclick="copyViewerLink('${link.token}')">📋 Copy Link</button>`}
+            <button type="button" class="button danger" style="padding: 4px 10px; font-size: 12px;" onclick="deleteViewerLink('${link.id}')">🗑️</button>
+        </div>`;
+    }).join('');
+}
+
+// Admin requests -> the response body, or throws with the server's message
+async function sendAdminRequest(url, method, body) {
+    const response = await fetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok || result.success === false) throw new Error(result.error || 'Request failed');
+    return result;
+}
+
+async function addUser() {
+    try {
+        const result = await sendAdminRequest('/api/users', 'POST', {
+            name: document.getElementById('newUserName').value,
+            role: document.getElementById('newUserRole').value,
+            pin: document.getElementById('newUserPin').value
+        });
+        document.getElementById('newUserName').value = '';
+        document.getElementById('newUserPin').value = '';
+        showToast(`Added ${result.user.name} (${result.user.role})`);
+        loadAdminArea();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function updateUser(id, changes) {
+    try {
+        await sendAdminRequest(`/api/users/${encodeURIComponent(id)}`, 'PATCH', changes);
+        showToast('User updated');
+    } catch (error) {
+        alert(error.message);
+    }
+    loadAdminArea();
+}
+
+function resetUserPin(id) {
+    const name = adminUserName(id);
+    const pin = prompt(`New PIN for ${name} (4-8 digits).\n\n${name} is signed out on every device.`);
+    if (pin) updateUser(id, { pin: pin.trim() });
+}
+
+async function deleteUser(id) {
+    const name = adminUserName(id);
+    if (!confirm(`Delete the account of ${name}? They are signed out on every device.`)) return;
+    try {
+        await sendAdminRequest(`/api/users/${encodeURIComponent(id)}`, 'DELETE');
+        showToast(`Deleted ${name}`);
+    } catch (error) {
+        alert(error.message);
+    }
+    loadAdminArea();
+}
+
+function viewerLinkUrl(token) {
+    return `${location.origin}/view/${token}`;
+}
+
+async function createViewerLink() {
+    try {
+        const result = await sendAdminRequest('/api/viewer-links', 'POST', {
+            label: document.getElementById('newLinkLabel').value,
+            days: parseInt(document.getElementById('newLinkDays').value) || 0
+        });
+        document.getElementById('newLinkLabel').value = '';
+        loadAdminArea();
+        copyViewerLink(result.link.token);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function copyViewerLink(token) {
+    const url = viewerLinkUrl(token);
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('🔗 Viewer link copied');
+    } catch (error) {
+        // Clipboard needs https or localhost - show the link instead
+        prompt('Viewer link (copy it to the phone):', url);
+    }
+}
+
+async function deleteViewerLink(id) {
+    if (!confirm('Delete this viewer link? Phones that opened it lose access.')) return;
+    try {
+        await sendAdminRequest(`/api/viewer-links/${encodeURIComponent(id)}`, 'DELETE');
+        showToast('Viewer link deleted');
+    } catch (error) {
+        alert(error.message);
+    }
+    loadAdminArea();
+}
+
 // Show management functions
 async function loadShows() {
     try {
@@ -60,11 +363,8 @@ async function loadShows() {
         
         currentShowName = data.currentShow;
         
-        // Update UI to show EOS-connected show indicator
-        if (data.connectedEOSShow && data.isConnected) {
-            document.getElementById('connectionStatus').textContent = 
-                `Connected to EOS: ${data.connectedEOSShow}`;
-        }
+        // Update header with the EOS link state
+        applyConnectionState(data);
     } catch (error) {
         console.error('Error loading shows:', error.message || error);
     }
@@ -95,6 +395,7 @@ async function switchShow(showName) {
             loadShowTimings();
             loadTagColorMappings();
             loadSceneData();
+            loadJournalState();
             collapsedScenes.clear();
         }
     } catch (error) {
@@ -174,6 +475,7 @@ async function loadShowFromEOS() {
             loadShowTimings();
             loadTagColorMappings();
             loadSceneData();
+            loadJournalState();
             collapsedScenes.clear();
         } else {
             alert(data.error || 'Could not load show from EOS. Make sure you are connected.');
@@ -184,6 +486,49 @@ async function loadShowFromEOS() {
     }
 }
 
+// Whole show (files + images) as one .qnote file for moving it to another machine
+function exportShowArchive() {
+    window.location.href = `/api/shows/${encodeURIComponent(currentShowName)}/export`;
+}
+
+async function importShowArchive(input) {
+    const file = input.files[0];
+    input.value = '';  // Allow choosing the same file again
+    if (!file) return;
+
+    const send = async (name, replace) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (name) formData.append('name', name);
+        formData.append('replace', replace ? 'true' : 'false');
+        const response = await fetch('/api/shows/import', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok && !data.exists) throw new Error(data.error || 'Import failed');
+        return data;
+    };
+
+    try {
+        let data = await send(null, false);
+        while (data.exists) {
+            const name = prompt(`A show named "${data.showName}" already exists.\n\nImport under another name, or keep "${data.showName}" to replace the existing show:`, data.suggestedName);
+            if (!name || !name.trim()) return;
+            const replace = name.trim() === data.showName;
+            if (replace && !confirm(`Replace "${data.showName}"?\n\nAll cues, notes and timing data of the existing show will be overwritten.`)) return;
+            data = await send(name.trim(), replace);
+        }
+
+        await switchShow(data.showName);
+        await loadShows();
+        showToast(`📦 Imported show "${data.showName}" (${data.images} image${data.images !== 1 ? 's' : ''})`);
+        if (data.missingImages.length > 0) {
+            alert(`${data.missingImages.length} image${data.missingImages.length !== 1 ? 's were' : ' was'} already missing when the show was exported:\n${data.missingImages.slice(0, 10).join('\n')}`);
+        }
+    } catch (error) {
+        console.error('Error importing show archive:', error.message || error);
+        alert(error.message || 'Error importing show archive');
+    }
+}
+
 // Multi-cue editor for batch color and tag operations
 let multiCueSelection = new Set();
 
@@ -246,6 +591,16 @@ function createMultiCueModal() {
                 <button class="button" onclick="closeMultiCueEditor()">Cancel</button>
                 <button class="button primary" onclick="applyMultiCueChanges()">Apply to Selected</button>
             </div>
+            
+            <div style="margin-top: 20px; padding-top: 15px; border-top: 1px solid #333;">
+                <label style="color: #aaa; font-size: 12px;">Push to Console:</label>
+                <div style="display: flex; gap: 15px; align-items: center; flex-wrap: wrap; margin-top: 6px;">
+                    <label style="color: #ccc; font-size: 13px;"><input type="checkbox" id="multiPushLabels" checked style="width: auto;"> Labels</label>
+                    <label style="color: #ccc; font-size: 13px;"><input type="checkbox" id="multiPushNotes" checked style="width: auto;"> Notes</label>
+                    <button class="button" style="margin-left: auto;" onclick="pushSelectedCuesToConsole()" id="multiPushBtn">⬆️ Push Selected to Console</button>
+                </div>
+                <div id="multiPushStatus" style="color: #888; font-size: 12px; margin-top: 8px;"></div>
+            </div>
         </div>
     `;
     document.body.appendChild(modal);
@@ -282,28 +637,31 @@ function populateMultiCueList() {
     
     let html = '';
     cueData.forEach(cue => {
-        const checked = multiCueSelection.has(cue.cue_number) ? 'checked' : '';
-        const color = cue.color || '#ffffff';
+        const cueKey = getCueIdentity(cue);
+        const checked = multiCueSelection.has(cueKey) ? 'checked' : '';
+        const partNum = cue.part_number || 0;
+        const cueLabel = `${cue.cue_list || '1'}/${cue.cue_number}${partNum > 0 ? ` P${partNum}` : ''}`;
+        const color = getCueColor(cue);
         const colorDot = color !== '#ffffff' ? `<span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${color};margin-right:5px;"></span>` : '';
         html += `<div style="padding: 8px 12px; border-bottom: 1px solid #333; display: flex; align-items: center;">
-            <input type="checkbox" ${checked} onchange="toggleMultiCue('${cue.cue_number}')" style="margin-right: 10px;">
-            ${colorDot}<strong style="color: #4a90e2; margin-right: 10px;">${cue.cue_number}</strong>
+            <input type="checkbox" ${checked} onchange="toggleMultiCue('${cueKey}')" style="margin-right: 10px;">
+            ${colorDot}<strong style="color: #4a90e2; margin-right: 10px;">${cueLabel}</strong>
             <span style="color: #ccc;">${escapeHtml(cue.label || '')}</span>
         </div>`;
     });
     list.innerHTML = html;
 }
 
-function toggleMultiCue(cueNum) {
-    if (multiCueSelection.has(cueNum)) {
-        multiCueSelection.delete(cueNum);
+function toggleMultiCue(cueKey) {
+    if (multiCueSelection.has(cueKey)) {
+        multiCueSelection.delete(cueKey);
     } else {
-        multiCueSelection.add(cueNum);
+        multiCueSelection.add(cueKey);
     }
 }
 
 function selectAllCues() {
-    cueData.forEach(cue => multiCueSelection.add(cue.cue_number));
+    cueData.forEach(cue => multiCueSelection.add(getCueIdentity(cue)));
     populateMultiCueList();
 }
 
@@ -320,7 +678,7 @@ function selectSceneCues() {
     }
     const scene = prompt('Enter scene name to select:\n' + scenes.join(', '));
     if (scene) {
-        cueData.filter(c => c.scene === scene).forEach(c => multiCueSelection.add(c.cue_number));
+        cueData.filter(c => c.scene === scene).forEach(c => multiCueSelection.add(getCueIdentity(c)));
         populateMultiCueList();
     }
 }
@@ -339,43 +697,40 @@ async function applyMultiCueChanges() {
         return;
     }
     
-    let updated = 0;
-    for (const cueNum of multiCueSelection) {
-        const cue = cueData.find(c => c.cue_number === cueNum);
-        if (!cue) continue;
-        
-        if (color) {
-            await fetch(`/api/cues/${encodeURIComponent(cueNum)}/color`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ color })
-            });
-        }
-        
-        if (tag) {
-            const currentTags = cue.tags || [];
-            if (!currentTags.includes(tag)) {
-                const newTags = [...currentTags, tag];
-                await fetch(`/api/cues/${encodeURIComponent(cueNum)}/tags`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ tags: newTags })
-                });
-            }
+    // One request, so the whole edit is one undo step
+    const selected = [...multiCueSelection].map(findCueByIdentity).filter(Boolean).map(cue => ({
+        cue_list: cue.cue_list || '1',
+        cue_number: cue.cue_number,
+        part_number: cue.part_number || 0
+    }));
+    
+    try {
+        const response = await fetch('/api/cues/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cues: selected, color: color, tag: tag })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(`Could not update cues: ${result.error}`);
+            return;
         }
-        updated++;
+        showToast(`Updated ${result.updated} cues - Ctrl+Z to undo`);
+    } catch (error) {
+        alert(`Could not update cues: ${error.message || error}`);
+        return;
     }
-    
-    showToast(`Updated ${updated} cues`);
     closeMultiCueEditor();
     loadCues();
 }
 
 // Tab navigation
-function showTab(tabName) {
+function showTab(tabName, button) {
     // Hide all tabs
     document.getElementById('cues-tab').style.display = 'none';
     document.getElementById('notes-tab').style.display = 'none';
+    document.getElementById('worknotes-tab').style.display = 'none';
+    document.getElementById('script-tab').style.display = 'none';
     document.getElementById('settings-tab').style.display = 'none';
     
     // Show selected tab
@@ -383,13 +738,20 @@ function showTab(tabName) {
     
     // Update active button
     document.querySelectorAll('.nav-button').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
+    (button || event.target).classList.add('active');
     
     // Load data for the tab
     if (tabName === 'cues') {
         loadCues();
     } else if (tabName === 'notes') {
         loadShowNotes();
+    } else if (tabName === 'worknotes') {
+        loadWorkNotes();
+    } else if (tabName === 'script') {
+        showScriptTab();
+    } else if (tabName === 'settings') {
+        loadOscSessions();
+        loadShowSettings();
     }
 }
 
@@ -403,6 +765,7 @@ async function loadSettings() {
         document.getElementById('protocol').value = settings.protocol || 'tcp';
         document.getElementById('port').value = settings.port || 3037;
         document.getElementById('oscVersion').value = settings.oscVersion || '1.1';
+        document.getElementById('recordTraffic').checked = !!settings.recordTraffic;
         mainPlaybackList = String(settings.mainPlaybackList || '1');
         const mainListInput = document.getElementById('mainPlaybackList');
         if (mainListInput) mainListInput.value = mainPlaybackList;
@@ -411,145 +774,716 @@ async function loadSettings() {
     }
 }
 
-function updateDefaultPort() {
-    const protocol = document.getElementById('protocol').value;
-    const portInput = document.getElementById('port');
-    if (protocol === 'tcp') {
-        portInput.value = 3032;
+// OSC session recorder & replay
+async function loadOscSessions() {
+    try {
+        const response = await fetch('/api/osc-sessions');
+        const data = await response.json();
+        renderOscSessions(data.sessions || [], data.recordingSession);
+        renderReplayStatus(data.replay);
+    } catch (error) {
+        console.error('Error loading OSC sessions:', error.message || error);
+    }
+}
+
+function renderOscSessions(sessions, recordingSession) {
+    const container = document.getElementById('oscSessionList');
+    if (!container) return;
+    if (sessions.length === 0) {
+        container.innerHTML = '<p style="color: #666;">No sessions recorded for this show.</p>';
+        return;
+    }
+    container.innerHTML = sessions.map(session => {
+        const name = escapeHtml(session.name);
+        const size = session.size > 1024 * 1024
+            ? `${(session.size / 1024 / 1024).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(session.size / 1024))} KB`;
+        const isRecording = session.name === recordingSession;
+        return `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; margin-bottom: 6px; background: rgba(255,255,255,0.04); border-radius: 8px; flex-wrap: wrap;">
+                <span style="flex: 1; min-width: 220px; font-family: 'Courier New', monospace; font-size: 13px;">${name}</span>
+                <span style="color: #888; font-size: 12px; width: 70px;">${size}</span>
+                ${isRecording
+                    ? '<span style="color: #ff5252; font-size: 12px;">⏺ recording</span>'
+                    : `<button class="button" style="font-size: 12px; padding: 4px 10px;" onclick="replayOscSession('${name}', 1)" title="Replay at real speed">▶ 1x</button>
+                       <button class="button" style="font-size: 12px; padding: 4px 10px;" onclick="replayOscSession('${name}', 4)" title="Replay at 4x speed">▶ 4x</button>
+                       <button class="button" style="font-size: 12px; padding: 4px 10px;" onclick="replayOscSession('${name}', 0)" title="Replay as fast as possible">⏩ Max</button>`}
+                <a class="button" style="font-size: 12px; padding: 4px 10px; text-decoration: none;" href="/api/osc-sessions/${encodeURIComponent(session.name)}" download title="Download">⬇</a>
+                ${isRecording ? '' : `<button class="button danger" style="font-size: 12px; padding: 4px 10px;" onclick="deleteOscSession('${name}')" title="Delete">🗑️</button>`}
+            </div>`;
+    }).join('');
+}
+
+function renderReplayStatus(replay) {
+    const status = document.getElementById('replayStatus');
+    if (!status || !replay) return;
+    if (replay.running) {
+        const speed = replay.speed > 0 ? `${replay.speed}x` : 'full speed';
+        status.innerHTML = `🎞️ Replaying <strong>${escapeHtml(replay.session)}</strong> at ${speed} - ${replay.played}/${replay.total} messages
+            <button class="button danger" style="font-size: 12px; padding: 4px 10px; margin-left: 10px;" onclick="stopOscReplay()">■ Stop</button>`;
+        status.style.display = 'block';
+    } else if (replay.session && replay.completed !== undefined) {
+        status.innerHTML = `🎞️ Replay of <strong>${escapeHtml(replay.session)}</strong> ${replay.completed ? 'finished' : 'stopped'} (${replay.played}/${replay.total} messages)`;
+        status.style.display = 'block';
     } else {
-        portInput.value = 8000;
+        status.style.display = 'none';
     }
 }
 
-async function saveSettings() {
+async function replayOscSession(name, speed) {
+    if (!confirm(`Replay "${name}"?\n\nRecorded traffic will update active/pending cues of the current show (and timings, if recording).`)) return;
     try {
-        const mainListVal = document.getElementById('mainPlaybackList')?.value || '1';
-        mainPlaybackList = String(mainListVal);
-        const settings = {
-            ipAddress: document.getElementById('ipAddress').value,
-            protocol: document.getElementById('protocol').value,
-            port: parseInt(document.getElementById('port').value),
-            oscVersion: document.getElementById('oscVersion').value,
-            mainPlaybackList: mainPlaybackList
-        };
-        
-        const response = await fetch('/api/settings', {
+        const response = await fetch(`/api/osc-sessions/${encodeURIComponent(name)}/replay`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(settings)
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ speed: speed })
         });
-        
-        if (response.ok) {
-            alert('Settings saved successfully!');
-        } else {
-            alert('Error saving settings');
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.error || 'Could not start replay');
+            return;
         }
+        renderReplayStatus(result.replay);
     } catch (error) {
-        console.error('Error saving settings:', error.message || error);
-        alert('Error saving settings');
+        console.error('Error starting replay:', error.message || error);
+        alert('Error starting replay');
     }
 }
 
-async function connectToEOS() {
+async function stopOscReplay() {
     try {
-        const response = await fetch('/api/connect', {
-            method: 'POST'
-        });
-        
-        const result = await response.json();
-        
-        if (result.success) {
-            connectedToEOS = true;
-            document.getElementById('connectionStatus').textContent = 'Connected to EOS console';
-            document.getElementById('connectionStatus').classList.add('connected');
-            updateShowTimerVisibility(); // Show timer controls
-            showToast('Connected to EOS! Click "Refresh Cues" to load cue data.');
-        } else {
-            showToast('Failed to connect to EOS console');
-        }
+        await fetch('/api/osc-replay/stop', { method: 'POST' });
     } catch (error) {
-        console.error('Connection error:', error.message || error);
-        showToast('Error connecting to EOS console');
+        console.error('Error stopping replay:', error.message || error);
     }
 }
 
-async function disconnectFromEOS() {
+async function deleteOscSession(name) {
+    if (!confirm(`Delete recorded session "${name}"?`)) return;
     try {
-        const response = await fetch('/api/disconnect', {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            connectedToEOS = false;
-            document.getElementById('connectionStatus').textContent = 'Not connected to EOS console';
-            document.getElementById('connectionStatus').classList.remove('connected');
-            alert('Disconnected from EOS console');
+        const response = await fetch(`/api/osc-sessions/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            alert(result.error || 'Could not delete session');
+            return;
         }
+        loadOscSessions();
     } catch (error) {
-        console.error('Disconnection error:', error.message || error);
+        console.error('Error deleting session:', error.message || error);
     }
 }
 
-// Cue data functions
-async function loadCues() {
+// Remote console control - GO, Stop/Back and Go To Cue
+// The server refuses every command unless the show allows it and someone armed it;
+// arming times out on the server, the countdown here is only for display
+async function loadRemoteState() {
     try {
-        // Don't refresh if user is editing a page field
-        if (document.activeElement && document.activeElement.classList.contains('page-input')) {
-            return;
-        }
-        
-        const response = await fetch('/api/cues');
-        const cueResponse = await response.json();
-        if (Array.isArray(cueResponse)) {
-            cueData = cueResponse;
-        } else {
-            cueData = cueResponse.cues || [];
-            if (cueResponse.mainPlaybackList && cueResponse.mainPlaybackList !== mainPlaybackList) {
-                mainPlaybackList = String(cueResponse.mainPlaybackList);
-                const mainListInput = document.getElementById('mainPlaybackList');
-                if (mainListInput) mainListInput.value = mainPlaybackList;
-                console.log(`🎛️ Main playback list updated to: ${mainPlaybackList}`);
-            }
-        }
-        
-        // Load all tags
-        const tagsResponse = await fetch('/api/tags');
-        const tagsData = await tagsResponse.json();
-        allTags = tagsData.tags || [];
-        
-        // Detect if main playback active cue changed (for auto-scroll)
-        const newActiveCue = cueData.find(c => c.last_seen === 'active' && String(c.cue_list || '1') === mainPlaybackList);
-        const newPendingCue = cueData.find(c => c.last_seen === 'pending' && String(c.cue_list || '1') === mainPlaybackList);
-        const newActiveCueKey = newActiveCue ? `${newActiveCue.cue_list || '1'}/${newActiveCue.cue_number}` : null;
-        const newPendingCueKey = newPendingCue ? `${newPendingCue.cue_list || '1'}/${newPendingCue.cue_number}` : null;
-        const activeCueChanged = newActiveCueKey !== lastActiveCueNumber;
-        const pendingCueChanged = newPendingCueKey !== lastPendingCueNumber;
-        lastActiveCueNumber = newActiveCueKey;
-        lastPendingCueNumber = newPendingCueKey;
-        
-        populateCueListSelector();
-        displayCueList();
-        updateTagFilters();
-        updateActiveCueNotesPanel();
-        
-        // Auto-scroll to active cue when it changes
-        if (activeCueChanged && newActiveCueKey) {
-            setTimeout(() => {
-                const activeRow = document.querySelector('tr.active-cue');
-                if (activeRow) {
-                    activeRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-            }, 50);
-        }
+        const response = await fetch('/api/remote');
+        applyRemoteState(await response.json());
     } catch (error) {
-        console.error('Error loading cues:', error.message || error);
+        console.error('Error loading remote state:', error.message || error);
     }
 }
 
-async function refreshCues() {
-    try {
+function applyRemoteState(state) {
+    remoteState = state;
+    remoteArmedUntil = state.armed ? Date.now() + state.remainingMs : 0;
+    if (remoteCountdownTimer) {
+        clearInterval(remoteCountdownTimer);
+        remoteCountdownTimer = null;
+    }
+    if (state.armed) {
+        remoteCountdownTimer = setInterval(renderRemoteControls, 1000);
+    }
+    renderRemoteControls();
+}
+
+// GO and Go To Cue act on the list picked in the panel, or the main playback list
+function getRemoteTargetList() {
+    return selectedCueList !== 'all' ? String(selectedCueList) : mainPlaybackList;
+}
+
+function renderRemoteControls() {
+    const panel = document.getElementById('panelRemote');
+    if (!panel) return;
+    panel.style.display = remoteState.enabled ? 'flex' : 'none';
+    
+    const remaining = Math.max(0, Math.ceil((remoteArmedUntil - Date.now()) / 1000));
+    const armed = remoteState.armed && remaining > 0;
+    if (!armed && remoteCountdownTimer) {
+        clearInterval(remoteCountdownTimer);
+        remoteCountdownTimer = null;
+    }
+    const canFire = armed && connectedToEOS;
+    const list = getRemoteTargetList();
+    
+    const armBtn = document.getElementById('remoteArmBtn');
+    armBtn.classList.toggle('armed', armed);
+    armBtn.textContent = armed ? `🔓 Armed ${remaining}s` : '🔒 Arm';
+    armBtn.title = armed ? 'Disarm remote firing' : 'Arm remote firing on the console';
+    
+    const goBtn = document.getElementById('remoteGoBtn');
+    goBtn.disabled = !canFire;
+    goBtn.textContent = list === mainPlaybackList ? 'GO' : `GO L${list}`;
+    document.getElementById('remoteStopBtn').disabled = !canFire || list !== mainPlaybackList;
+    document.getElementById('remoteGotoCue').disabled = !canFire;
+    document.getElementById('remoteGotoBtn').disabled = !canFire;
+}
+
+async function toggleRemoteArm() {
+    const arming = !(remoteState.armed && remoteArmedUntil > Date.now());
+    if (arming && !connectedToEOS) {
+        showToast('Connect to EOS before arming remote firing');
+        return;
+    }
+    try {
+        const response = await fetch('/api/remote/arm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ armed: arming })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || 'Could not arm remote firing');
+            return;
+        }
+        applyRemoteState(result.state);
+    } catch (error) {
+        console.error('Error arming remote firing:', error.message || error);
+    }
+}
+
+async function sendRemoteCommand(action, body) {
+    try {
+        const response = await fetch(`/api/remote/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || 'Console command failed');
+            return false;
+        }
+        showToast(`🎬 ${result.description}`);
+        return true;
+    } catch (error) {
+        console.error('Error sending console command:', error.message || error);
+        showToast('Error sending console command');
+        return false;
+    }
+}
+
+function remoteGo() {
+    sendRemoteCommand('go', { list: getRemoteTargetList() });
+}
+
+function remoteStopBack() {
+    sendRemoteCommand('stop', { list: getRemoteTargetList() });
+}
+
+// Go To Cue jumps out of sequence, so it is always confirmed
+async function remoteGoToCue(list, cueNumber, partNumber) {
+    if (!(remoteState.armed && remoteArmedUntil > Date.now())) {
+        showToast('Arm remote firing in the cue panel first');
+        return false;
+    }
+    const partText = partNumber > 0 ? ` part ${partNumber}` : '';
+    if (!confirm(`Go To Cue ${list}/${cueNumber}${partText} on the console?`)) return false;
+    return sendRemoteCommand('goto', { list: list, cue: cueNumber, part: partNumber || 0 });
+}
+
+async function remoteGoToCueFromPanel() {
+    const input = document.getElementById('remoteGotoCue');
+    const cueNumber = input.value.trim();
+    if (!cueNumber) return;
+    if (await remoteGoToCue(getRemoteTargetList(), cueNumber, 0)) {
+        input.value = '';
+    }
+}
+
+function remoteGoToCueByKey(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    remoteGoToCue(String(cue.cue_list || '1'), cue.cue_number, cue.part_number || 0);
+}
+
+async function loadShowSettings() {
+    try {
+        const response = await fetch('/api/show-settings');
+        const showSettings = await response.json();
+        document.getElementById('remoteFiring').checked = !!showSettings.remoteFiring;
+        document.getElementById('intermissionTag').value = showSettings.intermissionTag || '';
+    } catch (error) {
+        console.error('Error loading show settings:', error.message || error);
+    }
+}
+
+async function saveRemoteFiringSetting() {
+    const checkbox = document.getElementById('remoteFiring');
+    try {
+        const response = await fetch('/api/show-settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ remoteFiring: checkbox.checked })
+        });
+        if (!response.ok) {
+            checkbox.checked = !checkbox.checked;
+            alert('Error saving show settings');
+        }
+    } catch (error) {
+        console.error('Error saving show settings:', error.message || error);
+        checkbox.checked = !checkbox.checked;
+    }
+}
+
+async function saveIntermissionTagSetting() {
+    const input = document.getElementById('intermissionTag');
+    try {
+        const response = await fetch('/api/show-settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ intermissionTag: input.value.trim() })
+        });
+        if (!response.ok) {
+            alert('Error saving show settings');
+        }
+    } catch (error) {
+        console.error('Error saving show settings:', error.message || error);
+    }
+}
+
+// Write labels / notes back to the console
+// The server types them on the command line and reads the cue back to verify
+function describePushResult(result) {
+    const cueText = `${result.cue_list}/${result.cue_number}${result.part_number > 0 ? ` part ${result.part_number}` : ''}`;
+    if (result.error) {
+        return `Cue ${cueText}: ${result.error}`;
+    }
+    const problems = [];
+    ['label', 'notes'].forEach(field => {
+        const check = result[field];
+        if (!check || check.skipped) return;
+        if (!check.ok) {
+            problems.push(`${field} on console is "${check.console}" (sent "${check.sent}")`);
+        } else if (check.adjusted) {
+            problems.push(`${field} sent as "${check.sent}" (quotes, # and line breaks can't be typed on the console)`);
+        }
+    });
+    return problems.length > 0 ? `Cue ${cueText}: ${problems.join('; ')}` : '';
+}
+
+async function pushCueToConsole(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    if (!connectedToEOS) {
+        showToast('Connect to EOS before pushing to the console');
+        return;
+    }
+    const labelInput = document.getElementById(`pushLabel_${cueKey}`);
+    const label = labelInput ? labelInput.value : (cue.label || '');
+    const withNotes = cue.console_notes !== undefined;
+    const partText = cue.part_number > 0 ? ` part ${cue.part_number}` : '';
+    if (!confirm(`Write the label${withNotes ? ' and notes' : ''} of cue ${cue.cue_list || '1'}/${cue.cue_number}${partText} to the console?\n\nThis changes the show file on the console.`)) return;
+    
+    try {
+        const response = await fetch(cueApiUrl(cue, 'push'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Emptying the label field is how a label is removed; empty notes never clear the console's
+            body: JSON.stringify({ label: label, fields: ['label', 'notes'], clear: label.trim() ? [] : ['label'] })
+        });
+        const data = await response.json();
+        if (!response.ok && !data.result) {
+            alert(data.error || 'Could not push to the console');
+            return;
+        }
+        const problem = describePushResult(data.result);
+        if (data.result.verified && !problem) {
+            showToast(`⬆️ Cue ${cue.cue_number} updated on the console`);
+        } else if (data.result.verified) {
+            showToast(`⬆️ Cue ${cue.cue_number} updated - ${problem}`);
+        } else {
+            alert(`Push not verified\n\n${problem}`);
+        }
+    } catch (error) {
+        console.error('Error pushing cue to console:', error.message || error);
+        alert('Error pushing cue to the console');
+    }
+}
+
+async function pushSelectedCuesToConsole() {
+    const fields = [];
+    if (document.getElementById('multiPushLabels').checked) fields.push('label');
+    if (document.getElementById('multiPushNotes').checked) fields.push('notes');
+    if (multiCueSelection.size === 0) {
+        alert('No cues selected');
+        return;
+    }
+    if (fields.length === 0) {
+        alert('Select labels and/or notes to push');
+        return;
+    }
+    if (!connectedToEOS) {
+        alert('Connect to EOS before pushing to the console');
+        return;
+    }
+    const selected = [...multiCueSelection].map(findCueByIdentity).filter(Boolean);
+    if (!confirm(`Write ${fields.join(' and ')} of ${selected.length} cue${selected.length !== 1 ? 's' : ''} to the console?\n\nThis changes the show file on the console.`)) return;
+    
+    const status = document.getElementById('multiPushStatus');
+    const button = document.getElementById('multiPushBtn');
+    button.disabled = true;
+    status.textContent = `Pushing 0/${selected.length}...`;
+    try {
+        const response = await fetch('/api/cues/push', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fields: fields,
+                cues: selected.map(c => ({ cue_list: c.cue_list || '1', cue_number: c.cue_number, part_number: c.part_number || 0 }))
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            status.textContent = data.error || 'Push failed';
+            return;
+        }
+        const problems = data.results.map(describePushResult).filter(Boolean);
+        status.innerHTML = `${data.verified}/${data.total} cues verified on the console` +
+            (problems.length > 0 ? `<br>${problems.map(escapeHtml).join('<br>')}` : '');
+    } catch (error) {
+        console.error('Error pushing cues to console:', error.message || error);
+        status.textContent = 'Error pushing cues to the console';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Offline import of an EOS ASCII / CSV export - previews first, then merges
+async function importShowFile(input) {
+    const file = input.files[0];
+    input.value = '';  // Allow choosing the same file again
+    if (!file) return;
+    
+    const send = async (preview) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('preview', preview ? 'true' : 'false');
+        const response = await fetch('/api/import/show-file', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Import failed');
+        return data.summary;
+    };
+    
+    try {
+        const preview = await send(true);
+        const format = preview.format === 'csv' ? 'CSV' : 'ASCII';
+        const message = `Import ${preview.total} cues from "${file.name}" (${format}) into "${currentShowName}"?\n\n` +
+            `Cue lists: ${preview.lists.join(', ')}\n` +
+            `New cues: ${preview.created}\nUpdated cues: ${preview.updated}\n\n` +
+            'Labels, times and flags are taken from the file. Notes, tags, colors and pages are kept.';
+        if (!confirm(message)) return;
+        
+        const summary = await send(false);
+        showToast(`📥 Imported ${summary.total} cues (${summary.created} new)`);
+        loadCues();
+    } catch (error) {
+        console.error('Error importing show file:', error.message || error);
+        alert(error.message || 'Error importing show file');
+    }
+}
+
+function exportCSV() {
+    window.location.href = '/api/export/csv';
+}
+
+// Edited spreadsheet back in: only notes, tags, pages and cue colors change
+async function importCueCsv(input) {
+    const file = input.files[0];
+    input.value = '';  // Allow choosing the same file again
+    if (!file) return;
+    
+    const send = async (preview) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('preview', preview ? 'true' : 'false');
+        const response = await fetch('/api/import/csv', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Import failed');
+        return data.summary;
+    };
+    
+    try {
+        const preview = await send(true);
+        let message = `Import "${file.name}" into "${currentShowName}"?\n\n` +
+            `Columns: ${preview.columns.join(', ')}\n` +
+            `Cues to update: ${preview.updated}\nUnchanged: ${preview.unchanged}`;
+        if (preview.unmatched.length > 0) {
+            message += `\n\n${preview.unmatched.length} rows have no cue in this show and are skipped: ${preview.unmatched.slice(0, 10).join(', ')}${preview.unmatched.length > 10 ? ', ...' : ''}`;
+        }
+        if (preview.errors.length > 0) {
+            message += `\n\n${preview.errors.length} rows can't be read and are skipped:\n` +
+                preview.errors.slice(0, 5).map(e => `Line ${e.line}: ${e.error}`).join('\n');
+        }
+        if (preview.updated === 0) {
+            alert(message.replace(/^Import .*\?\n\n/, 'Nothing to import.\n\n'));
+            return;
+        }
+        if (!confirm(message)) return;
+        
+        const summary = await send(false);
+        showToast(`📥 Updated ${summary.updated} cue${summary.updated !== 1 ? 's' : ''} from the spreadsheet`);
+    } catch (error) {
+        console.error('Error importing CSV:', error.message || error);
+        alert(error.message || 'Error importing CSV');
+    }
+}
+
+// Images nothing uses any more: list them, then remove after confirmation
+async function cleanOrphanedFiles() {
+    try {
+        const response = await fetch('/api/maintenance/orphaned-files');
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error || 'Check failed');
+        if (report.fileCount === 0) {
+            alert('No orphaned files found.');
+            return;
+        }
+        const lines = report.files.slice(0, 15).map(file =>
+            `${file.show ? `${file.show}: ` : 'uploads: '}${file.name}${file.kind === 'thumbnail' ? ' (thumbnail)' : ''}`);
+        if (report.files.length > 15) lines.push(`... and ${report.files.length - 15} more`);
+        if (!confirm(`${report.fileCount} orphaned file${report.fileCount !== 1 ? 's' : ''} (${(report.totalBytes / 1024 / 1024).toFixed(1)} MB):\n\n${lines.join('\n')}\n\nRemove them?`)) return;
+        
+        const result = await fetch('/api/maintenance/orphaned-files', { method: 'DELETE' });
+        const data = await result.json();
+        if (!result.ok) throw new Error(data.error || 'Cleanup failed');
+        showToast(`🧹 Removed ${data.fileCount} file${data.fileCount !== 1 ? 's' : ''}`);
+    } catch (error) {
+        console.error('Error cleaning orphaned files:', error.message || error);
+        alert(error.message || 'Error cleaning orphaned files');
+    }
+}
+
+// Backups of the open show - made by the server, restored on request
+const announcedRecoveries = new Set();
+
+async function loadBackups() {
+    try {
+        const response = await fetch('/api/backups');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not list backups');
+        renderBackups(data);
+        data.recoveries.forEach(recovery => {
+            if (announcedRecoveries.has(recovery.corruptFile)) return;
+            announcedRecoveries.add(recovery.corruptFile);
+            showToast(recovery.backup
+                ? `⚠️ ${recovery.file} was damaged and has been restored from the backup of ${new Date(backupTimeFromName(recovery.backup)).toLocaleString()}`
+                : `⚠️ ${recovery.file} was damaged and no backup could replace it`);
+        });
+    } catch (error) {
+        console.error('Error loading backups:', error.message || error);
+    }
+}
+
+function backupTimeFromName(name) {
+    return name.replace(/T(\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+function renderBackups(data) {
+    const list = document.getElementById('backupList');
+    if (!list) return;
+    document.getElementById('backupInfo').textContent = `Qnote backs up this show when it is opened and every ${data.intervalMinutes} minutes while it changes, keeping the last ${data.maxBackups}.`;
+    if (data.backups.length === 0) {
+        list.innerHTML = '<p style="color: #888; font-size: 12px;">No backups yet.</p>';
+        return;
+    }
+    list.innerHTML = data.backups.map(backup => `
+        <div style="display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+            <span style="flex: 1; color: #ddd; font-size: 13px;">${escapeHtml(new Date(backup.time).toLocaleString())} <span style="color: #888;">· ${backup.files.length} files</span></span>
+            <button type="button" class="button" style="padding: 4px 10px; font-size: 12px;" onclick="restoreShowBackup('${escapeHtml(backup.name)}')">♻️ Restore</button>
+        </div>`).join('');
+}
+
+async function createBackupNow() {
+    try {
+        const response = await fetch('/api/backups', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Backup failed');
+        showToast('💾 Backup created');
+        loadBackups();
+    } catch (error) {
+        alert(error.message || 'Error creating backup');
+    }
+}
+
+async function restoreShowBackup(name) {
+    if (!confirm(`Restore show "${currentShowName}" to the backup of ${new Date(backupTimeFromName(name)).toLocaleString()}?\n\nThe current state is backed up first, so this can be taken back.`)) return;
+    try {
+        const response = await fetch(`/api/backups/${encodeURIComponent(name)}/restore`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Restore failed');
+        showToast(`♻️ Restored ${data.files.length} files`);
+    } catch (error) {
+        alert(error.message || 'Error restoring backup');
+    }
+}
+
+function updateDefaultPort() {
+    const protocol = document.getElementById('protocol').value;
+    const portInput = document.getElementById('port');
+    if (protocol === 'tcp') {
+        portInput.value = 3032;
+    } else {
+        portInput.value = 8000;
+    }
+}
+
+async function saveSettings() {
+    try {
+        const mainListVal = document.getElementById('mainPlaybackList')?.value || '1';
+        mainPlaybackList = String(mainListVal);
+        const settings = {
+            ipAddress: document.getElementById('ipAddress').value,
+            protocol: document.getElementById('protocol').value,
+            port: parseInt(document.getElementById('port').value),
+            oscVersion: document.getElementById('oscVersion').value,
+            recordTraffic: document.getElementById('recordTraffic').checked,
+            mainPlaybackList: mainPlaybackList
+        };
+        
+        const response = await fetch('/api/settings', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(settings)
+        });
+        
+        if (response.ok) {
+            alert('Settings saved successfully!');
+            loadOscSessions();
+        } else {
+            alert('Error saving settings');
+        }
+    } catch (error) {
+        console.error('Error saving settings:', error.message || error);
+        alert('Error saving settings');
+    }
+}
+
+async function connectToEOS() {
+    try {
+        const response = await fetch('/api/connect', {
+            method: 'POST'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            // Header status follows the live 'connection' events from here on
+            showToast('Connecting to EOS... cue lists load automatically once connected.');
+        } else {
+            showToast('Failed to connect to EOS console');
+        }
+    } catch (error) {
+        console.error('Connection error:', error.message || error);
+        showToast('Error connecting to EOS console');
+    }
+}
+
+async function disconnectFromEOS() {
+    try {
+        const response = await fetch('/api/disconnect', {
+            method: 'POST'
+        });
+        
+        if (response.ok) {
+            alert('Disconnected from EOS console');
+        }
+    } catch (error) {
+        console.error('Disconnection error:', error.message || error);
+    }
+}
+
+// Cue data functions
+async function loadCues() {
+    try {
+        // Don't refresh if user is editing a page field
+        if (document.activeElement && document.activeElement.classList.contains('page-input')) {
+            return;
+        }
+        
+        const response = await fetch('/api/cues');
+        const cueResponse = await response.json();
+        if (Array.isArray(cueResponse)) {
+            cueData = cueResponse;
+        } else {
+            cueData = cueResponse.cues || [];
+            if (cueResponse.mainPlaybackList) {
+                setMainPlaybackList(cueResponse.mainPlaybackList);
+            }
+        }
+        
+        renderCueData();
+    } catch (error) {
+        console.error('Error loading cues:', error.message || error);
+    }
+}
+
+function setMainPlaybackList(listNumber) {
+    if (String(listNumber) === mainPlaybackList) return;
+    mainPlaybackList = String(listNumber);
+    const mainListInput = document.getElementById('mainPlaybackList');
+    if (mainListInput) mainListInput.value = mainPlaybackList;
+    console.log(`🎛️ Main playback list updated to: ${mainPlaybackList}`);
+    renderRemoteControls();
+}
+
+// Re-render everything derived from cueData (list, filters, active panel)
+function renderCueData() {
+    try {
+        // Collect all tags from local data (same as /api/tags)
+        const tagSet = new Set();
+        cueData.forEach(cue => {
+            if (cue.tags && Array.isArray(cue.tags)) {
+                cue.tags.forEach(tag => tagSet.add(tag));
+            }
+        });
+        allTags = Array.from(tagSet).sort();
+        
+        // Detect if main playback active cue changed (for auto-scroll)
+        const newActiveCue = cueData.find(c => c.last_seen === 'active' && String(c.cue_list || '1') === mainPlaybackList);
+        const newPendingCue = cueData.find(c => c.last_seen === 'pending' && String(c.cue_list || '1') === mainPlaybackList);
+        const newActiveCueKey = newActiveCue ? `${newActiveCue.cue_list || '1'}/${newActiveCue.cue_number}` : null;
+        const newPendingCueKey = newPendingCue ? `${newPendingCue.cue_list || '1'}/${newPendingCue.cue_number}` : null;
+        const activeCueChanged = newActiveCueKey !== lastActiveCueNumber;
+        const pendingCueChanged = newPendingCueKey !== lastPendingCueNumber;
+        lastActiveCueNumber = newActiveCueKey;
+        lastPendingCueNumber = newPendingCueKey;
+        
+        populateCueListSelector();
+        displayCueList();
+        updateTagFilters();
+        updateActiveCueNotesPanel();
+        updateScriptActiveCue(activeCueChanged);
+        
+        // Auto-scroll to active cue when it changes
+        if (activeCueChanged && newActiveCueKey) {
+            setTimeout(() => {
+                const activeRow = document.querySelector('tr.active-cue');
+                if (activeRow) {
+                    activeRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            }, 50);
+        }
+    } catch (error) {
+        console.error('Error rendering cues:', error.message || error);
+    }
+}
+
+async function refreshCues() {
+    try {
         const response = await fetch('/api/cues/refresh', {
             method: 'POST',
             headers: {
@@ -563,62 +1497,360 @@ async function refreshCues() {
             setTimeout(loadCues, 2000);
         }
     } catch (error) {
-        console.error('Error refreshing cues:', error.message || error);
+        console.error('Error refreshing cues:', error.message || error);
+    }
+}
+
+// Live updates: the server pushes typed events over Server-Sent Events
+let liveEventSource = null;
+let liveStreamOpenedBefore = false;
+let cueRenderTimer = null;
+let timingsReloadPending = false;
+
+function connectLiveUpdates() {
+    if (liveEventSource) liveEventSource.close();
+    liveEventSource = new EventSource(`/api/events?client=${encodeURIComponent(clientId)}`);
+    
+    liveEventSource.onopen = () => {
+        // EventSource reconnects by itself - anything may have changed while we were away
+        if (liveStreamOpenedBefore) {
+            console.log('🔄 Live updates reconnected - resyncing');
+            resyncAllData();
+        }
+        liveStreamOpenedBefore = true;
+    };
+    
+    liveEventSource.onerror = () => {
+        console.warn('⚠️ Live update stream interrupted - browser will reconnect');
+    };
+    
+    liveEventSource.addEventListener('cue-upsert', (e) => {
+        upsertLocalCue(JSON.parse(e.data));
+        scheduleCueRender();
+    });
+    
+    liveEventSource.addEventListener('cue-delete', (e) => {
+        const data = JSON.parse(e.data);
+        const key = getCueIdentity(data);
+        cueData = cueData.filter(c => getCueIdentity(c) !== key);
+        scheduleCueRender();
+    });
+    
+    liveEventSource.addEventListener('cue-state', (e) => {
+        applyCueState(JSON.parse(e.data));
+        scheduleCueRender();
+    });
+    
+    liveEventSource.addEventListener('playback-list', (e) => {
+        setMainPlaybackList(JSON.parse(e.data).mainPlaybackList);
+        scheduleCueRender();
+    });
+    
+    liveEventSource.addEventListener('show-switch', (e) => {
+        const data = JSON.parse(e.data);
+        if (data.currentShow !== currentShowName) {
+            console.log('🔄 Show changed to:', data.currentShow);
+            currentShowName = data.currentShow;
+            resyncAllData();
+        }
+    });
+    
+    // A backup was restored or a replay ended - same show, new data
+    liveEventSource.addEventListener('show-reload', () => {
+        resyncAllData();
+    });
+    
+    liveEventSource.addEventListener('connection', (e) => {
+        applyConnectionState(JSON.parse(e.data));
+    });
+    
+    liveEventSource.addEventListener('replay', (e) => {
+        const replay = JSON.parse(e.data);
+        renderReplayStatus(replay);
+        if (!replay.running) loadOscSessions();
+    });
+    
+    liveEventSource.addEventListener('console-push', (e) => {
+        const progress = JSON.parse(e.data);
+        const status = document.getElementById('multiPushStatus');
+        if (status && progress.running) {
+            status.textContent = `Pushing ${progress.done}/${progress.total}...`;
+        }
+    });
+    
+    liveEventSource.addEventListener('refresh-report', (e) => {
+        const report = JSON.parse(e.data);
+        renderOrphanBadge(report.orphanCount);
+        const summary = report.summary;
+        if (summary.added + summary.deleted + summary.renumbered + summary.changed > 0) {
+            showToast(`🧾 List ${report.cue_list}: ${summary.added} added, ${summary.deleted} deleted, ${summary.renumbered} renumbered, ${summary.changed} changed`);
+        }
+        if (document.getElementById('refreshHistoryModal').style.display === 'flex') {
+            loadRefreshHistory();
+        }
+    });
+    
+    liveEventSource.addEventListener('remote', (e) => {
+        applyRemoteState(JSON.parse(e.data));
+    });
+    
+    liveEventSource.addEventListener('timing-tick', (e) => {
+        handleTimingTick(JSON.parse(e.data));
+    });
+    
+    liveEventSource.addEventListener('journal', (e) => {
+        handleJournalEvent(JSON.parse(e.data));
+    });
+    
+    liveEventSource.addEventListener('presence', (e) => {
+        applyPresence(JSON.parse(e.data).editors);
+    });
+    
+    liveEventSource.addEventListener('work-notes', (e) => {
+        applyWorkNotes(JSON.parse(e.data).notes);
+    });
+    
+    liveEventSource.addEventListener('standby-call', (e) => {
+        handleStandbyCall(JSON.parse(e.data));
+    });
+    
+    liveEventSource.addEventListener('script', () => {
+        loadScript();
+    });
+    
+    liveEventSource.addEventListener('script-markers', (e) => {
+        applyScriptMarkers(JSON.parse(e.data).markers);
+    });
+}
+
+// Reload everything for the current show (show switch or stream reconnect)
+function resyncAllData() {
+    selectedCueList = 'all';
+    collapsedScenes.clear();
+    loadShows();
+    loadCues();
+    loadShowNotes();
+    loadShowTimings();
+    loadTagColorMappings();
+    loadSceneData();
+    loadRemoteState();
+    loadOrphanCount();
+    loadJournalState();
+    if (userHasRole('stage-manager')) loadBackups();
+    loadWorkNotes();
+    loadScript();
+    if (document.getElementById('refreshHistoryModal').style.display === 'flex') {
+        loadRefreshHistory();
+    }
+}
+
+// Undo / redo - the server keeps one journal per show, shared by every browser
+let journalState = { undo: null, redo: null };
+
+async function loadJournalState() {
+    try {
+        const response = await fetch('/api/journal');
+        renderJournalState(await response.json());
+    } catch (error) {
+        console.error('Error loading undo history:', error.message || error);
+    }
+}
+
+function renderJournalState(state) {
+    journalState = state || { undo: null, redo: null };
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+    if (!undoButton || !redoButton) return;
+    const describe = (entry) => `${entry.action}${entry.author ? ` (${entry.author})` : ''}`;
+    undoButton.disabled = !journalState.undo;
+    undoButton.title = journalState.undo ? `Undo: ${describe(journalState.undo)} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.disabled = !journalState.redo;
+    redoButton.title = journalState.redo ? `Redo: ${describe(journalState.redo)} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Cues come back as cue-upsert events; scene data and tag colors are reloaded
+function handleJournalEvent(data) {
+    renderJournalState(data.state);
+    if (data.targets.includes('scene-data')) loadSceneData();
+    if (data.targets.includes('tag-colors')) loadTagColorMappings();
+}
+
+async function undoLastChange() {
+    await runJournalStep('undo');
+}
+
+async function redoLastChange() {
+    await runJournalStep('redo');
+}
+
+async function runJournalStep(step) {
+    try {
+        const response = await fetch(`/api/journal/${step}`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || `Nothing to ${step}`);
+            return;
+        }
+        handleJournalEvent(result);
+        const skipped = result.skipped > 0 ? ` - ${result.skipped} change${result.skipped !== 1 ? 's' : ''} of deleted cues skipped` : '';
+        showToast(`${step === 'undo' ? '↶ Undone' : '↷ Redone'}: ${result.action}${skipped}`);
+    } catch (error) {
+        console.error(`Error during ${step}:`, error.message || error);
+        alert(`Could not ${step}: ${error.message || error}`);
     }
 }
 
-// Event-driven refresh: check for changes every 500ms when connected
-setInterval(async () => {
-    if (connectedToEOS) {
-        try {
-            const response = await fetch('/api/cues/changed');
-            const result = await response.json();
-            if (result.changed) {
-                console.log('🔄 Cues changed - refreshing list');
-                loadCues();
-            }
-            
-            if (!countdownInterval) {
-                const timingsResp = await fetch('/api/show-timings');
-                const timingsData = await timingsResp.json();
-                if ((timingsData.cueTimings && timingsData.cueTimings.length > 0) || timingsData.isRecording) {
-                    showTimerState = timingsData;
-                    updateShowTimerUI();
-                    startCountdownUpdates();
-                    if (timingsData.cueTimings && timingsData.cueTimings.length > 0) {
-                        const durations = {};
-                        timingsData.cueTimings.forEach(timing => {
-                            durations[String(timing.cueNumber)] = {
-                                duration: timing.timeFromPrevious || 0,
-                                countdown: null,
-                                isActive: false
-                            };
-                        });
-                        currentDurations = durations;
-                        displayCueList();
-                    }
-                }
-            }
-            
-            const showsResponse = await fetch('/api/shows');
-            const showsData = await showsResponse.json();
-            if (showsData.currentShow !== currentShowName) {
-                console.log('🔄 Show changed to:', showsData.currentShow);
-                currentShowName = showsData.currentShow;
-                selectedCueList = 'all';
-                loadShows();
-                loadCues();
-                loadShowNotes();
-                loadShowTimings();
-                loadTagColorMappings();
-                loadSceneData();
-                collapsedScenes.clear();
-            }
-        } catch (error) {
-            console.error('Error checking for changes:', error.message || error);
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside of text fields - those keep their own undo
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || !userHasRole('note-taker')) return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastChange();
+    }
+});
+
+function applyConnectionState(state) {
+    const wasConnected = connectedToEOS;
+    connectedToEOS = !!state.isConnected;
+    renderConnectionStatus(state);
+    if (state.mainPlaybackList) {
+        setMainPlaybackList(state.mainPlaybackList);
+    }
+    if (state.currentShow && state.currentShow !== currentShowName) {
+        currentShowName = state.currentShow;
+        resyncAllData();
+    }
+    if (connectedToEOS && !wasConnected) {
+        updateShowTimerVisibility();
+    }
+    renderRemoteControls();
+}
+
+// Header badge for the EOS link: disconnected / connecting / connected / stale
+function renderConnectionStatus(state) {
+    const statusEl = document.getElementById('connectionStatus');
+    if (!statusEl) return;
+    const attempt = state.reconnectAttempt || 0;
+    let text;
+    switch (state.connectionState) {
+        case 'connected':
+            text = state.connectedEOSShow
+                ? `Connected to EOS: ${state.connectedEOSShow}`
+                : 'Connected to EOS console';
+            break;
+        case 'connecting':
+            text = attempt > 0 ? `Reconnecting to EOS (attempt ${attempt})...` : 'Connecting to EOS...';
+            break;
+        case 'stale':
+            text = 'EOS not responding...';
+            break;
+        default:
+            text = state.reconnecting
+                ? `Connection lost - retrying (attempt ${attempt})`
+                : 'Not connected to EOS console';
+    }
+    statusEl.textContent = text;
+    statusEl.classList.remove('connected', 'connecting', 'stale');
+    if (state.connectionState === 'connected') {
+        statusEl.classList.add('connected');
+    } else if (state.connectionState === 'connecting' || state.connectionState === 'stale' || state.reconnecting) {
+        statusEl.classList.add(state.connectionState === 'stale' ? 'stale' : 'connecting');
+    }
+}
+
+// Unique identity of a cue: list/cue/part
+function getCueIdentity(cue) {
+    return `${cue.cue_list || '1'}/${cue.cue_number}/${cue.part_number || 0}`;
+}
+
+function findCueByIdentity(key) {
+    return cueData.find(c => getCueIdentity(c) === key);
+}
+
+// REST path of a per-cue endpoint, e.g. /api/lists/2/cues/5/parts/1/notes
+function cueApiUrl(cue, field) {
+    const list = encodeURIComponent(cue.cue_list || '1');
+    const number = encodeURIComponent(cue.cue_number);
+    const part = cue.part_number || 0;
+    const partPath = part > 0 ? `/parts/${part}` : '';
+    return `/api/lists/${list}/cues/${number}${partPath}/${field}`;
+}
+
+function upsertLocalCue(cue) {
+    const key = getCueIdentity(cue);
+    const index = cueData.findIndex(c => getCueIdentity(c) === key);
+    if (index !== -1) {
+        cueData[index] = cue;
+        return;
+    }
+    cueData.push(cue);
+    // Same ordering as the server: list, cue number, part
+    cueData.sort((a, b) => {
+        const listA = parseInt(a.cue_list || '1');
+        const listB = parseInt(b.cue_list || '1');
+        if (listA !== listB) return listA - listB;
+        const numA = parseFloat(a.cue_number);
+        const numB = parseFloat(b.cue_number);
+        if (numA !== numB) return numA - numB;
+        return (a.part_number || 0) - (b.part_number || 0);
+    });
+}
+
+// Active/pending moved: clear the old marker in that list, set the new one
+function applyCueState(state) {
+    cueData.forEach(c => {
+        if (c.last_seen === state.type && (state.cue_list === null || String(c.cue_list || '1') === state.cue_list)) {
+            c.last_seen = null;
         }
+    });
+    if (state.cue_number !== null) {
+        const key = getCueIdentity(state);
+        const cue = cueData.find(c => getCueIdentity(c) === key);
+        if (cue) cue.last_seen = state.type;
+    }
+}
+
+// Coalesce bursts of events (e.g. a bulk refresh) into one render
+function scheduleCueRender() {
+    if (cueRenderTimer) return;
+    cueRenderTimer = setTimeout(() => {
+        cueRenderTimer = null;
+        // Don't rebuild the table under the user's cursor - try again shortly
+        const focused = document.activeElement;
+        if (focused && (focused.classList.contains('page-input') || focused.classList.contains('inline-notes-area') || focused.classList.contains('push-label-input'))) {
+            scheduleCueRender();
+            return;
+        }
+        renderCueData();
+    }, 150);
+}
+
+function handleTimingTick(data) {
+    renderStandbyBanner(data.standby || null);
+    // Pick up recordings started, stopped or cleared from another client
+    const localCount = showTimerState?.cueTimings?.length || 0;
+    const localRecording = !!showTimerState?.isRecording;
+    const baselineChanged = data.runCount !== (showTimerState?.runCount || 0) ||
+        JSON.stringify(data.baseline) !== JSON.stringify(showTimerState?.baseline);
+    if (!timingsReloadPending && (data.timingsCount !== localCount || data.isRecording !== localRecording || baselineChanged)) {
+        timingsReloadPending = true;
+        loadShowTimings().finally(() => { timingsReloadPending = false; });
+        return;
+    }
+    if (showTimerState) {
+        showTimerState.pause = data.pause || null;
+        updatePanelRecordingState();
     }
-}, 500);
+    if (countdownActive) {
+        renderCountdown(data);
+    }
+}
 
 function clearCueData() {
     cueData = [];
@@ -626,7 +1858,7 @@ function clearCueData() {
 }
 
 // Predefined tags for quick selection
-const PREDEFINED_TAGS = ['Preset', 'Blackout', 'Special', 'Follow', 'Important', 'Check', 'Slow', 'Fast'];
+const PREDEFINED_TAGS = ['Preset', 'Blackout', 'Special', 'Follow', 'Important', 'Check', 'Slow', 'Fast', 'Intermission'];
 
 // Preset theme colors for cue highlighting - expanded palette
 const PRESET_COLORS = [
@@ -649,7 +1881,7 @@ const PRESET_COLORS = [
 let tagColorMappings = {};
 
 let selectedCueList = 'all';
-let expandedCueNumber = null;
+let expandedCueKey = null;
 
 function jumpToActiveCue() {
     const activeRow = document.querySelector('tr.active-cue');
@@ -682,8 +1914,7 @@ function jumpToPage(pageValue) {
     if (!pageValue) return;
     const cue = cueData.find(c => c.page === pageValue);
     if (cue) {
-        const cueKey = (cue.part_number || 0) > 0 ? `${cue.cue_number}/${cue.part_number}` : cue.cue_number;
-        const row = document.querySelector(`tr[onclick*="toggleCueEdit('${cue.cue_number}'"]`);
+        const row = document.querySelector(`tr[data-cue-key="${CSS.escape(getCueIdentity(cue))}"]`);
         if (row) {
             row.scrollIntoView({ behavior: 'smooth', block: 'center' });
             row.style.outline = '2px solid #667eea';
@@ -784,6 +2015,25 @@ function updatePanelRecordingState() {
     
     if (!btn || !status) return;
     
+    const pause = showTimerState?.pause;
+    const pauseBtn = document.getElementById('panelPauseBtn');
+    if (pauseBtn) {
+        pauseBtn.classList.toggle('paused', !!pause);
+        pauseBtn.textContent = pause ? '▶' : '⏸';
+        pauseBtn.title = pause ? 'Resume the show clock' : 'Pause the show clock';
+    }
+    const intermissionBtn = document.getElementById('panelIntermissionBtn');
+    if (intermissionBtn) intermissionBtn.disabled = !!pause;
+    
+    if (pause) {
+        btn.classList.toggle('recording', !!showTimerState.isRecording);
+        status.classList.remove('recording');
+        status.classList.add('paused');
+        status.textContent = `${pause.type === 'intermission' ? '☕' : '⏸'} ${pause.label} ${formatDurationTime(Math.floor(pause.elapsed))}`;
+        return;
+    }
+    status.classList.remove('paused');
+    
     if (showTimerState && showTimerState.isRecording) {
         btn.classList.add('recording');
         status.classList.add('recording');
@@ -792,7 +2042,12 @@ function updatePanelRecordingState() {
         btn.classList.remove('recording');
         status.classList.remove('recording');
         const timingCount = showTimerState?.cueTimings?.length || 0;
-        status.textContent = timingCount > 0 ? `${timingCount} timings recorded` : 'Not recording';
+        const runCount = showTimerState?.runCount || 0;
+        if (runCount > 0) {
+            status.textContent = `${runCount} run${runCount !== 1 ? 's' : ''} recorded`;
+        } else {
+            status.textContent = timingCount > 0 ? `${timingCount} timings recorded` : 'Not recording';
+        }
     }
 }
 
@@ -806,9 +2061,10 @@ function displayCueList() {
     // Update cue count and total duration
     const filteredCues = getFilteredCues();
     let totalDurationText = '';
-    if (showTimerState && showTimerState.cueTimings && showTimerState.cueTimings.length > 1) {
+    const baselineTimings = getBaselineTimings();
+    if (baselineTimings.length > 1) {
         // Use min/max to ensure correct duration even if data isn't sorted
-        const timestamps = showTimerState.cueTimings.map(t => t.timestamp);
+        const timestamps = baselineTimings.map(t => t.timestamp);
         const minTimestamp = Math.min(...timestamps);
         const maxTimestamp = Math.max(...timestamps);
         const totalDuration = maxTimestamp - minTimestamp;
@@ -887,12 +2143,11 @@ function displayCueList() {
     
     filteredCues.forEach((cue, index) => {
       try {
-        const color = cue.color || '#ffffff';
+        const color = getCueColor(cue);
         const notes = cue.notes || '';
         const tags = cue.tags || [];
-        const partNum = cue.part_number || 0;
-        const cueKey = partNum > 0 ? `${cue.cue_number}/${partNum}` : cue.cue_number;
-        const isExpanded = expandedCueNumber === cueKey;
+        const cueKey = getCueIdentity(cue);
+        const isExpanded = expandedCueKey === cueKey;
         const isActive = cue.last_seen === 'active';
         const cueListNum = String(cue.cue_list || '1');
         // Pending cue only shown for main playback list
@@ -1051,7 +2306,7 @@ function displayCueList() {
         if (color !== '#ffffff') styleVars.push(`--row-color: ${color}`);
         if (isInScene && rowSceneColor) styleVars.push(`--scene-color: ${rowSceneColor}`);
         const colorStyle = styleVars.length > 0 ? `style="${styleVars.join('; ')};"` : '';
-        const colorAttr = color !== '#ffffff' ? `data-color="${color}"` : '';
+        const colorAttr = color !== '#ffffff' ? `data-color="${escapeAttr(color)}"` : '';
         
         // Add active/pending classes
         let rowClasses = [];
@@ -1074,7 +2329,7 @@ function displayCueList() {
             indentIndicator = '<span class="indent-spacer"></span>';
         }
         
-        html += `<tr ${colorAttr} ${colorStyle} ${classAttr} onclick="toggleCueEdit('${cue.cue_number}', ${partNumber})">`;
+        html += `<tr ${colorAttr} ${colorStyle} ${classAttr} data-cue-key="${cueKey}" onclick="toggleCueEdit('${cueKey}')">`;
         html += `<td><span class="cue-number-cell">${indentIndicator}${partNumber > 0 ? cueDisplayNumber : renderCueNumberWithColor(cue.cue_number, color)}${partIndicator}</span></td>`;
         html += `<td><span class="cue-label">${escapeHtml(cue.label || '')}</span></td>`;
         html += `<td class="time-cell">${formatTimeWithDelay(upTime, upDelay)}</td>`;
@@ -1086,8 +2341,20 @@ function displayCueList() {
         html += `<td class="follow-hang-cell"><span class="follow-hang">${escapeHtml(followHang) || '<span class="dim">-</span>'}</span></td>`;
         html += `<td><span class="cue-duration" data-cue="${cue.cue_number}" data-list="${cueListNum}">${durationDisplay}</span></td>`;
         html += `<td>${renderTags(tags)}</td>`;
-        html += `<td class="notes-preview" ${notes ? `data-notes="${escapeHtml(notes)}"` : ''}>${formatNotes(notes) || '<span style="color: #666;">Click to edit</span>'}</td>`;
-        html += `<td class="page-cell" onclick="event.stopPropagation(); makePageEditable(this, '${cue.cue_number}', ${partNumber})">${page ? escapeHtml(page) : '<span class="dim">-</span>'}</td>`;
+        const attachments = cue.attachments || [];
+        const cover = getCoverAttachment(cue);
+        let thumbnail = cover
+            ? `<img class="cue-thumb" src="${attachmentUrl(cover, true)}" loading="lazy" alt="" title="${escapeHtml(cover.caption || cover.name || '')}" onclick="event.stopPropagation(); openAttachment('${cueKey}', '${cover.id}')">`
+            : '';
+        if (attachments.length > (cover ? 1 : 0)) {
+            thumbnail += `<span class="attachment-count" title="${attachments.length} attachments">📎${attachments.length}</span>`;
+        }
+        html += `<td class="notes-preview" ${notes ? `data-notes="${escapeHtml(notes)}"` : ''}>${thumbnail}${formatNotes(notes) || (thumbnail ? '' : '<span style="color: #666;">Click to edit</span>')}</td>`;
+        if (getScriptMarker(cueKey)) {
+            html += `<td class="page-cell placed" onclick="event.stopPropagation(); openScriptAtCue('${cueKey}')" title="Page from the script - click to show the cue in the script">${page ? escapeHtml(page) : '<span class="dim">-</span>'}<span class="script-placed-icon">📜</span></td>`;
+        } else {
+            html += `<td class="page-cell" onclick="event.stopPropagation(); makePageEditable(this, '${cueKey}')">${page ? escapeHtml(page) : '<span class="dim">-</span>'}</td>`;
+        }
         html += '</tr>';
         
         // Expanded inline editor
@@ -1108,6 +2375,8 @@ function displayCueList() {
     
     html += '</tbody></table>';
     cueListElement.innerHTML = html;
+    renderPresenceBadges();
+    renderWorkNoteBadges();
     
     // Update the active/pending cue notes panel
     updateActiveCueNotesPanel();
@@ -1135,13 +2404,11 @@ function formatDurationTime(seconds) {
     return `${mins}:${secs.padStart(4, '0')}`;
 }
 
-function makePageEditable(cell, cueNumber, partNumber) {
-    const cueKey = partNumber > 0 ? `${cueNumber}/${partNumber}` : cueNumber;
-    const cue = cueData.find(c => {
-        const key = (c.part_number || 0) > 0 ? `${c.cue_number}/${c.part_number}` : c.cue_number;
-        return key === cueKey;
-    });
+function makePageEditable(cell, cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue || !userHasRole('note-taker')) return;
     const currentPage = cue?.page || '';
+    const baseRevision = cue.revision;
     
     const input = document.createElement('input');
     input.type = 'text';
@@ -1153,13 +2420,13 @@ function makePageEditable(cell, cueNumber, partNumber) {
     const savePage = async (moveToNext = null) => {
         const newPage = input.value.trim();
         try {
-            await fetch(`/api/cues/${encodeURIComponent(cueNumber)}/page`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ page: newPage, part_number: partNumber })
-            });
-            if (cue) cue.page = newPage;
-            cell.innerHTML = newPage ? escapeHtml(newPage) : '<span class="dim">-</span>';
+            if (newPage !== currentPage) {
+                const saved = await postCueField(cue, 'page', newPage, baseRevision);
+                if (saved.conflict) {
+                    await chooseConflictingValue(cue, 'page', newPage, saved.conflict);
+                }
+            }
+            cell.innerHTML = cue.page ? escapeHtml(cue.page) : '<span class="dim">-</span>';
             updatePageDropdown();
             
             if (moveToNext !== null) {
@@ -1194,7 +2461,7 @@ function makePageEditable(cell, cueNumber, partNumber) {
 }
 
 function moveToAdjacentPageCell(currentCell, direction) {
-    const allPageCells = Array.from(document.querySelectorAll('.page-cell'));
+    const allPageCells = Array.from(document.querySelectorAll('.page-cell:not(.placed)'));
     const currentIndex = allPageCells.indexOf(currentCell);
     const nextIndex = currentIndex + direction;
     
@@ -1226,16 +2493,16 @@ function formatNotes(notes) {
 }
 
 function renderInlineEditor(cue) {
-    const color = cue.color || '#ffffff';
+    const color = getCueColor(cue);
     const notes = cue.notes || '';
     const tags = cue.tags || [];
-    const partNum = cue.part_number || 0;
-    const cueKey = partNum > 0 ? `${cue.cue_number}/${partNum}` : cue.cue_number;
+    const cueKey = getCueIdentity(cue);
     
     let html = '<div class="inline-edit-container">';
     
     // Close button
     html += `<button class="editor-close-btn" onclick="event.stopPropagation(); closeEditor()" title="Close">×</button>`;
+    html += `<div class="presence-banner" data-presence-cue="${cueKey}" style="display: none;"></div>`;
     
     // Color selector
     html += '<div class="edit-section">';
@@ -1246,7 +2513,7 @@ function renderInlineEditor(cue) {
         html += `<div class="color-option ${isSelected ? 'selected' : ''}" 
                      style="background: ${preset.value};"
                      title="${preset.name}"
-                     onclick="setCueColor('${cue.cue_number}', '${preset.value}')">
+                     onclick="setCueColor('${cueKey}', '${preset.value}')">
                     ${isSelected ? '✓' : ''}
                  </div>`;
     });
@@ -1262,9 +2529,9 @@ function renderInlineEditor(cue) {
     allAvailableTags.forEach(tag => {
         const isSelected = tags.includes(tag);
         // Use data attributes to avoid escaping issues in onclick handlers
-        // Don't escape cue_number - it's a number, not user input
+        // Don't escape the cue key - it's built from list/cue/part numbers, not user input
         html += `<span class="tag-option ${isSelected ? 'selected' : ''}" 
-                     data-cue="${cue.cue_number}"
+                     data-cue="${cueKey}"
                      data-tag="${escapeHtml(tag)}"
                      onclick="toggleCueTagFromElement(this)">
                     ${escapeHtml(tag)}
@@ -1273,8 +2540,8 @@ function renderInlineEditor(cue) {
     
     html += '</div>';
     html += '<div class="new-tag-input">';
-    html += `<input type="text" id="newTag_${cue.cue_number}" placeholder="New tag..." onkeypress="if(event.key==='Enter') addNewCueTag('${cue.cue_number}')">`;
-    html += `<button class="button" style="padding: 8px 16px;" onclick="addNewCueTag('${cue.cue_number}')">+ Add</button>`;
+    html += `<input type="text" id="newTag_${cueKey}" placeholder="New tag..." onkeypress="if(event.key==='Enter') addNewCueTag('${cueKey}')">`;
+    html += `<button class="button" style="padding: 8px 16px;" onclick="addNewCueTag('${cueKey}')">+ Add</button>`;
     html += '</div>';
     html += '</div>';
     
@@ -1287,10 +2554,50 @@ function renderInlineEditor(cue) {
         .replace(/>/g, '&gt;');
     html += '<div class="edit-section">';
     html += '<label class="edit-label">Notes:</label>';
-    html += `<textarea id="notes_${cue.cue_number}" class="inline-notes-area" placeholder="Add notes here..." onblur="saveCueNotes('${cue.cue_number}', ${partNum})">${safeNotes}</textarea>`;
+    html += `<textarea id="notes_${cueKey}" class="inline-notes-area" placeholder="Add notes here..." onfocus="beginNotesEdit('${cueKey}')" onblur="saveCueNotes('${cueKey}')">${safeNotes}</textarea>`;
     html += '<span class="auto-save-hint">Auto-saves on click away &bull; Formatting: *bold* &nbsp; _italic_ &nbsp; ~strikethrough~</span>';
     html += '</div>';
     
+    // Attachments: focus photos, script scans, PDFs - the first image is the cue list thumbnail
+    html += '<div class="edit-section">';
+    html += '<label class="edit-label">Attachments:</label>';
+    html += renderAttachmentGallery(cue);
+    html += '</div>';
+    
+    // Work notes: the department fix-list of this cue, updated in place like the presence banner
+    html += '<div class="edit-section">';
+    html += '<label class="edit-label">Work Notes:</label>';
+    html += `<div class="cue-work-notes" data-work-notes-cue="${cueKey}">${renderCueWorkNotes(cueKey)}</div>`;
+    html += '<div class="work-note-form">';
+    html += `<select id="workNoteDept_${cueKey}">${workNoteOptions.departments.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(d)}</option>`).join('')}</select>`;
+    html += `<select id="workNotePriority_${cueKey}">${workNoteOptions.priorities.map(p => `<option value="${p}" ${p === 'normal' ? 'selected' : ''}>${p}</option>`).join('')}</select>`;
+    html += `<input type="text" id="workNoteAssignee_${cueKey}" placeholder="Assignee" maxlength="40" style="width: 120px;">`;
+    html += `<input type="text" id="workNoteText_${cueKey}" placeholder="New work note..." maxlength="2000" style="flex: 1; min-width: 200px;" onkeypress="if(event.key==='Enter') addCueWorkNote('${cueKey}')">`;
+    html += `<button class="button" style="padding: 8px 16px;" onclick="addCueWorkNote('${cueKey}')">+ Add</button>`;
+    html += '</div>';
+    html += '</div>';
+    
+    html += '<div class="edit-section">';
+    html += '<label class="edit-label">History:</label>';
+    html += `<button class="button" style="padding: 8px 16px;" onclick="showCueHistory('${cueKey}')">🕘 Who changed what</button>`;
+    html += '</div>';
+    
+    // Console: label / notes write-back, and Go To Cue (arming is checked on click
+    // since the editor outlives the arm window)
+    html += '<div class="edit-section">';
+    html += '<label class="edit-label">Console:</label>';
+    html += '<div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: center;">';
+    html += `<input type="text" id="pushLabel_${cueKey}" class="push-label-input" value="${escapeHtml(cue.label || '')}" placeholder="Console label" style="flex: 1; min-width: 180px; padding: 8px; border-radius: 6px; border: 1px solid #444; background: #2a2a2a; color: #fff;" onkeypress="if(event.key==='Enter') pushCueToConsole('${cueKey}')">`;
+    html += `<button class="button" style="padding: 8px 16px;" onclick="pushCueToConsole('${cueKey}')" title="Write this label${cue.console_notes !== undefined ? ' and the notes' : ''} to the cue on the console">⬆️ Push to Console</button>`;
+    if (remoteState.enabled) {
+        html += `<button class="button" style="padding: 8px 16px;" onclick="remoteGoToCueByKey('${cueKey}')">🎯 Go To Cue ${escapeHtml(String(cue.cue_number))}${cue.part_number > 0 ? ` part ${cue.part_number}` : ''}</button>`;
+    }
+    html += '</div>';
+    if (cue.console_notes === undefined) {
+        html += '<span class="auto-save-hint">The console has not reported a cue notes field - only the label is pushed</span>';
+    }
+    html += '</div>';
+    
     html += '</div>';
     return html;
 }
@@ -1309,6 +2616,21 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone - text inside an attribute value needs them escaped too
+function escapeAttr(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The server only stores #rrggbb, but a cue color still never goes into a style unchecked
+function getCueColor(cue) {
+    return /^#[0-9a-f]{6}$/i.test(cue.color || '') ? cue.color : '#ffffff';
+}
+
 function decodeHtmlEntities(text) {
     const div = document.createElement('div');
     div.innerHTML = text;
@@ -1336,6 +2658,7 @@ function getFilteredCues() {
 function selectCueList(listValue) {
     selectedCueList = listValue;
     displayCueList();
+    renderRemoteControls();
 }
 
 function populateCueListSelector() {
@@ -1425,31 +2748,26 @@ function clearFilters() {
 }
 
 // Inline cue editing functions
-function toggleCueEdit(cueNumber, partNumber = 0) {
-    // Create unique key for cue+part to support expanding parts separately
-    const cueKey = partNumber > 0 ? `${cueNumber}/${partNumber}` : cueNumber;
-    if (expandedCueNumber === cueKey) {
-        expandedCueNumber = null;
+function toggleCueEdit(cueKey) {
+    if (!userHasRole('note-taker')) return;
+    // Keyed by list/cue/part so parts and same-numbered cues in other lists expand separately
+    if (expandedCueKey === cueKey) {
+        expandedCueKey = null;
     } else {
-        expandedCueNumber = cueKey;
+        expandedCueKey = cueKey;
     }
+    reportPresence();
     displayCueList();
 }
 
-async function setCueColor(cueNumber, color) {
+async function setCueColor(cueKey, color) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    
     try {
-        await fetch(`/api/cues/${cueNumber}/color`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ color })
-        });
-        
-        // Update local data
-        const cue = cueData.find(c => c.cue_number === cueNumber);
-        if (cue) {
-            cue.color = color;
+        const saved = await postCueField(cue, 'color', color, cue.revision);
+        if (saved.conflict) {
+            await chooseConflictingValue(cue, 'color', color, saved.conflict);
         }
         
         displayCueList();
@@ -1461,16 +2779,16 @@ async function setCueColor(cueNumber, color) {
 
 // Helper function to toggle tag from data attributes (safe for special characters)
 function toggleCueTagFromElement(element) {
-    const cueNumber = element.getAttribute('data-cue');
+    const cueKey = element.getAttribute('data-cue');
     // Decode the tag from HTML entities
     const tempDiv = document.createElement('div');
     tempDiv.innerHTML = element.getAttribute('data-tag');
     const tag = tempDiv.textContent;
-    toggleCueTag(cueNumber, tag);
+    toggleCueTag(cueKey, tag);
 }
 
-async function toggleCueTag(cueNumber, tag) {
-    const cue = cueData.find(c => c.cue_number === cueNumber);
+async function toggleCueTag(cueKey, tag) {
+    const cue = findCueByIdentity(cueKey);
     if (!cue) return;
     
     const tags = cue.tags || [];
@@ -1487,21 +2805,12 @@ async function toggleCueTag(cueNumber, tag) {
     
     try {
         // Remember expanded state
-        const wasExpanded = expandedCueNumber;
-        
-        await fetch(`/api/cues/${cueNumber}/tags`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ tags: newTags })
-        });
+        const wasExpanded = expandedCueKey;
         
-        // Update local data
-        cue.tags = newTags;
+        await saveTagChange(cue, newTags, (current) => index > -1 ? current.filter(t => t !== tag) : [...new Set([...current, tag])]);
         
         // Reload to update filters but preserve expanded state
-        expandedCueNumber = wasExpanded;
+        expandedCueKey = wasExpanded;
         loadCues();
     } catch (error) {
         console.error('Error toggling tag:', error.message || error);
@@ -1509,79 +2818,408 @@ async function toggleCueTag(cueNumber, tag) {
     }
 }
 
-async function addNewCueTag(cueNumber) {
-    const input = document.getElementById(`newTag_${cueNumber}`);
-    const tag = input.value.trim();
-    
-    if (!tag) return;
-    
-    const cue = cueData.find(c => c.cue_number === cueNumber);
+async function addNewCueTag(cueKey) {
+    const input = document.getElementById(`newTag_${cueKey}`);
+    const tag = input.value.trim();
+    
+    if (!tag) return;
+    
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    
+    const tags = cue.tags || [];
+    if (tags.includes(tag)) {
+        alert('Tag already exists');
+        return;
+    }
+    
+    const newTags = [...tags, tag];
+    
+    try {
+        // Remember expanded state
+        const wasExpanded = expandedCueKey;
+        
+        await saveTagChange(cue, newTags, (current) => [...new Set([...current, tag])]);
+        input.value = '';
+        
+        // Reload to update filters but preserve expanded state
+        expandedCueKey = wasExpanded;
+        loadCues();
+    } catch (error) {
+        console.error('Error adding tag:', error.message || error);
+        alert('Error adding tag');
+    }
+}
+
+function attachmentUrl(attachment, thumbnail) {
+    return `/api/attachments/${encodeURIComponent(attachment.file)}${thumbnail ? '?thumb=1' : ''}`;
+}
+
+function getCoverAttachment(cue) {
+    return (cue.attachments || []).find(attachment => attachment.type === 'image') || null;
+}
+
+function openAttachment(cueKey, id) {
+    const cue = findCueByIdentity(cueKey);
+    const attachment = cue ? (cue.attachments || []).find(a => a.id === id) : null;
+    if (attachment) {
+        window.open(attachmentUrl(attachment, false), '_blank');
+    }
+}
+
+function renderAttachmentGallery(cue) {
+    const cueKey = getCueIdentity(cue);
+    const attachments = cue.attachments || [];
+    let html = '<div class="attachment-gallery">';
+    attachments.forEach((attachment, index) => {
+        const preview = attachment.type === 'image'
+            ? `<img src="${attachmentUrl(attachment, true)}" alt="" loading="lazy">`
+            : '<span class="attachment-icon">📄</span>';
+        html += `<div class="attachment-card">
+            <div class="attachment-preview" title="${escapeHtml(attachment.name || attachment.file)}" onclick="openAttachment('${cueKey}', '${attachment.id}')">${preview}</div>
+            <input type="text" class="attachment-caption" value="${escapeHtml(attachment.caption || '')}" placeholder="Caption..." maxlength="200" onblur="saveAttachmentCaption('${cueKey}', '${attachment.id}', this.value)" onkeypress="if(event.key==='Enter'){this.blur();}">
+            <div class="attachment-actions">
+                <button class="button" ${index === 0 ? 'disabled' : ''} onclick="moveAttachment('${cueKey}', '${attachment.id}', -1)" title="Move left">◀</button>
+                <button class="button" ${index === attachments.length - 1 ? 'disabled' : ''} onclick="moveAttachment('${cueKey}', '${attachment.id}', 1)" title="Move right">▶</button>
+                <button class="button danger" onclick="removeCueAttachment('${cueKey}', '${attachment.id}')" title="Remove">✕</button>
+            </div>
+        </div>`;
+    });
+    html += '</div>';
+    html += `<input type="file" id="attachments_${cueKey}" accept="image/jpeg,image/png,image/gif,image/webp,application/pdf" multiple style="display: none;" onchange="uploadCueAttachments('${cueKey}', this)">`;
+    html += `<button class="button" style="padding: 8px 16px;" onclick="document.getElementById('attachments_${cueKey}').click()">📎 Add Attachments...</button>`;
+    html += `<span class="auto-save-hint">Images (JPEG, PNG, GIF, WebP) up to ${MAX_IMAGE_SIZE_MB} MB, PDFs up to ${MAX_DOCUMENT_SIZE_MB} MB &bull; the first image is shown in the cue list</span>`;
+    return html;
+}
+
+const MAX_IMAGE_SIZE_MB = 10;
+const MAX_DOCUMENT_SIZE_MB = 25;
+const THUMBNAIL_SIZE = 160;
+
+// JPEG thumbnail drawn by the browser - null if the image can't be decoded here
+function makeImageThumbnail(file) {
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';  // JPEG has no transparency
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => resolve(blob), 'image/jpeg', 0.8);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve(null);
+        };
+        image.src = url;
+    });
+}
+
+// Files are sent one at a time so one bad file doesn't stop the others
+async function uploadCueAttachments(cueKey, input) {
+    const files = Array.from(input.files);
+    input.value = '';
+    const cue = findCueByIdentity(cueKey);
+    if (files.length === 0 || !cue) return;
+    
+    const errors = [];
+    for (const file of files) {
+        const isPdf = file.type === 'application/pdf';
+        const limit = isPdf ? MAX_DOCUMENT_SIZE_MB : MAX_IMAGE_SIZE_MB;
+        if (file.size > limit * 1024 * 1024) {
+            errors.push(`${file.name}: larger than ${limit} MB`);
+            continue;
+        }
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            if (!isPdf) {
+                const thumbnail = await makeImageThumbnail(file);
+                if (thumbnail) formData.append('thumbnail', thumbnail, 'thumbnail.jpg');
+            }
+            const response = await fetch(cueApiUrl(cue, 'attachments'), { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Upload failed');
+            cue.attachments = data.attachments;
+        } catch (error) {
+            console.error('Error adding attachment:', error.message || error);
+            errors.push(`${file.name}: ${error.message || 'upload failed'}`);
+        }
+    }
+    displayCueList();
+    if (errors.length > 0) {
+        alert(`Some files were not attached:\n\n${errors.join('\n')}`);
+    }
+}
+
+async function saveAttachmentCaption(cueKey, id, caption) {
+    const cue = findCueByIdentity(cueKey);
+    const attachment = cue ? (cue.attachments || []).find(a => a.id === id) : null;
+    if (!attachment || (attachment.caption || '') === caption.trim()) return;
+    
+    try {
+        const response = await fetch(`${cueApiUrl(cue, 'attachments')}/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ caption })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Save failed');
+        attachment.caption = data.attachment.caption;
+    } catch (error) {
+        console.error('Error saving caption:', error.message || error);
+        alert(error.message || 'Error saving caption');
+    }
+}
+
+async function moveAttachment(cueKey, id, direction) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    const ids = (cue.attachments || []).map(a => a.id);
+    const index = ids.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    
+    try {
+        const response = await fetch(`${cueApiUrl(cue, 'attachments')}/order`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Reorder failed');
+        cue.attachments = data.attachments;
+        displayCueList();
+    } catch (error) {
+        console.error('Error reordering attachments:', error.message || error);
+        alert(error.message || 'Error reordering attachments');
+    }
+}
+
+async function removeCueAttachment(cueKey, id) {
+    const cue = findCueByIdentity(cueKey);
+    const attachment = cue ? (cue.attachments || []).find(a => a.id === id) : null;
+    if (!attachment || !confirm(`Remove "${attachment.caption || attachment.name || attachment.file}" from cue ${cue.cue_number}?`)) return;
+    
+    try {
+        const response = await fetch(`${cueApiUrl(cue, 'attachments')}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Remove failed');
+        cue.attachments = data.attachments;
+        displayCueList();
+    } catch (error) {
+        console.error('Error removing attachment:', error.message || error);
+        alert(error.message || 'Error removing attachment');
+    }
+}
+
+function closeEditor() {
+    expandedCueKey = null;
+    reportPresence();
+    displayCueList();
+}
+
+// Concurrent editing - every save carries the cue revision the edit started from; the server
+// answers 409 with its current value when someone else changed the cue in between
+const notesEditBase = {};
+
+function beginNotesEdit(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (cue) notesEditBase[cueKey] = { notes: cue.notes || '', revision: cue.revision };
+}
+
+// -> { saved: true } or { conflict } (the 409 body: current, revision, changedBy, changedAt)
+async function postCueField(cue, field, value, revision) {
+    const response = await fetch(cueApiUrl(cue, field), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [field]: value, revision: revision === undefined ? 0 : revision })
+    });
+    const result = await response.json();
+    if (response.status === 409 && result.conflict) {
+        return { conflict: result };
+    }
+    if (!response.ok) throw new Error(result.error || `Could not save ${field}`);
+    cue[field] = value;
+    cue.revision = result.revision;
+    return { saved: true };
+}
+
+function describeConflictValue(value) {
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+    return value ? String(value) : '(empty)';
+}
+
+// Color and page: keep theirs or overwrite with yours
+async function chooseConflictingValue(cue, field, value, conflict) {
+    const who = conflict.changedBy ? `${conflict.changedBy} ` : 'Someone ';
+    const overwrite = confirm(`${who}changed cue ${formatCueRef(cue)} while you were editing.\n\n` +
+        `Their ${field}: ${describeConflictValue(conflict.current)}\nYour ${field}: ${describeConflictValue(value)}\n\n` +
+        `OK = use yours, Cancel = keep theirs`);
+    if (overwrite) {
+        const saved = await postCueField(cue, field, value, conflict.revision);
+        if (saved.conflict) return chooseConflictingValue(cue, field, value, saved.conflict);
+    } else {
+        cue[field] = conflict.current;
+        cue.revision = conflict.revision;
+    }
+}
+
+// Tags merge by themselves: the add or remove is applied again to their tags
+async function saveTagChange(cue, newTags, applyToCurrent) {
+    const saved = await postCueField(cue, 'tags', newTags, cue.revision);
+    if (!saved.conflict) return;
+    const merged = applyToCurrent(saved.conflict.current || []);
+    const retry = await postCueField(cue, 'tags', merged, saved.conflict.revision);
+    if (retry.conflict) throw new Error(retry.conflict.error);
+    showToast(`Tags merged with the change by ${saved.conflict.changedBy || 'another user'}`);
+}
+
+// Lines of theirs, then the lines only you added
+function mergeNoteTexts(base, theirs, mine) {
+    const theirLines = theirs.split('\n');
+    const baseLines = new Set(base.split('\n'));
+    const added = mine.split('\n').filter(line => !theirLines.includes(line) && !baseLines.has(line));
+    return [...theirLines, ...added].join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+let notesConflict = null;
+
+function openNotesConflict(cueKey, base, mine, conflict) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    notesConflict = { cueKey: cueKey, mine: mine, conflict: conflict };
+    const when = conflict.changedAt ? ` at ${new Date(conflict.changedAt).toLocaleTimeString()}` : '';
+    document.getElementById('notesConflictInfo').textContent =
+        `${conflict.changedBy || 'Someone'} changed the notes of cue ${formatCueRef(cue)}${when} while you were typing. Pick a version or edit the merged text.`;
+    document.getElementById('notesConflictTheirs').value = conflict.current || '';
+    document.getElementById('notesConflictMine').value = mine;
+    document.getElementById('notesConflictMerged').value = mergeNoteTexts(base, conflict.current || '', mine);
+    document.getElementById('notesConflictModal').style.display = 'flex';
+}
+
+// choice: 'theirs' | 'mine' | 'merged'
+async function resolveNotesConflict(choice) {
+    if (!notesConflict) return;
+    const { cueKey, mine, conflict } = notesConflict;
+    const cue = findCueByIdentity(cueKey);
+    document.getElementById('notesConflictModal').style.display = 'none';
+    notesConflict = null;
     if (!cue) return;
     
-    const tags = cue.tags || [];
-    if (tags.includes(tag)) {
-        alert('Tag already exists');
-        return;
+    try {
+        if (choice === 'theirs') {
+            cue.notes = conflict.current || '';
+            cue.revision = conflict.revision;
+        } else {
+            const text = choice === 'mine' ? mine : document.getElementById('notesConflictMerged').value;
+            const saved = await postCueField(cue, 'notes', text, conflict.revision);
+            if (saved.conflict) {
+                openNotesConflict(cueKey, conflict.current || '', text, saved.conflict);
+                return;
+            }
+        }
+        const textarea = document.getElementById(`notes_${cueKey}`);
+        if (textarea) textarea.value = cue.notes || '';
+        scheduleCueRender();
+    } catch (error) {
+        console.error('Error saving notes:', error.message || error);
+        alert('Error saving notes');
     }
-    
-    const newTags = [...tags, tag];
-    
+}
+
+// Presence - "Sam is editing" on cues other browsers have open in the editor
+const clientId = sessionStorage.getItem('qnoteClientId') || Math.random().toString(36).slice(2, 12);
+sessionStorage.setItem('qnoteClientId', clientId);
+let cueEditors = [];
+
+async function loadPresence() {
     try {
-        // Remember expanded state
-        const wasExpanded = expandedCueNumber;
-        
-        await fetch(`/api/cues/${cueNumber}/tags`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ tags: newTags })
-        });
-        
-        // Update local data
-        cue.tags = newTags;
-        input.value = '';
-        
-        // Reload to update filters but preserve expanded state
-        expandedCueNumber = wasExpanded;
-        loadCues();
+        const response = await fetch('/api/presence');
+        applyPresence((await response.json()).editors);
     } catch (error) {
-        console.error('Error adding tag:', error.message || error);
-        alert('Error adding tag');
+        console.error('Error loading presence:', error.message || error);
     }
 }
 
-function closeEditor() {
-    expandedCueNumber = null;
-    displayCueList();
+function reportPresence() {
+    const cue = expandedCueKey ? findCueByIdentity(expandedCueKey) : null;
+    fetch('/api/presence', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            clientId: clientId,
+            cue: cue ? { cue_list: cue.cue_list || '1', cue_number: cue.cue_number, part_number: cue.part_number || 0 } : null
+        })
+    }).catch(error => console.error('Error reporting presence:', error.message || error));
+}
+
+// Heartbeat - the server forgets editors it hasn't heard from for 45 seconds
+setInterval(() => {
+    if (expandedCueKey) reportPresence();
+}, 20000);
+
+function applyPresence(editors) {
+    cueEditors = (editors || []).filter(editor => editor.clientId !== clientId);
+    renderPresenceBadges();
+}
+
+function getCueEditors(cueKey) {
+    return cueEditors.filter(editor => getCueIdentity(editor) === cueKey);
+}
+
+// Updated in place so typing in the editor isn't interrupted
+function renderPresenceBadges() {
+    document.querySelectorAll('.presence-badge').forEach(badge => badge.remove());
+    document.querySelectorAll('tr[data-cue-key]').forEach(row => {
+        const names = getCueEditors(row.getAttribute('data-cue-key')).map(editor => editor.name);
+        if (names.length === 0) return;
+        const cell = row.querySelector('.cue-number-cell');
+        if (!cell) return;
+        const badge = document.createElement('span');
+        badge.className = 'presence-badge';
+        badge.textContent = `✏️ ${names.join(', ')}`;
+        badge.title = `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} editing this cue`;
+        cell.appendChild(badge);
+    });
+    document.querySelectorAll('.presence-banner').forEach(banner => {
+        const names = getCueEditors(banner.getAttribute('data-presence-cue')).map(editor => editor.name);
+        banner.style.display = names.length > 0 ? 'block' : 'none';
+        banner.textContent = names.length > 0
+            ? `✏️ ${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} editing this cue too - changes you both make are checked before saving`
+            : '';
+    });
 }
 
-async function saveCueNotes(cueNumber, partNumber = 0) {
-    const textarea = document.getElementById(`notes_${cueNumber}`);
-    if (!textarea) return;
+async function saveCueNotes(cueKey) {
+    const textarea = document.getElementById(`notes_${cueKey}`);
+    const cue = findCueByIdentity(cueKey);
+    if (!textarea || !cue) return;
     const notes = textarea.value;
+    // The text and revision the user started from - nothing typed, nothing to save
+    const base = notesEditBase[cueKey] || { notes: cue.notes || '', revision: cue.revision };
+    delete notesEditBase[cueKey];
+    if (notes === base.notes) return;
     
     try {
         // Remember expanded state
-        const wasExpanded = expandedCueNumber;
-        
-        await fetch(`/api/cues/${cueNumber}/notes`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ notes })
-        });
+        const wasExpanded = expandedCueKey;
         
-        // Update local data
-        const cue = cueData.find(c => c.cue_number === cueNumber);
-        if (cue) {
-            cue.notes = notes;
+        const saved = await postCueField(cue, 'notes', notes, base.revision);
+        if (saved.conflict) {
+            openNotesConflict(cueKey, base.notes, notes, saved.conflict);
         }
         
         // Silently saved - no alert
         // Preserve expanded state after save
-        expandedCueNumber = wasExpanded;
+        expandedCueKey = wasExpanded;
     } catch (error) {
         console.error('Error saving notes:', error.message || error);
         alert('Error saving notes');
@@ -1622,8 +3260,535 @@ async function saveShowNotes() {
     }
 }
 
-function exportPDF() {
+// Department work notes - one list per show, shared live by every browser
+let workNotes = [];
+let workNoteOptions = { departments: [], priorities: [], statuses: [] };
+const WORK_NOTE_STATUS_LABELS = { open: 'Open', done: 'Done', wontfix: 'Won\'t fix' };
+
+async function loadWorkNotes() {
+    try {
+        const response = await fetch('/api/work-notes');
+        const data = await response.json();
+        workNoteOptions = { departments: data.departments, priorities: data.priorities, statuses: data.statuses };
+        const departmentSelect = document.getElementById('workNotesDepartment');
+        if (departmentSelect.options.length === 1) {
+            data.departments.forEach(department => departmentSelect.add(new Option(department, department)));
+        }
+        const dateInput = document.getElementById('workNotesReportDate');
+        if (!dateInput.value) {
+            const today = new Date();
+            dateInput.value = [today.getFullYear(), today.getMonth() + 1, today.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+        }
+        applyWorkNotes(data.notes);
+    } catch (error) {
+        console.error('Error loading work notes:', error.message || error);
+    }
+}
+
+function applyWorkNotes(notes) {
+    workNotes = notes || [];
+    renderWorkNoteBadges();
+    document.querySelectorAll('.cue-work-notes').forEach(container => {
+        container.innerHTML = renderCueWorkNotes(container.getAttribute('data-work-notes-cue'));
+    });
+    if (document.getElementById('worknotes-tab').style.display !== 'none') {
+        renderWorkNotesTab();
+    }
+}
+
+function getOpenWorkNotes(cueKey) {
+    return workNotes.filter(note => note.status === 'open' && getCueIdentity(note) === cueKey);
+}
+
+// Updated in place like the presence badges
+function renderWorkNoteBadges() {
+    document.querySelectorAll('.work-note-badge').forEach(badge => badge.remove());
+    document.querySelectorAll('tr[data-cue-key]').forEach(row => {
+        const open = getOpenWorkNotes(row.getAttribute('data-cue-key'));
+        if (open.length === 0) return;
+        const cell = row.querySelector('.cue-number-cell');
+        if (!cell) return;
+        const badge = document.createElement('span');
+        badge.className = 'work-note-badge';
+        badge.textContent = `🛠️ ${open.length}`;
+        badge.title = [...new Set(open.map(note => note.department))].join(', ') + ` - ${open.length} open work note${open.length !== 1 ? 's' : ''}`;
+        cell.appendChild(badge);
+    });
+}
+
+function renderWorkNoteStatus(note) {
+    if (!userHasRole('note-taker')) return escapeHtml(WORK_NOTE_STATUS_LABELS[note.status]);
+    return `<select onclick="event.stopPropagation()" onchange="updateWorkNote('${note.id}', { status: this.value })">` +
+        workNoteOptions.statuses.map(status => `<option value="${status}" ${status === note.status ? 'selected' : ''}>${WORK_NOTE_STATUS_LABELS[status]}</option>`).join('') +
+        '</select>';
+}
+
+function renderCueWorkNotes(cueKey) {
+    const notes = workNotes.filter(note => getCueIdentity(note) === cueKey);
+    if (notes.length === 0) {
+        return '<span style="color: #666; font-size: 12px;">No work notes</span>';
+    }
+    return notes.map(note => `
+        <div class="work-note-item ${note.status !== 'open' ? 'closed' : ''}">
+            <strong style="min-width: 44px;">${escapeHtml(note.department)}</strong>
+            <span class="priority-${note.priority}" style="min-width: 50px;">${note.priority}</span>
+            <span class="work-note-text" style="flex: 1;">${escapeHtml(note.text)}${note.assignee ? ` <span style="color: #888;">→ ${escapeHtml(note.assignee)}</span>` : ''}</span>
+            ${renderWorkNoteStatus(note)}
+            <button class="button danger" style="padding: 2px 8px; font-size: 12px;" onclick="deleteWorkNote('${note.id}')" title="Delete">✕</button>
+        </div>`).join('');
+}
+
+async function addCueWorkNote(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    const textInput = document.getElementById(`workNoteText_${cueKey}`);
+    if (!cue || !textInput || !textInput.value.trim()) return;
+    try {
+        const response = await fetch(cueApiUrl(cue, 'work-notes'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                department: document.getElementById(`workNoteDept_${cueKey}`).value,
+                priority: document.getElementById(`workNotePriority_${cueKey}`).value,
+                assignee: document.getElementById(`workNoteAssignee_${cueKey}`).value,
+                text: textInput.value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error adding work note');
+        textInput.value = '';
+        applyWorkNotes([...workNotes.filter(note => note.id !== result.note.id), result.note]);
+    } catch (error) {
+        alert(error.message || 'Error adding work note');
+    }
+}
+
+async function updateWorkNote(id, changes) {
+    try {
+        const response = await fetch(`/api/work-notes/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error updating work note');
+        applyWorkNotes(workNotes.map(note => note.id === id ? result.note : note));
+    } catch (error) {
+        alert(error.message || 'Error updating work note');
+    }
+}
+
+async function deleteWorkNote(id) {
+    if (!confirm('Delete this work note? Mark it done or won\'t fix to keep it in the reports.')) return;
+    try {
+        const response = await fetch(`/api/work-notes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error deleting work note');
+        applyWorkNotes(workNotes.filter(note => note.id !== id));
+    } catch (error) {
+        alert(error.message || 'Error deleting work note');
+    }
+}
+
+function renderWorkNotesTab() {
+    const department = document.getElementById('workNotesDepartment').value;
+    const status = document.getElementById('workNotesStatus').value;
+    const list = document.getElementById('workNotesList');
+    const notes = workNotes
+        .filter(note => (department === 'all' || note.department === department) && (status === 'all' || note.status === status))
+        .sort((a, b) => (parseInt(a.cue_list) - parseInt(b.cue_list)) || (parseFloat(a.cue_number) - parseFloat(b.cue_number)) ||
+            (a.part_number - b.part_number) || (workNoteOptions.priorities.indexOf(a.priority) - workNoteOptions.priorities.indexOf(b.priority)));
+    document.getElementById('workNotesCount').textContent = `${notes.length} note${notes.length !== 1 ? 's' : ''}`;
+    if (notes.length === 0) {
+        list.innerHTML = '<div class="empty-state"><p>No work notes match the filter</p></div>';
+        return;
+    }
+    const canEdit = userHasRole('note-taker');
+    let html = '<table class="work-notes-table"><thead><tr><th>Cue</th><th>Label</th><th>Dept</th><th>Priority</th><th>Note</th><th>Assignee</th><th>Status</th><th>Created</th>';
+    html += canEdit ? '<th></th></tr></thead><tbody>' : '</tr></thead><tbody>';
+    notes.forEach(note => {
+        const cueKey = getCueIdentity(note);
+        const cue = findCueByIdentity(cueKey);
+        const partText = note.part_number > 0 ? ` P${note.part_number}` : '';
+        html += `<tr class="${note.status !== 'open' ? 'closed' : ''}">`;
+        html += `<td><span class="work-note-cue" onclick="openWorkNoteCue('${cueKey}')" title="Open in the cue list">${note.cue_list !== '1' ? `${escapeHtml(note.cue_list)}/` : ''}${escapeHtml(note.cue_number)}${partText}</span></td>`;
+        html += `<td>${cue ? escapeHtml(cue.label || '') : '<span style="color: #ef5350;">not on the console</span>'}</td>`;
+        html += `<td>${escapeHtml(note.department)}</td>`;
+        html += `<td class="priority-${note.priority}">${note.priority}</td>`;
+        html += `<td class="work-note-text">${escapeHtml(note.text)}</td>`;
+        html += `<td>${escapeHtml(note.assignee || '')}</td>`;
+        html += `<td>${renderWorkNoteStatus(note)}</td>`;
+        html += `<td style="white-space: nowrap;" title="${note.created_by ? `by ${escapeHtml(note.created_by)}` : ''}">${escapeHtml(new Date(note.created_at).toLocaleDateString())}</td>`;
+        if (canEdit) {
+            html += `<td><button class="button danger" style="padding: 2px 8px; font-size: 12px;" onclick="deleteWorkNote('${note.id}')" title="Delete">✕</button></td>`;
+        }
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    list.innerHTML = html;
+}
+
+// Cue number in the work notes tab -> the cue list, with the cue's editor open
+function openWorkNoteCue(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) {
+        showToast('This cue is not on the console any more');
+        return;
+    }
+    showTab('cues', document.querySelector('.nav-button'));
+    if (selectedCueList !== 'all' && selectedCueList !== String(cue.cue_list || '1')) {
+        document.getElementById('cueListSelect').value = 'all';
+        selectedCueList = 'all';
+    }
+    if (userHasRole('note-taker')) {
+        expandedCueKey = cueKey;
+        reportPresence();
+    }
+    displayCueList();
+    const row = document.querySelector(`tr[data-cue-key="${CSS.escape(cueKey)}"]`);
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function exportWorkNotesReport() {
+    const date = document.getElementById('workNotesReportDate').value;
+    const department = document.getElementById('workNotesDepartment').value;
+    window.open(`/api/work-notes/report?date=${encodeURIComponent(date)}&department=${encodeURIComponent(department)}`, '_blank');
+}
+
+// Script view - the prompt book: the script's pages with each cue on the line where it is called
+let scriptData = null;
+let scriptMarkers = [];
+
+async function loadScript() {
+    try {
+        const response = await fetch('/api/script');
+        const data = await response.json();
+        scriptData = data.script;
+        applyScriptMarkers(data.markers);
+    } catch (error) {
+        console.error('Error loading script:', error.message || error);
+    }
+}
+
+function applyScriptMarkers(markers) {
+    scriptMarkers = markers || [];
+    if (document.getElementById('script-tab').style.display !== 'none') {
+        renderScriptView();
+    }
+    scheduleCueRender();
+}
+
+function getScriptMarker(cueKey) {
+    return scriptMarkers.find(marker => getCueIdentity(marker) === cueKey) || null;
+}
+
+function describeScriptCue(marker) {
+    return `${marker.cue_list !== '1' ? `${marker.cue_list}/` : ''}Q${marker.cue_number}${marker.part_number > 0 ? ` P${marker.part_number}` : ''}`;
+}
+
+function renderScriptCueSelect() {
+    const select = document.getElementById('scriptPlaceCue');
+    const selected = select.value;
+    const cues = cueData.filter(cue => selectedCueList === 'all' || String(cue.cue_list || '1') === selectedCueList);
+    select.innerHTML = '<option value="">Cue to place...</option>' + cues.map(cue => {
+        const cueKey = getCueIdentity(cue);
+        const number = describeScriptCue({ cue_list: String(cue.cue_list || '1'), cue_number: cue.cue_number, part_number: cue.part_number || 0 });
+        return `<option value="${escapeHtml(cueKey)}">${getScriptMarker(cueKey) ? '✓ ' : ''}${escapeHtml(number)}${cue.label ? ` - ${escapeHtml(cue.label)}` : ''}</option>`;
+    }).join('');
+    select.value = cues.some(cue => getCueIdentity(cue) === selected) ? selected : '';
+}
+
+function renderScriptView() {
+    const container = document.getElementById('scriptPages');
+    const info = document.getElementById('scriptInfo');
+    renderScriptCueSelect();
+    if (!scriptData) {
+        info.textContent = '';
+        container.innerHTML = `
+            <div class="empty-state">
+                <p style="font-size: 18px; margin-bottom: 10px;">No script uploaded</p>
+                <p>Upload the script as plain text, then place each cue on the line where it is called</p>
+            </div>`;
+        return;
+    }
+    const markersByLine = {};
+    scriptMarkers.forEach(marker => {
+        const key = `${marker.page_index}:${marker.line}`;
+        (markersByLine[key] = markersByLine[key] || []).push(marker);
+    });
+    info.textContent = `${scriptData.name} · ${scriptData.pages.length} page${scriptData.pages.length !== 1 ? 's' : ''} · ${scriptMarkers.length} cue${scriptMarkers.length !== 1 ? 's' : ''} placed`;
+    const canPlace = userHasRole('note-taker');
+    let html = '';
+    scriptData.pages.forEach((page, pageIndex) => {
+        html += `<div class="script-page"><div class="script-page-number">Page ${escapeHtml(page.number)}</div>`;
+        page.lines.forEach((line, lineIndex) => {
+            const chips = (markersByLine[`${pageIndex}:${lineIndex}`] || []).map(marker => {
+                const cue = findCueByIdentity(getCueIdentity(marker));
+                const title = `${cue && cue.label ? `${cue.label} - ` : ''}${canPlace ? 'click to remove from the script' : ''}`;
+                return `<span class="script-marker" title="${escapeAttr(title)}" onclick="event.stopPropagation(); removeScriptMarker('${getCueIdentity(marker)}')">${escapeHtml(describeScriptCue(marker))}</span>`;
+            }).join('');
+            html += `<div class="script-line" data-page="${pageIndex}" data-line="${lineIndex}" ${canPlace ? `onclick="placeScriptMarker(${pageIndex}, ${lineIndex})"` : ''}>`;
+            html += `<span class="script-line-text">${escapeHtml(line) || '&nbsp;'}</span><span class="script-markers">${chips}</span></div>`;
+        });
+        html += '</div>';
+    });
+    container.innerHTML = html;
+    updateScriptActiveCue(false);
+}
+
+function showScriptTab() {
+    renderScriptView();
+    updateScriptActiveCue(true);
+}
+
+async function uploadScript(input) {
+    const files = Array.from(input.files);
+    input.value = '';
+    if (files.length === 0) return;
+    if (scriptData && !confirm(`Replace the script "${scriptData.name}"? Cues stay placed on lines that still exist.`)) return;
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    try {
+        const response = await fetch('/api/script', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error uploading script');
+        await loadScript();
+        showToast(`📜 ${result.pages} page${result.pages !== 1 ? 's' : ''} uploaded` +
+            (result.dropped > 0 ? ` - ${result.dropped} cue${result.dropped !== 1 ? 's' : ''} no longer placed` : ''));
+    } catch (error) {
+        alert(error.message || 'Error uploading script');
+    }
+}
+
+async function removeScript() {
+    if (!scriptData) return;
+    if (!confirm(`Remove the script "${scriptData.name}" and all cue placements? Cue pages stay as they are.`)) return;
+    try {
+        const response = await fetch('/api/script', { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error removing script');
+        scriptData = null;
+        applyScriptMarkers([]);
+    } catch (error) {
+        alert(error.message || 'Error removing script');
+    }
+}
+
+// Click on a line: the cue picked in the toolbar is called there - then the next unplaced cue is picked
+async function placeScriptMarker(pageIndex, line) {
+    const select = document.getElementById('scriptPlaceCue');
+    const cue = findCueByIdentity(select.value);
+    if (!cue) {
+        showToast('Pick the cue to place first');
+        return;
+    }
+    try {
+        const response = await fetch(cueApiUrl(cue, 'script-marker'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ page_index: pageIndex, line: line })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error placing cue');
+        scriptMarkers = [...scriptMarkers.filter(marker => getCueIdentity(marker) !== select.value), result.marker];
+        const options = Array.from(select.options).map(option => option.value).filter(Boolean);
+        const next = options.slice(options.indexOf(select.value) + 1).find(cueKey => !getScriptMarker(cueKey));
+        select.value = next || '';
+        renderScriptView();
+    } catch (error) {
+        alert(error.message || 'Error placing cue');
+    }
+}
+
+async function removeScriptMarker(cueKey) {
+    const marker = getScriptMarker(cueKey);
+    if (!marker || !userHasRole('note-taker')) return;
+    if (!confirm(`Remove ${describeScriptCue(marker)} from the script?`)) return;
+    try {
+        const response = await fetch(cueApiUrl(marker, 'script-marker'), { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error removing cue from the script');
+        applyScriptMarkers(scriptMarkers.filter(m => m !== marker));
+    } catch (error) {
+        alert(error.message || 'Error removing cue from the script');
+    }
+}
+
+// The active cue of the main playback list (or its cue when a part is active) is highlighted;
+// with "Follow active cue" the script scrolls to it
+function updateScriptActiveCue(scroll) {
+    if (!scriptData || document.getElementById('script-tab').style.display === 'none') return;
+    const active = cueData.find(c => c.last_seen === 'active' && String(c.cue_list || '1') === mainPlaybackList);
+    const marker = active ? (getScriptMarker(getCueIdentity(active)) ||
+        getScriptMarker(getCueIdentity(Object.assign({}, active, { part_number: 0 })))) : null;
+    document.querySelectorAll('.script-line.active').forEach(line => line.classList.remove('active'));
+    if (!marker) return;
+    const line = document.querySelector(`.script-line[data-page="${marker.page_index}"][data-line="${marker.line}"]`);
+    if (!line) return;
+    line.classList.add('active');
+    if (scroll && document.getElementById('scriptFollowActive').checked) {
+        line.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Page cell of a placed cue -> the script at the cue's line
+function openScriptAtCue(cueKey) {
+    const marker = getScriptMarker(cueKey);
+    if (!marker) return;
+    showTab('script', document.querySelector('.nav-button[onclick*="\'script\'"]'));
+    const line = document.querySelector(`.script-line[data-page="${marker.page_index}"][data-line="${marker.line}"]`);
+    if (line) line.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Report builder - presets and columns come from the server
+let reportPresets = [];
+let reportColumns = [];
+
+async function exportPDF() {
+    document.getElementById('pdfExportModal').style.display = 'flex';
+    try {
+        const response = await fetch('/api/report-presets');
+        const data = await response.json();
+        reportPresets = data.presets || [];
+        reportColumns = data.columns || [];
+    } catch (error) {
+        console.error('Error loading report presets:', error.message || error);
+    }
+    renderReportBuilder();
+    const select = document.getElementById('reportPreset');
+    applyReportPreset(select.value);
+}
+
+function closePdfExport() {
+    document.getElementById('pdfExportModal').style.display = 'none';
+}
+
+function renderReportChecks(containerId, name, items) {
+    const container = document.getElementById(containerId);
+    if (items.length === 0) {
+        container.innerHTML = '<span style="color: #666;">--</span>';
+        return;
+    }
+    container.innerHTML = items.map(item => `
+        <label><input type="checkbox" name="${name}" value="${escapeHtml(item.value)}" style="width: auto;"> ${escapeHtml(item.title)}</label>
+    `).join('');
+}
+
+function renderReportBuilder() {
+    const select = document.getElementById('reportPreset');
+    const selected = select.value;
+    select.innerHTML = '<option value="">Custom</option>' +
+        reportPresets.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+    select.value = reportPresets.some(p => p.id === selected) ? selected : (reportPresets[0]?.id || '');
+    
+    renderReportChecks('reportColumns', 'reportColumn', reportColumns.map(c => ({ value: c.key, title: c.title })));
+    const lists = [...new Set(cueData.map(c => String(c.cue_list || '1')))].sort((a, b) => parseFloat(a) - parseFloat(b));
+    renderReportChecks('reportLists', 'reportList', lists.map(list => ({ value: list, title: `List ${list}` })));
+    const tags = [...new Set(cueData.flatMap(c => c.tags || []))].sort();
+    renderReportChecks('reportTags', 'reportTag', tags.map(tag => ({ value: tag, title: tag })));
+    const scenes = [...new Set(cueData.filter(c => c.scene).map(c => c.scene))];
+    renderReportChecks('reportScenes', 'reportScene', scenes.map(scene => ({ value: scene, title: scene })));
+}
+
+function setReportChecks(name, values) {
+    document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+        input.checked = values.includes(input.value);
+    });
+}
+
+function getReportChecks(name) {
+    return Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+}
+
+function applyReportPreset(id) {
+    const preset = reportPresets.find(p => p.id === id);
+    const options = preset ? preset.options : {};
+    setReportChecks('reportColumn', options.columns || ['cue', 'label', 'tags', 'notes', 'page']);
+    setReportChecks('reportList', options.lists || []);
+    setReportChecks('reportTag', options.tags || []);
+    setReportChecks('reportScene', options.scenes || []);
+    document.getElementById('reportPageFrom').value = options.pageFrom ?? '';
+    document.getElementById('reportPageTo').value = options.pageTo ?? '';
+    document.getElementById('pdfOrientation').value = options.orientation || 'portrait';
+    document.getElementById('reportGroupByScene').checked = !!options.groupByScene;
+    document.getElementById('reportShowNotes').checked = options.includeShowNotes !== false;
+    document.getElementById('deleteReportPresetBtn').disabled = !preset;
+}
+
+function getReportOptions() {
+    return {
+        columns: getReportChecks('reportColumn'),
+        lists: getReportChecks('reportList'),
+        tags: getReportChecks('reportTag'),
+        scenes: getReportChecks('reportScene'),
+        pageFrom: document.getElementById('reportPageFrom').value,
+        pageTo: document.getElementById('reportPageTo').value,
+        orientation: document.getElementById('pdfOrientation').value,
+        groupByScene: document.getElementById('reportGroupByScene').checked,
+        includeShowNotes: document.getElementById('reportShowNotes').checked
+    };
+}
+
+async function saveReportPreset() {
+    const current = reportPresets.find(p => p.id === document.getElementById('reportPreset').value);
+    const name = prompt('Preset name (same name overwrites):', current ? current.name : '');
+    if (!name || !name.trim()) return;
+    const existing = reportPresets.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    try {
+        const response = await fetch('/api/report-presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: existing ? existing.id : undefined, name: name.trim(), options: getReportOptions() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            alert(result.error || 'Error saving preset');
+            return;
+        }
+        if (existing) {
+            reportPresets = reportPresets.map(p => p.id === existing.id ? result.preset : p);
+        } else {
+            reportPresets.push(result.preset);
+        }
+        renderReportBuilder();
+        document.getElementById('reportPreset').value = result.preset.id;
+        applyReportPreset(result.preset.id);
+        showToast(`Preset "${result.preset.name}" saved`);
+    } catch (error) {
+        console.error('Error saving report preset:', error.message || error);
+        alert('Error saving preset');
+    }
+}
+
+async function deleteReportPreset() {
+    const id = document.getElementById('reportPreset').value;
+    const preset = reportPresets.find(p => p.id === id);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    try {
+        const response = await fetch(`/api/report-presets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Delete failed');
+        reportPresets = reportPresets.filter(p => p.id !== id);
+        renderReportBuilder();
+        applyReportPreset(document.getElementById('reportPreset').value);
+    } catch (error) {
+        console.error('Error deleting report preset:', error.message || error);
+        alert('Error deleting preset');
+    }
+}
+
+// The PDF is generated on the server; the print view is the old browser-printed report
+function downloadPDF() {
+    const options = getReportOptions();
+    if (options.columns.length === 0) {
+        alert('Choose at least one column');
+        return;
+    }
+    window.open(`/api/export-pdf?options=${encodeURIComponent(JSON.stringify(options))}`, '_blank');
+    closePdfExport();
+}
+
+function openPrintView() {
     window.open('/api/export-html', '_blank');
+    closePdfExport();
 }
 
 // Close modal when clicking outside
@@ -1635,6 +3800,13 @@ window.onclick = function(event) {
 }
 
 // Show Timer Functions
+
+// Timings the countdown predicts from (chosen baseline over the recorded runs)
+function getBaselineTimings() {
+    if (!showTimerState) return [];
+    return showTimerState.baselineTimings || showTimerState.cueTimings || [];
+}
+
 async function loadShowTimings() {
     try {
         const response = await fetch('/api/show-timings');
@@ -1656,13 +3828,14 @@ async function loadShowTimings() {
         
         // Show timer display if connected or if we have recorded timings
         const timerEl = document.getElementById('showTimerDisplay');
-        if (timerEl && (connectedToEOS || (showTimerState.cueTimings && showTimerState.cueTimings.length > 0) || showTimerState.isRecording)) {
+        const baselineTimings = getBaselineTimings();
+        if (timerEl && (connectedToEOS || baselineTimings.length > 0 || showTimerState.isRecording)) {
             timerEl.style.display = 'block';
         }
         
-        if (showTimerState.cueTimings && showTimerState.cueTimings.length > 0) {
+        if (baselineTimings.length > 0) {
             const durations = {};
-            showTimerState.cueTimings.forEach(timing => {
+            baselineTimings.forEach(timing => {
                 const key = String(timing.cueNumber);
                 durations[key] = {
                     duration: timing.timeFromPrevious || 0,
@@ -1710,6 +3883,44 @@ function updateShowTimerUI() {
     updatePanelRecordingState();
 }
 
+// Pause / intermission: the show clock stops until resumed or the next main list cue fires
+async function toggleShowPause() {
+    if (showTimerState?.pause) {
+        await setShowPause('/api/show-timings/resume', {});
+    } else {
+        await setShowPause('/api/show-timings/pause', { type: 'pause' });
+    }
+}
+
+async function startIntermission() {
+    await setShowPause('/api/show-timings/pause', { type: 'intermission', label: 'Intermission' });
+}
+
+async function setShowPause(endpoint, body) {
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!result.success) {
+            showToast(result.error || 'Could not change the pause');
+            return;
+        }
+        if (showTimerState) {
+            showTimerState.pause = endpoint.endsWith('/pause') ? result.pause : null;
+        }
+        updatePanelRecordingState();
+        if (!endpoint.endsWith('/pause')) {
+            showToast(`${result.pause.label} ended after ${formatDurationTime(result.pause.duration)}`);
+        }
+    } catch (error) {
+        console.error('Error changing pause:', error);
+        showToast('Error changing pause');
+    }
+}
+
 async function toggleShowTimerRecording() {
     try {
         const endpoint = showTimerState.isRecording ? '/api/show-timings/stop' : '/api/show-timings/start';
@@ -1729,7 +3940,10 @@ async function toggleShowTimerRecording() {
                 if (count === 0) {
                     showToast('Recording stopped. No cues were recorded - make sure you are connected to EOS and fire cues while recording.');
                 } else {
-                    showToast(`Recording stopped. Recorded ${count} cue${count !== 1 ? 's' : ''}.`);
+                    showToast(`Recording stopped. Recorded ${count} cue${count !== 1 ? 's' : ''} as run ${showTimerState.runCount}.`);
+                }
+                if (document.getElementById('timingRunsModal').style.display === 'flex') {
+                    loadTimingRuns();
                 }
             } else {
                 // Started recording - stop countdown updates
@@ -1750,7 +3964,7 @@ async function toggleShowTimerRecording() {
 }
 
 async function clearShowTimings() {
-    if (!confirm('Clear all recorded show timings? This cannot be undone.')) {
+    if (!confirm('Clear the current timing recording? Recorded runs are kept - delete them in the runs view (📊).')) {
         return;
     }
     
@@ -1771,67 +3985,65 @@ async function clearShowTimings() {
     }
 }
 
-function startCountdownUpdates() {
-    stopCountdownUpdates(); // Clear any existing interval
+function startCountdownUpdates() {
+    // Countdown data arrives with the timing-tick live event every second
+    countdownActive = true;
+}
+
+function renderCountdown(data) {
+    if (!data.hasTimings) {
+        const timerEl = document.getElementById('timerCountdowns');
+        if (timerEl) timerEl.innerHTML = '';
+        updateCueDurations({}, true);
+        return;
+    }
     
-    countdownInterval = setInterval(async () => {
-        try {
-            const response = await fetch('/api/show-timings/countdown');
-            const data = await response.json();
-            
-            if (!data.hasTimings) {
-                const timerEl = document.getElementById('timerCountdowns');
-                if (timerEl) timerEl.innerHTML = '';
-                updateCueDurations({}, true);
-                return;
-            }
-            
-            // Format time as MM:SS or HH:MM:SS
-            const formatTime = (seconds) => {
-                if (seconds === null || seconds < 0) return '--';
-                const hrs = Math.floor(seconds / 3600);
-                const mins = Math.floor((seconds % 3600) / 60);
-                const secs = Math.floor(seconds % 60);
-                
-                if (hrs > 0) {
-                    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-                } else {
-                    return `${mins}:${secs.toString().padStart(2, '0')}`;
-                }
-            };
-            
-            // Always update cue duration displays when we have timings
-            updateCueDurations(data.cueDurations || {});
-            
-            // Update header countdowns
-            let html = '';
-            
-            if (data.isPlaying) {
-                // Show live countdowns when playing
-                if (data.timeToNext !== null) {
-                    html += `<div>⏭️ Next cue in: <strong>${formatTime(data.timeToNext)}</strong></div>`;
-                }
-                
-                if (data.estimatedTimeRemaining !== null) {
-                    html += `<div>🎭 Show ends in: <strong>${formatTime(data.estimatedTimeRemaining)}</strong></div>`;
-                }
-            } else {
-                // Show status when not playing but have timings
-                html += `<div style="color: #888; font-size: 13px;">Waiting for active cue...</div>`;
-            }
-            
-            // Always show total duration when timings exist
-            if (data.totalShowTime) {
-                html += `<div style="margin-top: 8px; font-size: 12px; color: #888;">Total: ${formatTime(data.totalShowTime)}</div>`;
-            }
-            
-            const timerEl = document.getElementById('timerCountdowns');
-            if (timerEl) timerEl.innerHTML = html;
-            
-        } catch (error) {
-            console.error('Error updating countdown:', error.message || error);
+    // Format time as MM:SS or HH:MM:SS
+    const formatTime = (seconds) => {
+        if (seconds === null || seconds < 0) return '--';
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        
+        if (hrs > 0) {
+            return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        } else {
+            return `${mins}:${secs.toString().padStart(2, '0')}`;
+        }
+    };
+    
+    // Always update cue duration displays when we have timings
+    updateCueDurations(data.cueDurations || {});
+    
+    // Update header countdowns
+    let html = '';
+    
+    if (data.isPlaying) {
+        // Show live countdowns when playing
+        if (data.timeToNext !== null) {
+            html += `<div>⏭️ Next cue in: <strong>${formatTime(data.timeToNext)}</strong></div>`;
+        }
+        
+        if (data.pause) {
+            html += `<div>${data.pause.type === 'intermission' ? '☕' : '⏸'} ${escapeHtml(data.pause.label)}: <strong>${formatTime(data.pause.elapsed)}</strong></div>`;
+        }
+        
+        if (data.estimatedTimeRemaining !== null) {
+            const breaks = data.expectedPauseTime > 0 ? ` <span style="color: #888; font-size: 12px;">(incl. ${formatTime(data.expectedPauseTime)} break)</span>` : '';
+            html += `<div>🎭 Show ends in: <strong>${formatTime(data.estimatedTimeRemaining)}</strong>${breaks}</div>`;
         }
-    }, 1000); // Update every second
+    } else {
+        // Show status when not playing but have timings
+        html += `<div style="color: #888; font-size: 13px;">Waiting for active cue...</div>`;
+    }
+    
+    // Always show total duration when timings exist
+    if (data.totalShowTime) {
+        html += `<div style="margin-top: 8px; font-size: 12px; color: #888;">Total: ${formatTime(data.totalShowTime)}</div>`;
+    }
+    
+    const timerEl = document.getElementById('timerCountdowns');
+    if (timerEl) timerEl.innerHTML = html;
 }
 
 function updateCueDurations(cueDurations, forceReplace) {
@@ -1867,19 +4079,17 @@ function updateCueDurations(cueDurations, forceReplace) {
 }
 
 function stopCountdownUpdates() {
-    if (countdownInterval) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
-    }
+    countdownActive = false;
 }
 
 // Show timer controls when connection status changes
 function updateShowTimerVisibility() {
+    const timerEl = document.getElementById('showTimerDisplay');
     if (connectedToEOS) {
-        document.getElementById('showTimerDisplay').style.display = 'block';
+        if (timerEl) timerEl.style.display = 'block';
         loadShowTimings();
     } else {
-        document.getElementById('showTimerDisplay').style.display = 'none';
+        if (timerEl) timerEl.style.display = 'none';
         stopCountdownUpdates();
     }
 }
@@ -1921,6 +4131,15 @@ async function showTimingsEditor() {
                            style="width: 80px; padding: 6px; background: #2a2a2a; border: 1px solid #444; border-radius: 4px; color: #fff; text-align: right;">
                 </td>`;
                 html += '</tr>';
+           
+                // Pauses are not part of the cue times - shown where they happened, read-only
+                (timings.pauses || []).filter(p => String(p.afterCue) === String(timing.cueNumber)).forEach(pause => {
+                    html += `<tr style="border-bottom: 1px solid #333; color: #f39c12; font-style: italic;">`;
+                    html += `<td style="padding: 8px;">${pause.type === 'intermission' ? '☕' : '⏸'}</td>`;
+                    html += `<td style="padding: 8px;">${escapeHtml(pause.label)}</td>`;
+                    html += `<td style="padding: 8px; text-align: right;">${formatDurationTime(pause.duration)} (not counted)</td>`;
+                    html += '</tr>';
+                });
             });
             
             html += '</tbody></table>';
@@ -1978,6 +4197,354 @@ function closeTimingsEditor() {
     editableTimings = [];
 }
 
+// Standby / warning calls - the server gives them from the timing tick, the banner shows the
+// pending cue's latest call until the cue goes; the beep is a setting of this browser
+let standbyLog = [];
+let dismissedStandbyCall = null;
+let standbyAudio = null;
+
+function isStandbyBeepOn() {
+    return localStorage.getItem('qnoteStandbyBeep') === 'on';
+}
+
+function setStandbyBeep(on) {
+    localStorage.setItem('qnoteStandbyBeep', on ? 'on' : 'off');
+    // Browsers only allow audio started from a click - this is the click
+    if (on) playStandbyBeep('warning');
+}
+
+// Warning: one low beep, standby: two high ones
+function playStandbyBeep(type) {
+    try {
+        standbyAudio = standbyAudio || new (window.AudioContext || window.webkitAudioContext)();
+        standbyAudio.resume();
+        const beeps = type === 'standby' ? [0, 0.25] : [0];
+        beeps.forEach(offset => {
+            const oscillator = standbyAudio.createOscillator();
+            const gain = standbyAudio.createGain();
+            const start = standbyAudio.currentTime + offset;
+            oscillator.frequency.value = type === 'standby' ? 1320 : 880;
+            gain.gain.setValueAtTime(0.25, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+            oscillator.connect(gain).connect(standbyAudio.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.2);
+        });
+    } catch (error) {
+        console.error('Error playing standby beep:', error.message || error);
+    }
+}
+
+// call: the timing tick's standby field - { type, text, cue_number, label, due_in } or null
+function renderStandbyBanner(call) {
+    const banner = document.getElementById('standbyBanner');
+    const callKey = call ? `${call.type}|${call.cue_list}/${call.cue_number}` : null;
+    if (!call || callKey === dismissedStandbyCall) {
+        banner.style.display = 'none';
+        return;
+    }
+    banner.className = `standby-banner ${call.type}`;
+    document.getElementById('standbyBannerText').textContent = call.text;
+    document.getElementById('standbyBannerDetail').textContent =
+        `${call.label ? `${call.label} · ` : ''}${call.due_in > 0 ? `due in ${call.due_in}s` : 'due now'}`;
+    banner.dataset.callKey = callKey;
+    banner.style.display = 'block';
+}
+
+function dismissStandbyBanner() {
+    const banner = document.getElementById('standbyBanner');
+    dismissedStandbyCall = banner.dataset.callKey || null;
+    banner.style.display = 'none';
+}
+
+function handleStandbyCall(entry) {
+    if (isStandbyBeepOn()) playStandbyBeep(entry.type);
+    standbyLog.push(entry);
+    if (document.getElementById('standbyCallsModal').style.display === 'flex') {
+        renderStandbyLog();
+    }
+}
+
+async function showStandbyCalls() {
+    document.getElementById('standbyCallsModal').style.display = 'flex';
+    document.getElementById('standbyBeep').checked = isStandbyBeepOn();
+    const canEdit = userHasRole('stage-manager');
+    ['standbyEnabled', 'standbyDepartment', 'standbyWarningSeconds', 'standbyStandbySeconds'].forEach(id => {
+        document.getElementById(id).disabled = !canEdit;
+    });
+    try {
+        const response = await fetch('/api/standby-calls');
+        const data = await response.json();
+        applyStandbySettings(data.settings);
+        standbyLog = data.log || [];
+        renderStandbyLog();
+    } catch (error) {
+        console.error('Error loading standby calls:', error.message || error);
+    }
+}
+
+function closeStandbyCalls() {
+    document.getElementById('standbyCallsModal').style.display = 'none';
+}
+
+function applyStandbySettings(settings) {
+    document.getElementById('standbyEnabled').checked = !!settings.enabled;
+    document.getElementById('standbyDepartment').value = settings.department || '';
+    document.getElementById('standbyWarningSeconds').value = settings.warningSeconds;
+    document.getElementById('standbyStandbySeconds').value = settings.standbySeconds;
+}
+
+async function saveStandbySettings() {
+    try {
+        const response = await fetch('/api/standby-calls/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled: document.getElementById('standbyEnabled').checked,
+                department: document.getElementById('standbyDepartment').value,
+                warningSeconds: document.getElementById('standbyWarningSeconds').value,
+                standbySeconds: document.getElementById('standbyStandbySeconds').value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error saving standby calls');
+        applyStandbySettings(result.settings);
+    } catch (error) {
+        alert(error.message || 'Error saving standby calls');
+    }
+}
+
+// Newest first
+function renderStandbyLog() {
+    const container = document.getElementById('standbyLogContent');
+    if (standbyLog.length === 0) {
+        container.innerHTML = '<p style="color: #666;">No calls given yet.</p>';
+        return;
+    }
+    let html = '<table class="standby-log-table"><thead><tr><th>Time</th><th>Call</th><th>Label</th><th>Before the cue</th></tr></thead><tbody>';
+    [...standbyLog].reverse().forEach(entry => {
+        const time = new Date(entry.time);
+        html += `<tr><td style="white-space: nowrap;">${escapeHtml(time.toLocaleDateString())} ${escapeHtml(time.toLocaleTimeString())}</td>`;
+        html += `<td class="call-${entry.type}">${escapeHtml(entry.text)}</td>`;
+        html += `<td>${escapeHtml(entry.label || '')}</td>`;
+        html += `<td>${entry.due_in}s</td></tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+async function clearStandbyLog() {
+    if (!confirm('Clear the standby call log of this show?')) return;
+    try {
+        const response = await fetch('/api/standby-calls/log', { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Error clearing the log');
+        standbyLog = [];
+        renderStandbyLog();
+    } catch (error) {
+        alert(error.message || 'Error clearing the log');
+    }
+}
+
+// Recorded runs - comparison and countdown baseline
+let timingRuns = [];
+let excludedRunIds = new Set();  // Runs left out of the comparison
+
+function showTimingRuns() {
+    document.getElementById('timingRunsModal').style.display = 'flex';
+    loadTimingRuns();
+}
+
+function closeTimingRuns() {
+    document.getElementById('timingRunsModal').style.display = 'none';
+}
+
+function formatRunDate(run) {
+    return new Date(run.date).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Signed difference - slower (longer) runs in red, faster in green
+function formatDelta(seconds) {
+    if (seconds === null || seconds === undefined) return '';
+    if (seconds === 0) return '±0';
+    const text = formatDurationTime(Math.abs(seconds));
+    return seconds > 0
+        ? `<span class="delta-slower">+${text}</span>`
+        : `<span class="delta-faster">−${text}</span>`;
+}
+
+async function loadTimingRuns() {
+    try {
+        const response = await fetch('/api/show-timings/runs');
+        const data = await response.json();
+        timingRuns = data.runs || [];
+        excludedRunIds = new Set([...excludedRunIds].filter(id => timingRuns.some(r => r.id === id)));
+        renderBaselineControls(data.baseline);
+        renderTimingRuns();
+        loadTimingStats();
+    } catch (error) {
+        console.error('Error loading runs:', error.message || error);
+    }
+}
+
+function renderBaselineControls(baseline) {
+    document.getElementById('baselineMode').value = baseline.mode;
+    const countInput = document.getElementById('baselineCount');
+    countInput.value = baseline.count;
+    countInput.style.display = baseline.mode === 'average' ? '' : 'none';
+    
+    const runSelect = document.getElementById('baselineRun');
+    runSelect.innerHTML = timingRuns.map((run, index) =>
+        `<option value="${escapeHtml(run.id)}" ${run.id === baseline.runId ? 'selected' : ''}>Run ${index + 1} - ${escapeHtml(formatRunDate(run))}</option>`
+    ).join('');
+    runSelect.style.display = baseline.mode === 'run' ? '' : 'none';
+}
+
+async function saveBaseline() {
+    const mode = document.getElementById('baselineMode').value;
+    const runSelect = document.getElementById('baselineRun');
+    if (mode === 'run' && !runSelect.value) {
+        alert('No recorded runs yet');
+        loadTimingRuns();
+        return;
+    }
+    try {
+        const response = await fetch('/api/show-timings/baseline', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                mode: mode,
+                count: parseInt(document.getElementById('baselineCount').value) || 1,
+                runId: runSelect.value || null
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not save baseline');
+        renderBaselineControls(result.baseline);
+        loadShowTimings();
+    } catch (error) {
+        console.error('Error saving baseline:', error.message || error);
+        alert(error.message || 'Error saving baseline');
+    }
+}
+
+function renderTimingRuns() {
+    const listDiv = document.getElementById('timingRunsList');
+    if (timingRuns.length === 0) {
+        listDiv.innerHTML = '<p style="color: #666;">No runs recorded yet. Start a recording in the cue panel (⏺) and stop it after the show.</p>';
+        return;
+    }
+    
+    let html = '<table class="runs-table"><thead><tr>';
+    html += '<th class="text-cell"></th><th class="text-cell">Run</th><th class="text-cell">Date</th><th>Cues</th><th>Total</th><th>Δ</th><th title="Pauses and intermissions - not part of the total">Paused</th><th class="text-cell">Notes</th><th></th>';
+    html += '</tr></thead><tbody>';
+    
+    let previousTotal = null;
+    timingRuns.forEach((run, index) => {
+        const included = !excludedRunIds.has(run.id);
+        const delta = previousTotal !== null ? run.totalTime - previousTotal : null;
+        previousTotal = run.totalTime;
+        html += `<tr>
+            <td class="text-cell"><input type="checkbox" ${included ? 'checked' : ''} onchange="toggleRunComparison('${escapeHtml(run.id)}', this.checked)" title="Include in comparison" style="width: auto;"></td>
+            <td class="text-cell">${index + 1}</td>
+            <td class="text-cell">${escapeHtml(formatRunDate(run))}</td>
+            <td>${run.cueCount}</td>
+            <td>${formatDurationTime(run.totalTime)}</td>
+            <td>${formatDelta(delta)}</td>
+            <td title="${run.pauseCount} pause${run.pauseCount !== 1 ? 's' : ''}">${run.pauseCount > 0 ? formatDurationTime(run.pauseTime) : '--'}</td>
+            <td class="text-cell"><input type="text" class="input" value="${escapeHtml(run.notes)}" placeholder="e.g. Preview 2, slow house" onblur="updateRunNotes('${escapeHtml(run.id)}', this.value)" onkeypress="if(event.key==='Enter'){this.blur();}" style="width: 100%; padding: 4px 8px; font-size: 12px;"></td>
+            <td><button class="action-button" onclick="deleteTimingRun('${escapeHtml(run.id)}')" title="Delete run">🗑️</button></td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+    listDiv.innerHTML = html;
+}
+
+function toggleRunComparison(id, included) {
+    if (included) {
+        excludedRunIds.delete(id);
+    } else {
+        excludedRunIds.add(id);
+    }
+    loadTimingStats();
+}
+
+async function updateRunNotes(id, notes) {
+    const run = timingRuns.find(r => r.id === id);
+    if (!run || run.notes === notes) return;
+    try {
+        await fetch(`/api/show-timings/runs/${encodeURIComponent(id)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ notes: notes })
+        });
+        run.notes = notes;
+    } catch (error) {
+        console.error('Error saving run notes:', error.message || error);
+    }
+}
+
+async function deleteTimingRun(id) {
+    const index = timingRuns.findIndex(r => r.id === id);
+    if (index === -1 || !confirm(`Delete run ${index + 1} (${formatRunDate(timingRuns[index])})? This cannot be undone.`)) return;
+    try {
+        await fetch(`/api/show-timings/runs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        loadTimingRuns();
+        loadShowTimings();
+    } catch (error) {
+        console.error('Error deleting run:', error.message || error);
+    }
+}
+
+async function loadTimingStats() {
+    const statsDiv = document.getElementById('timingStatsContent');
+    const selected = timingRuns.filter(r => !excludedRunIds.has(r.id));
+    if (selected.length === 0) {
+        statsDiv.innerHTML = '';
+        return;
+    }
+    try {
+        const response = await fetch(`/api/show-timings/stats?runs=${selected.map(r => encodeURIComponent(r.id)).join(',')}`);
+        renderTimingStats(await response.json());
+    } catch (error) {
+        console.error('Error loading run statistics:', error.message || error);
+    }
+}
+
+function renderTimingStats(stats) {
+    const statsDiv = document.getElementById('timingStatsContent');
+    const lastDelta = (row) => row.deltas.length > 0 ? row.deltas[row.deltas.length - 1] : null;
+    const statCells = (row) => `
+        <td>${row.stats.count}</td>
+        <td>${formatDurationTime(row.stats.mean)}</td>
+        <td>${formatDurationTime(row.stats.min)}</td>
+        <td>${formatDurationTime(row.stats.max)}</td>
+        <td>${row.stats.stddev !== null ? row.stats.stddev.toFixed(1) + 's' : '--'}</td>
+        <td>${formatDelta(lastDelta(row))}</td>`;
+    
+    let html = `<h3 style="color: #4a90e2; margin: 0 0 10px; font-size: 15px;">📊 Comparison of ${stats.runs.length} run${stats.runs.length !== 1 ? 's' : ''}</h3>`;
+    html += '<table class="runs-table"><thead><tr>';
+    html += '<th class="text-cell">Cue</th><th class="text-cell">Label</th><th>Runs</th><th>Mean</th><th>Min</th><th>Max</th><th>Std dev</th><th title="Last run compared to the run before">Last Δ</th>';
+    html += '</tr></thead><tbody>';
+    html += `<tr class="scene-row"><td class="text-cell" colspan="2">Whole show</td>${statCells(stats.totals)}</tr>`;
+    if (stats.pauses && stats.pauses.values.some(v => v > 0)) {
+        html += `<tr class="scene-row"><td class="text-cell" colspan="2">☕ Pauses / intermission</td>${statCells(stats.pauses)}</tr>`;
+    }
+    
+    // Scene totals first, then every cue under its scene
+    const renderedScenes = new Set();
+    stats.cues.forEach(row => {
+        if (row.scene && !renderedScenes.has(row.scene)) {
+            renderedScenes.add(row.scene);
+            const sceneRow = stats.scenes.find(s => s.scene === row.scene);
+            html += `<tr class="scene-row"><td class="text-cell" colspan="2">🎬 ${escapeHtml(row.scene)}</td>${statCells(sceneRow)}</tr>`;
+        }
+        html += `<tr><td class="text-cell">${escapeHtml(row.cueNumber)}</td><td class="text-cell">${escapeHtml(row.label || '')}</td>${statCells(row)}</tr>`;
+    });
+    html += '</tbody></table>';
+    statsDiv.innerHTML = html;
+}
+
 function showToast(message) {
     const toast = document.createElement('div');
     toast.className = 'toast-notification';
@@ -2180,7 +4747,8 @@ function calculateDuration() {
 
 function calculateCueDuration(startCueNum, endCueNum) {
     // Check if we have any recorded timings
-    if (!showTimerState || !showTimerState.cueTimings || showTimerState.cueTimings.length === 0) {
+    const baselineTimings = getBaselineTimings();
+    if (baselineTimings.length === 0) {
         return { duration: 'No timing data available', missingCount: 0 };
     }
     
@@ -2203,7 +4771,7 @@ function calculateCueDuration(startCueNum, endCueNum) {
     let lastTimestamp = null;
     
     for (const cue of cuesInRange) {
-        const timing = showTimerState.cueTimings.find(t => t.cueNumber === cue.cue_number);
+        const timing = baselineTimings.find(t => t.cueNumber === cue.cue_number);
         if (timing) {
             if (firstTimestamp === null) {
                 firstTimestamp = timing.timestamp;
@@ -2223,6 +4791,243 @@ function calculateCueDuration(startCueNum, endCueNum) {
     return { duration: 'No timing data in range', missingCount };
 }
 
+// Sync changes - refresh reports and notes of cues deleted on the console
+const REPORT_FIELD_NAMES = {
+    label: 'Label',
+    up_time: 'Up', up_delay: 'Up delay', down_time: 'Down', down_delay: 'Down delay',
+    focus_time: 'Focus', focus_delay: 'Focus delay', color_time: 'Color', color_delay: 'Color delay',
+    beam_time: 'Beam', beam_delay: 'Beam delay',
+    follow_time: 'Follow', hang_time: 'Hang',
+    mark: 'Mark', block: 'Block', assert: 'Assert'
+};
+let orphanedNotes = [];
+
+function renderOrphanBadge(count) {
+    const badge = document.getElementById('orphanBadge');
+    if (!badge) return;
+    badge.textContent = count;
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
+async function loadOrphanCount() {
+    try {
+        const response = await fetch('/api/orphaned-notes');
+        const data = await response.json();
+        renderOrphanBadge((data.orphans || []).length);
+    } catch (error) {
+        console.error('Error loading orphaned notes:', error.message || error);
+    }
+}
+
+function showRefreshHistory() {
+    document.getElementById('refreshHistoryModal').style.display = 'flex';
+    loadRefreshHistory();
+}
+
+function closeRefreshHistory() {
+    document.getElementById('refreshHistoryModal').style.display = 'none';
+}
+
+async function loadRefreshHistory() {
+    try {
+        const [historyResponse, orphanResponse] = await Promise.all([
+            fetch('/api/refresh-history'),
+            fetch('/api/orphaned-notes')
+        ]);
+        const history = await historyResponse.json();
+        orphanedNotes = (await orphanResponse.json()).orphans || [];
+        renderOrphanBadge(orphanedNotes.length);
+        renderOrphanedNotes();
+        renderRefreshHistory(history.reports || []);
+    } catch (error) {
+        console.error('Error loading refresh history:', error.message || error);
+    }
+}
+
+// Per-cue change history (notes, color, tags, page) from the undo journal
+const HISTORY_FIELD_NAMES = { notes: 'Notes', color: 'Color', tags: 'Tags', page: 'Page' };
+
+async function showCueHistory(cueKey) {
+    const cue = findCueByIdentity(cueKey);
+    if (!cue) return;
+    document.getElementById('cueHistoryTitle').textContent = `History of Cue ${formatCueRef(cue)}${(cue.cue_list || '1') !== '1' ? ` (list ${cue.cue_list})` : ''}`;
+    const contentDiv = document.getElementById('cueHistoryContent');
+    contentDiv.innerHTML = '<p style="color: #888;">Loading...</p>';
+    document.getElementById('cueHistoryModal').style.display = 'flex';
+    
+    try {
+        const response = await fetch(cueApiUrl(cue, 'history'));
+        const data = await response.json();
+        renderCueHistory(data.history || []);
+    } catch (error) {
+        contentDiv.innerHTML = `<p style="color: #ef5350;">Could not load the history: ${escapeHtml(error.message || String(error))}</p>`;
+    }
+}
+
+function closeCueHistory() {
+    document.getElementById('cueHistoryModal').style.display = 'none';
+}
+
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return '<span style="color: #666;">(empty)</span>';
+    }
+    if (field === 'color') {
+        return `<span style="display: inline-block; width: 12px; height: 12px; border-radius: 3px; background: ${escapeHtml(value)}; vertical-align: middle;"></span> ${escapeHtml(value)}`;
+    }
+    if (Array.isArray(value)) return escapeHtml(value.join(', '));
+    return escapeHtml(String(value));
+}
+
+function renderCueHistory(history) {
+    const contentDiv = document.getElementById('cueHistoryContent');
+    if (history.length === 0) {
+        contentDiv.innerHTML = '<p style="color: #888;">No changes recorded for this cue yet.</p>';
+        return;
+    }
+    
+    contentDiv.innerHTML = history.map(item => `
+        <div class="history-item${item.undone ? ' undone' : ''}">
+            <div class="history-meta">${escapeHtml(new Date(item.time).toLocaleString())} · ${escapeHtml(item.author || 'unknown')} · ${escapeHtml(item.action)}${item.undone ? ' · <span class="report-deleted">undone</span>' : ''}</div>
+            <div><strong>${escapeHtml(HISTORY_FIELD_NAMES[item.field] || item.field)}:</strong>
+                <span class="history-value">${formatHistoryValue(item.field, item.before)}</span> → <span class="history-value">${formatHistoryValue(item.field, item.after)}</span></div>
+        </div>`).join('');
+}
+
+function formatCueRef(cue) {
+    return `${cue.cue_number}${cue.part_number > 0 ? ` P${cue.part_number}` : ''}`;
+}
+
+function formatReportValue(field, value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'number') return `${value}s`;
+    if (value === true) return 'yes';
+    return `"${value}"`;
+}
+
+function renderOrphanedNotes() {
+    const contentDiv = document.getElementById('orphanedNotesContent');
+    if (orphanedNotes.length === 0) {
+        contentDiv.innerHTML = '';
+        return;
+    }
+    
+    let html = `<h3 style="color: #ef5350; margin: 0 0 10px; font-size: 15px;">🗂️ Orphaned Notes (${orphanedNotes.length})</h3>`;
+    orphanedNotes.forEach(orphan => {
+        // Notes orphaned before attachments carry a single image_path
+        const attachmentCount = (orphan.attachments || []).length || (orphan.image_path ? 1 : 0);
+        const extras = [
+            orphan.tags && orphan.tags.length > 0 ? `🏷️ ${orphan.tags.join(', ')}` : '',
+            orphan.page ? `📖 p.${orphan.page}` : '',
+            attachmentCount > 0 ? `📎 ${attachmentCount} attachment${attachmentCount !== 1 ? 's' : ''}` : ''
+        ].filter(Boolean).join(' ');
+        html += `<div class="orphan-row">
+            <span style="color: #888; white-space: nowrap;">Cue ${escapeHtml(orphan.cue_list)}/${escapeHtml(formatCueRef(orphan))}</span>
+            <span class="orphan-text"><strong>${escapeHtml(orphan.label || 'No label')}</strong>${orphan.notes ? `\n${escapeHtml(orphan.notes)}` : ''}${extras ? `\n${escapeHtml(extras)}` : ''}</span>
+            <button class="action-button" onclick="attachOrphanedNotes('${escapeHtml(orphan.id)}')">📎 Attach</button>
+            <button class="action-button" onclick="discardOrphanedNotes('${escapeHtml(orphan.id)}')">🗑️</button>
+        </div>`;
+    });
+    contentDiv.innerHTML = html + '<div style="margin-bottom: 20px;"></div>';
+}
+
+function renderRefreshHistory(reports) {
+    const contentDiv = document.getElementById('refreshHistoryContent');
+    if (reports.length === 0) {
+        contentDiv.innerHTML = '<p style="color: #666;">No refreshes recorded for this show yet.</p>';
+        return;
+    }
+    
+    let html = '';
+    reports.forEach((report, index) => {
+        const summary = report.summary;
+        const total = summary.added + summary.deleted + summary.renumbered + summary.changed;
+        const parts = [];
+        if (summary.added) parts.push(`<span class="report-added">+${summary.added} added</span>`);
+        if (summary.deleted) parts.push(`<span class="report-deleted">−${summary.deleted} deleted</span>`);
+        if (summary.renumbered) parts.push(`<span class="report-renumbered">${summary.renumbered} renumbered</span>`);
+        if (summary.changed) parts.push(`<span class="report-changed">${summary.changed} changed</span>`);
+        
+        let details = '';
+        report.added.forEach(cue => {
+            details += `<li class="report-added">Added ${escapeHtml(formatCueRef(cue))} ${escapeHtml(cue.label)}</li>`;
+        });
+        report.deleted.forEach(cue => {
+            details += `<li class="report-deleted">Deleted ${escapeHtml(formatCueRef(cue))} ${escapeHtml(cue.label)}${cue.orphaned ? ' (notes kept)' : ''}</li>`;
+        });
+        report.renumbered.forEach(entry => {
+            details += `<li class="report-renumbered">Renumbered ${escapeHtml(formatCueRef(entry.from))} → ${escapeHtml(formatCueRef(entry.to))} ${escapeHtml(entry.label)}${entry.notes_moved ? ' (notes moved)' : ''}</li>`;
+        });
+        report.changed.forEach(cue => {
+            const changes = cue.changes.map(change =>
+                `${REPORT_FIELD_NAMES[change.field] || change.field} ${formatReportValue(change.field, change.from)} → ${formatReportValue(change.field, change.to)}`
+            ).join(', ');
+            details += `<li class="report-changed">Cue ${escapeHtml(formatCueRef(cue))}: ${escapeHtml(changes)}</li>`;
+        });
+        
+        html += `<details class="refresh-report"${index === 0 && total > 0 ? ' open' : ''}>
+            <summary><span class="report-time">${escapeHtml(new Date(report.time).toLocaleString())}</span>
+                List ${escapeHtml(report.cue_list)} · ${report.cue_count} cues${report.complete ? '' : ` · <span class="report-deleted">incomplete (${report.received}/${report.expected})</span>`}
+                ${parts.length > 0 ? '· ' + parts.join(' ') : '· <span style="color: #888;">no changes</span>'}</summary>
+            ${details ? `<ul>${details}</ul>` : ''}
+        </details>`;
+    });
+    html += `<div style="margin-top: 20px; display: flex; gap: 10px;">
+        <button class="button danger" onclick="clearRefreshHistory()">Clear History</button>
+        <button class="button" onclick="closeRefreshHistory()">Close</button>
+    </div>`;
+    
+    contentDiv.innerHTML = html;
+}
+
+async function attachOrphanedNotes(id) {
+    const orphan = orphanedNotes.find(o => o.id === id);
+    if (!orphan) return;
+    
+    const target = prompt(`Attach the notes of deleted cue ${orphan.cue_list}/${formatCueRef(orphan)} to which cue?\nEnter a cue number, or list/cue or list/cue/part:`, '');
+    if (!target) return;
+    const match = target.trim().match(/^(?:(\d+)\/)?(\d+(?:\.\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+        alert('Enter a cue number like 12, 2/12 or 2/12/1');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/orphaned-notes/${encodeURIComponent(id)}/attach`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ list: match[1] || orphan.cue_list, cue: match[2], part: match[3] || 0 })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not attach notes');
+        showToast(`📎 Notes attached to cue ${data.cue.cue_list}/${formatCueRef(data.cue)}`);
+        loadRefreshHistory();
+    } catch (error) {
+        console.error('Error attaching orphaned notes:', error.message || error);
+        alert(error.message || 'Error attaching notes');
+    }
+}
+
+async function discardOrphanedNotes(id) {
+    if (!confirm('Discard these notes for good?')) return;
+    try {
+        await fetch(`/api/orphaned-notes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        loadRefreshHistory();
+    } catch (error) {
+        console.error('Error discarding orphaned notes:', error.message || error);
+    }
+}
+
+async function clearRefreshHistory() {
+    if (!confirm('Clear the refresh history of this show? Orphaned notes are kept.')) return;
+    try {
+        await fetch('/api/refresh-history', { method: 'DELETE' });
+        loadRefreshHistory();
+    } catch (error) {
+        console.error('Error clearing refresh history:', error.message || error);
+    }
+}
+
 // Tag color modal
 function showTagColorModal() {
     const modal = document.getElementById('tagColorModal');
@@ -2290,7 +5095,7 @@ async function applyTagColorsToAll() {
             const tagColor = getColorForTags(cue.tags);
             if (tagColor && tagColor !== cue.color) {
                 try {
-                    await fetch(`/api/cue/${cue.cue_number}/color`, {
+                    await fetch(cueApiUrl(cue, 'color'), {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({ color: tagColor })
@@ -2330,7 +5135,7 @@ async function showDiagnostics() {
                 cueNumberSamples: cueNumbers.slice(0, 5),
                 matchingDurations: matchingKeys.length,
                 mainListMatchingDurations: mainListMatching.length,
-                countdownRunning: countdownInterval !== null,
+                countdownRunning: countdownActive,
                 connectedToEOS,
                 showTimerCueTimings: showTimerState?.cueTimings?.length || 0,
                 activeCues: cueData.filter(c => c.last_seen === 'active').map(c => ({n: c.cue_number, l: c.cue_list})),
@@ -2350,7 +5155,7 @@ async function showDiagnostics() {
         html += `Cue Number Samples: ${cueNumbers.slice(0, 8).join(', ') || 'NONE'}\n`;
         html += `<span style="color:${matchingKeys.length > 0 ? '#4caf50' : '#ff6b6b'};">Matching: ${matchingKeys.length}/${cueNumbers.length}</span>\n`;
         html += `<span style="color:${mainListMatching.length > 0 ? '#4caf50' : '#ff6b6b'};">Main List Matching: ${mainListMatching.length}/${mainListCues.length}</span>\n`;
-        html += `Countdown Interval: ${countdownInterval !== null ? 'RUNNING' : 'STOPPED'}\n`;
+        html += `Countdown: ${countdownActive ? 'RUNNING' : 'STOPPED'}\n`;
         html += `Connected: ${connectedToEOS}\n`;
         html += `ShowTimer Timings: ${showTimerState?.cueTimings?.length || 0}\n`;
         html += `Active Cues: ${JSON.stringify(info.frontend.activeCues)}\n`;
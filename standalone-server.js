@@ -4,17 +4,44 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const nodeOsc = require('node-osc');  // UDP OSC library
 const osc = require('osc');  // TCP OSC library with SLIP support
 const multer = require('multer');
+const { createCueSync } = require('./lib/cue-sync');
+const { createOscRecorder, createReplay, listSessions, readSession, isValidSessionName } = require('./lib/osc-recorder');
+const { createRemoteControl, isRemoteFiringEnabled } = require('./lib/eos-remote');
+const { createConsolePush } = require('./lib/console-push');
+const { parseShowExport } = require('./lib/show-import');
+const { buildCueListPdf } = require('./lib/pdf-report');
+const { buildCueCsv, parseCueCsvImport, getChangedFields } = require('./lib/cue-csv');
+const { REPORT_COLUMNS, DEFAULT_PRESETS, normalizeReportOptions, buildReport } = require('./lib/report-builder');
+const { buildShowArchive, parseShowArchive, getUniqueShowName, checkShowName, checkShowDir, ARCHIVE_EXTENSION } = require('./lib/show-archive');
+const { writeJsonFileSync, listBackups, createBackup, readJsonFileWithRecovery, readBackupFiles, restoreBackup, BACKUP_DIR, MAX_BACKUPS } = require('./lib/show-backups');
+const { MAX_IMAGE_SIZE, MAX_DOCUMENT_SIZE, MAX_THUMBNAIL_SIZE, THUMBNAIL_DIR, IMAGE_TYPES, DOCUMENT_TYPES, detectImageType, detectDocumentType, makeImageFileName, getThumbnailName, getReferencedImages, findOrphanedImages } = require('./lib/show-images');
+const { createChangeJournal, describeCue } = require('./lib/change-journal');
+const { createCuePresence } = require('./lib/cue-presence');
+const { DEPARTMENTS, PRIORITIES, STATUSES, getLocalDay, createWorkNote, updateWorkNote, filterWorkNotes, moveWorkNotes, buildDailyReport } = require('./lib/work-notes');
+const { buildWorkNotesPdf } = require('./lib/work-notes-pdf');
+const { parseScriptUpload, findScriptMarker, setScriptMarker, removeScriptMarker, getMarkerPage, reconcileScriptMarkers } = require('./lib/script-view');
+const { followRenumberedCues } = require('./lib/refresh-report');
+const { normalizeCallSeconds, getCallPlan, formatCallText, createStandbyCaller, addCallLogEntry } = require('./lib/standby-calls');
+const { ROLES, hasRole, parseCookies, createUserAccounts, SESSION_LIFETIME } = require('./lib/user-accounts');
+const { detectAttachmentType, makeAttachmentId, normalizeCaption, getCueAttachments, getCoverImage, migrateCueAttachments, mergeAttachments, reorderAttachments } = require('./lib/cue-attachments');
+const { normalizeBaseline, summarizeRun, sortRuns, buildBaselineTimings, buildBaselinePauses, computeRunStatistics, getSceneMap } = require('./lib/show-runs');
 
 const app = express();
 const PORT = 5000;
+const APP_VERSION = require('./package.json').version;
 
 // Data storage files
 const DATA_DIR = './data';
 const SHOWS_DIR = path.join(DATA_DIR, 'shows');
 const GLOBAL_SETTINGS_FILE = path.join(DATA_DIR, 'global_settings.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const AUTH_SECRET_FILE = path.join(DATA_DIR, 'auth-secret.key');
+// Images used to be shared by all shows - now only read to move them into the show folders
+const LEGACY_UPLOADS_DIR = 'uploads';
 
 // Ensure data directories exist
 if (!fs.existsSync(DATA_DIR)) {
@@ -61,6 +88,11 @@ function getShowDir(showName) {
     return path.join(SHOWS_DIR, safeName);
 }
 
+// Show folders sit directly in SHOWS_DIR - checked before a show folder is deleted or replaced
+function getCheckedShowDir(showName) {
+    return checkShowDir(SHOWS_DIR, getShowDir(showName));
+}
+
 function getShowCuesFile(showName) {
     return path.join(getShowDir(showName), 'cues.json');
 }
@@ -73,6 +105,58 @@ function getShowTimingsFile(showName) {
     return path.join(getShowDir(showName), 'show_timings.json');
 }
 
+function getShowTimingRunsFile(showName) {
+    return path.join(getShowDir(showName), 'timing_runs.json');
+}
+
+function getShowSettingsFile(showName) {
+    return path.join(getShowDir(showName), 'show_settings.json');
+}
+
+function getShowRefreshHistoryFile(showName) {
+    return path.join(getShowDir(showName), 'refresh_history.json');
+}
+
+function getShowOrphanedNotesFile(showName) {
+    return path.join(getShowDir(showName), 'orphaned_notes.json');
+}
+
+function getShowReportPresetsFile(showName) {
+    return path.join(getShowDir(showName), 'report_presets.json');
+}
+
+function getShowJournalFile(showName) {
+    return path.join(getShowDir(showName), 'journal.json');
+}
+
+function getShowWorkNotesFile(showName) {
+    return path.join(getShowDir(showName), 'work_notes.json');
+}
+
+function getShowScriptFile(showName) {
+    return path.join(getShowDir(showName), 'script.json');
+}
+
+function getShowScriptMarkersFile(showName) {
+    return path.join(getShowDir(showName), 'script_markers.json');
+}
+
+function getShowStandbyLogFile(showName) {
+    return path.join(getShowDir(showName), 'standby_log.json');
+}
+
+function getShowSessionsDir(showName) {
+    return path.join(getShowDir(showName), 'osc-sessions');
+}
+
+function getShowImagesDir(showName) {
+    return path.join(getShowDir(showName), 'images');
+}
+
+function getShowThumbnailsDir(showName) {
+    return path.join(getShowImagesDir(showName), THUMBNAIL_DIR);
+}
+
 // List all available shows
 function listShows() {
     if (!fs.existsSync(SHOWS_DIR)) {
@@ -90,15 +174,15 @@ function createShow(showName) {
     const showDir = getShowDir(showName);
     if (!fs.existsSync(showDir)) {
         fs.mkdirSync(showDir, { recursive: true });
-        fs.writeFileSync(getShowCuesFile(showName), JSON.stringify([], null, 2));
-        fs.writeFileSync(getShowNotesFile(showName), JSON.stringify({ notes: '' }, null, 2));
-        fs.writeFileSync(getShowTimingsFile(showName), JSON.stringify({
+        writeJsonFileSync(getShowCuesFile(showName), []);
+        writeJsonFileSync(getShowNotesFile(showName), { notes: '' });
+        writeJsonFileSync(getShowTimingsFile(showName), {
             isRecording: false,
             showStartTime: null,
             lastCueTime: null,
             lastCueNumber: null,
             cueTimings: []
-        }, null, 2));
+        });
         console.log(`📁 Created new show: ${showName}`);
         return true;
     }
@@ -111,7 +195,7 @@ function deleteShow(showName) {
         console.log('⚠️ Cannot delete Default show');
         return false;
     }
-    const showDir = getShowDir(showName);
+    const showDir = getCheckedShowDir(showName);
     if (fs.existsSync(showDir)) {
         fs.rmSync(showDir, { recursive: true });
         console.log(`🗑️ Deleted show: ${showName}`);
@@ -128,6 +212,8 @@ function showExists(showName) {
 
 // Switch to a different show
 function switchShow(showName) {
+    // Cues of the old show still waiting for the debounced save
+    flushPendingSaves();
     const showDir = getShowDir(showName);
     if (!fs.existsSync(showDir)) {
         createShow(showName);
@@ -136,7 +222,18 @@ function switchShow(showName) {
     globalSettings.lastShowName = showName;
     saveGlobalSettings();
     loadShowData();
+    backupCurrentShow('show opened');
+    // Open editors point at cues of the old show
+    cuePresence.clear();
+    // The new show may not allow remote firing - never carry arming across shows
+    remoteControl.disarm('show switched');
+    // Sessions belong to a show - continue recording in the new show's folder
+    if (oscRecorder.isRecording()) {
+        oscRecorder.stop();
+        startTrafficRecording();
+    }
     console.log(`🔄 Switched to show: ${showName}`);
+    broadcastEvent('show-switch', { currentShow: currentShowName });
     return true;
 }
 
@@ -148,33 +245,54 @@ function loadShowData() {
     }
     
     try {
+        // readShowJsonFile restores files that don't parse from the show's backups
         const cuesFile = getShowCuesFile(currentShowName);
-        if (fs.existsSync(cuesFile)) {
-            cues = JSON.parse(fs.readFileSync(cuesFile, 'utf8'));
-        } else {
-            cues = [];
+        cues = readShowJsonFile(cuesFile, []);
+        if (migrateCueAddressing(cues)) {
+            writeShowJsonFile(cuesFile, cues);
+            console.log(`✅ Cue addressing migration saved for show: ${currentShowName}`);
         }
-        
-        const notesFile = getShowNotesFile(currentShowName);
-        if (fs.existsSync(notesFile)) {
-            showNotes = JSON.parse(fs.readFileSync(notesFile, 'utf8'));
-        } else {
-            showNotes = { notes: '' };
+        if (migrateCueAttachments(cues)) {
+            writeShowJsonFile(cuesFile, cues);
+            console.log(`✅ Cue images moved to attachments for show: ${currentShowName}`);
         }
         
-        const timingsFile = getShowTimingsFile(currentShowName);
-        if (fs.existsSync(timingsFile)) {
-            showTimings = JSON.parse(fs.readFileSync(timingsFile, 'utf8'));
+        showNotes = readShowJsonFile(getShowNotesFile(currentShowName), { notes: '' });
+        
+        showTimings = readShowJsonFile(getShowTimingsFile(currentShowName), {
+            isRecording: false,
+            showStartTime: null,
+            lastCueTime: null,
+            lastCueNumber: null,
+            cueTimings: []
+        });
+        liveCueNumber = null;
+        pausedSinceLastFire = 0;
+        
+        const runsFile = getShowTimingRunsFile(currentShowName);
+        const storedRuns = readShowJsonFile(runsFile, null);
+        if (storedRuns) {
+            timingRuns = storedRuns;
         } else {
-            showTimings = {
-                isRecording: false,
-                showStartTime: null,
-                lastCueTime: null,
-                lastCueNumber: null,
-                cueTimings: []
-            };
+            timingRuns = [];
+            // Shows recorded before runs were kept: the single recording becomes the first run
+            if (showTimings.cueTimings && showTimings.cueTimings.length > 0 && !showTimings.isRecording) {
+                const runId = String(showTimings.showStartTime || Date.now());
+                timingRuns.push({
+                    id: runId,
+                    date: new Date(showTimings.showStartTime || Date.now()).toISOString(),
+                    stoppedAt: null,
+                    notes: '',
+                    cueTimings: showTimings.cueTimings
+                });
+                showTimings.runId = runId;
+                writeShowJsonFile(runsFile, timingRuns);
+                console.log(`✅ Kept the existing timing recording as run 1 for show: ${currentShowName}`);
+            }
         }
         
+        showSettings = Object.assign({}, DEFAULT_SHOW_SETTINGS, readShowJsonFile(getShowSettingsFile(currentShowName), {}));
+        
         console.log(`📂 Loaded data for show: ${currentShowName} (${cues.length} cues)`);
     } catch (error) {
         console.error('Error loading show data:', error);
@@ -183,9 +301,122 @@ function loadShowData() {
     }
 }
 
+// cue.revision counts changes of the user fields (notes, color, tags, page, attachments) -
+// a browser sends the revision it based an edit on, and a stale one is answered with a conflict
+function touchCue(cue) {
+    cue.revision = (cue.revision || 0) + 1;
+}
+
+// Copy user data from one cue record onto another without overwriting existing data
+// Notes are appended so nothing typed by the user is lost
+function mergeUserCueFields(target, source) {
+    touchCue(target);
+    if (source.notes) {
+        target.notes = target.notes && target.notes !== source.notes
+            ? `${target.notes}\n${source.notes}`
+            : source.notes;
+    }
+    if (source.color && source.color !== '#ffffff' && (!target.color || target.color === '#ffffff')) {
+        target.color = source.color;
+    }
+    if (Array.isArray(source.tags) && source.tags.length > 0) {
+        target.tags = [...new Set([...(target.tags || []), ...source.tags])];
+    }
+    if (source.page && !target.page) {
+        target.page = source.page;
+    }
+    if (getCueAttachments(source).length > 0) {
+        mergeAttachments(target, source);
+    }
+}
+
+// The user fields of a fresh cue - for a cue number that now holds another cue
+const EMPTY_USER_CUE_FIELDS = { notes: '', color: '#ffffff', tags: [], page: '', attachments: [] };
+
+// Sets user fields of a cue, journaled like setUserCueFields -> the journal changes
+function changeUserCueFields(cue, fields) {
+    const changes = [];
+    Object.keys(fields).forEach(field => {
+        if (JSON.stringify(cue[field]) === JSON.stringify(fields[field])) return;
+        changes.push(getCueChange(cue, field, fields[field]));
+        cue[field] = fields[field];
+    });
+    if (changes.length > 0) touchCue(cue);
+    return changes;
+}
+
+// mergeUserCueFields for the journal: the merge is worked out on a copy -> the journal changes
+function mergeUserCueFieldsJournaled(target, source) {
+    const merged = Object.assign({}, target);
+    mergeUserCueFields(merged, source);
+    // image_path included: merging attachments folds the legacy image into them
+    const fields = {};
+    [...Object.keys(EMPTY_USER_CUE_FIELDS), 'image_path'].forEach(field => {
+        fields[field] = merged[field];
+    });
+    return changeUserCueFields(target, fields);
+}
+
+function hasUserCueData(cue) {
+    return !!(cue.notes || (cue.color && cue.color !== '#ffffff') ||
+        (cue.tags && cue.tags.length > 0) || cue.page || getCueAttachments(cue).length > 0);
+}
+
+// Repair cues written by the old list-unaware endpoints:
+// 1. The page endpoint stored parts as cue_number "5/1" - fold them into the real part record
+// 2. Notes/color/tags/image typed on a cue in another list created a phantom cue in list 1.
+//    A phantom was never seen on the console (no uid, no active/pending state); if exactly
+//    one other list has that cue number, its user data is moved there.
+// Returns true if anything changed
+function migrateCueAddressing(cueArray) {
+    let changed = false;
+    
+    const findCue = (list, number, part) => cueArray.find(c =>
+        String(c.cue_list || '1') === String(list) &&
+        String(c.cue_number) === String(number) &&
+        (c.part_number || 0) === part
+    );
+    
+    for (const cue of [...cueArray]) {
+        const match = String(cue.cue_number).match(/^(\d+(?:\.\d+)?)\/(\d+)$/);
+        if (!match) continue;
+        const cueNumber = match[1];
+        const partNumber = parseInt(match[2]);
+        const target = findCue(cue.cue_list || '1', cueNumber, partNumber);
+        if (target) {
+            mergeUserCueFields(target, cue);
+            cueArray.splice(cueArray.indexOf(cue), 1);
+        } else {
+            cue.cue_number = cueNumber;
+            cue.part_number = partNumber;
+        }
+        console.log(`📦 Migrated part cue "${match[0]}" to list ${cue.cue_list || '1'} cue ${cueNumber} part ${partNumber}`);
+        changed = true;
+    }
+    
+    for (const cue of [...cueArray]) {
+        if (String(cue.cue_list || '1') !== '1') continue;
+        if ('uid' in cue || 'last_seen' in cue || !hasUserCueData(cue)) continue;
+        const candidates = cueArray.filter(c =>
+            c !== cue &&
+            String(c.cue_list || '1') !== '1' &&
+            String(c.cue_number) === String(cue.cue_number) &&
+            (c.part_number || 0) === (cue.part_number || 0)
+        );
+        if (candidates.length !== 1) continue;
+        const target = candidates[0];
+        mergeUserCueFields(target, cue);
+        cueArray.splice(cueArray.indexOf(cue), 1);
+        console.log(`📦 Moved notes of phantom cue 1/${cue.cue_number} to list ${target.cue_list}`);
+        changed = true;
+    }
+    
+    return changed;
+}
+
 // Save global settings
 function saveGlobalSettings() {
-    fs.writeFileSync(GLOBAL_SETTINGS_FILE, JSON.stringify(globalSettings, null, 2));
+    writeJsonFileSync(GLOBAL_SETTINGS_FILE, globalSettings);
 }
 
 // Migrate legacy folder names to new encoding scheme
@@ -214,6 +445,35 @@ function migrateLegacyFolders() {
     }
 }
 
+// Move images from the old global uploads folder into the folders of the shows using them
+// An image used by several shows is copied to each; the original goes once every copy exists
+function migrateUploadsToShows() {
+    if (!fs.existsSync(LEGACY_UPLOADS_DIR) || !fs.existsSync(SHOWS_DIR)) return;
+    
+    const moved = new Set();
+    const folders = fs.readdirSync(SHOWS_DIR)
+        .filter(f => fs.statSync(path.join(SHOWS_DIR, f)).isDirectory());
+    for (const folder of folders) {
+        const showName = decodeShowName(folder);
+        const files = {};
+        ['cues.json', 'orphaned_notes.json'].forEach(name => {
+            files[name] = readShowJsonFile(path.join(SHOWS_DIR, folder, name), []);
+        });
+        const imagesDir = getShowImagesDir(showName);
+        getReferencedImages(files).forEach(name => {
+            const source = path.join(LEGACY_UPLOADS_DIR, name);
+            if (!fs.existsSync(source)) return;
+            if (!fs.existsSync(path.join(imagesDir, name))) {
+                fs.mkdirSync(imagesDir, { recursive: true });
+                fs.copyFileSync(source, path.join(imagesDir, name));
+                console.log(`📦 Moved image "${name}" into show "${showName}"`);
+            }
+            moved.add(name);
+        });
+    }
+    moved.forEach(name => fs.unlinkSync(path.join(LEGACY_UPLOADS_DIR, name)));
+}
+
 // Load global settings and migrate old data if needed
 function loadGlobalSettings() {
     try {
@@ -225,6 +485,7 @@ function loadGlobalSettings() {
         
         // Migrate legacy folder naming scheme
         migrateLegacyFolders();
+        migrateUploadsToShows();
         
         // Migrate old data structure if it exists
         const oldCuesFile = path.join(DATA_DIR, 'cues.json');
@@ -277,7 +538,30 @@ function loadGlobalSettings() {
 
 // OSC Configuration
 let oscClient = null;  // UDP client for OSC communication
-let isConnected = false;
+let oscServer = null;  // UDP listener for EOS replies
+let isConnected = false;  // True only while EOS is answering (connectionState === 'connected')
+
+// EOS link state machine: disconnected -> connecting -> connected -> stale
+// 'stale' means the transport is still open but EOS stopped answering the /eos/ping heartbeat
+let connectionState = 'disconnected';
+let autoReconnect = false;  // Set by /api/connect, cleared by /api/disconnect
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageTime = 0;
+
+const RECONNECT_BASE_DELAY = 1000;     // First retry after 1s, doubling each attempt
+const RECONNECT_MAX_DELAY = 30000;     // ...up to 30s between attempts
+const HEARTBEAT_INTERVAL = 5000;       // Send /eos/ping every 5s
+const STALE_AFTER = 15000;             // No traffic for 15s -> stale
+const RECONNECT_AFTER_SILENCE = 30000; // No traffic for 30s -> drop and reconnect
+
+// OSC traffic recording (settings.record_traffic) and replay of recorded sessions
+const oscRecorder = createOscRecorder();
+let oscReplay = null;
+let oscReplaySession = null;
+let oscReplaySpeed = 1;
+let oscReplayResult = null;  // { played, total, completed } of the last finished replay
 
 // Settings are now stored in globalSettings.oscSettings
 // Keep a reference for compatibility
@@ -285,7 +569,17 @@ let settings = null;  // Will be set from globalSettings
 
 let cues = [];
 let showNotes = { notes: '' };
-let cuesChanged = false; // Flag to notify frontend of changes
+
+// Per-show settings (show_settings.json)
+const DEFAULT_SHOW_SETTINGS = {
+    remote_firing: false,  // Allow GO / Stop/Back / Go To Cue from the UI (still needs arming) - see isRemoteFiringEnabled
+    intermission_tag: 'Intermission',  // A main list cue with this tag starts the intermission ('' = off)
+    standby_calls: true,  // Warning / standby banners before the pending main list cue is due
+    standby_department: 'LX',  // "Standby LX 45"
+    warning_seconds: 60,  // 0 = no warning
+    standby_seconds: 30  // 0 = no standby
+};
+let showSettings = Object.assign({}, DEFAULT_SHOW_SETTINGS);
 
 // Show timing data
 let showTimings = {
@@ -294,42 +588,281 @@ let showTimings = {
     lastCueTime: null,
     lastCueNumber: null,
     cueTimings: []  // Array of { cueNumber, timestamp, timeFromPrevious }
+    // Also: pausedTotal (ms left out of the recording), pauses (finished pauses of the recording),
+    // activePause { type, label, startedAt, afterCue, at } while the show clock is stopped
 };
+let timingRuns = [];  // Every finished recording (timing_runs.json) - see lib/show-runs.js
 let currentShowElapsed = 0;  // Current elapsed time in show
 let lastCueFireTime = null;  // Wall-clock time when last cue fired
+let pausedSinceLastFire = 0;  // Paused ms since lastCueFireTime (finished pauses)
+let liveCueNumber = null;  // Active cue of the main list - polls report it again and again
 
 // Track connected EOS show name for auto-switching
 let connectedEOSShowName = null;
 
-let knownCueLists = [];
-let activeCuePoller = null;
-let activePollingQueue = [];
-let activePollingInProgress = false;
-
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        if (!fs.existsSync('uploads')) {
-            fs.mkdirSync('uploads', { recursive: true });
+// Accounts and sessions (lib/user-accounts.js) - the session cookie is signed with a secret
+// made on the first start of this install
+function loadAuthSecret() {
+    if (!fs.existsSync(AUTH_SECRET_FILE)) {
+        fs.writeFileSync(AUTH_SECRET_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+        console.log('🔐 Created the session secret for this install');
+    }
+    return fs.readFileSync(AUTH_SECRET_FILE, 'utf8').trim();
+}
+
+// A damaged users.json must not look like a fresh install (anyone could then create an admin)
+let usersFileDamaged = false;
+const userAccounts = createUserAccounts({
+    load: () => {
+        try {
+            return fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : null;
+        } catch (error) {
+            usersFileDamaged = true;
+            console.error(`❌ ${USERS_FILE} is damaged - nobody can sign in until it is repaired or removed:`, error.message);
+            return null;
         }
-        cb(null, 'uploads/');
     },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname);
+    save: (accounts) => writeJsonFileSync(USERS_FILE, accounts),
+    secret: loadAuthSecret()
+});
+
+const SESSION_COOKIE = 'qnote_session';
+
+function setSessionCookie(res, token, maxAge) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.max(0, Math.floor(maxAge / 1000))}`);
+}
+
+// req.auth: { user: { id, name, role }, link, adminPin } or null
+app.use((req, res, next) => {
+    req.auth = userAccounts.readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    next();
+});
+
+// Every API call needs a session (signing in aside), and viewers never change anything -
+// on top of that each changing route names the role it needs
+app.use('/api', (req, res, next) => {
+    if (req.path.startsWith('/auth/')) return next();
+    if (!req.auth) {
+        return res.status(401).json({ error: 'Sign in to use Qnote', signInRequired: true });
+    }
+    if (req.method !== 'GET' && !hasRole(req.auth.user.role, 'note-taker')) {
+        return res.status(403).json({ error: 'Viewers can only look' });
+    }
+    next();
+});
+
+// Admin routes also need the PIN confirmed in the last few minutes
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.auth || !hasRole(req.auth.user.role, role)) {
+            return res.status(403).json({ error: `Only ${role === 'admin' ? 'an admin' : `a ${role}`} can do this` });
+        }
+        if (role === 'admin' && !req.auth.adminPin) {
+            return res.status(403).json({ error: 'Confirm your PIN to continue', pinRequired: true });
+        }
+        next();
+    };
+}
+
+// Wrong PINs per address - five in a row lock the address out for a minute
+const MAX_LOGIN_FAILURES = 5;
+const loginFailures = new Map();
+
+function getLoginLockout(req) {
+    const failures = loginFailures.get(req.ip);
+    if (!failures || failures.count < MAX_LOGIN_FAILURES) return 0;
+    const remaining = failures.lockedUntil - Date.now();
+    if (remaining > 0) return Math.ceil(remaining / 1000);
+    loginFailures.delete(req.ip);
+    return 0;
+}
+
+function noteLoginFailure(req) {
+    const failures = loginFailures.get(req.ip) || { count: 0, lockedUntil: 0 };
+    failures.count++;
+    if (failures.count >= MAX_LOGIN_FAILURES) failures.lockedUntil = Date.now() + 60 * 1000;
+    loginFailures.set(req.ip, failures);
+}
+
+app.get('/api/auth/status', (req, res) => {
+    res.json({
+        setupRequired: !userAccounts.hasUsers() && !usersFileDamaged,
+        user: req.auth ? req.auth.user : null,
+        viaLink: !!(req.auth && req.auth.link),
+        adminPin: !!(req.auth && req.auth.adminPin),
+        roles: ROLES
+    });
+});
+
+// First start: the first account is the admin
+app.post('/api/auth/setup', (req, res) => {
+    try {
+        if (userAccounts.hasUsers() || usersFileDamaged) {
+            return res.status(409).json({ success: false, error: 'Qnote already has accounts - sign in instead' });
+        }
+        const user = userAccounts.createUser({ name: req.body.name, role: 'admin', pin: req.body.pin });
+        setSessionCookie(res, userAccounts.issueSession(user, { adminPin: true }), SESSION_LIFETIME);
+        console.log(`🔐 Created admin account: ${user.name}`);
+        res.json({ success: true, user: user });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const lockout = getLoginLockout(req);
+        if (lockout > 0) {
+            return res.status(429).json({ success: false, error: `Too many wrong PINs - try again in ${lockout} seconds` });
+        }
+        const user = userAccounts.verifyLogin(req.body.name, req.body.pin);
+        if (!user) {
+            noteLoginFailure(req);
+            return res.status(401).json({ success: false, error: 'Unknown name or wrong PIN' });
+        }
+        loginFailures.delete(req.ip);
+        setSessionCookie(res, userAccounts.issueSession(user), SESSION_LIFETIME);
+        console.log(`🔐 ${user.name} signed in (${user.role})`);
+        res.json({ success: true, user: user });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-enter the PIN to open the admin area for ADMIN_PIN_WINDOW
+app.post('/api/auth/pin', (req, res) => {
+    try {
+        if (!req.auth || !req.auth.user.id) {
+            return res.status(401).json({ success: false, error: 'Sign in to use Qnote', signInRequired: true });
+        }
+        const lockout = getLoginLockout(req);
+        if (lockout > 0) {
+            return res.status(429).json({ success: false, error: `Too many wrong PINs - try again in ${lockout} seconds` });
+        }
+        const user = userAccounts.verifyLogin(req.auth.user.name, req.body.pin);
+        if (!user) {
+            noteLoginFailure(req);
+            return res.status(401).json({ success: false, error: 'Wrong PIN' });
+        }
+        loginFailures.delete(req.ip);
+        setSessionCookie(res, userAccounts.issueSession(user, { adminPin: true }), SESSION_LIFETIME);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error checking PIN:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    setSessionCookie(res, '', 0);
+    res.json({ success: true });
+});
+
+// Accounts and viewer links (admin area)
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json({ users: userAccounts.listUsers(), links: userAccounts.listViewerLinks(), roles: ROLES });
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+    try {
+        const user = userAccounts.createUser({ name: req.body.name, role: req.body.role, pin: req.body.pin });
+        console.log(`🔐 ${req.auth.user.name} added ${user.name} (${user.role})`);
+        res.json({ success: true, user: user });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// body: any of { name, role, pin } - a new PIN signs the user out everywhere
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        const changes = {};
+        ['name', 'role', 'pin'].forEach(field => {
+            if (req.body[field] !== undefined && req.body[field] !== '') changes[field] = req.body[field];
+        });
+        const user = userAccounts.updateUser(req.params.id, changes);
+        console.log(`🔐 ${req.auth.user.name} changed ${user.name} (${Object.keys(changes).join(', ')})`);
+        res.json({ success: true, user: user });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        userAccounts.deleteUser(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+function getViewerLinkUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}/view/${token}`;
+}
+
+// body: { label, days } - days 0 or missing: the link works until it is deleted
+app.post('/api/viewer-links', requireRole('admin'), (req, res) => {
+    try {
+        const link = userAccounts.createViewerLink({ label: req.body.label, days: parseInt(req.body.days) || 0 });
+        console.log(`🔗 ${req.auth.user.name} created viewer link "${link.label}"`);
+        res.json({ success: true, link: link, url: getViewerLinkUrl(req, link.token) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/viewer-links/:id', requireRole('admin'), (req, res) => {
+    try {
+        userAccounts.deleteViewerLink(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Opening a viewer link signs the phone in read-only
+app.get('/view/:token', (req, res) => {
+    const link = userAccounts.openViewerLink(req.params.token);
+    if (!link) {
+        return res.status(403).send('This viewer link is no longer valid - ask for a new one.');
     }
+    const lifetime = link.expires_at ? Date.parse(link.expires_at) - Date.now() : SESSION_LIFETIME;
+    setSessionCookie(res, userAccounts.issueLinkSession(link), lifetime);
+    res.redirect('/');
 });
-const upload = multer({ storage: storage });
+
+// Cue attachments are checked in memory before they are written to the show folder
+const ATTACHMENT_TYPE_ERROR = 'Only JPEG, PNG, GIF and WebP images and PDF files can be attached';
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DOCUMENT_SIZE, files: 2 },
+    fileFilter: (req, file, cb) => {
+        const allowed = [...Object.values(IMAGE_TYPES), ...Object.values(DOCUMENT_TYPES)].map(type => type.mime);
+        if (!allowed.includes(file.mimetype)) {
+            return cb(new Error(ATTACHMENT_TYPE_ERROR));
+        }
+        cb(null, true);
+    }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }]);
+// Show exports are parsed in memory, never written to disk
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+// Show archives carry the images too
+const archiveUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 500 * 1024 * 1024 } });
+// Script text, one file or one file per page
+const scriptUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1000 } });
 
 // Load all data
 function loadData() {
     loadGlobalSettings();
     settings = globalSettings.oscSettings;
     loadShowData();
+    backupCurrentShow('show opened');
 }
 
 // Save settings (now saves to global settings)
@@ -339,243 +872,461 @@ function saveSettings() {
     saveGlobalSettings();
 }
 
-// Save cues (to current show's file) - debounced async version
+// Show files are written atomically (temp file + rename, see lib/show-backups.js)
+// showDataChanged tells the periodic backup that there is something new to keep
+const BACKUP_INTERVAL = 10 * 60 * 1000;
+let showDataChanged = false;
+const fileRecoveries = [];
+
+function writeShowJsonFile(file, value) {
+    writeJsonFileSync(file, value);
+    showDataChanged = true;
+}
+
+function backupCurrentShow(reason) {
+    try {
+        const name = createBackup(getShowDir(currentShowName));
+        showDataChanged = false;
+        if (name) console.log(`💾 Backed up show ${currentShowName} (${reason})`);
+        return name;
+    } catch (error) {
+        console.error(`❌ Error backing up show ${currentShowName}:`, error);
+        return null;
+    }
+}
+
+// Save cues (to current show's file) - debounced version, for updates coming from the console.
+// Edits typed by a user are written at once with saveCuesSync, so a power cut cannot lose them.
 let saveCuesTimer = null;
 function saveCues() {
     if (saveCuesTimer) clearTimeout(saveCuesTimer);
     saveCuesTimer = setTimeout(() => {
-        const cuesFile = getShowCuesFile(currentShowName);
-        fs.writeFile(cuesFile, JSON.stringify(cues, null, 2), (err) => {
-            if (err) console.error('❌ Error saving cues:', err);
-        });
+        saveCuesTimer = null;
+        try {
+            saveCuesSync();
+        } catch (err) {
+            console.error('❌ Error saving cues:', err);
+        }
     }, 1000);
 }
 
 // Synchronous save for API endpoints that need immediate persistence
+// It writes every cue, so a debounced save still waiting has nothing left to do
 function saveCuesSync() {
-    const cuesFile = getShowCuesFile(currentShowName);
-    fs.writeFileSync(cuesFile, JSON.stringify(cues, null, 2));
+    if (saveCuesTimer) {
+        clearTimeout(saveCuesTimer);
+        saveCuesTimer = null;
+    }
+    writeShowJsonFile(getShowCuesFile(currentShowName), cues);
 }
 
-// Notify frontend that cues have changed
-function notifyFrontendCuesChanged() {
-    cuesChanged = true;
-    console.log('🔔 Frontend notified: cues changed');
+// Write a debounced cue save now (show switch, shutdown, backup)
+function flushPendingSaves() {
+    if (!saveCuesTimer) return;
+    clearTimeout(saveCuesTimer);
+    saveCuesTimer = null;
+    saveCuesSync();
 }
 
-function saveShowTimings() {
-    const timingsFile = getShowTimingsFile(currentShowName);
-    fs.writeFile(timingsFile, JSON.stringify(showTimings, null, 2), (err) => {
-        if (err) console.error('❌ Error saving timings:', err);
+setInterval(() => {
+    if (!showDataChanged) return;
+    flushPendingSaves();
+    backupCurrentShow('periodic');
+}, BACKUP_INTERVAL).unref();
+
+// Live update channel (Server-Sent Events)
+// Every connected browser receives every event - there is no per-client "changed" flag to reset
+const eventClients = new Set();
+let eventSequence = 0;
+
+function broadcastEvent(type, data) {
+    eventSequence++;
+    const payload = `id: ${eventSequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(client => {
+        try {
+            client.write(payload);
+        } catch (e) {
+            eventClients.delete(client);
+        }
     });
 }
 
-function saveShowNotes() {
-    const notesFile = getShowNotesFile(currentShowName);
-    fs.writeFileSync(notesFile, JSON.stringify(showNotes, null, 2));
-}
-
-// Request all cues from a specific cue list
-let bulkRefreshInProgress = false;
-let bulkRefreshCueList = null;
-let bulkRefreshExpectedCount = 0;
-let bulkRefreshReceivedIndices = new Set();
-let bulkRefreshClearedCues = [];
-let bulkRefreshTimeouts = []; // Track all active timeouts for this refresh
-let bulkRefreshSessionCounter = 0; // Counter to generate unique session IDs
-let bulkRefreshActiveSessionId = null; // Active session ID that should be processing responses
-let bulkRefreshReceivedCues = new Set(); // Track cue numbers received in current refresh
-let lastKnownCueCount = {}; // Track cue count per list for auto-detection
-let bulkRefreshCountReceived = false; // Flag to track if we've received the count for current session
-let bulkRefreshPendingRequest = null; // Queued refresh request waiting for current one to finish
-let bulkRefreshRequestTimestamp = 0; // Timestamp when current session sent its count request
-
-let bulkRefreshQueue = []; // Queue of cue lists waiting to be refreshed
-
-function requestAllCues(cueList = 1, clearExisting = true) {
-    if (!oscClient && !tcpPort) {
-        console.error('⚠️ OSC client not initialized');
-        return;
-    }
-    
-    // If a refresh is already in progress, queue this request
-    if (bulkRefreshInProgress) {
-        // Avoid duplicate queue entries
-        if (!bulkRefreshQueue.includes(cueList) && bulkRefreshCueList !== cueList) {
-            bulkRefreshQueue.push(cueList);
-            console.log(`📋 Queued cue list ${cueList} for refresh (${bulkRefreshQueue.length} in queue)`);
-        }
-        return;
-    }
-    
-    console.log(`📋 Requesting cue count from cue list ${cueList}...`);
-    
-    // Reset bulk refresh state
-    bulkRefreshInProgress = true;
-    bulkRefreshCueList = cueList;
-    bulkRefreshExpectedCount = 0;
-    bulkRefreshReceivedIndices.clear();
-    bulkRefreshReceivedCues.clear();
-    bulkRefreshClearedCues = [];
-    
-    // CueView method: First get the count, then request each cue by INDEX
-    // This is much more reliable than requesting by cue number
-    sendOSC(`/eos/get/cue/${cueList}/count`);
-    console.log(`📡 Sent: /eos/get/cue/${cueList}/count`);
-    console.log(`💡 Waiting for EOS to respond with cue count...`);
-    
-    // Set a timeout in case EOS doesn't respond - try wildcard fallback
-    setTimeout(() => {
-        if (bulkRefreshInProgress && bulkRefreshExpectedCount === 0) {
-            console.log(`⚠️ No count response - trying wildcard fallback...`);
-            // Try the wildcard approach as fallback
-            sendOSC(`/eos/get/cue/${cueList}/0/1000`);
-            console.log(`📡 Sent: /eos/get/cue/${cueList}/0/1000 (range request)`);
-            
-            // Also try requesting cue 0 which often exists
-            sendOSC(`/eos/get/cue/${cueList}/1`);
-            console.log(`📡 Sent: /eos/get/cue/${cueList}/1`);
-            
-            // Try the cuelist/cue/*/list wildcard pattern from earlier versions
-            sendOSC(`/eos/get/cuelist/${cueList}/cue/*/list`);
-            console.log(`📡 Sent: /eos/get/cuelist/${cueList}/cue/*/list (wildcard)`);
-            
-            // Final timeout to end refresh if nothing works
-            setTimeout(() => {
-                if (bulkRefreshInProgress && bulkRefreshExpectedCount === 0) {
-                    console.error(`⚠️ No response from EOS - cue refresh failed`);
-                    bulkRefreshInProgress = false;
-                    bulkRefreshCueList = null;
-                }
-            }, 5000);
-        }
-    }, 5000);
+function getConnectionState() {
+    return {
+        isConnected: isConnected,
+        connectionState: connectionState,
+        reconnecting: autoReconnect && connectionState !== 'connected',
+        reconnectAttempt: reconnectAttempt,
+        connectedEOSShow: connectedEOSShowName,
+        currentShow: currentShowName,
+        mainPlaybackList: mainPlaybackList
+    };
 }
 
-// Called when we receive the cue count response
-function handleCueCountResponse(cueList, count) {
-    if (!bulkRefreshInProgress || bulkRefreshCueList !== cueList) {
-        console.log(`⚠️ Ignoring count response for list ${cueList} - not part of current refresh`);
-        return;
-    }
-    
-    console.log(`📊 Cue list ${cueList} has ${count} cues`);
-    bulkRefreshExpectedCount = count;
-    
-    // Track cue count for auto-detection
-    lastKnownCueCount[cueList] = count;
-    
-    if (count === 0) {
-        console.log('✅ No cues in list - refresh complete');
-        // Still need to clean up old cues from this list
-        checkBulkRefreshComplete();
-        return;
+function saveShowTimings() {
+    try {
+        writeShowJsonFile(getShowTimingsFile(currentShowName), showTimings);
+    } catch (err) {
+        console.error('❌ Error saving timings:', err);
     }
-    
-    // CueView method: Request each cue by INDEX (position in the list)
-    // This gets cue at position 0, 1, 2, etc. regardless of cue number
-    console.log(`📡 Requesting ${count} cues by index (CueView method, batched)...`);
-    let i = 0;
-    const batchInterval = setInterval(() => {
-        for (let k = 0; k < 10 && i < count; k++, i++) {
-            sendOSC(`/eos/get/cue/${cueList}/index/${i}`);
-        }
-        if (i >= count) {
-            clearInterval(batchInterval);
-            console.log(`✅ All ${count} index requests sent (batched).`);
-        }
-    }, 50);
-    
-    console.log(`💡 Responses will appear as EOS sends them...`);
-    
-    // Set a completion timeout based on cue count
-    // Give extra time for cue processing before cleanup
-    const timeout = Math.max(5000, count * 100); // At least 5s, or 100ms per cue
-    setTimeout(() => {
-        checkBulkRefreshComplete();
-    }, timeout);
 }
 
-// Check if all expected cues have been received
-function checkBulkRefreshComplete() {
-    if (!bulkRefreshInProgress) return;
-    
-    const received = bulkRefreshReceivedIndices.size;
-    const expected = bulkRefreshExpectedCount;
-    const listNum = bulkRefreshCueList;
-    
-    console.log(`📊 Received ${received}/${expected} cue responses`);
-    
-    // Remove cues from this list that weren't in the refresh
-    // Keep user data (notes, colors, tags) but remove cues that no longer exist on EOS
-    const cuesBeforeCleanup = cues.length;
-    const cueListStr = String(listNum);
-    
-    cues = cues.filter(cue => {
-        const cueList = String(cue.cue_list || '1');
-        // Keep cues from other lists
-        if (cueList !== cueListStr) return true;
-        // Keep cues that were received in this refresh
-        if (bulkRefreshReceivedCues.has(cue.cue_number)) return true;
-        // Remove cues that weren't in the refresh
-        console.log(`🗑️ Removing old cue ${cue.cue_number} from list ${cueList} (not in EOS)`);
-        return false;
-    });
-    
-    const removedCount = cuesBeforeCleanup - cues.length;
-    if (removedCount > 0) {
-        console.log(`🧹 Cleaned up ${removedCount} old cue(s) not found in EOS`);
-        saveCues();
-    }
-    
-    // Mark as complete
-    bulkRefreshInProgress = false;
-    bulkRefreshCueList = null;
-    bulkRefreshExpectedCount = 0;
-    bulkRefreshReceivedIndices.clear();
-    bulkRefreshReceivedCues.clear();
-    
-    notifyFrontendCuesChanged();
-    console.log(`✅ Cue refresh complete - ${received} cues loaded`);
-    
-    // Process next queued cue list if any
-    if (bulkRefreshQueue.length > 0) {
-        const nextList = bulkRefreshQueue.shift();
-        console.log(`📋 Processing next queued cue list: ${nextList} (${bulkRefreshQueue.length} remaining)`);
-        requestAllCues(nextList, false);
-    }
+function saveTimingRuns() {
+    writeShowJsonFile(getShowTimingRunsFile(currentShowName), timingRuns);
 }
 
-// Called when we receive a cue index response
-function handleCueIndexResponse(cueList, index) {
-    if (!bulkRefreshInProgress || bulkRefreshCueList !== cueList) {
-        console.log(`⚠️ Ignoring index response for list ${cueList} index ${index} - not part of current refresh`);
-        return; // Not part of current bulk refresh
-    }
-    
-    // Guard against stale responses from cancelled refreshes
-    // Don't process index responses until we've received the count
-    if (bulkRefreshExpectedCount === 0) {
-        console.log(`⚠️ Ignoring stale index response ${index} - count not yet received`);
-        return;
-    }
-    
-    // Validate index is in expected range
-    if (index < 0 || index >= bulkRefreshExpectedCount) {
-        console.log(`⚠️ Ignoring out-of-range index response ${index} - expected 0-${bulkRefreshExpectedCount - 1}`);
-        return;
-    }
-    
-    bulkRefreshReceivedIndices.add(index);
-    
-    // Check if we've received all expected responses
-    // Use setImmediate to ensure cue data is fully processed before cleanup
-    if (bulkRefreshReceivedIndices.size >= bulkRefreshExpectedCount) {
-        setImmediate(() => checkBulkRefreshComplete());
+// Cue timings the countdown predicts from - the chosen baseline over the recorded runs
+// Before the first run is finished this is the recording in progress
+function getBaselineTimings() {
+    if (timingRuns.length === 0) {
+        return showTimings.cueTimings;
     }
+    return buildBaselineTimings(timingRuns, showTimings.baseline);
 }
 
-// OSC Functions
+// Show time of the recording in progress (seconds, paused time left out)
+function getRecordingTime(now) {
+    return (now - showTimings.showStartTime - (showTimings.pausedTotal || 0)) / 1000;
+}
+
+function getPauseState() {
+    const pause = showTimings.activePause;
+    if (!pause) return null;
+    return {
+        type: pause.type,
+        label: pause.label,
+        afterCue: pause.afterCue,
+        startedAt: pause.startedAt,
+        elapsed: (Date.now() - pause.startedAt) / 1000
+    };
+}
+
+// Stop the show clock - type 'pause' or 'intermission'
+function pauseShow(type, label) {
+    if (showTimings.activePause) return null;
+    const now = Date.now();
+    showTimings.activePause = {
+        type: type,
+        label: label || (type === 'intermission' ? 'Intermission' : 'Pause'),
+        startedAt: now,
+        afterCue: liveCueNumber,
+        at: showTimings.isRecording ? Math.round(getRecordingTime(now) * 100) / 100 : null
+    };
+    saveShowTimings();
+    console.log(`⏸️ ${showTimings.activePause.label} started${liveCueNumber ? ` after cue ${liveCueNumber}` : ''}`);
+    return getPauseState();
+}
+
+// Restart the show clock - a recording keeps the pause as a marker on its timeline
+function resumeShow(reason) {
+    const pause = showTimings.activePause;
+    if (!pause) return null;
+    const now = Date.now();
+    const pausedMs = now - pause.startedAt;
+    showTimings.activePause = null;
+    if (lastCueFireTime) {
+        pausedSinceLastFire += now - Math.max(pause.startedAt, lastCueFireTime);
+    }
+    const marker = {
+        type: pause.type,
+        label: pause.label,
+        afterCue: pause.afterCue,
+        at: pause.at,
+        duration: Math.round(pausedMs / 100) / 10
+    };
+    if (showTimings.isRecording) {
+        // A pause that began before the recording only counts from the start
+        const recordedMs = now - Math.max(pause.startedAt, showTimings.showStartTime);
+        showTimings.pausedTotal = (showTimings.pausedTotal || 0) + recordedMs;
+        marker.duration = Math.round(recordedMs / 100) / 10;
+        if (marker.at === null) marker.at = 0;
+        showTimings.pauses = [...(showTimings.pauses || []), marker];
+    }
+    saveShowTimings();
+    console.log(`▶️ ${pause.label} ended after ${marker.duration}s${reason ? ` (${reason})` : ''}`);
+    return marker;
+}
+
+function hasCueTag(cue, tag) {
+    return !!(cue && tag && (cue.tags || []).some(t => String(t).toLowerCase() === String(tag).toLowerCase()));
+}
+
+// Keep the recording in progress as a run
+function finishRecording() {
+    resumeShow('recording stopped');
+    showTimings.isRecording = false;
+    if (showTimings.cueTimings.length === 0) {
+        return null;
+    }
+    const run = {
+        id: showTimings.runId || String(showTimings.showStartTime || Date.now()),
+        date: new Date(showTimings.showStartTime || Date.now()).toISOString(),
+        stoppedAt: new Date().toISOString(),
+        notes: '',
+        cueTimings: showTimings.cueTimings.map(t => Object.assign({}, t)),
+        pauses: (showTimings.pauses || []).map(p => Object.assign({}, p))
+    };
+    showTimings.runId = run.id;
+    timingRuns = timingRuns.filter(r => r.id !== run.id);
+    timingRuns.push(run);
+    saveTimingRuns();
+    console.log(`⏱️ Saved run ${timingRuns.length} (${run.cueTimings.length} cues)`);
+    return run;
+}
+
+function saveShowNotes() {
+    writeShowJsonFile(getShowNotesFile(currentShowName), showNotes);
+}
+
+function saveShowSettings() {
+    writeShowJsonFile(getShowSettingsFile(currentShowName), showSettings);
+}
+
+// EOS cue sync - OSC parsing, cue merge and bulk refresh live in lib/cue-sync.js
+const cueSync = createCueSync({
+    getCues: () => cues,
+    setCues: (newCues) => { cues = newCues; },
+    saveCues: () => saveCues(),
+    broadcastEvent: broadcastEvent,
+    sendOSC: (address, ...args) => sendOSC(address, ...args),
+    canSendOSC: () => !!(oscClient || tcpPort),
+    isConnected: () => isConnected,
+    getMainPlaybackList: () => mainPlaybackList,
+    setMainPlaybackList: (list) => {
+        mainPlaybackList = list;
+        globalSettings.mainPlaybackList = mainPlaybackList;
+        saveGlobalSettings();
+        broadcastEvent('playback-list', { mainPlaybackList: mainPlaybackList });
+    },
+    onShowName: handleEOSShowName,
+    onCueFired: recordCueFired,
+    onCueData: (list, cueNumber, part, fields) => consolePush.handleCueData(list, cueNumber, part, fields),
+    onRefreshComplete: handleRefreshReport
+});
+const { parseEOSCueMessage, updateOrCreateCue, requestAllCues } = cueSync;
+
+// Label / notes write-back to the console - lib/console-push.js
+const consolePush = createConsolePush({
+    sendOSC: (address, ...args) => sendOSC(address, ...args),
+    isConnected: () => isConnected && !oscReplay
+});
+let consolePushInProgress = false;  // Single or bulk push running
+
+// Remote GO / Stop/Back / Go To Cue - arming and message building live in lib/eos-remote.js
+const remoteControl = createRemoteControl({
+    sendOSC: (address, ...args) => sendOSC(address, ...args),
+    isConnected: () => isConnected && !oscReplay,
+    isEnabled: () => isRemoteFiringEnabled(showSettings),
+    getMainPlaybackList: () => mainPlaybackList,
+    getPendingCue: (list) => {
+        const pending = cues.find(c => c.last_seen === 'pending' && String(c.cue_list || '1') === String(list) && !(c.part_number > 0));
+        return pending ? pending.cue_number : null;
+    },
+    onStateChange: (state) => broadcastEvent('remote', state)
+});
+
+// Refresh change reports and the orphaned notes bin - both kept per show
+const MAX_REFRESH_HISTORY = 100;
+
+// Parsed show file, or fallback if it doesn't exist - a file that doesn't parse is set
+// aside and restored from the newest backup with a valid copy
+function readShowJsonFile(file, fallback) {
+    try {
+        const result = readJsonFileWithRecovery(file);
+        if (result.corruptFile) {
+            const recovery = {
+                show: decodeShowName(path.basename(path.dirname(file))),
+                file: path.basename(file),
+                backup: result.recoveredFrom,
+                corruptFile: path.basename(result.corruptFile),
+                time: new Date().toISOString()
+            };
+            fileRecoveries.push(recovery);
+            if (recovery.backup) {
+                console.log(`⚠️ ${recovery.file} of show ${recovery.show} was damaged - restored from backup ${recovery.backup} (damaged copy kept as ${recovery.corruptFile})`);
+            } else {
+                console.error(`❌ ${recovery.file} of show ${recovery.show} was damaged and no backup has a valid copy (damaged copy kept as ${recovery.corruptFile})`);
+            }
+        }
+        if (result.data !== undefined) return result.data;
+    } catch (error) {
+        console.error(`Error reading ${file}:`, error);
+    }
+    return fallback;
+}
+
+function loadRefreshHistory() {
+    return readShowJsonFile(getShowRefreshHistoryFile(currentShowName), []);
+}
+
+function loadOrphanedNotes() {
+    return readShowJsonFile(getShowOrphanedNotesFile(currentShowName), []);
+}
+
+function saveOrphanedNotes(orphans) {
+    writeShowJsonFile(getShowOrphanedNotesFile(currentShowName), orphans);
+}
+
+// A list refresh finished (lib/refresh-report.js builds the report)
+// User data of renumbered cues follows the cue; user data of deleted cues goes to the orphan bin
+function handleRefreshReport(report, previousCues) {
+    try {
+        const findPrevious = (entry) => previousCues.find(c =>
+            String(c.cue_number) === entry.cue_number && (c.part_number || 0) === entry.part_number);
+
+        const findCurrent = (entry) => cues.find(c =>
+            String(c.cue_list || '1') === report.cue_list &&
+            String(c.cue_number) === entry.cue_number &&
+            (c.part_number || 0) === entry.part_number);
+
+        // Cues are stored by number, so a number that now holds another cue (moved there, or
+        // newly recorded where a moved or deleted cue was) still has the old cue's notes.
+        // Those are cleared first; the moved cues bring theirs below, deleted ones go to the bin.
+        // Both steps are one journal entry, so undo puts the notes back where they were.
+        const changes = [];
+        [...report.renumbered.map(entry => entry.to), ...report.added].forEach(entry => {
+            const cue = findCurrent(entry);
+            if (!cue || !findPrevious(entry) || !hasUserCueData(cue)) return;
+            const fields = Object.assign(JSON.parse(JSON.stringify(EMPTY_USER_CUE_FIELDS)), { image_path: undefined });
+            changes.push(...changeUserCueFields(cue, fields));
+            broadcastEvent('cue-upsert', cue);
+        });
+
+        report.renumbered.forEach(entry => {
+            const oldCue = findPrevious(entry.from);
+            const newCue = findCurrent(entry.to);
+            if (oldCue && newCue && hasUserCueData(oldCue)) {
+                changes.push(...mergeUserCueFieldsJournaled(newCue, oldCue));
+                entry.notes_moved = true;
+                console.log(`📦 Moved notes of renumbered cue ${report.cue_list}/${entry.from.cue_number} to ${entry.to.cue_number}`);
+                broadcastEvent('cue-upsert', newCue);
+            }
+        });
+        if (changes.length > 0) {
+            saveCues();
+            recordJournalEntry(null, `Console refresh of list ${report.cue_list}: notes of renumbered cues`, changes);
+        }
+        const workNotes = loadWorkNotes();
+        const movedWorkNotes = moveWorkNotes(workNotes, report.cue_list, report.renumbered);
+        if (movedWorkNotes > 0) {
+            saveWorkNotes(workNotes);
+            console.log(`📦 Moved ${movedWorkNotes} work note(s) along with renumbered cues of list ${report.cue_list}`);
+        }
+        const scriptMarkers = loadScriptMarkers();
+        if (followRenumberedCues(scriptMarkers, report.cue_list, report.renumbered) > 0) {
+            saveScriptMarkers(scriptMarkers);
+        }
+
+        const orphans = report.deleted
+            .map(entry => findPrevious(entry))
+            .filter(cue => cue && hasUserCueData(cue))
+            .map((cue, index) => ({
+                id: `${Date.now()}-${index}`,
+                removed_at: report.time,
+                cue_list: report.cue_list,
+                cue_number: String(cue.cue_number),
+                part_number: cue.part_number || 0,
+                label: cue.label || '',
+                notes: cue.notes || '',
+                color: cue.color || '#ffffff',
+                tags: cue.tags || [],
+                page: cue.page || '',
+                attachments: getCueAttachments(cue)
+            }));
+        if (orphans.length > 0) {
+            saveOrphanedNotes([...loadOrphanedNotes(), ...orphans]);
+            report.deleted.forEach(entry => {
+                entry.orphaned = orphans.some(o => o.cue_number === entry.cue_number && o.part_number === entry.part_number);
+            });
+            console.log(`🗂️ Kept notes of ${orphans.length} deleted cue(s) in the orphaned notes bin`);
+        }
+
+        const history = loadRefreshHistory();
+        history.push(report);
+        writeShowJsonFile(getShowRefreshHistoryFile(currentShowName), history.slice(-MAX_REFRESH_HISTORY));
+
+        const summary = report.summary;
+        console.log(`📝 Refresh report list ${report.cue_list}: ${summary.added} added, ${summary.deleted} deleted, ${summary.renumbered} renumbered, ${summary.changed} changed`);
+        broadcastEvent('refresh-report', Object.assign({}, report, { orphanCount: loadOrphanedNotes().length }));
+    } catch (error) {
+        console.error('Error saving refresh report:', error);
+    }
+}
+
+// Auto-switch to the show that is loaded on the console
+function handleEOSShowName(eosShowName) {
+    connectedEOSShowName = eosShowName;
+    if (eosShowName && eosShowName !== currentShowName) {
+        console.log(`🔄 Auto-switching to show: ${eosShowName}`);
+        switchShow(eosShowName);
+    }
+}
+
+// Record show timing when a cue of the main playback list fires
+// Other lists are ignored to avoid ghost timings from list 2, 3, ...
+function recordCueFired(list, cueNum, label) {
+    if (String(list) !== mainPlaybackList) return;
+    
+    const isNewCue = String(cueNum) !== liveCueNumber;
+    // The next cue continues the show after a pause or the intermission
+    if (isNewCue && showTimings.activePause) {
+        resumeShow(`cue ${cueNum} fired`);
+    }
+    
+    if (showTimings.isRecording) {
+        const now = Date.now();
+        if (!showTimings.showStartTime) {
+            showTimings.showStartTime = now;
+        }
+        const timestamp = getRecordingTime(now);
+        let timeFromPrevious = 0;
+        if (showTimings.lastCueTime !== null && showTimings.lastCueTime > 0) {
+            timeFromPrevious = timestamp - showTimings.lastCueTime;
+        }
+        if (cueNum !== showTimings.lastCueNumber) {
+            const existingIdx = showTimings.cueTimings.findIndex(t => String(t.cueNumber) === String(cueNum));
+            if (existingIdx !== -1) {
+                showTimings.cueTimings[existingIdx].timestamp = timestamp;
+                showTimings.cueTimings[existingIdx].timeFromPrevious = timeFromPrevious;
+                console.log(`⏱️ Updated existing timing for cue ${cueNum}`);
+            } else {
+                showTimings.cueTimings.push({
+                    cueNumber: cueNum,
+                    cueList: list,
+                    label: label,
+                    timestamp: timestamp,
+                    timeFromPrevious: timeFromPrevious
+                });
+            }
+            showTimings.lastCueTime = timestamp;
+            showTimings.lastCueNumber = cueNum;
+            saveShowTimings();
+        }
+    }
+    
+    if (!isNewCue) return;
+    liveCueNumber = String(cueNum);
+    
+    // Playback: jump the show clock to the baseline time of this cue
+    // While recording only if an earlier run exists to predict from
+    if (!showTimings.isRecording || timingRuns.length > 0) {
+        const timing = getBaselineTimings().find(t => String(t.cueNumber) === String(cueNum));
+        if (timing) {
+            currentShowElapsed = timing.timestamp;
+            lastCueFireTime = Date.now();
+            pausedSinceLastFire = 0;
+        }
+    }
+    
+    // The intermission cue (e.g. house lights up) stops the show clock until the next cue
+    const firedCue = cues.find(c =>
+        String(c.cue_list || '1') === String(list) && String(c.cue_number) === String(cueNum) && !(c.part_number > 0));
+    if (hasCueTag(firedCue, showSettings.intermission_tag)) {
+        pauseShow('intermission', showSettings.intermission_tag);
+    }
+}
+
+// OSC Functions
 let tcpPort = null;
 
 function sendOSC(address, ...args) {
@@ -584,6 +1335,8 @@ function sendOSC(address, ...args) {
         return;
     }
     
+    oscRecorder.record('out', address, args);
+    
     if (settings.protocol === 'tcp' && tcpPort) {
         const message = { address: address };
         if (args.length > 0) {
@@ -596,8 +1349,144 @@ function sendOSC(address, ...args) {
         }
         tcpPort.send(message);
     } else if (oscClient) {
-        sendOSC(address, ...args);
+        oscClient.send(address, ...args, (err) => {
+            if (err) console.error('❌ UDP OSC send error:', err.message);
+        });
+    }
+}
+
+function setConnectionState(state) {
+    if (state === connectionState) return;
+    console.log(`🔌 EOS connection: ${connectionState} → ${state}`);
+    connectionState = state;
+    isConnected = state === 'connected';
+    if (!isConnected) {
+        remoteControl.disarm('connection ' + state);
+    }
+    broadcastEvent('connection', getConnectionState());
+}
+
+// Any traffic from EOS proves the link is alive
+function markConsoleAlive() {
+    lastMessageTime = Date.now();
+    if (connectionState === 'stale' || (connectionState === 'connecting' && !tcpPort)) {
+        // Stale link recovered, or first UDP reply (UDP has no 'ready' event)
+        setConnectionState('connected');
+        reconnectAttempt = 0;
+    }
+}
+
+// Queries sent after every (re)connect: subscribe and rediscover cue lists
+function sendInitialQueries() {
+    console.log('📋 Step 1: Requesting cuelist count...');
+    sendOSC('/eos/get/cuelist/count');
+    console.log('✅ Sent: /eos/get/cuelist/count');
+    
+    console.log('📡 Step 2: Requesting EOS version...');
+    sendOSC('/eos/get/version');
+    console.log('✅ Sent: /eos/get/version');
+    
+    console.log('📡 Step 3: Subscribing to EOS show data...');
+    sendOSC('/eos/subscribe', 1);
+    console.log('✅ Sent: /eos/subscribe with argument 1');
+    
+    console.log('🎛️ Step 4: Querying main playback fader config...');
+    sendOSC('/eos/get/fader/0/config');
+    console.log('✅ Sent: /eos/get/fader/0/config');
+}
+
+function closeOSCTransports() {
+    if (oscClient) {
+        try { oscClient.close(); } catch (e) {}
+        oscClient = null;
+    }
+    if (oscServer) {
+        try { oscServer.close(); } catch (e) {}
+        oscServer = null;
+    }
+    if (tcpPort) {
+        const port = tcpPort;
+        tcpPort = null;  // Clear first so the close handler knows this was intentional
+        try { port.close(); } catch (e) {}
+    }
+}
+
+function startHeartbeat() {
+    stopHeartbeat();
+    lastMessageTime = Date.now();
+    heartbeatTimer = setInterval(() => {
+        if (connectionState === 'disconnected') return;
+        sendOSC('/eos/ping');
+        
+        const silence = Date.now() - lastMessageTime;
+        if (silence > RECONNECT_AFTER_SILENCE) {
+            console.log(`💔 No reply from EOS for ${Math.round(silence / 1000)}s - reconnecting`);
+            handleConnectionLost();
+        } else if (silence > STALE_AFTER && connectionState === 'connected') {
+            console.log(`⚠️ No reply from EOS for ${Math.round(silence / 1000)}s - connection stale`);
+            setConnectionState('stale');
+        }
+    }, HEARTBEAT_INTERVAL);
+}
+
+function stopHeartbeat() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+function handleConnectionLost() {
+    stopHeartbeat();
+    closeOSCTransports();
+    cueSync.resetDiscovery();
+    setConnectionState('disconnected');
+    if (autoReconnect) {
+        scheduleReconnect();
+    }
+}
+
+function scheduleReconnect() {
+    if (reconnectTimer) return;
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempt));
+    reconnectAttempt++;
+    console.log(`⏳ Reconnecting to EOS in ${delay / 1000}s (attempt ${reconnectAttempt})`);
+    broadcastEvent('connection', getConnectionState());
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        if (autoReconnect) {
+            initializeOSC();
+        }
+    }, delay);
+}
+
+function cancelReconnect() {
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
     }
+    reconnectAttempt = 0;
+}
+
+// Tear down the link for good (no reconnect)
+function disconnectOSC() {
+    autoReconnect = false;
+    cancelReconnect();
+    stopHeartbeat();
+    closeOSCTransports();
+    cueSync.resetDiscovery();
+    setConnectionState('disconnected');
+    oscRecorder.stop();
+}
+
+// Start a new session file in the current show's folder if recording is enabled
+function startTrafficRecording() {
+    if (!settings.record_traffic || oscRecorder.isRecording()) return;
+    oscRecorder.start(getShowSessionsDir(currentShowName), {
+        show: currentShowName,
+        protocol: settings.protocol || 'tcp',
+        target: `${settings.ip_address}:${settings.port}`
+    });
 }
 
 function initializeOSC() {
@@ -611,73 +1500,78 @@ function initializeOSC() {
         console.log('========================================');
         
         // Close existing connections
-        if (oscClient) {
-            try { oscClient.kill(); } catch (e) {}
-            oscClient = null;
-        }
-        if (tcpPort) {
-            try { tcpPort.close(); } catch (e) {}
-            tcpPort = null;
-        }
+        stopHeartbeat();
+        closeOSCTransports();
+        cueSync.resetDiscovery();
+        setConnectionState('connecting');
+        startTrafficRecording();  // Reconnects keep writing to the same session
         
         if (protocol === 'tcp') {
             // Use TCP with SLIP encoding (like Cue-View)
-            tcpPort = new osc.TCPSocketPort({
+            const socketPort = new osc.TCPSocketPort({
                 address: settings.ip_address,
                 port: port,
                 useSLIP: true
             });
+            tcpPort = socketPort;
             
-            tcpPort.on('message', function (oscMsg) {
+            socketPort.on('message', function (oscMsg) {
+                // Convert to array format for parseEOSCueMessage
+                const args = oscMsg.args ? oscMsg.args.map(a => a.value !== undefined ? a.value : a) : [];
+                oscRecorder.record('in', oscMsg.address, args);
+                markConsoleAlive();
+                if (oscMsg.address === '/eos/out/ping') {
+                    consolePush.handlePingReply(args);  // Heartbeat or push verification
+                    return;
+                }
+                
                 console.log('========================================');
                 console.log('📨 OSC MESSAGE RECEIVED (TCP)');
                 console.log('Address:', oscMsg.address);
                 console.log('Args:', oscMsg.args);
                 console.log('========================================');
                 
-                // Convert to array format for parseEOSCueMessage
-                const args = oscMsg.args ? oscMsg.args.map(a => a.value !== undefined ? a.value : a) : [];
                 parseEOSCueMessage([oscMsg.address, ...args]);
             });
             
-            tcpPort.on('ready', function () {
+            socketPort.on('ready', function () {
+                if (socketPort !== tcpPort) return;
                 console.log('✅ TCP connection established');
+                reconnectAttempt = 0;
+                lastMessageTime = Date.now();
+                setConnectionState('connected');
                 
                 // CueView command order:
-                console.log('📋 Step 1: Requesting cuelist count...');
-                sendOSC('/eos/get/cuelist/count');
-                console.log('✅ Sent: /eos/get/cuelist/count');
-                
-                console.log('📡 Step 2: Requesting EOS version...');
-                sendOSC('/eos/get/version');
-                console.log('✅ Sent: /eos/get/version');
-                
-                console.log('📡 Step 3: Subscribing to EOS show data...');
-                sendOSC('/eos/subscribe', 1);
-                console.log('✅ Sent: /eos/subscribe with argument 1');
-                
-                console.log('🎛️ Step 4: Querying main playback fader config...');
-                sendOSC('/eos/get/fader/0/config');
-                console.log('✅ Sent: /eos/get/fader/0/config');
+                sendInitialQueries();
                 
                 console.log('✅ OSC TCP client initialized successfully');
             });
             
-            tcpPort.on('error', function (err) {
+            socketPort.on('error', function (err) {
+                // Socket errors are always followed by 'close', which drives the reconnect
                 console.error('❌ TCP OSC error:', err.message);
             });
             
-            tcpPort.on('close', function () {
+            socketPort.on('close', function () {
                 console.log('🔌 TCP connection closed');
+                if (socketPort !== tcpPort) return;  // Old or intentionally closed socket
+                handleConnectionLost();
             });
             
-            tcpPort.open();
+            socketPort.open();
         } else {
             // Use UDP (original method)
             oscClient = new nodeOsc.Client(settings.ip_address, port);
-            const oscServer = new nodeOsc.Server(8001, '0.0.0.0');
+            oscServer = new nodeOsc.Server(8001, '0.0.0.0');
             
             oscServer.on('message', function (msg) {
+                oscRecorder.record('in', msg[0], msg.slice(1));
+                markConsoleAlive();
+                if (msg[0] === '/eos/out/ping') {
+                    consolePush.handlePingReply(msg.slice(1));  // Heartbeat or push verification
+                    return;
+                }
+                
                 console.log('========================================');
                 console.log('📨 OSC MESSAGE RECEIVED (UDP)');
                 console.log('Raw message:', msg);
@@ -685,1220 +1579,1908 @@ function initializeOSC() {
                 parseEOSCueMessage(msg);
             });
             
-            console.log('📋 Step 1: Requesting cuelist count...');
-            sendOSC('/eos/get/cuelist/count');
-            console.log('✅ Sent: /eos/get/cuelist/count');
-            
-            console.log('📡 Step 2: Requesting EOS version...');
-            sendOSC('/eos/get/version');
-            console.log('✅ Sent: /eos/get/version');
-            
-            console.log('📡 Step 3: Subscribing to EOS show data...');
-            sendOSC('/eos/subscribe', 1);
-            console.log('✅ Sent: /eos/subscribe with argument 1');
+            oscServer.on('error', function (err) {
+                console.error('❌ UDP OSC error:', err.message);
+            });
             
-            console.log('🎛️ Step 4: Querying main playback fader config...');
-            sendOSC('/eos/get/fader/0/config');
-            console.log('✅ Sent: /eos/get/fader/0/config');
+            // UDP has no handshake - we stay 'connecting' until EOS answers
+            sendInitialQueries();
             
             console.log('✅ OSC UDP client initialized successfully');
         }
         
+        startHeartbeat();
         return true;
     } catch (error) {
         console.error('OSC initialization error:', error);
+        handleConnectionLost();
         return false;
     }
 }
 
-let currentPollRequest = null;
-
-function startActiveCuePolling() {
-    if (activeCuePoller) clearInterval(activeCuePoller);
-    activeCuePoller = setInterval(() => {
-        if (!isConnected || bulkRefreshInProgress || activePollingInProgress) return;
-        processNextPollRequest();
-    }, 500);
-}
-
-function processNextPollRequest() {
-    if (activePollingInProgress || !isConnected || bulkRefreshInProgress) return;
-    
-    if (activePollingQueue.length === 0) {
-        knownCueLists.forEach(listNum => {
-            activePollingQueue.push({ list: String(listNum), type: 'active' });
-            activePollingQueue.push({ list: String(listNum), type: 'pending' });
-        });
-        if (activePollingQueue.length === 0) return;
-    }
-    
-    const request = activePollingQueue.shift();
-    currentPollRequest = request;
-    activePollingInProgress = true;
-    
-    const oscPath = `/eos/get/cue/${request.list}/${request.type}`;
-    sendOSC(oscPath);
+function requestEOSCueData() {
+    if (!oscClient) return;
     
-    setTimeout(() => {
-        if (activePollingInProgress && currentPollRequest === request) {
-            console.log(`⏳ Poll timeout: ${request.type} for list ${request.list} (no response)`);
-            activePollingInProgress = false;
-            currentPollRequest = null;
-        }
-    }, 600);
-}
-
-function parseEOSCueMessage(msg) {
     try {
-        const address = msg[0];
-        const args = msg.slice(1);
+        console.log('========================================');
+        console.log('🎭 REQUESTING CUE DATA FROM EOS');
+        console.log('========================================');
         
-        console.log('Parsing EOS message:', address, args);
+        // Request the currently active and pending cues
+        sendOSC('/eos/get/cue/1/0');
+        console.log('✅ Requested current cue (1/0)');
         
-        // Handle show name - auto-switch to matching show
-        if (address.includes('/eos/out/show/name')) {
-            const eosShowName = args[0];
-            console.log('✅ EOS Show name:', eosShowName);
-            connectedEOSShowName = eosShowName;
-            
-            // Auto-switch to this show if it's different from current
-            if (eosShowName && eosShowName !== currentShowName) {
-                console.log(`🔄 Auto-switching to show: ${eosShowName}`);
-                switchShow(eosShowName);
-                notifyFrontendCuesChanged();
+        // Request a range of cues by number (EOS may not respond to all)
+        // Try both /eos/get/cue/<list>/<cue> format
+        for (let i = 1; i <= 20; i++) {
+            sendOSC(`/eos/get/cue/1/${i}`);
+            // Also try with decimals for common point cues
+            if (i <= 10) {
+                sendOSC(`/eos/get/cue/1/${i}.5`);
             }
         }
+        console.log('✅ Requested cues 1-20 from list 1');
         
-        // Handle EOS version response
-        if (address === '/eos/out/get/version') {
-            console.log('✅ EOS Version:', args[0]);
+        console.log('');
+        console.log('⏳ Waiting for EOS to respond...');
+        console.log('   EOS may only respond for cues that exist');
+        console.log('   Fire cues to see active/pending updates immediately');
+        console.log('========================================');
+    } catch (error) {
+        console.error('Error requesting cue data:', error);
+    }
+}
+
+// API Routes
+
+// Show management endpoints
+app.get('/api/shows', (req, res) => {
+    res.json({
+        shows: listShows(),
+        ...getConnectionState()
+    });
+});
+
+app.post('/api/shows/switch', requireRole('stage-manager'), (req, res) => {
+    try {
+        const { showName } = req.body;
+        if (!showName) {
+            return res.status(400).json({ error: 'Show name is required' });
+        }
+        switchShow(showName);
+        res.json({ 
+            success: true, 
+            currentShow: currentShowName,
+            message: `Switched to show: ${showName}`,
+            cueCount: cues.length
+        });
+    } catch (error) {
+        console.error('Error switching show:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/shows/create', requireRole('stage-manager'), (req, res) => {
+    try {
+        let trimmedName;
+        try {
+            trimmedName = checkShowName(req.body.showName);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (createShow(trimmedName)) {
+            res.json({ 
+                success: true, 
+                message: `Created show: ${trimmedName}`,
+                shows: listShows()
+            });
+        } else {
+            res.json({ 
+                success: false, 
+                message: `Show already exists: ${trimmedName}`,
+                shows: listShows()
+            });
+        }
+    } catch (error) {
+        console.error('Error creating show:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Load show from currently connected EOS console
+app.post('/api/shows/load-from-eos', requireRole('stage-manager'), (req, res) => {
+    try {
+        if (!isConnected || !connectedEOSShowName) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Not connected to EOS or no show detected' 
+            });
         }
         
-        // Handle cuelist count response
-        if (address === '/eos/out/get/cuelist/count') {
-            const cuelistCount = args[0];
-            console.log(`✅ EOS has ${cuelistCount} cuelist(s)`);
-            
-            // Request detailed info for each cuelist
-            for (let i = 0; i < cuelistCount; i++) {
-                sendOSC(`/eos/get/cuelist/index/${i}`);
-                console.log(`📡 Sent: /eos/get/cuelist/index/${i}`);
-            }
+        // Create or switch to the show with EOS name
+        const showName = connectedEOSShowName;
+        if (!showExists(showName)) {
+            createShow(showName);
         }
+        switchShow(showName);
         
-        // Handle cuelist index response (cuelist metadata, NOT cue data)
-        // Format: /eos/out/get/cuelist/<cuelist#>/list/<index>/<count>
-        if (address.match(/^\/eos\/out\/get\/cuelist\/-?\d+\/list\/\d+\/\d+$/)) {
-            const pathParts = address.split('/');
-            const cuelistNumber = parseInt(pathParts[5]);
-            
-            if (cuelistNumber < 0) {
-                console.log(`⏭️ Skipping system cuelist ${cuelistNumber}`);
-                return;
-            }
-            
-            if (!knownCueLists.includes(cuelistNumber)) {
-                knownCueLists.push(cuelistNumber);
-                console.log(`📋 Added cuelist ${cuelistNumber} to knownCueLists: [${knownCueLists}]`);
-                startActiveCuePolling();
+        res.json({ 
+            success: true, 
+            showName: showName,
+            message: `Switched to show: ${showName}`
+        });
+    } catch (error) {
+        console.error('Error loading show from EOS:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/shows/:showName', requireRole('admin'), (req, res) => {
+    try {
+        const { showName } = req.params;
+        if (showName === 'Default') {
+            return res.status(400).json({ error: 'Cannot delete Default show' });
+        }
+        if (showName === currentShowName) {
+            switchShow('Default');
+        }
+        if (deleteShow(showName)) {
+            res.json({ 
+                success: true, 
+                message: `Deleted show: ${showName}`,
+                shows: listShows(),
+                currentShow: currentShowName
+            });
+        } else {
+            res.status(404).json({ error: 'Show not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting show:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Show archive: every JSON file of the show folder plus the images it references
+function exportShowArchive(showName) {
+    if (showName === currentShowName) {
+        saveCuesSync();
+    }
+    const showDir = getShowDir(showName);
+    const files = {};
+    fs.readdirSync(showDir)
+        .filter(name => name.endsWith('.json') && fs.statSync(path.join(showDir, name)).isFile())
+        .forEach(name => {
+            try {
+                files[name] = JSON.parse(fs.readFileSync(path.join(showDir, name), 'utf8'));
+            } catch (error) {
+                console.error(`⚠️ Show file ${name} can't be read - left out of the archive:`, error.message);
             }
-            
-            console.log(`✅ Discovered cuelist ${cuelistNumber}`);
-            console.log(`📋 Requesting cues from cuelist ${cuelistNumber}...`);
-            
-            requestAllCues(cuelistNumber);
-            
+        });
+    if (!files['cues.json']) {
+        files['cues.json'] = [];
+    }
+
+    const images = {};
+    const thumbnails = {};
+    const missingImages = [];
+    getReferencedImages(files).forEach(name => {
+        const imagePath = path.join(getShowImagesDir(showName), name);
+        const thumbnailPath = path.join(getShowThumbnailsDir(showName), getThumbnailName(name));
+        if (!fs.existsSync(imagePath)) {
+            missingImages.push(name);
             return;
         }
-        
-        // Handle cue notifications from subscription
-        // Format: /eos/out/notify/cue/<list>/list/<index>/<count>
-        // Args: [sequence_number, cue_number_string, ...]
-        if (address.includes('/eos/out/notify/cue/')) {
-            console.log(`🔔 NOTIFY: ${address}`);
-            console.log(`   Args (${args.length}):`, args);
-            
-            // Extract list number and count from path
-            const pathParts = address.split('/');
-            const listIdx = pathParts.indexOf('cue') + 1;
-            const listNum = parseInt(pathParts[listIdx]);
-            
-            // Check if cue count changed (indicates cue added/deleted)
-            // Path format: /eos/out/notify/cue/<list>/list/<index>/<count>
-            const countMatch = address.match(/\/list\/\d+\/(\d+)$/);
-            if (countMatch) {
-                const newCount = parseInt(countMatch[1]);
-                const oldCount = lastKnownCueCount[listNum] || 0;
-                
-                if (newCount !== oldCount && oldCount > 0) {
-                    console.log(`🔄 Cue count changed: ${oldCount} → ${newCount} in list ${listNum}`);
-                    console.log(`📋 Triggering auto-refresh...`);
-                    lastKnownCueCount[listNum] = newCount;
-                    
-                    // Trigger full refresh if not already in progress
-                    if (!bulkRefreshInProgress) {
-                        requestAllCues(listNum);
-                    }
-                    return;
-                }
+        images[name] = fs.readFileSync(imagePath);
+        if (fs.existsSync(thumbnailPath)) {
+            thumbnails[getThumbnailName(name)] = fs.readFileSync(thumbnailPath);
+        }
+    });
+
+    console.log(`📦 Exported show archive "${showName}" (${Object.keys(files).length} files, ${Object.keys(images).length} images${missingImages.length > 0 ? `, ${missingImages.length} images missing` : ''})`);
+    return buildShowArchive({
+        showName: showName,
+        appVersion: APP_VERSION,
+        files: files,
+        images: images,
+        thumbnails: thumbnails,
+        missingImages: missingImages
+    });
+}
+
+// Write an archive as show showName, replacing the show folder if it exists
+// The files are staged next to the shows folder so a failed import leaves the old show intact
+function importShowArchive(archive, showName) {
+    const showDir = getCheckedShowDir(showName);
+    const stagingDir = path.join(DATA_DIR, '.show-import');
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(stagingDir, 'images', THUMBNAIL_DIR), { recursive: true });
+    Object.keys(archive.files).forEach(name => {
+        fs.writeFileSync(path.join(stagingDir, name), JSON.stringify(archive.files[name], null, 2));
+    });
+    Object.keys(archive.images).forEach(name => {
+        fs.writeFileSync(path.join(stagingDir, 'images', name), archive.images[name]);
+    });
+    Object.keys(archive.thumbnails).forEach(name => {
+        fs.writeFileSync(path.join(stagingDir, 'images', THUMBNAIL_DIR, name), archive.thumbnails[name]);
+    });
+
+    const isOpen = showName === currentShowName;
+    if (isOpen) {
+        // A pending save of the open show must not land in the imported one
+        flushPendingSaves();
+    }
+    const wasRecordingTraffic = isOpen && oscRecorder.isRecording();
+    if (wasRecordingTraffic) {
+        oscRecorder.stop();
+    }
+    if (fs.existsSync(showDir)) {
+        // Traffic sessions and backups aren't in the archive - keep the ones of the replaced
+        // show, with a last backup of it so the replace can be taken back
+        createBackup(showDir);
+        [getShowSessionsDir(showName), path.join(showDir, BACKUP_DIR)].forEach(dir => {
+            if (fs.existsSync(dir)) {
+                fs.renameSync(dir, path.join(stagingDir, path.basename(dir)));
             }
-            
-            const seqNum = args[0]; // Notification sequence number
-            const cueNumber = args[1]; // Cue number as string
-            console.log(`✅ Cue notification: Cue ${cueNumber} (seq ${seqNum})`);
-            
-            // Request full data for this cue using the correct format
-            sendOSC(`/eos/get/cue/${listNum}/${cueNumber}`);
-            console.log(`📡 Requested details for cue ${cueNumber} in list ${listNum}`);
-            
-            // Notify frontend that cues have changed
-            notifyFrontendCuesChanged();
+        });
+        fs.rmSync(showDir, { recursive: true });
+    }
+    fs.renameSync(stagingDir, showDir);
+
+    if (isOpen) {
+        switchShow(showName);
+        if (wasRecordingTraffic) {
+            startTrafficRecording();
+        }
+    }
+}
+
+app.get('/api/shows/:showName/export', requireRole('stage-manager'), (req, res) => {
+    try {
+        const { showName } = req.params;
+        if (!showExists(showName)) {
+            return res.status(404).json({ error: 'Show not found' });
+        }
+        const archive = exportShowArchive(showName);
+        const fileName = `${showName.replace(/[\\/:*?"<>|]/g, '_')}${ARCHIVE_EXTENSION}`;
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.send(archive);
+    } catch (error) {
+        console.error('Error exporting show archive:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import a show archive (.qnote) as a show
+// The show keeps its name from the archive unless name= is sent. If a show by that name
+// exists the answer is 409 with a free name to suggest; replace=true overwrites the show.
+app.post('/api/shows/import', requireRole('stage-manager'), archiveUpload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+        let archive;
+        try {
+            archive = parseShowArchive(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        let showName;
+        try {
+            showName = checkShowName(req.body.name || archive.showName);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (showExists(showName)) {
+            // Replacing deletes the old show - an admin decision like deleting it
+            if (String(req.body.replace) === 'true' && (!hasRole(req.auth.user.role, 'admin') || !req.auth.adminPin)) {
+                return res.status(403).json({
+                    success: false,
+                    error: hasRole(req.auth.user.role, 'admin') ? 'Confirm your PIN to continue' : 'Only an admin can replace a show',
+                    pinRequired: hasRole(req.auth.user.role, 'admin')
+                });
+            }
+            if (String(req.body.replace) !== 'true') {
+                return res.status(409).json({
+                    success: false,
+                    exists: true,
+                    showName: showName,
+                    suggestedName: getUniqueShowName(showName, listShows()),
+                    error: `A show named "${showName}" already exists`
+                });
+            }
+            if (showName === currentShowName && showTimings.isRecording) {
+                return res.status(409).json({ success: false, error: 'Stop the show timer before replacing the open show' });
+            }
+        }
+
+        importShowArchive(archive, showName);
+        console.log(`📥 Imported show archive as "${showName}" (${Object.keys(archive.files).length} files, ${Object.keys(archive.images).length} images)`);
+        res.json({
+            success: true,
+            showName: showName,
+            shows: listShows(),
+            currentShow: currentShowName,
+            files: Object.keys(archive.files).length,
+            images: Object.keys(archive.images).length,
+            missingImages: archive.missingImages
+        });
+    } catch (error) {
+        console.error('Error importing show archive:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Settings endpoints
+app.get('/api/settings', (req, res) => {
+    res.json({
+        ipAddress: settings.ip_address,
+        port: settings.port,
+        oscVersion: settings.osc_version,
+        protocol: settings.protocol || 'tcp',
+        recordTraffic: !!settings.record_traffic,
+        mainPlaybackList: mainPlaybackList
+    });
+});
+
+app.post('/api/settings', requireRole('admin'), (req, res) => {
+    try {
+        // Map frontend camelCase to backend snake_case
+        if (req.body.ipAddress !== undefined) {
+            settings.ip_address = req.body.ipAddress;
+        }
+        if (req.body.port !== undefined) {
+            settings.port = req.body.port;
+        }
+        if (req.body.oscVersion !== undefined) {
+            settings.osc_version = req.body.oscVersion;
+        }
+        if (req.body.protocol !== undefined) {
+            settings.protocol = req.body.protocol;
+        }
+        if (req.body.recordTraffic !== undefined) {
+            settings.record_traffic = !!req.body.recordTraffic;
+            if (!settings.record_traffic) {
+                oscRecorder.stop();
+            } else if (connectionState !== 'disconnected') {
+                startTrafficRecording();
+            }
+        }
+        if (req.body.mainPlaybackList !== undefined) {
+            mainPlaybackList = String(req.body.mainPlaybackList);
+            console.log(`📋 Main playback list set to: ${mainPlaybackList}`);
+            broadcastEvent('playback-list', { mainPlaybackList: mainPlaybackList });
         }
         
-        // Handle active cue text - contains full cue info
-        // Matches: /eos/out/active/cue/text, /eos/out/active/cue/<list>/text
-        if (address.match(/^\/eos\/out\/active\/cue\/([\d]+\/)?text$/)) {
-            const cueText = args[0] || '';
-            const addrListMatch = address.match(/\/cue\/(\d+)\/text$/);
-            const addrList = addrListMatch ? addrListMatch[1] : null;
-            const pollList = (currentPollRequest && currentPollRequest.type === 'active') ? currentPollRequest.list : null;
-            const contextList = addrList || pollList;
-            console.log(`✅ Active cue text: "${cueText}" (addrList=${addrList}, pollList=${pollList})`);
-            parseCueText(cueText, 'active', contextList);
-            if (activePollingInProgress && currentPollRequest && currentPollRequest.type === 'active') {
-                activePollingInProgress = false;
-                currentPollRequest = null;
+        console.log('💾 Saving settings:', settings);
+        saveSettings();
+        res.json({ success: true, message: 'Settings saved successfully' });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Connection endpoints
+app.post('/api/connect', requireRole('stage-manager'), (req, res) => {
+    try {
+        autoReconnect = true;
+        cancelReconnect();
+        stopOscReplay();  // Live traffic and a replay must not mix
+        if (initializeOSC()) {
+            // The connection state machine reports the outcome through the live update stream
+            // initializeOSC() discovers all cue lists, which triggers the bulk retrieval
+            res.json({ success: true, message: 'Connecting to EOS console', connectionState: connectionState });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to initialize OSC' });
+        }
+    } catch (error) {
+        console.error('Connection error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/disconnect', requireRole('stage-manager'), (req, res) => {
+    try {
+        disconnectOSC();
+        res.json({ success: true, message: 'Disconnected from EOS console' });
+    } catch (error) {
+        console.error('Disconnection error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Per-show settings
+app.get('/api/show-settings', (req, res) => {
+    res.json({
+        showName: currentShowName,
+        remoteFiring: isRemoteFiringEnabled(showSettings),
+        intermissionTag: showSettings.intermission_tag || ''
+    });
+});
+
+app.post('/api/show-settings', requireRole('admin'), (req, res) => {
+    try {
+        if (req.body.remoteFiring !== undefined) {
+            showSettings.remote_firing = !!req.body.remoteFiring;
+            showSettings.remote_firing_set = true;
+            console.log(`🎬 Remote firing ${showSettings.remote_firing ? 'enabled' : 'disabled'} for show: ${currentShowName}`);
+            if (!showSettings.remote_firing) {
+                remoteControl.disarm('disabled for show');
             }
-            notifyFrontendCuesChanged();
+            broadcastEvent('remote', remoteControl.getState());
         }
+        if (req.body.intermissionTag !== undefined) {
+            showSettings.intermission_tag = String(req.body.intermissionTag).trim();
+            console.log(`⏸️ Intermission tag for show ${currentShowName}: ${showSettings.intermission_tag || '(off)'}`);
+        }
+        saveShowSettings();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving show settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remote playback control - GO, Stop/Back and Go To Cue on the console
+app.get('/api/remote', (req, res) => {
+    res.json(remoteControl.getState());
+});
+
+app.post('/api/remote/arm', requireRole('stage-manager'), (req, res) => {
+    const result = req.body && req.body.armed === false ? remoteControl.disarm('by operator') : remoteControl.arm();
+    if (!result.success) {
+        return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.json(result);
+});
+
+app.post('/api/remote/:action', requireRole('stage-manager'), (req, res) => {
+    try {
+        const result = remoteControl.execute(req.params.action, req.body || {});
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Remote command error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// OSC session recording & replay
+function getReplayState() {
+    const progress = oscReplay ? oscReplay.getProgress() : (oscReplayResult || { played: 0, total: 0 });
+    return {
+        running: !!oscReplay,
+        session: oscReplaySession,
+        speed: oscReplaySpeed,
+        played: progress.played,
+        total: progress.total,
+        completed: oscReplay ? undefined : progress.completed
+    };
+}
+
+// The replay runs on its own cue sync over a copy of the cues, like test/helpers.js: nothing
+// is saved, the open show is never switched and timings, refresh reports, orphaned notes and
+// the journal are left alone. Browsers only see the active/pending highlighting it produces.
+function createReplaySync() {
+    let replayCues = JSON.parse(JSON.stringify(cues));
+    let replayPlaybackList = mainPlaybackList;
+    return createCueSync({
+        getCues: () => replayCues,
+        setCues: (newCues) => { replayCues = newCues; },
+        saveCues: () => {},
+        broadcastEvent: (type, data) => {
+            if (type === 'cue-state') broadcastEvent(type, data);
+        },
+        sendOSC: () => {},  // The recorded answers follow in the session
+        canSendOSC: () => true,
+        isConnected: () => false,
+        getMainPlaybackList: () => replayPlaybackList,
+        setMainPlaybackList: (list) => { replayPlaybackList = list; },
+        onShowName: (name) => console.log(`🎞️ Replay: EOS show ${name}`),
+        onCueFired: (list, cue) => console.log(`🎞️ Replay: cue ${list}/${cue} fired`)
+    });
+}
+
+// Feed a recorded session back through the parser
+// Inbound messages are parsed; outbound poll requests restore the list context of their answers
+function startOscReplay(sessionName, speed) {
+    const entries = readSession(path.join(getShowSessionsDir(currentShowName), sessionName));
+    stopOscReplay();
+    const replaySync = createReplaySync();
+
+    oscReplaySession = sessionName;
+    oscReplaySpeed = speed;
+    oscReplayResult = null;
+    const replay = createReplay(entries, {
+        speed: speed,
+        onEntry: (entry, index) => {
+            if (entry.dir === 'out') {
+                replaySync.trackPollRequest(entry.address);
+            } else if (entry.address !== '/eos/out/ping') {
+                replaySync.parseEOSCueMessage([entry.address, ...(entry.args || [])]);
+            }
+            if (index % 25 === 0) {
+                broadcastEvent('replay', getReplayState());
+            }
+        },
+        onDone: (result) => {
+            console.log(`🎞️ Replay of ${sessionName} ${result.completed ? 'finished' : 'stopped'} (${result.played}/${result.total} messages)`);
+            replaySync.resetDiscovery();
+            if (oscReplay !== replay) return;  // Superseded by a newer replay
+            oscReplay = null;
+            oscReplayResult = result;
+            broadcastEvent('replay', getReplayState());
+            broadcastEvent('show-reload', {});  // Back to the real active/pending cues
+        }
+    });
+    oscReplay = replay;
+    console.log(`🎞️ Replaying ${sessionName} at ${speed > 0 ? speed + 'x' : 'full'} speed`);
+    replay.start();
+    broadcastEvent('replay', getReplayState());
+}
+
+function stopOscReplay() {
+    if (oscReplay) {
+        oscReplay.stop();
+    }
+}
+
+app.get('/api/osc-sessions', (req, res) => {
+    try {
+        res.json({
+            sessions: listSessions(getShowSessionsDir(currentShowName)),
+            recordTraffic: !!settings.record_traffic,
+            recordingSession: oscRecorder.getSessionName(),
+            replay: getReplayState()
+        });
+    } catch (error) {
+        console.error('Error listing OSC sessions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/osc-sessions/:name', requireRole('stage-manager'), (req, res) => {
+    if (!isValidSessionName(req.params.name)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+    const sessionFile = path.join(getShowSessionsDir(currentShowName), req.params.name);
+    if (!fs.existsSync(sessionFile)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.download(path.resolve(sessionFile), req.params.name);
+});
+
+app.delete('/api/osc-sessions/:name', requireRole('stage-manager'), (req, res) => {
+    try {
+        if (!isValidSessionName(req.params.name)) {
+            return res.status(400).json({ error: 'Invalid session name' });
+        }
+        if (req.params.name === oscRecorder.getSessionName()) {
+            return res.status(409).json({ error: 'This session is still being recorded' });
+        }
+        if (req.params.name === oscReplaySession && oscReplay) {
+            return res.status(409).json({ error: 'This session is being replayed' });
+        }
+        const sessionFile = path.join(getShowSessionsDir(currentShowName), req.params.name);
+        if (!fs.existsSync(sessionFile)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        fs.unlinkSync(sessionFile);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting OSC session:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: { speed: 1 | 2 | 4 | ... | 0 (as fast as possible) }
+app.post('/api/osc-sessions/:name/replay', requireRole('stage-manager'), (req, res) => {
+    try {
+        if (!isValidSessionName(req.params.name)) {
+            return res.status(400).json({ error: 'Invalid session name' });
+        }
+        if (connectionState !== 'disconnected' || autoReconnect) {
+            return res.status(409).json({ error: 'Disconnect from EOS before replaying a session' });
+        }
+        const sessionFile = path.join(getShowSessionsDir(currentShowName), req.params.name);
+        if (!fs.existsSync(sessionFile)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        const speed = req.body.speed !== undefined ? Number(req.body.speed) : 1;
+        if (!Number.isFinite(speed) || speed < 0) {
+            return res.status(400).json({ error: 'Speed must be 0 (full speed) or a positive number' });
+        }
+        startOscReplay(req.params.name, speed);
+        res.json({ success: true, replay: getReplayState() });
+    } catch (error) {
+        console.error('Error starting replay:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/osc-replay/stop', requireRole('stage-manager'), (req, res) => {
+    stopOscReplay();
+    res.json({ success: true, replay: getReplayState() });
+});
+
+app.get('/api/debug', requireRole('admin'), (req, res) => {
+    const activeCues = cues.filter(c => c.last_seen === 'active').map(c => ({
+        cue_number: c.cue_number,
+        cue_list: c.cue_list,
+        label: c.label
+    }));
+    const pendingCues = cues.filter(c => c.last_seen === 'pending').map(c => ({
+        cue_number: c.cue_number,
+        cue_list: c.cue_list,
+        label: c.label
+    }));
+    const sampleCueNumbers = cues.slice(0, 10).map(c => ({
+        cue_number: c.cue_number,
+        type: typeof c.cue_number,
+        cue_list: c.cue_list,
+        list_type: typeof c.cue_list
+    }));
+    const sampleTimingKeys = showTimings.cueTimings.slice(0, 10).map(t => ({
+        cueNumber: t.cueNumber,
+        type: typeof t.cueNumber,
+        timeFromPrevious: t.timeFromPrevious
+    }));
+    const keyComparison = {
+        cueDataKeys: cues.slice(0, 5).map(c => String(c.cue_number)),
+        timingKeys: showTimings.cueTimings.slice(0, 5).map(t => String(t.cueNumber)),
+        matchCount: cues.filter(c => showTimings.cueTimings.some(t => String(t.cueNumber) === String(c.cue_number))).length
+    };
+    res.json({
+        mainPlaybackList,
+        knownCueLists: cueSync.getState().knownCueLists,
+        totalCues: cues.length,
+        activeCues,
+        pendingCues,
+        timingsCount: showTimings.cueTimings?.length || 0,
+        isRecording: showTimings.isRecording,
+        isConnected,
+        connectionState,
+        connectedEOSShowName,
+        currentShowName,
+        sampleCueNumbers,
+        sampleTimingKeys,
+        keyComparison
+    });
+});
+
+// Cue endpoints
+app.get('/api/cues', (req, res) => {
+    res.json({ cues: cues, mainPlaybackList: mainPlaybackList });
+});
+
+// Live update stream - replaces the old /api/cues/changed polling
+// Event types: cue-upsert, cue-delete, cue-state, show-switch, show-reload, playback-list, timing-tick, connection, replay, remote, console-push, journal, presence, standby-call
+app.get('/api/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    // Tell the browser how fast to reconnect, then send the current state so a
+    // reconnecting client knows it has to resync
+    res.write('retry: 2000\n\n');
+    res.write(`event: connection\ndata: ${JSON.stringify(getConnectionState())}\n\n`);
+    
+    eventClients.add(res);
+    console.log(`📡 Live update client connected (${eventClients.size} total)`);
+    
+    req.on('close', () => {
+        eventClients.delete(res);
+        // ?client= is the browser tab - its editor closed with it
+        if (req.query.client) cuePresence.leave(String(req.query.client));
+        console.log(`📡 Live update client disconnected (${eventClients.size} total)`);
+    });
+});
+
+// Editor presence - which browser has which cue open
+const cuePresence = createCuePresence({
+    onChange: (editors) => broadcastEvent('presence', { editors: editors })
+});
+setInterval(() => cuePresence.prune(), 15000).unref();
+
+app.get('/api/presence', (req, res) => {
+    res.json({ editors: cuePresence.list() });
+});
+
+// body: { clientId, cue: { cue_list, cue_number, part_number } | null } - repeated as a heartbeat
+app.post('/api/presence', requireRole('note-taker'), (req, res) => {
+    try {
+        const { clientId, cue } = req.body || {};
+        if (!clientId) {
+            return res.status(400).json({ success: false, error: 'clientId is required' });
+        }
+        cuePresence.update(String(clientId).slice(0, 64), getRequestAuthor(req) || 'Someone', cue && cue.cue_number !== undefined ? cue : null);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating presence:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Manual refresh - pull all cues from EOS (discovers all cue lists)
+app.post('/api/cues/refresh', requireRole('stage-manager'), (req, res) => {
+    try {
+        if (!oscClient && !tcpPort) {
+            return res.status(400).json({ success: false, message: 'Not connected to EOS' });
+        }
+        // Request cuelist count first to discover all lists
+        console.log('📋 Refresh: Requesting cuelist count to discover all lists...');
+        sendOSC('/eos/get/cuelist/count');
         
-        // Handle pending cue text - contains next cue info
-        // Matches: /eos/out/pending/cue/text, /eos/out/pending/cue/<list>/text
-        if (address.match(/^\/eos\/out\/pending\/cue\/([\d]+\/)?text$/)) {
-            const cueText = args[0] || '';
-            const addrListMatch = address.match(/\/cue\/(\d+)\/text$/);
-            const addrList = addrListMatch ? addrListMatch[1] : null;
-            const pollList = (currentPollRequest && currentPollRequest.type === 'pending') ? currentPollRequest.list : null;
-            const contextList = addrList || pollList;
-            console.log(`✅ Pending cue text: "${cueText}" (addrList=${addrList}, pollList=${pollList})`);
-            parseCueText(cueText, 'pending', contextList);
-            if (activePollingInProgress && currentPollRequest && currentPollRequest.type === 'pending') {
-                activePollingInProgress = false;
-                currentPollRequest = null;
+        // Fallback: if cuelist count doesn't respond within 3 seconds, refresh list 1
+        setTimeout(() => {
+            const syncState = cueSync.getState();
+            if (!syncState.bulkRefreshInProgress && syncState.knownCueLists.length === 0) {
+                console.log('📋 Refresh: Cuelist count timed out, falling back to list 1');
+                requestAllCues(1);
             }
-            notifyFrontendCuesChanged();
+        }, 3000);
+        
+        res.json({ success: true, message: 'Discovering and refreshing all cue lists...' });
+    } catch (error) {
+        console.error('Error refreshing cues:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Refresh history - newest first
+app.get('/api/refresh-history', (req, res) => {
+    try {
+        res.json({
+            reports: loadRefreshHistory().reverse(),
+            orphanCount: loadOrphanedNotes().length
+        });
+    } catch (error) {
+        console.error('Error loading refresh history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/refresh-history', requireRole('stage-manager'), (req, res) => {
+    try {
+        writeShowJsonFile(getShowRefreshHistoryFile(currentShowName), []);
+        console.log(`🗑️ Cleared refresh history for show: ${currentShowName}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing refresh history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Orphaned notes - user data of cues that were deleted on the console
+app.get('/api/orphaned-notes', (req, res) => {
+    try {
+        res.json({ orphans: loadOrphanedNotes() });
+    } catch (error) {
+        console.error('Error loading orphaned notes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-attach an orphan to an existing cue: { list, cue, part }
+app.post('/api/orphaned-notes/:id/attach', requireRole('stage-manager'), (req, res) => {
+    try {
+        const orphans = loadOrphanedNotes();
+        const orphan = orphans.find(o => o.id === req.params.id);
+        if (!orphan) {
+            return res.status(404).json({ success: false, error: 'Orphaned notes not found' });
         }
-        
-        // Handle per-list active/pending cue notifications (without /text suffix)
-        // EOS sends: /eos/out/active/cue/<list>/<cue> when subscribed
-        // Match: must have /eos/out/active/cue/ followed by list/cue numbers, not /text
-        {
-            const activeListMatch = address.match(/^\/eos\/out\/active\/cue\/(\d+)\/(\d+(?:\.\d+)?)(\/\w+)?$/);
-            if (activeListMatch && !address.endsWith('/text')) {
-                const list = activeListMatch[1];
-                const cueNum = activeListMatch[2];
-                console.log(`✅ Per-list active cue: List ${list}, Cue ${cueNum} (addr: ${address})`);
-                setActiveCueByListAndNumber(list, cueNum, 'active');
-                notifyFrontendCuesChanged();
-            }
+        if (!req.body.cue) {
+            return res.status(400).json({ success: false, error: 'Target cue number is required' });
         }
-        
-        {
-            const pendingListMatch = address.match(/^\/eos\/out\/pending\/cue\/(\d+)\/(\d+(?:\.\d+)?)(\/\w+)?$/);
-            if (pendingListMatch && !address.endsWith('/text')) {
-                const list = pendingListMatch[1];
-                const cueNum = pendingListMatch[2];
-                console.log(`✅ Per-list pending cue: List ${list}, Cue ${cueNum} (addr: ${address})`);
-                setActiveCueByListAndNumber(list, cueNum, 'pending');
-                notifyFrontendCuesChanged();
-            }
+        const targetParams = {
+            list: req.body.list || orphan.cue_list,
+            cue: req.body.cue,
+            part: req.body.part
+        };
+        const addressError = getCueAddressError(targetParams);
+        if (addressError) {
+            return res.status(400).json({ success: false, error: addressError });
         }
-        
-        // Log any unrecognized active/pending messages for diagnostics
-        if ((address.startsWith('/eos/out/active/') || address.startsWith('/eos/out/pending/')) && 
-            !address.match(/\/cue\/([\d]+\/)?text$/) &&
-            !address.match(/\/cue\/\d+\/\d+/)) {
-            console.log(`📡 Unrecognized active/pending OSC: ${address}`, args);
+        const address = getCueAddress(targetParams);
+        const target = cues.find(c =>
+            String(c.cue_list || '1') === address.cue_list &&
+            String(c.cue_number) === address.cue_number &&
+            (c.part_number || 0) === address.part_number);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Cue ${address.cue_list}/${address.cue_number} not found` });
         }
-        
-        // Handle fader config response - auto-detect main playback list
-        // Format: /eos/out/get/fader/0/config = <index>, <type>, <id>, <label>
-        // Type 1 = Cuelist, ID = cuelist number
-        const faderConfigMatch = address.match(/^\/eos\/out\/get\/fader\/0\/config$/);
-        if (faderConfigMatch || address.includes('/eos/out/fader/0/config')) {
-            console.log(`🎛️ Fader 0 config response:`, args);
-            if (args.length >= 3) {
-                const faderType = args[1];
-                const faderTargetId = args[2];
-                const faderLabel = args[3] || '';
-                if (Number(faderType) === 1) {
-                    const newMainList = String(faderTargetId);
-                    if (newMainList !== mainPlaybackList) {
-                        console.log(`🎛️ Main Playback Fader has cuelist ${newMainList} ("${faderLabel}") - updating mainPlaybackList`);
-                        mainPlaybackList = newMainList;
-                        globalSettings.mainPlaybackList = mainPlaybackList;
-                        saveGlobalSettings();
-                        notifyFrontendCuesChanged();
-                    } else {
-                        console.log(`🎛️ Main Playback Fader confirmed: cuelist ${newMainList} ("${faderLabel}")`);
-                    }
-                }
-            }
+        const changes = mergeUserCueFieldsJournaled(target, orphan);
+        saveCuesSync();
+        broadcastEvent('cue-upsert', target);
+        recordJournalEntry(req, `Orphaned notes of cue ${describeCue(orphan.cue_list, orphan.cue_number, orphan.part_number)} attached to cue ${describeCue(address.cue_list, address.cue_number, address.part_number)}`, changes);
+        saveOrphanedNotes(orphans.filter(o => o !== orphan));
+        console.log(`📎 Attached orphaned notes of cue ${orphan.cue_list}/${orphan.cue_number} to ${address.cue_list}/${address.cue_number}`);
+        res.json({ success: true, cue: target });
+    } catch (error) {
+        console.error('Error attaching orphaned notes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/orphaned-notes/:id', requireRole('stage-manager'), (req, res) => {
+    try {
+        const orphans = loadOrphanedNotes();
+        const remaining = orphans.filter(o => o.id !== req.params.id);
+        if (remaining.length === orphans.length) {
+            return res.status(404).json({ success: false, error: 'Orphaned notes not found' });
         }
+        saveOrphanedNotes(remaining);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting orphaned notes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-cue endpoints are addressed by cue list, cue number and optional part:
+//   /api/lists/<list>/cues/<cue>/<field>
+//   /api/lists/<list>/cues/<cue>/parts/<part>/<field>
+const CUE_ROUTE = '/api/lists/:list/cues/:cue{/parts/:part}';
+
+// List and cue as EOS numbers them, part a whole number -> the error message, or null
+function getCueAddressError(params) {
+    if (!/^\d+$/.test(String(params.list))) return `Invalid cue list: ${params.list}`;
+    if (!/^\d+(\.\d+)?$/.test(String(params.cue))) return `Invalid cue number: ${params.cue}`;
+    if (params.part !== undefined && params.part !== null && !/^\d+$/.test(String(params.part))) {
+        return `Invalid part number: ${params.part}`;
+    }
+    return null;
+}
+
+// Every per-cue endpoint answers a malformed address with 400 - nothing is created for it
+app.use(CUE_ROUTE, (req, res, next) => {
+    const error = getCueAddressError(req.params);
+    if (error) {
+        return res.status(400).json({ success: false, error: error });
+    }
+    next();
+});
+
+// Cue colors end up in the browsers' styles and attributes - only #rrggbb is stored
+const CUE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function getCueAddress(params) {
+    return {
+        cue_list: String(params.list),
+        cue_number: String(params.cue),
+        part_number: parseInt(params.part) || 0
+    };
+}
+
+// Who made a request, for the change history and presence
+// Changes the server makes by itself (a console refresh) have no author
+function getRequestAuthor(req) {
+    return req && req.auth ? req.auth.user.name : null;
+}
+
+const changeJournal = createChangeJournal({
+    load: () => readShowJsonFile(getShowJournalFile(currentShowName), null),
+    save: (journal) => writeShowJsonFile(getShowJournalFile(currentShowName), journal),
+    apply: applyJournalChange
+});
+
+// Undo/redo writes the journaled value back; cues are saved once the whole entry is applied
+function applyJournalChange(change, value) {
+    if (change.target === 'scene-data') {
+        saveSceneData(value || {});
+        return true;
+    }
+    if (change.target === 'tag-colors') {
+        saveTagColors(value || {});
+        return true;
+    }
+    const cue = findAddressedCue({ cue_list: String(change.list), cue_number: String(change.cue), part_number: change.part || 0 });
+    if (!cue) return false;
+    cue[change.field] = value;
+    touchCue(cue);
+    broadcastEvent('cue-upsert', cue);
+    return true;
+}
+
+function recordJournalEntry(req, action, changes) {
+    const entry = changeJournal.record({ action: action, author: getRequestAuthor(req), changes: changes });
+    if (entry) {
+        broadcastEvent('journal', { state: changeJournal.getState(), targets: [] });
+    }
+    return entry;
+}
+
+function getCueChange(cue, field, after) {
+    return {
+        target: 'cue',
+        list: String(cue.cue_list || '1'),
+        cue: String(cue.cue_number),
+        part: cue.part_number || 0,
+        field: field,
+        before: cue[field],
+        after: after
+    };
+}
+
+// Notes, color, tags and page typed by the user - set directly so they can be cleared,
+// and journaled for undo
+// The cue must exist - the routes answer 404 for cues that are not in the show
+function setUserCueFields(req, address, fields, action) {
+    const cue = findAddressedCue(address);
+    const changes = Object.keys(fields).map(field => getCueChange(cue, field, fields[field]));
+    Object.assign(cue, fields);
+    touchCue(cue);
+    broadcastEvent('cue-upsert', cue);
+    saveCuesSync();
+    recordJournalEntry(req, `${action} of cue ${describeCue(address.cue_list, address.cue_number, address.part_number)}`, changes);
+    return cue;
+}
+
+// A write based on an old revision of the cue, unless it happens to match what is stored
+// -> the body of the 409 response, or null if the write can go ahead
+// Requests without a revision (scripts, older browsers) always go ahead
+function getRevisionConflict(req, address, field, value) {
+    const cue = findAddressedCue(address);
+    const revision = req.body.revision;
+    if (!cue || revision === undefined || revision === null) return null;
+    if (Number(revision) === (cue.revision || 0)) return null;
+    if (JSON.stringify(cue[field] === undefined ? null : cue[field]) === JSON.stringify(value)) return null;
+    const last = changeJournal.getCueHistory(address.cue_list, address.cue_number, address.part_number, 1)[0];
+    return {
+        success: false,
+        conflict: true,
+        error: `Cue ${describeCue(address.cue_list, address.cue_number, address.part_number)} was changed${last && last.author ? ` by ${last.author}` : ''} after you opened it`,
+        field: field,
+        current: cue[field] === undefined ? null : cue[field],
+        revision: cue.revision || 0,
+        changedBy: last ? last.author : null,
+        changedAt: last ? last.time : null
+    };
+}
+
+app.post(`${CUE_ROUTE}/notes`, requireRole('note-taker'), (req, res) => {
+    try {
+        const address = getCueAddress(req.params);
+        const notes = String(req.body.notes || '');
         
-        // Handle OSC Get responses
-        // Format: /eos/out/get/cue/<list>/<cue>/<part>/list/<index>/<count>
-        // OR: /eos/out/get/cuelist/<list>/cue/<cue>/<part>/list/<index>/<count> (from wildcard)
-        if (address.includes('/eos/out/get/cue/') || address.includes('/eos/out/get/cuelist/')) {
-            // IMPORTANT: Ignore sub-responses for fx, actions, links, etc.
-            // We only want the main cue data response
-            if (address.includes('/fx/') || address.includes('/actions/') || 
-                address.includes('/links/') || address.includes('/curves/')) {
-                console.log(`⏭️ Skipping sub-response: ${address}`);
-                return;
-            }
-            
-            console.log(`📥 GET RESPONSE: ${address}`);
-            console.log(`   Args (${args.length}):`, args);
-            
-            const pathParts = address.split('/');
-            
-            // Determine if this is a wildcard response or legacy response
-            const isWildcard = address.includes('/eos/out/get/cuelist/');
-            let listNum, cueNumber, partNumber;
-            
-            if (isWildcard) {
-                // Wildcard format: /eos/out/get/cuelist/<list>/cue/<cue>/<part>/list/<index>/<count>
-                const cuelistIdx = pathParts.indexOf('cuelist');
-                listNum = pathParts[cuelistIdx + 1];
-                const cueIdx = pathParts.indexOf('cue', cuelistIdx);
-                cueNumber = pathParts[cueIdx + 1];
-                partNumber = pathParts[cueIdx + 2];
-            } else {
-                // Legacy format: /eos/out/get/cue/<list>/<cue>/<part>/list/<index>/<count>
-                const cueIdx = pathParts.indexOf('cue');
-                listNum = pathParts[cueIdx + 1];
-                cueNumber = pathParts[cueIdx + 2];
-                partNumber = pathParts[cueIdx + 3];
-            }
-            
-            if (pathParts.includes('count')) {
-                // Response to count request (from /eos/get/cue/<list>/count)
-                const count = args[0];
-                console.log(`✅ Cuelist ${listNum} has ${count} cues`);
-                
-                // Handle the count response for bulk refresh
-                handleCueCountResponse(parseInt(listNum), count);
-            } else {
-                // Response to cue data request
-                
-                // Extract count and index from path if present (always in list responses)
-                const listIdx = pathParts.indexOf('list');
-                const pathIndex = listIdx > 0 ? parseInt(pathParts[listIdx + 1]) : null;
-                const pathCount = listIdx > 0 ? parseInt(pathParts[listIdx + 2]) : null;
-                
-                // Arguments contain the actual data
-                const listIndex = args[0];
-                const uid = args[1];
-                
-                console.log(`✅ GET Response - List ${listNum}, Cue ${cueNumber}, Part ${partNumber}`);
-                console.log(`   Index: ${listIndex}, UID: ${uid?.substring(0, 8)}...`);
-                console.log(`   Path count: ${pathCount}, Path index: ${pathIndex}`);
-                console.log(`   All args:`, args);
-                
-                // Extract count from path - wildcard responses contain count in every message
-                // For wildcard requests, set the count directly without requesting indices
-                // (EOS sends all cues automatically, we just track receipt)
-                if (bulkRefreshInProgress && pathCount !== null && bulkRefreshExpectedCount === 0) {
-                    console.log(`✅ Extracted count from ${isWildcard ? 'wildcard' : 'legacy'} response: ${pathCount} cues`);
-                    bulkRefreshExpectedCount = pathCount;
-                    bulkRefreshCountReceived = true;
-                    console.log(`📊 Expecting ${pathCount} cue responses from ${isWildcard ? 'wildcard' : 'index'} request`);
-                    
-                    // Set a completion timeout
-                    const timeout = Math.max(5000, pathCount * 50);
-                    const completionTimeout = setTimeout(() => {
-                        checkBulkRefreshComplete();
-                    }, timeout);
-                    bulkRefreshTimeouts.push(completionTimeout);
-                }
-                
-                // Track this response for bulk refresh completion
-                if (typeof listIndex === 'number') {
-                    handleCueIndexResponse(parseInt(listNum), listIndex);
-                }
-                
-                // EOS sends structured data in args (matching Cue-View's cue.js):
-                // args[0] = index (number)
-                // args[1] = uid (string)
-                // args[2] = label (string)
-                // args[3] = up time duration in centiseconds
-                // args[4] = up time delay
-                // args[5] = down time duration in centiseconds
-                // args[6] = down time delay
-                // args[7] = focus time duration
-                // args[8] = focus time delay
-                // args[9] = color time duration
-                // args[10] = color time delay
-                // args[11] = beam time duration
-                // args[12] = beam time delay
-                // args[16] = mark (string)
-                // args[17] = block (string)
-                // args[18] = assert (string)
-                // args[20] = follow time in centiseconds (-1 if none)
-                // args[21] = hang time in centiseconds (-1 if none)
-                // args[26] = part count (number)
-                // args[28] = scene (string)
-                // args[29] = scene end (bool)
-                
-                const label = (typeof args[2] === 'string') ? args[2] : '';
-                const upTimeMilliseconds = (typeof args[3] === 'number' && args[3] >= 0) ? args[3] : null;
-                const downTimeMilliseconds = (typeof args[5] === 'number' && args[5] >= 0) ? args[5] : null;
-                
-                // Extract additional Cue-View fields
-                const focusTime = (typeof args[7] === 'number' && args[7] >= 0) ? Math.round(args[7] / 10) / 100 : null;
-                const colorTime = (typeof args[9] === 'number' && args[9] >= 0) ? Math.round(args[9] / 10) / 100 : null;
-                const beamTime = (typeof args[11] === 'number' && args[11] >= 0) ? Math.round(args[11] / 10) / 100 : null;
-                
-                // Extract delay values
-                const upDelay = (typeof args[4] === 'number' && args[4] > 0) ? Math.round(args[4] / 10) / 100 : null;
-                const downDelay = (typeof args[6] === 'number' && args[6] > 0) ? Math.round(args[6] / 10) / 100 : null;
-                const focusDelay = (typeof args[8] === 'number' && args[8] > 0) ? Math.round(args[8] / 10) / 100 : null;
-                const colorDelay = (typeof args[10] === 'number' && args[10] > 0) ? Math.round(args[10] / 10) / 100 : null;
-                const beamDelay = (typeof args[12] === 'number' && args[12] > 0) ? Math.round(args[12] / 10) / 100 : null;
-                
-                const mark = (typeof args[16] === 'string' && args[16]) ? args[16] : '';
-                const block = (typeof args[17] === 'string' && args[17]) ? args[17] : '';
-                const assert = (typeof args[18] === 'string' && args[18]) ? args[18] : '';
-                const followMs = (typeof args[20] === 'number') ? args[20] : -1;
-                const hangMs = (typeof args[21] === 'number') ? args[21] : -1;
-                const partCount = (typeof args[26] === 'number') ? args[26] : 0;
-                const scene = (typeof args[28] === 'string') ? args[28] : '';
-                const sceneEnd = args[29] === true || args[29] === 1;
-                
-                // Convert times
-                const upTime = upTimeMilliseconds !== null ? Math.round(upTimeMilliseconds / 10) / 100 : null;
-                const downTime = downTimeMilliseconds !== null ? Math.round(downTimeMilliseconds / 10) / 100 : null;
-                const followTime = followMs >= 0 ? Math.round(followMs / 10) / 100 : null;
-                const hangTime = hangMs >= 0 ? Math.round(hangMs / 10) / 100 : null;
-                
-                // Calculate overall duration (max of all time types, like Cue-View)
-                const duration = Math.max(
-                    upTimeMilliseconds || 0, 
-                    downTimeMilliseconds || 0, 
-                    args[7] || 0, 
-                    args[9] || 0, 
-                    args[11] || 0
-                );
-                const durationSec = duration > 0 ? Math.round(duration / 10) / 100 : null;
-                
-                console.log(`   📊 Extracted: Label="${label}", Up=${upTime}s, Down=${downTime}s`);
-                console.log(`   📊 Flags: M=${mark}, B=${block}, A=${assert}, F=${followTime}, H=${hangTime}`);
-                console.log(`   📊 Scene: "${scene}", SceneEnd: ${sceneEnd}, Parts: ${partCount}`);
-                
-                // Format fade time like CueView: show both up/down if different, or just one if same
-                let fadeTimeDisplay = '';
-                if (upTime !== null && downTime !== null) {
-                    if (upTime === downTime) {
-                        fadeTimeDisplay = `${upTime}`;
-                    } else {
-                        fadeTimeDisplay = `↑${upTime} ↓${downTime}`;
-                    }
-                } else if (upTime !== null) {
-                    fadeTimeDisplay = `${upTime}`;
-                } else if (downTime !== null) {
-                    fadeTimeDisplay = `${downTime}`;
-                }
-                
-                // Format follow/hang display like CueView
-                let followHangDisplay = '';
-                if (followTime !== null) {
-                    followHangDisplay += `F${followTime}`;
-                }
-                if (hangTime !== null) {
-                    if (followHangDisplay) followHangDisplay += ' ';
-                    followHangDisplay += `H${hangTime}`;
-                }
-                
-                if (cueNumber && cueNumber !== '0' && parseInt(listNum) >= 0) {
-                    console.log(`💾 Saving cue ${cueNumber}: "${label}" - Fade: ${fadeTimeDisplay || 'N/A'}`);
-                    updateOrCreateCue(cueNumber, { 
-                        label: label,
-                        uid: uid,
-                        cue_list: listNum,
-                        fade_time: fadeTimeDisplay,
-                        up_time: upTime,
-                        down_time: downTime,
-                        focus_time: focusTime,
-                        color_time: colorTime,
-                        beam_time: beamTime,
-                        up_delay: upDelay,
-                        down_delay: downDelay,
-                        focus_delay: focusDelay,
-                        color_delay: colorDelay,
-                        beam_delay: beamDelay,
-                        mark: mark,
-                        block: block,
-                        assert: assert,
-                        follow_time: followTime,
-                        hang_time: hangTime,
-                        follow_hang: followHangDisplay,
-                        part_count: partCount,
-                        scene: scene,
-                        scene_end: sceneEnd,
-                        duration: durationSec,
-                        part_number: parseInt(partNumber) || 0
-                    });
-                    
-                    if (currentPollRequest && activePollingInProgress && String(listNum) === currentPollRequest.list) {
-                        const pollType = currentPollRequest.type;
-                        console.log(`🎯 Polled ${pollType} cue response: List ${listNum}, Cue ${cueNumber}`);
-                        setActiveCueByListAndNumber(String(listNum), cueNumber, pollType);
-                        notifyFrontendCuesChanged();
-                        activePollingInProgress = false;
-                        currentPollRequest = null;
-                    }
-                }
-            }
+        if (!findAddressedCue(address)) {
+            return res.status(404).json({ error: 'Cue not found' });
         }
-        
-        // Handle custom OSC send string format: /cue/<list>/<number>/<label>
-        if (address.startsWith('/cue/') && !address.includes('/eos/')) {
-            const pathParts = address.split('/').filter(p => p);
-            if (pathParts.length >= 3) {
-                const listNum = pathParts[1];
-                const cueNum = pathParts[2];
-                const label = args[0] || pathParts[3] || '';
-                console.log(`✅ Custom cue format - List ${listNum}, Cue ${cueNum}:`, label);
-                updateOrCreateCue(cueNum, { label: label, cue_list: listNum });
-            }
+        const conflict = getRevisionConflict(req, address, 'notes', notes);
+        if (conflict) {
+            return res.status(409).json(conflict);
         }
-        
+        const cue = setUserCueFields(req, address, { notes: notes }, 'Notes');
+        res.json({ success: true, message: 'Notes saved successfully', revision: cue.revision });
     } catch (error) {
-        console.error('Error parsing OSC message:', error);
+        console.error('Error saving notes:', error);
+        res.status(500).json({ error: error.message });
     }
-}
+});
 
-// Parse EOS cue text format
-// Set active/pending cue by list number and cue number (for per-list OSC notifications)
-function setActiveCueByListAndNumber(list, cueNum, type) {
+app.post(`${CUE_ROUTE}/color`, requireRole('note-taker'), (req, res) => {
     try {
-        console.log(`🔍 Setting ${type} cue: List ${list}, Cue ${cueNum}`);
-        
-        // Clear last_seen only from cues in the SAME list
-        cues.forEach(c => {
-            if (c.last_seen === type && String(c.cue_list || '1') === String(list)) {
-                c.last_seen = null;
-            }
-        });
-        
-        // Find and update this cue
-        const targetCue = cues.find(c => 
-            String(c.cue_number) === String(cueNum) && 
-            String(c.cue_list || '1') === String(list)
-        );
-        
-        if (targetCue) {
-            targetCue.last_seen = type;
-            console.log(`📝 Set ${type} cue: List ${list}, Cue ${cueNum}, Label: "${targetCue.label || ''}"`);
-        } else {
-            console.log(`⚠️ Cue ${cueNum} in list ${list} not found in local data`);
-            updateOrCreateCue(cueNum, {
-                cue_list: list,
-                last_seen: type
-            });
+        const address = getCueAddress(req.params);
+        const color = req.body.color || '#ffffff';
+        if (!CUE_COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ error: `Invalid color: ${color} - use #rrggbb` });
         }
         
-        // Record timing only for main playback list active cues
-        if (type === 'active' && showTimings.isRecording && String(list) === mainPlaybackList) {
-            const now = Date.now();
-            if (!showTimings.showStartTime) {
-                showTimings.showStartTime = now;
-            }
-            const timestamp = (now - showTimings.showStartTime) / 1000;
-            let timeFromPrevious = 0;
-            if (showTimings.lastCueTime !== null && showTimings.lastCueTime > 0) {
-                timeFromPrevious = timestamp - showTimings.lastCueTime;
-            }
-            if (cueNum !== showTimings.lastCueNumber) {
-                const existingIdx = showTimings.cueTimings.findIndex(t => String(t.cueNumber) === String(cueNum));
-                if (existingIdx !== -1) {
-                    showTimings.cueTimings[existingIdx].timestamp = timestamp;
-                    showTimings.cueTimings[existingIdx].timeFromPrevious = timeFromPrevious;
-                    console.log(`⏱️ Updated existing timing for cue ${cueNum}`);
-                } else {
-                    showTimings.cueTimings.push({
-                        cueNumber: cueNum,
-                        cueList: list,
-                        label: targetCue?.label || '',
-                        timestamp: timestamp,
-                        timeFromPrevious: timeFromPrevious
-                    });
-                }
-                showTimings.lastCueTime = timestamp;
-                showTimings.lastCueNumber = cueNum;
-                saveShowTimings();
-            }
+        if (!findAddressedCue(address)) {
+            return res.status(404).json({ error: 'Cue not found' });
         }
-        
-        if (type === 'active' && String(list) === mainPlaybackList && !showTimings.isRecording && showTimings.cueTimings.length > 0) {
-            const timingIndex = showTimings.cueTimings.findIndex(t => String(t.cueNumber) === String(cueNum));
-            if (timingIndex !== -1) {
-                currentShowElapsed = showTimings.cueTimings[timingIndex].timestamp;
-                lastCueFireTime = Date.now();
-            }
+        const conflict = getRevisionConflict(req, address, 'color', color);
+        if (conflict) {
+            return res.status(409).json(conflict);
         }
-        
-        saveCues();
+        const cue = setUserCueFields(req, address, { color: color }, 'Color');
+        res.json({ success: true, message: 'Color saved successfully', revision: cue.revision });
     } catch (error) {
-        console.error('Error setting active cue by list/number:', error);
+        console.error('Error saving color:', error);
+        res.status(500).json({ error: error.message });
     }
-}
+});
 
-// Active format: "1/2 cue 2 label 1.8 3%" = "list/cue <label_text> fade_time completion%"
-// Pending format: "1/2 cue 2 label 1.9" = "list/cue <label_text> fade_time" (no percentage)
-function parseCueText(cueText, type, contextList) {
+app.post(`${CUE_ROUTE}/page`, requireRole('note-taker'), (req, res) => {
     try {
-        // Optional: Loggt jede eingehende Nachricht zur Kontrolle
-        // console.log(`🔍 Parsing ${type} cue text: "${cueText}" (contextList=${contextList || 'unknown'})`);
-        
-        const text = cueText.trim();
+        const address = getCueAddress(req.params);
+        const page = String(req.body.page || '');
         
-        // Handle "empty" or "reset" cases sent by EOS
-        if (!text || text === '0.0 100%' || text.startsWith('0.0 ') || text.startsWith('0/0') || text === '') {
-            if (contextList) {
-                // Wenn wir die Liste kennen (z.B. Liste 2), löschen wir den Status nur dort
-                cues.forEach(cue => {
-                    if (cue.last_seen === type && String(cue.cue_list || '1') === String(contextList)) {
-                        cue.last_seen = null;
-                    }
-                });
-            } else {
-                // Fallback: Alles löschen, wenn wir nicht wissen, woher es kommt
-                cues.forEach(cue => {
-                    if (cue.last_seen === type) {
-                        cue.last_seen = null;
-                    }
-                });
-            }
-            saveCues();
-            return;
+        if (!findAddressedCue(address)) {
+            return res.status(404).json({ error: 'Cue not found' });
         }
-        
-        // --- FIX START: Robusteres Parsing mit Fallback für Nebenlisten ---
-        let list, cue, remainder;
+        const conflict = getRevisionConflict(req, address, 'page', page);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+        const cue = setUserCueFields(req, address, { page: page }, 'Page');
+        res.json({ success: true, message: 'Page saved successfully', revision: cue.revision });
+    } catch (error) {
+        console.error('Error saving page:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Versuch 1: Standard Format "Liste/Cue" (z.B. "2/5 Label")
-        const listCueMatch = text.match(/^(\d+)\/(\d+(?:\.\d+)?)(?:\s+(.*))?$/);
+// Tag endpoints
+app.post(`${CUE_ROUTE}/tags`, requireRole('note-taker'), (req, res) => {
+    try {
+        const address = getCueAddress(req.params);
+        const { tags } = req.body;
         
-        if (listCueMatch) {
-            list = listCueMatch[1];
-            cue = listCueMatch[2];
-            remainder = listCueMatch[3] ? listCueMatch[3].trim() : '';
-        } 
-        // Versuch 2: Fallback - Nur "Cue" (z.B. "5"), aber wir kennen die Liste aus dem Kontext (contextList)
-        // Das passiert oft bei aktiven Cues in Liste 2, 3, etc.
-        else if (contextList) {
-            console.log(`⚠️ Regex Fallback: Nutze contextList ${contextList} für "${text}"`);
-            const cueOnlyMatch = text.match(/^(\d+(?:\.\d+)?)(?:\s+(.*))?$/);
-            
-            if (cueOnlyMatch) {
-                list = contextList;
-                cue = cueOnlyMatch[1];
-                remainder = cueOnlyMatch[2] ? cueOnlyMatch[2].trim() : '';
-            } else {
-                return; // Wirklich kein gültiges Format
-            }
-        } else {
-            // Wenn weder Format stimmt noch Kontext da ist -> Abbrechen
-            console.warn(`⚠️ REGEX MISMATCH: Could not parse cue text '${text}'`);
-            return;
+        // Ensure tags is an array
+        const tagArray = Array.isArray(tags) ? tags : [];
+        if (!findAddressedCue(address)) {
+            return res.status(404).json({ error: 'Cue not found' });
         }
-        // --- FIX ENDE ---
-        
-        // Step 2: Extrahiere Fade-Zeiten und Fertigstellung (%)
-        let fadeTime = '';
-        let completion = '';
-        let label = '';
-        
-        const fadeTimePattern = '[\\d.:]+';
-        
-        // Pattern 1: Nur Zahlen "fade% completion%" (KEIN Label)
-        const noLabelActiveMatch = remainder.match(new RegExp(`^(${fadeTimePattern})\\s+(\\d+)%\\s*$`));
-        if (noLabelActiveMatch) {
-            fadeTime = noLabelActiveMatch[1];
-            completion = noLabelActiveMatch[2] + '%';
-            label = '';
-        } else {
-            // Pattern 2: Label gefolgt von Fade und Prozent
-            const labelActiveMatch = remainder.match(new RegExp(`^(.+?)\\s+(${fadeTimePattern})\\s+(\\d+)%\\s*$`));
-            if (labelActiveMatch) {
-                label = labelActiveMatch[1].trim();
-                fadeTime = labelActiveMatch[2];
-                completion = labelActiveMatch[3] + '%';
-            } else {
-                // Pattern 3: Nur eine Nummer "fade" (KEIN Label) - Pending Cue
-                const noLabelPendingMatch = remainder.match(new RegExp(`^(${fadeTimePattern})\\s*$`));
-                if (noLabelPendingMatch) {
-                    fadeTime = noLabelPendingMatch[1];
-                    label = '';
-                } else {
-                    // Pattern 4: Label gefolgt von Fade Zeit
-                    const labelPendingMatch = remainder.match(new RegExp(`^(.+?)\\s+(${fadeTimePattern})\\s*$`));
-                    if (labelPendingMatch) {
-                        label = labelPendingMatch[1].trim();
-                        fadeTime = labelPendingMatch[2];
-                    } else {
-                        // Kein Fade, der ganze Rest ist das Label
-                        label = remainder;
-                    }
-                }
-            }
+        const conflict = getRevisionConflict(req, address, 'tags', tagArray);
+        if (conflict) {
+            return res.status(409).json(conflict);
         }
-        
-        // Debugging Ausgabe
-        console.log(`📝 Parsed ${type} cue: List ${list}, Cue ${cue}, Label: "${label}"`);
-        
-        // --- ZEITAUFNAHME NUR FÜR HAUPTLISTE ---
-        // Verhindert Ghost-Timings in Liste 2
-        if (type === 'active' && showTimings.isRecording && String(list) === mainPlaybackList) {
-            const now = Date.now();
-            if (!showTimings.showStartTime) showTimings.showStartTime = now;
-            
-            const timestamp = (now - showTimings.showStartTime) / 1000;
-            let timeFromPrevious = 0;
-            if (showTimings.lastCueTime !== null && showTimings.lastCueTime > 0) {
-                timeFromPrevious = timestamp - showTimings.lastCueTime;
-            }
-            
-            if (cue !== showTimings.lastCueNumber) {
-                const existingIdx = showTimings.cueTimings.findIndex(t => String(t.cueNumber) === String(cue));
-                if (existingIdx !== -1) {
-                    showTimings.cueTimings[existingIdx].timestamp = timestamp;
-                    showTimings.cueTimings[existingIdx].timeFromPrevious = timeFromPrevious;
-                } else {
-                    showTimings.cueTimings.push({
-                        cueNumber: cue,
-                        cueList: list,
-                        label: label,
-                        timestamp: timestamp,
-                        timeFromPrevious: timeFromPrevious
-                    });
-                }
-                showTimings.lastCueTime = timestamp;
-                showTimings.lastCueNumber = cue;
-                saveShowTimings();
-            }
+        const cue = setUserCueFields(req, address, { tags: tagArray }, 'Tags');
+        res.json({ success: true, message: 'Tags saved successfully', revision: cue.revision });
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Multi-cue editor: one color and/or one added tag on many cues, undone as one step
+// body: { cues: [{ cue_list, cue_number, part_number }], color, tag }
+app.post('/api/cues/batch', requireRole('note-taker'), (req, res) => {
+    try {
+        const { color, tag } = req.body || {};
+        const addresses = Array.isArray((req.body || {}).cues) ? req.body.cues : [];
+        const newTag = String(tag || '').trim();
+        if (!color && !newTag) {
+            return res.status(400).json({ error: 'Nothing to change - send a color or a tag' });
         }
-        
-        // Update Elapsed Time (nur Hauptliste)
-        if (type === 'active' && String(list) === mainPlaybackList && !showTimings.isRecording && showTimings.cueTimings.length > 0) {
-            const timingIndex = showTimings.cueTimings.findIndex(t => t.cueNumber === cue);
-            if (timingIndex !== -1) {
-                currentShowElapsed = showTimings.cueTimings[timingIndex].timestamp;
-                lastCueFireTime = Date.now();
-            }
+        if (color && !CUE_COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ error: `Invalid color: ${color} - use #rrggbb` });
         }
-        
-        // Aufräumen: active/pending Status nur in der GLEICHEN Liste löschen
-        cues.forEach(c => {
-            if (c.last_seen === type && String(c.cue_list || '1') === String(list)) {
-                c.last_seen = null;
+
+        const changes = [];
+        const updated = [];
+        addresses.forEach(item => {
+            const cue = findAddressedCue({
+                cue_list: String(item.cue_list || '1'),
+                cue_number: String(item.cue_number),
+                part_number: parseInt(item.part_number) || 0
+            });
+            if (!cue) return;
+            if (color) {
+                changes.push(getCueChange(cue, 'color', color));
+                cue.color = color;
+            }
+            if (newTag && !(cue.tags || []).includes(newTag)) {
+                const tags = [...(cue.tags || []), newTag];
+                changes.push(getCueChange(cue, 'tags', tags));
+                cue.tags = tags;
             }
+            touchCue(cue);
+            broadcastEvent('cue-upsert', cue);
+            updated.push(cue);
         });
-        
-        const updates = {
-            cue_list: list,
-            label: label,
-            last_seen: type,
-            completion: completion
-        };
-        
-        if (fadeTime && (completion === '0%' || type === 'pending')) {
-            updates.fade_time = fadeTime;
-        }
-        
-        updateOrCreateCue(cue, updates);
+        if (updated.length > 0) saveCuesSync();
+
+        const what = [color ? 'color' : '', newTag ? `tag "${newTag}"` : ''].filter(Boolean).join(' and ');
+        recordJournalEntry(req, `Multi-cue edit: ${what} on ${updated.length} cue${updated.length !== 1 ? 's' : ''}`, changes);
+        res.json({ success: true, updated: updated.length });
+    } catch (error) {
+        console.error('Error applying multi-cue changes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get(`${CUE_ROUTE}/history`, (req, res) => {
+    try {
+        const address = getCueAddress(req.params);
+        res.json({ history: changeJournal.getCueHistory(address.cue_list, address.cue_number, address.part_number) });
     } catch (error) {
-        console.error('Error parsing cue text:', error);
+        console.error('Error reading cue history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Undo / redo of the current show
+app.get('/api/journal', (req, res) => {
+    res.json(changeJournal.getState());
+});
+
+function sendJournalStep(req, res, step) {
+    const result = step === 'undo' ? changeJournal.undo(getRequestAuthor(req)) : changeJournal.redo();
+    if (!result) {
+        return res.status(409).json({ success: false, error: step === 'undo' ? 'Nothing to undo' : 'Nothing to redo' });
     }
+    saveCuesSync();
+    const targets = [...new Set(result.entry.changes.map(change => change.target))];
+    const state = changeJournal.getState();
+    broadcastEvent('journal', { state: state, targets: targets });
+    console.log(`${step === 'undo' ? '↶ Undid' : '↷ Redid'}: ${result.entry.action}${result.skipped > 0 ? ` (${result.skipped} change(s) of deleted cues skipped)` : ''}`);
+    res.json({ success: true, action: result.entry.action, skipped: result.skipped, targets: targets, state: state });
 }
 
-function updateOrCreateCue(cueNumber, updates) {
-    // Use list+cue+part as unique key to avoid collisions
-    const cueList = updates.cue_list || '1';
-    const partNumber = updates.part_number || 0;
-    
-    // For parts > 0, include part in the key; part 0 is the main cue
-    const cueKey = partNumber > 0 
-        ? `${cueList}/${cueNumber}/${partNumber}`
-        : `${cueList}/${cueNumber}`;
-    
-    // Track this cue as received during bulk refresh (track base cue number)
-    if (bulkRefreshInProgress && String(bulkRefreshCueList) === String(cueList)) {
-        bulkRefreshReceivedCues.add(cueNumber);
+app.post('/api/journal/undo', requireRole('note-taker'), (req, res) => {
+    try {
+        sendJournalStep(req, res, 'undo');
+    } catch (error) {
+        console.error('Error undoing:', error);
+        res.status(500).json({ error: error.message });
     }
-    
-    let existingCue = cues.find(c => {
-        const existingList = c.cue_list || '1';
-        const existingPart = c.part_number || 0;
-        const existingKey = existingPart > 0
-            ? `${existingList}/${c.cue_number}/${existingPart}`
-            : `${existingList}/${c.cue_number}`;
-        return existingKey === cueKey;
-    });
-    
-    if (existingCue) {
-        // Only update if we have new data (don't overwrite with empty strings)
-        // Exception: always update last_seen even if null (to clear it)
-        // Exception: always update EOS fields (mark/block/assert/scene/parts) from console even if empty
-        const alwaysUpdateFields = ['last_seen', 'mark', 'block', 'assert', 'scene', 'part_count', 'part_number', 'follow_hang', 'follow_time', 'hang_time', 'up_time', 'down_time', 'focus_time', 'color_time', 'beam_time', 'up_delay', 'down_delay', 'focus_delay', 'color_delay', 'beam_delay', 'duration'];
-        Object.keys(updates).forEach(key => {
-            if (alwaysUpdateFields.includes(key)) {
-                existingCue[key] = updates[key];
-            } else if (updates[key] !== '' && updates[key] !== undefined && updates[key] !== null) {
-                existingCue[key] = updates[key];
+});
+
+app.post('/api/journal/redo', requireRole('note-taker'), (req, res) => {
+    try {
+        sendJournalStep(req, res, 'redo');
+    } catch (error) {
+        console.error('Error redoing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get all unique tags across all cues
+app.get('/api/tags', (req, res) => {
+    try {
+        const allTags = new Set();
+        cues.forEach(cue => {
+            if (cue.tags && Array.isArray(cue.tags)) {
+                cue.tags.forEach(tag => allTags.add(tag));
             }
         });
-        console.log(`✏️ Updated cue ${cueKey}:`, updates);
-    } else {
-        const newCue = {
-            cue_number: cueNumber,
-            cue_list: cueList,
-            label: '',
-            fade_time: '',
-            notes: '',
-            color: '#ffffff',
-            image_path: null,
-            tags: [],
-            mark: '',
-            block: '',
-            assert: '',
-            follow_time: null,
-            hang_time: null,
-            follow_hang: '',
-            scene: '',
-            part_count: 0,
-            part_number: 0,
-            focus_time: null,
-            color_time: null,
-            beam_time: null,
-            duration: null,
-            ...updates
-        };
-        cues.push(newCue);
-        console.log(`➕ Created new cue ${cueKey}`);
-        
-        cues.sort((a, b) => {
-            const listA = parseInt(a.cue_list || '1');
-            const listB = parseInt(b.cue_list || '1');
-            if (listA !== listB) return listA - listB;
-            
-            const numA = parseFloat(a.cue_number);
-            const numB = parseFloat(b.cue_number);
-            if (numA !== numB) return numA - numB;
-            
-            const partA = a.part_number || 0;
-            const partB = b.part_number || 0;
-            return partA - partB;
-        });
+        res.json({ tags: Array.from(allTags).sort() });
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Files the show files or any of their backups point at - files: { 'cues.json': parsed JSON, ... }
+// A backup can be restored, so its images have to stay until it rotates out
+function getShowReferencedImages(showName, files) {
+    const referenced = new Set(getReferencedImages(files));
+    readBackupFiles(getShowDir(showName), Object.keys(files)).forEach(backupFiles => {
+        getReferencedImages(backupFiles).forEach(name => referenced.add(name));
+    });
+    return [...referenced];
+}
+
+// Remove a file of the current show (and its thumbnail) once no cue, orphaned note or backup uses it
+function removeAttachmentFileIfUnused(fileName) {
+    const name = path.basename(fileName);
+    if (getShowReferencedImages(currentShowName, { 'cues.json': cues, 'orphaned_notes.json': loadOrphanedNotes() }).includes(name)) {
+        return false;
+    }
+    const filePath = path.join(getShowImagesDir(currentShowName), name);
+    const thumbnailPath = path.join(getShowThumbnailsDir(currentShowName), getThumbnailName(name));
+    [filePath, thumbnailPath].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+    console.log(`🗑️ Removed unused attachment file "${name}"`);
+    return true;
+}
+
+function findAddressedCue(address) {
+    return cues.find(c => String(c.cue_list || '1') === address.cue_list &&
+        String(c.cue_number) === address.cue_number && (c.part_number || 0) === address.part_number);
+}
+
+// Attachments are set directly - updateOrCreateCue never replaces an array with a shorter one
+function setCueAttachments(cue, attachments) {
+    cue.attachments = attachments;
+    delete cue.image_path;
+    touchCue(cue);
+    broadcastEvent('cue-upsert', cue);
+    saveCuesSync();
+}
+
+app.get(`${CUE_ROUTE}/attachments`, (req, res) => {
+    const cue = findAddressedCue(getCueAddress(req.params));
+    res.json({ attachments: getCueAttachments(cue) });
+});
+
+// Add one file (image or PDF) with an optional caption; images may come with a JPEG
+// thumbnail made by the browser. New attachments go to the end.
+app.post(`${CUE_ROUTE}/attachments`, requireRole('note-taker'), (req, res) => {
+    attachmentUpload(req, res, (uploadError) => {
+        try {
+            if (uploadError) {
+                const message = uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? `The file is larger than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`
+                    : uploadError.message;
+                return res.status(400).json({ error: message });
+            }
+            const upload = req.files && req.files.file ? req.files.file[0] : null;
+            if (!upload) {
+                return res.status(400).json({ error: 'No file provided' });
+            }
+            const address = getCueAddress(req.params);
+            const cue = findAddressedCue(address);
+            if (!cue) {
+                return res.status(404).json({ error: 'Cue not found' });
+            }
+            const type = detectAttachmentType(upload.buffer);
+            if (!type) {
+                return res.status(400).json({ error: ATTACHMENT_TYPE_ERROR });
+            }
+            if (type === 'image' && upload.size > MAX_IMAGE_SIZE) {
+                return res.status(400).json({ error: `The image is larger than ${MAX_IMAGE_SIZE / 1024 / 1024} MB` });
+            }
+
+            const fileName = makeImageFileName(upload.originalname, type === 'image' ? detectImageType(upload.buffer) : detectDocumentType(upload.buffer));
+            fs.mkdirSync(getShowThumbnailsDir(currentShowName), { recursive: true });
+            fs.writeFileSync(path.join(getShowImagesDir(currentShowName), fileName), upload.buffer);
+            const thumbnail = req.files.thumbnail ? req.files.thumbnail[0] : null;
+            if (type === 'image' && thumbnail && detectImageType(thumbnail.buffer) === 'jpeg' && thumbnail.size <= MAX_THUMBNAIL_SIZE) {
+                fs.writeFileSync(path.join(getShowThumbnailsDir(currentShowName), getThumbnailName(fileName)), thumbnail.buffer);
+            }
+
+            const attachment = {
+                id: makeAttachmentId(),
+                file: fileName,
+                name: upload.originalname,
+                caption: normalizeCaption(req.body.caption),
+                type: type,
+                size: upload.size,
+                added_at: new Date().toISOString()
+            };
+            setCueAttachments(cue, [...getCueAttachments(cue), attachment]);
+            res.json({ success: true, attachment: attachment, attachments: cue.attachments });
+        } catch (error) {
+            console.error('Error adding attachment:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// New order: { ids: [every attachment id] }
+app.put(`${CUE_ROUTE}/attachments/order`, requireRole('note-taker'), (req, res) => {
+    try {
+        const cue = findAddressedCue(getCueAddress(req.params));
+        if (!cue) {
+            return res.status(404).json({ error: 'Cue not found' });
+        }
+        let attachments;
+        try {
+            attachments = reorderAttachments(getCueAttachments(cue), (req.body || {}).ids);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        setCueAttachments(cue, attachments);
+        res.json({ success: true, attachments: cue.attachments });
+    } catch (error) {
+        console.error('Error reordering attachments:', error);
+        res.status(500).json({ error: error.message });
     }
-    saveCues();
-}
+});
 
-function requestEOSCueData() {
-    if (!oscClient) return;
-    
+app.patch(`${CUE_ROUTE}/attachments/:id`, requireRole('note-taker'), (req, res) => {
     try {
-        console.log('========================================');
-        console.log('🎭 REQUESTING CUE DATA FROM EOS');
-        console.log('========================================');
-        
-        // Request the currently active and pending cues
-        sendOSC('/eos/get/cue/1/0');
-        console.log('✅ Requested current cue (1/0)');
-        
-        // Request a range of cues by number (EOS may not respond to all)
-        // Try both /eos/get/cue/<list>/<cue> format
-        for (let i = 1; i <= 20; i++) {
-            sendOSC(`/eos/get/cue/1/${i}`);
-            // Also try with decimals for common point cues
-            if (i <= 10) {
-                sendOSC(`/eos/get/cue/1/${i}.5`);
-            }
+        const cue = findAddressedCue(getCueAddress(req.params));
+        const attachments = getCueAttachments(cue);
+        const attachment = attachments.find(a => a.id === req.params.id);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
         }
-        console.log('✅ Requested cues 1-20 from list 1');
-        
-        console.log('');
-        console.log('⏳ Waiting for EOS to respond...');
-        console.log('   EOS may only respond for cues that exist');
-        console.log('   Fire cues to see active/pending updates immediately');
-        console.log('========================================');
+        attachment.caption = normalizeCaption((req.body || {}).caption);
+        setCueAttachments(cue, attachments);
+        res.json({ success: true, attachment: attachment });
     } catch (error) {
-        console.error('Error requesting cue data:', error);
+        console.error('Error updating attachment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete(`${CUE_ROUTE}/attachments/:id`, requireRole('note-taker'), (req, res) => {
+    try {
+        const cue = findAddressedCue(getCueAddress(req.params));
+        const attachments = getCueAttachments(cue);
+        const attachment = attachments.find(a => a.id === req.params.id);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        setCueAttachments(cue, attachments.filter(a => a !== attachment));
+        removeAttachmentFileIfUnused(attachment.file);
+        res.json({ success: true, attachments: cue.attachments });
+    } catch (error) {
+        console.error('Error removing attachment:', error);
+        res.status(500).json({ error: error.message });
     }
+});
+
+// Department work notes (lib/work-notes.js) - kept per show next to the cues, not in them
+function loadWorkNotes() {
+    return readShowJsonFile(getShowWorkNotesFile(currentShowName), []);
 }
 
-// API Routes
+function saveWorkNotes(notes) {
+    writeShowJsonFile(getShowWorkNotesFile(currentShowName), notes);
+    broadcastEvent('work-notes', { notes: notes });
+}
 
-// Show management endpoints
-app.get('/api/shows', (req, res) => {
-    res.json({
-        shows: listShows(),
-        currentShow: currentShowName,
-        connectedEOSShow: connectedEOSShowName,
-        isConnected: isConnected
-    });
+// Query: department, status, list - each optional
+app.get('/api/work-notes', (req, res) => {
+    try {
+        res.json({
+            notes: filterWorkNotes(loadWorkNotes(), { department: req.query.department, status: req.query.status, cue_list: req.query.list }),
+            departments: DEPARTMENTS,
+            priorities: PRIORITIES,
+            statuses: STATUSES
+        });
+    } catch (error) {
+        console.error('Error loading work notes:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.post('/api/shows/switch', (req, res) => {
+// Daily report as PDF - ?date=YYYY-MM-DD (default today), ?department= for one department
+app.get('/api/work-notes/report', (req, res) => {
     try {
-        const { showName } = req.body;
-        if (!showName) {
-            return res.status(400).json({ error: 'Show name is required' });
+        const day = req.query.date || getLocalDay(Date.now());
+        if (!/^\d{4}-\d\d-\d\d$/.test(day)) {
+            return res.status(400).json({ error: 'Invalid date' });
         }
-        switchShow(showName);
-        res.json({ 
-            success: true, 
-            currentShow: currentShowName,
-            message: `Switched to show: ${showName}`,
-            cueCount: cues.length
+        const departments = req.query.department && req.query.department !== 'all' ? [req.query.department] : DEPARTMENTS;
+        const report = buildDailyReport(loadWorkNotes(), day, departments);
+        const pdf = buildWorkNotesPdf({
+            showName: currentShowName,
+            report: report,
+            cueLabel: (note) => {
+                const cue = findAddressedCue(note);
+                return cue ? cue.label : '(not on the console)';
+            }
         });
+        const fileName = `${(currentShowName || 'EOS Cue List').replace(/[\\/:*?"<>|]/g, '_')} - Work Notes ${day}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.send(pdf);
+        console.log(`📄 Work notes report for ${day}: ${report.summary.open} open, ${report.summary.closed} closed`);
     } catch (error) {
-        console.error('Error switching show:', error);
+        console.error('Work notes report error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/shows/create', (req, res) => {
+// Body: { department, priority, assignee, text } - the cue doesn't have to exist (yet)
+app.post(`${CUE_ROUTE}/work-notes`, requireRole('note-taker'), (req, res) => {
     try {
-        const { showName } = req.body;
-        if (!showName || !showName.trim()) {
-            return res.status(400).json({ error: 'Show name is required' });
-        }
-        const trimmedName = showName.trim();
-        if (createShow(trimmedName)) {
-            res.json({ 
-                success: true, 
-                message: `Created show: ${trimmedName}`,
-                shows: listShows()
-            });
-        } else {
-            res.json({ 
-                success: false, 
-                message: `Show already exists: ${trimmedName}`,
-                shows: listShows()
-            });
+        let note;
+        try {
+            note = createWorkNote(getCueAddress(req.params), req.body || {}, getRequestAuthor(req));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
+        const notes = loadWorkNotes();
+        notes.push(note);
+        saveWorkNotes(notes);
+        console.log(`🛠️ ${note.department} work note on cue ${describeCue(note.cue_list, note.cue_number, note.part_number)}${note.created_by ? ` by ${note.created_by}` : ''}`);
+        res.json({ success: true, note: note });
     } catch (error) {
-        console.error('Error creating show:', error);
+        console.error('Error adding work note:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Load show from currently connected EOS console
-app.post('/api/shows/load-from-eos', (req, res) => {
+// Body: any of { department, priority, assignee, status, text }
+app.patch('/api/work-notes/:id', requireRole('note-taker'), (req, res) => {
     try {
-        if (!isConnected || !connectedEOSShowName) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Not connected to EOS or no show detected' 
-            });
+        const notes = loadWorkNotes();
+        const index = notes.findIndex(note => note.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ success: false, error: 'Work note not found' });
         }
-        
-        // Create or switch to the show with EOS name
-        const showName = connectedEOSShowName;
-        if (!showExists(showName)) {
-            createShow(showName);
+        try {
+            notes[index] = updateWorkNote(notes[index], req.body || {});
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
-        switchShow(showName);
-        
-        res.json({ 
-            success: true, 
-            showName: showName,
-            message: `Switched to show: ${showName}`
-        });
+        saveWorkNotes(notes);
+        res.json({ success: true, note: notes[index] });
     } catch (error) {
-        console.error('Error loading show from EOS:', error);
+        console.error('Error updating work note:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/shows/:showName', (req, res) => {
+app.delete('/api/work-notes/:id', requireRole('note-taker'), (req, res) => {
     try {
-        const { showName } = req.params;
-        if (showName === 'Default') {
-            return res.status(400).json({ error: 'Cannot delete Default show' });
-        }
-        if (showName === currentShowName) {
-            switchShow('Default');
-        }
-        if (deleteShow(showName)) {
-            res.json({ 
-                success: true, 
-                message: `Deleted show: ${showName}`,
-                shows: listShows(),
-                currentShow: currentShowName
-            });
-        } else {
-            res.status(404).json({ error: 'Show not found' });
+        const notes = loadWorkNotes();
+        const remaining = notes.filter(note => note.id !== req.params.id);
+        if (remaining.length === notes.length) {
+            return res.status(404).json({ success: false, error: 'Work note not found' });
         }
+        saveWorkNotes(remaining);
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error deleting show:', error);
+        console.error('Error deleting work note:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Settings endpoints
-app.get('/api/settings', (req, res) => {
-    res.json({
-        ipAddress: settings.ip_address,
-        port: settings.port,
-        oscVersion: settings.osc_version,
-        protocol: settings.protocol || 'tcp',
-        mainPlaybackList: mainPlaybackList
+// Script view (lib/script-view.js) - the script and the cue markers on its lines
+function loadScript() {
+    return readShowJsonFile(getShowScriptFile(currentShowName), null);
+}
+
+function loadScriptMarkers() {
+    return readShowJsonFile(getShowScriptMarkersFile(currentShowName), []);
+}
+
+function saveScriptMarkers(markers) {
+    writeShowJsonFile(getShowScriptMarkersFile(currentShowName), markers);
+    broadcastEvent('script-markers', { markers: markers });
+}
+
+// Page numbers of placed cues come from the script - one journal entry for all of them
+// -> number of cues whose page changed
+function applyScriptPages(req, markers, pages, action) {
+    const changes = [];
+    markers.forEach(marker => {
+        const cue = findAddressedCue(marker);
+        const page = getMarkerPage(pages, marker);
+        if (!cue || (cue.page || '') === page) return;
+        changes.push(getCueChange(cue, 'page', page));
+        cue.page = page;
+        touchCue(cue);
+        broadcastEvent('cue-upsert', cue);
     });
-});
+    if (changes.length > 0) {
+        saveCuesSync();
+        recordJournalEntry(req, action, changes);
+    }
+    return changes.length;
+}
 
-app.post('/api/settings', (req, res) => {
+app.get('/api/script', (req, res) => {
     try {
-        // Map frontend camelCase to backend snake_case
-        if (req.body.ipAddress !== undefined) {
-            settings.ip_address = req.body.ipAddress;
-        }
-        if (req.body.port !== undefined) {
-            settings.port = req.body.port;
-        }
-        if (req.body.oscVersion !== undefined) {
-            settings.osc_version = req.body.oscVersion;
-        }
-        if (req.body.protocol !== undefined) {
-            settings.protocol = req.body.protocol;
-        }
-        if (req.body.mainPlaybackList !== undefined) {
-            mainPlaybackList = String(req.body.mainPlaybackList);
-            console.log(`📋 Main playback list set to: ${mainPlaybackList}`);
-        }
-        
-        console.log('💾 Saving settings:', settings);
-        saveSettings();
-        res.json({ success: true, message: 'Settings saved successfully' });
+        res.json({ script: loadScript(), markers: loadScriptMarkers() });
     } catch (error) {
-        console.error('Error saving settings:', error);
+        console.error('Error loading script:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Connection endpoints
-app.post('/api/connect', (req, res) => {
+// Replaces the script - markers on lines that still exist stay, their pages are derived again
+app.post('/api/script', requireRole('stage-manager'), scriptUpload.array('files'), (req, res) => {
     try {
-        if (initializeOSC()) {
-            isConnected = true;
-            // initializeOSC() already calls requestAllCues(1) for bulk retrieval
-            // No need to call requestEOSCueData() here - that was the old one-by-one method
-            res.json({ success: true, message: 'Connected to EOS console' });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to initialize OSC' });
+        let pages;
+        try {
+            pages = parseScriptUpload((req.files || []).map(file => ({ name: file.originalname, text: file.buffer.toString('utf8') })));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
+        const name = req.files.length === 1 ? req.files[0].originalname : `${req.files.length} pages`;
+        writeShowJsonFile(getShowScriptFile(currentShowName), { name: name, uploaded_at: new Date().toISOString(), pages: pages });
+        const { kept, dropped } = reconcileScriptMarkers(loadScriptMarkers(), pages);
+        saveScriptMarkers(kept);
+        const repaged = applyScriptPages(req, kept, pages, 'Script uploaded');
+        broadcastEvent('script', { name: name });
+        console.log(`📜 Script "${name}" uploaded: ${pages.length} pages, ${kept.length} cue markers kept, ${dropped.length} dropped`);
+        res.json({ success: true, pages: pages.length, kept: kept.length, dropped: dropped.length, repaged: repaged });
     } catch (error) {
-        console.error('Connection error:', error);
+        console.error('Error uploading script:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Cue pages stay as they are - they are plain text again
+app.delete('/api/script', requireRole('stage-manager'), (req, res) => {
+    try {
+        [getShowScriptFile(currentShowName), getShowScriptMarkersFile(currentShowName)].forEach(file => {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        });
+        showDataChanged = true;
+        broadcastEvent('script', { name: null });
+        broadcastEvent('script-markers', { markers: [] });
+        console.log('📜 Script removed');
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing script:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/disconnect', (req, res) => {
+// Body: { page_index, line } - places the cue there and sets its page
+app.put(`${CUE_ROUTE}/script-marker`, requireRole('note-taker'), (req, res) => {
     try {
-        if (activeCuePoller) {
-            clearInterval(activeCuePoller);
-            activeCuePoller = null;
+        const address = getCueAddress(req.params);
+        const script = loadScript();
+        if (!script) {
+            return res.status(404).json({ success: false, error: 'No script uploaded for this show' });
         }
-        activePollingQueue = [];
-        activePollingInProgress = false;
-        currentPollRequest = null;
-        knownCueLists = [];
-        if (oscServer) {
-            oscServer.close();
-            oscServer = null;
+        if (!findAddressedCue(address)) {
+            return res.status(404).json({ success: false, error: 'Cue not found' });
         }
-        if (tcpPort) {
-            try { tcpPort.close(); } catch (e) {}
-            tcpPort = null;
+        let markers;
+        try {
+            markers = setScriptMarker(loadScriptMarkers(), address, req.body || {}, script.pages);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
-        oscClient = null;
-        isConnected = false;
-        res.json({ success: true, message: 'Disconnected from EOS console' });
+        saveScriptMarkers(markers);
+        const marker = findScriptMarker(markers, address);
+        applyScriptPages(req, [marker], script.pages, `Script position of cue ${describeCue(address.cue_list, address.cue_number, address.part_number)}`);
+        const cue = findAddressedCue(address);
+        res.json({ success: true, marker: marker, page: cue.page, revision: cue.revision });
     } catch (error) {
-        console.error('Disconnection error:', error);
+        console.error('Error placing cue in script:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.get('/api/debug', (req, res) => {
-    const activeCues = cues.filter(c => c.last_seen === 'active').map(c => ({
-        cue_number: c.cue_number,
-        cue_list: c.cue_list,
-        label: c.label
-    }));
-    const pendingCues = cues.filter(c => c.last_seen === 'pending').map(c => ({
-        cue_number: c.cue_number,
-        cue_list: c.cue_list,
-        label: c.label
-    }));
-    const sampleCueNumbers = cues.slice(0, 10).map(c => ({
-        cue_number: c.cue_number,
-        type: typeof c.cue_number,
-        cue_list: c.cue_list,
-        list_type: typeof c.cue_list
-    }));
-    const sampleTimingKeys = showTimings.cueTimings.slice(0, 10).map(t => ({
-        cueNumber: t.cueNumber,
-        type: typeof t.cueNumber,
-        timeFromPrevious: t.timeFromPrevious
-    }));
-    const keyComparison = {
-        cueDataKeys: cues.slice(0, 5).map(c => String(c.cue_number)),
-        timingKeys: showTimings.cueTimings.slice(0, 5).map(t => String(t.cueNumber)),
-        matchCount: cues.filter(c => showTimings.cueTimings.some(t => String(t.cueNumber) === String(c.cue_number))).length
-    };
-    res.json({
-        mainPlaybackList,
-        knownCueLists,
-        totalCues: cues.length,
-        activeCues,
-        pendingCues,
-        timingsCount: showTimings.cueTimings?.length || 0,
-        isRecording: showTimings.isRecording,
-        isConnected,
-        connectedEOSShowName,
-        currentShowName,
-        sampleCueNumbers,
-        sampleTimingKeys,
-        keyComparison
+// The page the placement set is cleared too, unless someone changed it since
+app.delete(`${CUE_ROUTE}/script-marker`, requireRole('note-taker'), (req, res) => {
+    try {
+        const address = getCueAddress(req.params);
+        const markers = loadScriptMarkers();
+        const marker = findScriptMarker(markers, address);
+        if (!marker) {
+            return res.status(404).json({ success: false, error: 'This cue is not placed in the script' });
+        }
+        saveScriptMarkers(removeScriptMarker(markers, address));
+        const script = loadScript();
+        const cue = findAddressedCue(address);
+        if (cue && script && (cue.page || '') === getMarkerPage(script.pages, marker)) {
+            setUserCueFields(req, address, { page: '' }, 'Script page');
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing script marker:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Attachment files of the current show; ?thumb=1 gives the thumbnail of an image when there is one
+app.get('/api/attachments/:name', (req, res) => {
+    const name = path.basename(req.params.name);
+    const filePath = path.join(getShowImagesDir(currentShowName), name);
+    const thumbnailPath = path.join(getShowThumbnailsDir(currentShowName), getThumbnailName(name));
+    const file = req.query.thumb && fs.existsSync(thumbnailPath) ? thumbnailPath : filePath;
+    if (!fs.existsSync(file)) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    res.sendFile(path.resolve(file));
+});
+
+// Maintenance: attachment files no cue or orphaned note of their show uses, thumbnails without
+// an image and leftovers in the old global uploads folder (everything still in use was
+// moved into the shows at startup)
+// -> [{ show, name, kind: 'image' | 'thumbnail' | 'legacy-upload', size, file }]
+function findOrphanedFiles() {
+    saveCuesSync();
+    const listFiles = (dir) => fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isFile())
+        : [];
+    const entry = (show, dir, name, kind) => ({
+        show: show,
+        name: name,
+        kind: kind,
+        size: fs.statSync(path.join(dir, name)).size,
+        file: path.join(dir, name)
+    });
+
+    const orphans = [];
+    listShows().filter(showExists).forEach(showName => {
+        const referenced = getShowReferencedImages(showName, {
+            'cues.json': readShowJsonFile(getShowCuesFile(showName), []),
+            'orphaned_notes.json': readShowJsonFile(getShowOrphanedNotesFile(showName), [])
+        });
+        const imagesDir = getShowImagesDir(showName);
+        const thumbnailsDir = getShowThumbnailsDir(showName);
+        const found = findOrphanedImages(referenced, listFiles(imagesDir), listFiles(thumbnailsDir));
+        found.images.forEach(name => orphans.push(entry(showName, imagesDir, name, 'image')));
+        found.thumbnails.forEach(name => orphans.push(entry(showName, thumbnailsDir, name, 'thumbnail')));
     });
+    listFiles(LEGACY_UPLOADS_DIR).forEach(name => orphans.push(entry(null, LEGACY_UPLOADS_DIR, name, 'legacy-upload')));
+    return orphans;
+}
+
+function summarizeOrphanedFiles(orphans) {
+    return {
+        files: orphans.map(({ file, ...info }) => info),
+        fileCount: orphans.length,
+        totalBytes: orphans.reduce((sum, orphan) => sum + orphan.size, 0)
+    };
+}
+
+app.get('/api/maintenance/orphaned-files', requireRole('admin'), (req, res) => {
+    try {
+        res.json(summarizeOrphanedFiles(findOrphanedFiles()));
+    } catch (error) {
+        console.error('Error finding orphaned files:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Cue endpoints
-app.get('/api/cues', (req, res) => {
-    res.json({ cues: cues, mainPlaybackList: mainPlaybackList });
+// Backups of the open show (made when it is opened and every BACKUP_INTERVAL while it changes)
+app.get('/api/backups', requireRole('stage-manager'), (req, res) => {
+    try {
+        res.json({
+            backups: listBackups(getShowDir(currentShowName)),
+            maxBackups: MAX_BACKUPS,
+            intervalMinutes: BACKUP_INTERVAL / 60000,
+            recoveries: fileRecoveries.filter(recovery => recovery.show === currentShowName)
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Check if cues have changed (for polling)
-app.get('/api/cues/changed', (req, res) => {
-    res.json({ changed: cuesChanged });
-    cuesChanged = false; // Reset flag after check
+app.post('/api/backups', requireRole('stage-manager'), (req, res) => {
+    try {
+        flushPendingSaves();
+        const name = backupCurrentShow('manual');
+        res.json({ success: true, name: name, backups: listBackups(getShowDir(currentShowName)) });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Manual refresh - pull all cues from EOS (discovers all cue lists)
-app.post('/api/cues/refresh', (req, res) => {
+app.post('/api/backups/:name/restore', requireRole('admin'), (req, res) => {
     try {
-        if (!oscClient && !tcpPort) {
-            return res.status(400).json({ success: false, message: 'Not connected to EOS' });
+        const showDir = getShowDir(currentShowName);
+        if (!listBackups(showDir).some(backup => backup.name === req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Backup not found' });
         }
-        // Request cuelist count first to discover all lists
-        console.log('📋 Refresh: Requesting cuelist count to discover all lists...');
-        sendOSC('/eos/get/cuelist/count');
-        
-        // Fallback: if cuelist count doesn't respond within 3 seconds, refresh list 1
-        setTimeout(() => {
-            if (bulkRefreshQueue.length === 0 && !isBulkRefreshing) {
-                console.log('📋 Refresh: Cuelist count timed out, falling back to list 1');
-                requestAllCues(1);
-            }
-        }, 3000);
-        
-        res.json({ success: true, message: 'Discovering and refreshing all cue lists...' });
+        if (showTimings.isRecording) {
+            return res.status(409).json({ success: false, error: 'Stop the show timer before restoring a backup' });
+        }
+        // The current state becomes a backup of its own, so a restore can be taken back
+        flushPendingSaves();
+        backupCurrentShow('before restore');
+        const files = restoreBackup(showDir, req.params.name);
+        loadShowData();
+        console.log(`♻️ Restored backup ${req.params.name} of show ${currentShowName} (${files.length} files)`);
+        broadcastEvent('show-reload', { currentShow: currentShowName });
+        res.json({ success: true, files: files });
     } catch (error) {
-        console.error('Error refreshing cues:', error);
+        console.error('Error restoring backup:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/cues/:cueNumber/notes', (req, res) => {
+app.delete('/api/maintenance/orphaned-files', requireRole('admin'), (req, res) => {
     try {
-        const { cueNumber } = req.params;
-        const { notes } = req.body;
-        
-        updateOrCreateCue(cueNumber, { notes: notes });
-        res.json({ success: true, message: 'Notes saved successfully' });
+        const orphans = findOrphanedFiles();
+        orphans.forEach(orphan => fs.unlinkSync(orphan.file));
+        if (fs.existsSync(LEGACY_UPLOADS_DIR) && fs.readdirSync(LEGACY_UPLOADS_DIR).length === 0) {
+            fs.rmdirSync(LEGACY_UPLOADS_DIR);
+        }
+        const summary = summarizeOrphanedFiles(orphans);
+        console.log(`🧹 Removed ${summary.fileCount} orphaned file(s) (${Math.round(summary.totalBytes / 1024)} KB)`);
+        res.json({ success: true, ...summary });
     } catch (error) {
-        console.error('Error saving notes:', error);
+        console.error('Error removing orphaned files:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/cues/:cueNumber/color', (req, res) => {
+// Push label / notes to the console
+// fields: ['label', 'notes'] (default both); label overrides the stored label and clear lists
+// the fields an empty value may clear on the console (per cue only - bulk pushes never clear)
+function getPushValues(cue, body) {
+    const fields = Array.isArray(body.fields) ? body.fields : ['label', 'notes'];
+    const values = { clear: Array.isArray(body.clear) ? body.clear : [] };
+    if (fields.includes('label')) {
+        values.label = body.label !== undefined ? String(body.label) : (cue.label || '');
+    }
+    if (fields.includes('notes')) {
+        values.notes = cue.notes || '';
+    }
+    return values;
+}
+
+// The cue merge never overwrites a label with an empty one, so a label removed
+// by a push has to be taken from the verification read-back here
+function applyPushResult(cue, result) {
+    if (result.label && result.label.console !== undefined && cue.label !== result.label.console) {
+        cue.label = result.label.console;
+        broadcastEvent('cue-upsert', cue);
+        saveCues();
+    }
+}
+
+// Reason a push can't run right now, or null
+function getConsolePushBlocker() {
+    if (!isConnected || oscReplay) return 'Not connected to EOS';
+    if (cueSync.getState().bulkRefreshInProgress) return 'Cue refresh in progress - try again when it has finished';
+    if (consolePushInProgress) return 'A push to the console is already running';
+    return null;
+}
+
+app.post(`${CUE_ROUTE}/push`, requireRole('stage-manager'), async (req, res) => {
     try {
-        const { cueNumber } = req.params;
-        const { color } = req.body;
-        
-        updateOrCreateCue(cueNumber, { color: color });
-        res.json({ success: true, message: 'Color saved successfully' });
+        const blocker = getConsolePushBlocker();
+        if (blocker) {
+            return res.status(409).json({ success: false, error: blocker });
+        }
+        const address = getCueAddress(req.params);
+        const cue = cues.find(c => String(c.cue_list || '1') === address.cue_list &&
+            String(c.cue_number) === address.cue_number && (c.part_number || 0) === address.part_number);
+        if (!cue) {
+            return res.status(404).json({ success: false, error: 'Cue not found' });
+        }
+        // Blocks bulk pushes too - both wait for the same read-back
+        consolePushInProgress = true;
+        try {
+            const result = await consolePush.pushCue(cue, getPushValues(cue, req.body || {}));
+            applyPushResult(cue, result);
+            res.json({ success: !result.error, result: result });
+        } finally {
+            consolePushInProgress = false;
+        }
     } catch (error) {
-        console.error('Error saving color:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error pushing cue to console:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/cues/:cueNumber/page', (req, res) => {
+// Bulk push from the multi-cue editor: { cues: [{ cue_list, cue_number, part_number }], fields }
+app.post('/api/cues/push', requireRole('stage-manager'), async (req, res) => {
+    const blocker = getConsolePushBlocker();
+    if (blocker) {
+        return res.status(409).json({ success: false, error: blocker });
+    }
+    const requested = Array.isArray(req.body.cues) ? req.body.cues : [];
+    const items = [];
+    requested.forEach(target => {
+        const cue = cues.find(c => String(c.cue_list || '1') === String(target.cue_list || '1') &&
+            String(c.cue_number) === String(target.cue_number) && (c.part_number || 0) === (parseInt(target.part_number) || 0));
+        if (cue) {
+            items.push({ cue: cue, values: getPushValues(cue, { fields: req.body.fields }) });
+        }
+    });
+    if (items.length === 0) {
+        return res.status(400).json({ success: false, error: 'No cues to push' });
+    }
+
+    consolePushInProgress = true;
+    console.log(`⬆️ Pushing ${items.length} cues to the console`);
     try {
-        const { cueNumber } = req.params;
-        const { page, part_number } = req.body;
-        
-        // Handle multi-part cues
-        const storageKey = (part_number && part_number > 0) ? `${cueNumber}/${part_number}` : cueNumber;
-        updateOrCreateCue(storageKey, { page: page });
-        res.json({ success: true, message: 'Page saved successfully' });
+        const results = await consolePush.pushCues(items, (done, total, result) => {
+            applyPushResult(items[done - 1].cue, result);
+            broadcastEvent('console-push', { done: done, total: total, running: done < total });
+        });
+        const verified = results.filter(r => r.verified).length;
+        console.log(`⬆️ Console push finished: ${verified}/${results.length} verified`);
+        res.json({ success: true, verified: verified, total: results.length, results: results });
     } catch (error) {
-        console.error('Error saving page:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error pushing cues to console:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        consolePushInProgress = false;
     }
 });
 
-// Tag endpoints
-app.post('/api/cues/:cueNumber/tags', (req, res) => {
+// Import an EOS show export (USITT ASCII or CSV) into the current show
+// Console fields are merged through updateOrCreateCue; notes, tags, colors and pages are kept.
+// preview=true only reports what would change.
+app.post('/api/import/show-file', requireRole('stage-manager'), importUpload.single('file'), (req, res) => {
     try {
-        const { cueNumber } = req.params;
-        const { tags } = req.body;
-        
-        // Ensure tags is an array
-        const tagArray = Array.isArray(tags) ? tags : [];
-        updateOrCreateCue(cueNumber, { tags: tagArray });
-        res.json({ success: true, message: 'Tags saved successfully' });
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+        if (cueSync.getState().bulkRefreshInProgress) {
+            return res.status(409).json({ success: false, error: 'Cue refresh in progress - try again when it has finished' });
+        }
+        const parsed = parseShowExport(req.file.buffer.toString('utf8'), req.file.originalname);
+        if (parsed.cues.length === 0) {
+            return res.status(400).json({ success: false, error: 'No cues found in the file - expected an EOS ASCII or CSV export' });
+        }
+
+        const existingKeys = new Set(cues.map(c => `${c.cue_list || '1'}/${c.cue_number}/${c.part_number || 0}`));
+        const created = parsed.cues.filter(item =>
+            !existingKeys.has(`${item.updates.cue_list}/${item.cueNumber}/${item.updates.part_number}`)).length;
+        const lists = [...new Set(parsed.cues.map(item => item.updates.cue_list))];
+        const summary = {
+            format: parsed.format,
+            total: parsed.cues.length,
+            created: created,
+            updated: parsed.cues.length - created,
+            lists: lists
+        };
+
+        if (String(req.body.preview) === 'true') {
+            return res.json({ success: true, preview: true, summary: summary });
+        }
+
+        parsed.cues.forEach(item => updateOrCreateCue(item.cueNumber, item.updates));
+        saveCuesSync();
+        console.log(`📥 Imported ${summary.total} cues (${summary.created} new) from ${req.file.originalname} (${parsed.format})`);
+        res.json({ success: true, summary: summary });
     } catch (error) {
-        console.error('Error saving tags:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error importing show file:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get all unique tags across all cues
-app.get('/api/tags', (req, res) => {
+// Annotated cue list as CSV for spreadsheets
+app.get('/api/export/csv', (req, res) => {
     try {
-        const allTags = new Set();
-        cues.forEach(cue => {
-            if (cue.tags && Array.isArray(cue.tags)) {
-                cue.tags.forEach(tag => allTags.add(tag));
-            }
+        const csv = buildCueCsv(cues, {
+            sceneOf: getAllSceneMaps(),
+            durations: getCueDurations(),
+            mainPlaybackList: mainPlaybackList
         });
-        res.json({ tags: Array.from(allTags).sort() });
+        const fileName = `${(currentShowName || 'EOS Cue List').replace(/[\\/:*?"<>|]/g, '_')} - Cue List.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.send(csv);
     } catch (error) {
-        console.error('Error getting tags:', error);
+        console.error('CSV export error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/cues/:cueNumber/image', upload.single('image'), (req, res) => {
+// Spreadsheet round trip: notes, tags, page and cue color of existing cues
+// Rows are matched by list/cue/part; rows without a cue in the show are reported, not created.
+// preview=true only reports what would change.
+app.post('/api/import/csv', requireRole('stage-manager'), importUpload.single('file'), (req, res) => {
     try {
-        const { cueNumber } = req.params;
-        
-        if (req.file) {
-            updateOrCreateCue(cueNumber, { image_path: req.file.filename });
-            res.json({ success: true, message: 'Image uploaded successfully', filename: req.file.filename });
-        } else {
-            res.status(400).json({ error: 'No image file provided' });
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+        let parsed;
+        try {
+            parsed = parseCueCsvImport(req.file.buffer.toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
+
+        const changes = [];
+        const unmatched = [];
+        let unchanged = 0;
+        parsed.rows.forEach(row => {
+            const cue = cues.find(c =>
+                String(c.cue_list || '1') === row.list &&
+                parseFloat(c.cue_number) === parseFloat(row.cue) &&
+                (c.part_number || 0) === row.part);
+            if (!cue) {
+                unmatched.push(`${row.list}/${row.cue}${row.part > 0 ? `/${row.part}` : ''}`);
+                return;
+            }
+            const fields = getChangedFields(cue, row.fields);
+            if (fields.length === 0) {
+                unchanged++;
+            } else {
+                changes.push({ cue: cue, row: row, fields: fields });
+            }
+        });
+        const summary = {
+            columns: parsed.columns,
+            rows: parsed.rows.length,
+            updated: changes.length,
+            unchanged: unchanged,
+            unmatched: unmatched,
+            errors: parsed.errors
+        };
+
+        if (String(req.body.preview) === 'true') {
+            return res.json({ success: true, preview: true, summary: summary });
+        }
+
+        const journalChanges = [];
+        changes.forEach(change => {
+            change.fields.forEach(field => {
+                const value = field === 'tags' ? change.row.fields.tags.slice() : change.row.fields[field];
+                journalChanges.push(getCueChange(change.cue, field, value));
+                change.cue[field] = value;
+            });
+            touchCue(change.cue);
+            broadcastEvent('cue-upsert', change.cue);
+        });
+        if (changes.length > 0) saveCuesSync();
+        recordJournalEntry(req, `CSV import: ${changes.length} cue${changes.length !== 1 ? 's' : ''} from ${req.file.originalname}`, journalChanges);
+        console.log(`📥 CSV import from ${req.file.originalname}: ${changes.length} cues updated, ${unmatched.length} rows without cue, ${parsed.errors.length} errors`);
+        res.json({ success: true, summary: summary });
     } catch (error) {
-        console.error('Error uploading image:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error importing CSV:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
@@ -1907,7 +3489,7 @@ app.get('/api/show-notes', (req, res) => {
     res.json(showNotes);
 });
 
-app.post('/api/show-notes', (req, res) => {
+app.post('/api/show-notes', requireRole('note-taker'), (req, res) => {
     try {
         showNotes.notes = req.body.notes || '';
         saveShowNotes();
@@ -1918,10 +3500,104 @@ app.post('/api/show-notes', (req, res) => {
     }
 });
 
-// PDF Export (opens in browser for print-to-PDF)
+// PDF Export - generated on the server, looks the same everywhere
+// Query: orientation=portrait|landscape, images=1, durations=1
+// Report options (see lib/report-builder.js) as JSON in ?options=..., or ?preset=<id>
+app.get('/api/export-pdf', (req, res) => {
+    try {
+        let options;
+        if (req.query.preset) {
+            const preset = loadReportPresets().find(p => p.id === req.query.preset);
+            if (!preset) {
+                return res.status(404).json({ error: 'Report preset not found' });
+            }
+            options = preset.options;
+        } else if (req.query.options) {
+            try {
+                options = JSON.parse(req.query.options);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid report options' });
+            }
+        } else {
+            options = {
+                orientation: req.query.orientation,
+                columns: ['cue', 'label']
+                    .concat(req.query.durations === '1' ? ['duration'] : [])
+                    .concat(['tags', 'notes', 'page'])
+                    .concat(req.query.images === '1' ? ['image'] : [])
+            };
+        }
+        const report = generatePDFReport(options);
+        const fileName = `${(currentShowName || 'EOS Cue List').replace(/[\\/:*?"<>|]/g, '_')} - Cue List.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.send(report);
+        console.log(`📄 PDF report generated: ${report.length} bytes${req.query.preset ? ` (preset ${req.query.preset})` : ''}`);
+    } catch (error) {
+        console.error('PDF export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Report presets of the current show - the shipped ones until the show saves its own
+function loadReportPresets() {
+    return readShowJsonFile(getShowReportPresetsFile(currentShowName), DEFAULT_PRESETS);
+}
+
+function saveReportPresets(presets) {
+    writeShowJsonFile(getShowReportPresetsFile(currentShowName), presets);
+}
+
+app.get('/api/report-presets', (req, res) => {
+    res.json({ presets: loadReportPresets(), columns: REPORT_COLUMNS });
+});
+
+// Body: { id (omit for a new preset), name, options }
+app.post('/api/report-presets', requireRole('note-taker'), (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Preset name is required' });
+        }
+        const presets = loadReportPresets().map(p => Object.assign({}, p));
+        const preset = {
+            id: req.body.id ? String(req.body.id) : `preset-${Date.now()}`,
+            name: name,
+            options: normalizeReportOptions(req.body.options)
+        };
+        const index = presets.findIndex(p => p.id === preset.id);
+        if (index !== -1) {
+            presets[index] = preset;
+        } else {
+            presets.push(preset);
+        }
+        saveReportPresets(presets);
+        console.log(`📄 Report preset saved: ${preset.name}`);
+        res.json({ success: true, preset: preset });
+    } catch (error) {
+        console.error('Error saving report preset:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/report-presets/:id', requireRole('note-taker'), (req, res) => {
+    try {
+        const presets = loadReportPresets();
+        if (!presets.some(p => p.id === req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Report preset not found' });
+        }
+        saveReportPresets(presets.filter(p => p.id !== req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting report preset:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Print view (opens in browser for print-to-PDF)
 app.get('/api/export-html', (req, res) => {
     try {
-        const htmlContent = generatePDFReport();
+        const htmlContent = generateHTMLReport();
         res.setHeader('Content-Type', 'text/html');
         res.send(htmlContent);
     } catch (error) {
@@ -1955,7 +3631,45 @@ function escapeHtml(text) {
         .replace(/'/g, '&#039;');
 }
 
-function generatePDFReport() {
+// Recorded duration of every main list cue (the duration column of the cue list)
+function getCueDurations() {
+    const durations = {};
+    getBaselineTimings().forEach(timing => {
+        durations[String(timing.cueNumber)] = timing.timeFromPrevious || 0;
+    });
+    return durations;
+}
+
+// Scene of every cue of every list: { list: { cueNumber: scene } }
+function getAllSceneMaps() {
+    const sceneOf = {};
+    [...new Set(cues.map(c => String(c.cue_list || '1')))].forEach(list => {
+        sceneOf[list] = getSceneMap(cues, list);
+    });
+    return sceneOf;
+}
+
+// options: report builder options (columns, filters, grouping) - returns the PDF as a Buffer
+function generatePDFReport(options = {}) {
+    const sceneOf = getAllSceneMaps();
+    const report = buildReport(cues, options, { sceneOf: sceneOf, sceneData: loadSceneData() });
+    return buildCueListPdf({
+        showName: currentShowName || 'EOS Cue List',
+        showNotes: report.options.includeShowNotes ? showNotes.notes : '',
+        orientation: report.options.orientation,
+        columns: report.columns.map(column => column.key),
+        groups: report.groups,
+        sceneOf: sceneOf,
+        durations: getCueDurations(),
+        mainPlaybackList: mainPlaybackList,
+        loadImage: (cue) => {
+            const imagePath = path.join(getShowImagesDir(currentShowName), path.basename(getCoverImage(cue).file));
+            return fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : null;
+        }
+    });
+}
+
+function generateHTMLReport() {
     // Get current show name
     const showName = currentShowName || 'EOS Cue List';
     
@@ -2159,15 +3873,27 @@ loadData();
 
 // Show Timer API Endpoints
 app.get('/api/show-timings', (req, res) => {
-    res.json(showTimings);
+    res.json({
+        ...showTimings,
+        baseline: normalizeBaseline(showTimings.baseline),
+        baselineTimings: getBaselineTimings(),
+        runCount: timingRuns.length,
+        pause: getPauseState()
+    });
 });
 
-app.post('/api/show-timings/start', (req, res) => {
+app.post('/api/show-timings/start', requireRole('stage-manager'), (req, res) => {
+    if (showTimings.isRecording) {
+        finishRecording();
+    }
     showTimings.isRecording = true;
+    showTimings.runId = String(Date.now());
     showTimings.showStartTime = Date.now();
     showTimings.lastCueTime = null;
     showTimings.lastCueNumber = null;
     showTimings.cueTimings = [];
+    showTimings.pausedTotal = 0;
+    showTimings.pauses = [];
     currentShowElapsed = 0;
     lastCueFireTime = null;
     saveShowTimings();
@@ -2180,20 +3906,23 @@ app.post('/api/show-timings/start', (req, res) => {
     });
 });
 
-app.post('/api/show-timings/stop', (req, res) => {
-    showTimings.isRecording = false;
+app.post('/api/show-timings/stop', requireRole('stage-manager'), (req, res) => {
+    const run = finishRecording();
     saveShowTimings();
     console.log('⏱️ Show timing recording stopped');
-    res.json({ success: true, message: 'Show timing recording stopped', timings: showTimings });
+    res.json({ success: true, message: 'Show timing recording stopped', timings: showTimings, run: run ? summarizeRun(run) : null });
 });
 
-app.post('/api/show-timings/clear', (req, res) => {
+// Clears the current recording - finished runs are kept (delete them one by one)
+app.post('/api/show-timings/clear', requireRole('stage-manager'), (req, res) => {
     showTimings = {
         isRecording: false,
         showStartTime: null,
         lastCueTime: null,
         lastCueNumber: null,
-        cueTimings: []
+        cueTimings: [],
+        baseline: showTimings.baseline,
+        activePause: showTimings.activePause
     };
     currentShowElapsed = 0;
     lastCueFireTime = null;
@@ -2202,17 +3931,114 @@ app.post('/api/show-timings/clear', (req, res) => {
     res.json({ success: true, message: 'Show timings cleared' });
 });
 
+// Pause / intermission - stops the show clock until resumed or the next cue fires
+app.post('/api/show-timings/pause', requireRole('stage-manager'), (req, res) => {
+    const type = req.body.type === 'intermission' ? 'intermission' : 'pause';
+    const pause = pauseShow(type, req.body.label ? String(req.body.label) : null);
+    if (!pause) {
+        return res.status(409).json({ success: false, error: 'The show is already paused' });
+    }
+    res.json({ success: true, pause: pause });
+});
+
+app.post('/api/show-timings/resume', requireRole('stage-manager'), (req, res) => {
+    const marker = resumeShow('resumed from UI');
+    if (!marker) {
+        return res.status(409).json({ success: false, error: 'The show is not paused' });
+    }
+    res.json({ success: true, pause: marker });
+});
+
+// Recorded runs - oldest first
+app.get('/api/show-timings/runs', (req, res) => {
+    res.json({
+        runs: sortRuns(timingRuns).map(summarizeRun),
+        baseline: normalizeBaseline(showTimings.baseline),
+        currentRunId: showTimings.runId || null
+    });
+});
+
+app.post('/api/show-timings/runs/:id', requireRole('stage-manager'), (req, res) => {
+    try {
+        const run = timingRuns.find(r => r.id === req.params.id);
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+        if (req.body.notes !== undefined) {
+            run.notes = String(req.body.notes);
+        }
+        saveTimingRuns();
+        res.json({ success: true, run: summarizeRun(run) });
+    } catch (error) {
+        console.error('Error updating run:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/show-timings/runs/:id', requireRole('stage-manager'), (req, res) => {
+    try {
+        const remaining = timingRuns.filter(r => r.id !== req.params.id);
+        if (remaining.length === timingRuns.length) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+        timingRuns = remaining;
+        saveTimingRuns();
+        console.log(`🗑️ Deleted timing run ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting run:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Countdown baseline: { mode: 'last' | 'average' | 'run', count, runId }
+app.post('/api/show-timings/baseline', requireRole('stage-manager'), (req, res) => {
+    try {
+        const baseline = normalizeBaseline(req.body);
+        if (req.body.mode && req.body.mode !== baseline.mode) {
+            return res.status(400).json({ success: false, error: `Unknown baseline: ${req.body.mode}` });
+        }
+        if (baseline.mode === 'run' && !timingRuns.some(r => r.id === baseline.runId)) {
+            return res.status(400).json({ success: false, error: 'Choose a recorded run as baseline' });
+        }
+        showTimings.baseline = baseline;
+        saveShowTimings();
+        console.log(`⏱️ Countdown baseline: ${baseline.mode}${baseline.mode === 'average' ? ` of last ${baseline.count} runs` : ''}`);
+        res.json({ success: true, baseline: baseline });
+    } catch (error) {
+        console.error('Error saving baseline:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-cue and per-scene statistics - ?runs=<id>,<id> limits the comparison
+app.get('/api/show-timings/stats', (req, res) => {
+    try {
+        const ids = req.query.runs ? String(req.query.runs).split(',') : null;
+        const selected = ids ? timingRuns.filter(r => ids.includes(r.id)) : timingRuns;
+        res.json(computeRunStatistics(selected, getSceneMap(cues, mainPlaybackList)));
+    } catch (error) {
+        console.error('Error computing run statistics:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Update timings manually
-app.post('/api/show-timings/update', (req, res) => {
+app.post('/api/show-timings/update', requireRole('stage-manager'), (req, res) => {
     try {
         const { cueTimings } = req.body;
         if (!cueTimings || !Array.isArray(cueTimings)) {
             return res.status(400).json({ error: 'Invalid cueTimings data' });
         }
         
-        // Update the timings
+        // Update the timings - and the run they were recorded as
         showTimings.cueTimings = cueTimings;
         saveShowTimings();
+        const run = timingRuns.find(r => r.id === showTimings.runId);
+        if (run && !showTimings.isRecording) {
+            run.cueTimings = cueTimings.map(t => Object.assign({}, t));
+            saveTimingRuns();
+        }
         
         console.log(`⏱️ Manually updated ${cueTimings.length} cue timings`);
         res.json({ success: true, message: 'Timings updated successfully' });
@@ -2222,14 +4048,17 @@ app.post('/api/show-timings/update', (req, res) => {
     }
 });
 
-app.get('/api/show-timings/countdown', (req, res) => {
-    if (showTimings.cueTimings.length === 0) {
-        return res.json({ hasTimings: false });
+// Compute live countdown state from the baseline timings
+// Used by the countdown endpoint and by the timing-tick live event
+function computeCountdown() {
+    const timings = getBaselineTimings();
+    if (timings.length === 0) {
+        return { hasTimings: false };
     }
     
     // Build duration map for all cues
     const cueDurations = {};
-    showTimings.cueTimings.forEach((timing, index) => {
+    timings.forEach((timing, index) => {
         cueDurations[timing.cueNumber] = {
             duration: timing.timeFromPrevious || 0,
             countdown: null,
@@ -2240,43 +4069,49 @@ app.get('/api/show-timings/countdown', (req, res) => {
     // Find current active cue on main playback list only
     const activeCue = cues.find(c => c.last_seen === 'active' && String(c.cue_list || '1') === mainPlaybackList);
     if (!activeCue) {
-        const totalShowTime = showTimings.cueTimings[showTimings.cueTimings.length - 1].timestamp;
-        return res.json({ 
-            hasTimings: true, 
+        const totalShowTime = timings[timings.length - 1].timestamp;
+        return {
+            hasTimings: true,
             isPlaying: false,
             cueDurations,
             totalShowTime
-        });
+        };
     }
     
     // Find this cue in the timings
-    const currentCueIndex = showTimings.cueTimings.findIndex(
+    const currentCueIndex = timings.findIndex(
         t => t.cueNumber === activeCue.cue_number
     );
     
     if (currentCueIndex === -1) {
-        const totalShowTime = showTimings.cueTimings[showTimings.cueTimings.length - 1].timestamp;
-        return res.json({ 
-            hasTimings: true, 
+        const totalShowTime = timings[timings.length - 1].timestamp;
+        return {
+            hasTimings: true,
             isPlaying: false,
             cueDurations,
             totalShowTime
-        });
+        };
     }
     
     // Calculate actual elapsed time including real-time since last cue
+    // Paused time does not run the show clock
     let showElapsed = currentShowElapsed;
     if (lastCueFireTime) {
-        const secondsSinceLastFire = (Date.now() - lastCueFireTime) / 1000;
-        showElapsed = currentShowElapsed + secondsSinceLastFire;
+        const now = Date.now();
+        let pausedMs = pausedSinceLastFire;
+        if (showTimings.activePause) {
+            pausedMs += now - Math.max(showTimings.activePause.startedAt, lastCueFireTime);
+        }
+        const secondsSinceLastFire = (now - lastCueFireTime - pausedMs) / 1000;
+        showElapsed = currentShowElapsed + Math.max(0, secondsSinceLastFire);
     }
     
-    const currentTiming = showTimings.cueTimings[currentCueIndex];
+    const currentTiming = timings[currentCueIndex];
     const timeSinceCueFired = showElapsed - currentTiming.timestamp;
     
     // Update countdown for active cue
-    if (currentCueIndex < showTimings.cueTimings.length - 1) {
-        const nextTiming = showTimings.cueTimings[currentCueIndex + 1];
+    if (currentCueIndex < timings.length - 1) {
+        const nextTiming = timings[currentCueIndex + 1];
         const timeRemaining = nextTiming.timeFromPrevious - timeSinceCueFired;
         cueDurations[activeCue.cue_number].countdown = timeRemaining > 0 ? timeRemaining : 0;
         cueDurations[activeCue.cue_number].isActive = true;
@@ -2288,24 +4123,163 @@ app.get('/api/show-timings/countdown', (req, res) => {
     
     // Calculate time to next cue
     let timeToNext = null;
-    if (currentCueIndex < showTimings.cueTimings.length - 1) {
-        const nextTiming = showTimings.cueTimings[currentCueIndex + 1];
+    if (currentCueIndex < timings.length - 1) {
+        const nextTiming = timings[currentCueIndex + 1];
         timeToNext = nextTiming.timeFromPrevious - timeSinceCueFired;
     }
     
-    // Calculate estimated show end
-    const totalShowTime = showTimings.cueTimings[showTimings.cueTimings.length - 1].timestamp;
-    const estimatedTimeRemaining = totalShowTime - showElapsed;
+    // Calculate estimated show end - plus the breaks the baseline still has ahead
+    const totalShowTime = timings[timings.length - 1].timestamp;
+    const cueIndexOf = cueNumber => timings.findIndex(t => String(t.cueNumber) === String(cueNumber));
+    const expectedPauseTime = buildBaselinePauses(timingRuns, showTimings.baseline)
+        .filter(pause => {
+            const index = cueIndexOf(pause.afterCue);
+            if (index > currentCueIndex) return true;
+            // The break after the current cue is still to come unless it is running now
+            return index === currentCueIndex && !showTimings.activePause;
+        })
+        .reduce((sum, pause) => sum + (pause.duration || 0), 0);
+    const estimatedTimeRemaining = totalShowTime - showElapsed + expectedPauseTime;
     
-    res.json({
+    return {
         hasTimings: true,
         isPlaying: true,
         showElapsed,
         timeToNext: timeToNext > 0 ? timeToNext : null,
         estimatedTimeRemaining: estimatedTimeRemaining > 0 ? estimatedTimeRemaining : null,
+        expectedPauseTime,
         totalShowTime,
         cueDurations
+    };
+}
+
+app.get('/api/show-timings/countdown', (req, res) => {
+    res.json(computeCountdown());
+});
+
+// Standby / warning calls (lib/standby-calls.js) for the pending main list cue
+const standbyCaller = createStandbyCaller();
+
+function loadStandbyLog() {
+    return readShowJsonFile(getShowStandbyLogFile(currentShowName), []);
+}
+
+// Gives the calls that are due and logs them -> the call on show for the pending cue, or null
+function checkStandbyCalls(countdown) {
+    const pendingCue = countdown.isPlaying && showSettings.standby_calls !== false
+        ? cues.find(c => c.last_seen === 'pending' && String(c.cue_list || '1') === mainPlaybackList && !(c.part_number > 0))
+        : null;
+    const timing = pendingCue ? getBaselineTimings().find(t => String(t.cueNumber) === String(pendingCue.cue_number)) : null;
+    if (!timing) {
+        standbyCaller.update(null);
+        return null;
+    }
+    const dueIn = timing.timestamp - countdown.showElapsed;
+    const result = standbyCaller.update({
+        // The show name is part of the key so a show switch starts over
+        key: `${currentShowName}|${mainPlaybackList}/${pendingCue.cue_number}`,
+        dueIn: dueIn,
+        plan: getCallPlan(showSettings, pendingCue)
     });
+    const describe = (type) => ({
+        type: type,
+        text: formatCallText(type, showSettings.standby_department, pendingCue),
+        cue_list: mainPlaybackList,
+        cue_number: String(pendingCue.cue_number),
+        label: pendingCue.label || '',
+        due_in: Math.max(0, Math.round(dueIn))
+    });
+    result.calls.forEach(type => {
+        const entry = Object.assign({ time: new Date().toISOString() }, describe(type));
+        writeShowJsonFile(getShowStandbyLogFile(currentShowName), addCallLogEntry(loadStandbyLog(), entry));
+        if (eventClients.size > 0) broadcastEvent('standby-call', entry);
+        console.log(`📣 ${entry.text} (${entry.due_in}s before the cue)`);
+    });
+    return result.current ? describe(result.current) : null;
+}
+
+// Calls are given and logged every second whether or not a browser is open -
+// the log must be complete; only the banner broadcast needs listeners
+let currentStandbyCall = null;
+setInterval(() => {
+    try {
+        currentStandbyCall = checkStandbyCalls(computeCountdown());
+    } catch (error) {
+        console.error('Error checking standby calls:', error);
+    }
+}, 1000);
+
+// Push the countdown to all live clients once per second
+// isRecording/timingsCount/runCount/baseline/pause let clients notice changes made elsewhere
+setInterval(() => {
+    if (eventClients.size === 0) return;
+    try {
+        const countdown = computeCountdown();
+        broadcastEvent('timing-tick', {
+            ...countdown,
+            standby: currentStandbyCall,
+            isRecording: showTimings.isRecording,
+            timingsCount: showTimings.cueTimings.length,
+            runCount: timingRuns.length,
+            baseline: normalizeBaseline(showTimings.baseline),
+            pause: getPauseState()
+        });
+    } catch (error) {
+        console.error('Error broadcasting timing tick:', error);
+    }
+}, 1000);
+
+function getStandbySettings() {
+    return {
+        enabled: showSettings.standby_calls !== false,
+        department: showSettings.standby_department || '',
+        warningSeconds: parseInt(showSettings.warning_seconds) || 0,
+        standbySeconds: parseInt(showSettings.standby_seconds) || 0
+    };
+}
+
+app.get('/api/standby-calls', (req, res) => {
+    try {
+        res.json({ settings: getStandbySettings(), log: loadStandbyLog() });
+    } catch (error) {
+        console.error('Error loading standby calls:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: { enabled, department, warningSeconds, standbySeconds } - missing fields stay as they are
+app.post('/api/standby-calls/settings', requireRole('stage-manager'), (req, res) => {
+    try {
+        const body = req.body || {};
+        let warningSeconds;
+        let standbySeconds;
+        try {
+            warningSeconds = body.warningSeconds !== undefined ? normalizeCallSeconds(body.warningSeconds) : showSettings.warning_seconds;
+            standbySeconds = body.standbySeconds !== undefined ? normalizeCallSeconds(body.standbySeconds) : showSettings.standby_seconds;
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (body.enabled !== undefined) showSettings.standby_calls = !!body.enabled;
+        if (body.department !== undefined) showSettings.standby_department = String(body.department).trim().slice(0, 20);
+        showSettings.warning_seconds = warningSeconds;
+        showSettings.standby_seconds = standbySeconds;
+        saveShowSettings();
+        console.log(`📣 Standby calls for show ${currentShowName}: ${showSettings.standby_calls ? `warning ${warningSeconds}s, standby ${standbySeconds}s` : 'off'}`);
+        res.json({ success: true, settings: getStandbySettings() });
+    } catch (error) {
+        console.error('Error saving standby call settings:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/standby-calls/log', requireRole('stage-manager'), (req, res) => {
+    try {
+        writeShowJsonFile(getShowStandbyLogFile(currentShowName), []);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing standby log:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 // Tag-color mappings API
@@ -2314,30 +4288,23 @@ function getTagColorsPath() {
 }
 
 function loadTagColors() {
-    const tagColorsPath = getTagColorsPath();
-    if (fs.existsSync(tagColorsPath)) {
-        try {
-            return JSON.parse(fs.readFileSync(tagColorsPath, 'utf8'));
-        } catch (error) {
-            console.error('Error loading tag colors:', error);
-        }
-    }
-    return {};
+    return readShowJsonFile(getTagColorsPath(), {});
 }
 
 function saveTagColors(mappings) {
-    const tagColorsPath = getTagColorsPath();
-    fs.writeFileSync(tagColorsPath, JSON.stringify(mappings, null, 2));
+    writeShowJsonFile(getTagColorsPath(), mappings);
 }
 
 app.get('/api/tag-colors', (req, res) => {
     res.json(loadTagColors());
 });
 
-app.post('/api/tag-colors', (req, res) => {
+app.post('/api/tag-colors', requireRole('note-taker'), (req, res) => {
     try {
         const mappings = req.body;
+        const before = loadTagColors();
         saveTagColors(mappings);
+        recordJournalEntry(req, 'Tag colors', [{ target: 'tag-colors', before: before, after: mappings }]);
         res.json({ success: true });
     } catch (error) {
         console.error('Error saving tag colors:', error);
@@ -2347,29 +4314,22 @@ app.post('/api/tag-colors', (req, res) => {
 
 // Scene data API
 function loadSceneData() {
-    const filePath = path.join(getShowDir(currentShowName), 'scene-data.json');
-    try {
-        if (fs.existsSync(filePath)) {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        }
-    } catch (error) {
-        console.error('Error loading scene data:', error);
-    }
-    return {};
+    return readShowJsonFile(path.join(getShowDir(currentShowName), 'scene-data.json'), {});
 }
 
 function saveSceneData(data) {
-    const filePath = path.join(getShowDir(currentShowName), 'scene-data.json');
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    writeShowJsonFile(path.join(getShowDir(currentShowName), 'scene-data.json'), data);
 }
 
 app.get('/api/scene-data', (req, res) => {
     res.json(loadSceneData());
 });
 
-app.post('/api/scene-data', (req, res) => {
+app.post('/api/scene-data', requireRole('note-taker'), (req, res) => {
     try {
+        const before = loadSceneData();
         saveSceneData(req.body);
+        recordJournalEntry(req, 'Scene notes and colors', [{ target: 'scene-data', before: before, after: req.body }]);
         res.json({ success: true });
     } catch (error) {
         console.error('Error saving scene data:', error);
@@ -2389,6 +4349,23 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log('Press Ctrl+C to stop the server');
 });
 
+// Ctrl+C, service stop, closed terminal / console window (SIGHUP), Ctrl+Break on Windows
+// (SIGBREAK) or system shutdown: write what is still pending before exiting
+function shutdown(signal) {
+    console.log(`\n🛑 ${signal} received - saving show data`);
+    try {
+        flushPendingSaves();
+        saveShowTimings();
+    } catch (error) {
+        console.error('❌ Error saving on shutdown:', error);
+    }
+    process.exit(0);
+}
+
+['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGBREAK'].forEach(signal => {
+    process.on(signal, () => shutdown(signal));
+});
+
 server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
         console.log(`❌ Error: Port ${PORT} is already in use`);
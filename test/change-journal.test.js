@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChangeJournal, describeCue } = require('../lib/change-journal');
+
+// A journal over an in-memory cue list
+function setup(cues) {
+    let stored = null;
+    let clock = 1700000000000;
+    const journal = createChangeJournal({
+        load: () => stored && JSON.parse(JSON.stringify(stored)),
+        save: (data) => { stored = data; },
+        apply: (change, value) => {
+            const cue = cues.find(c => c.cue_number === change.cue);
+            if (!cue) return false;
+            cue[change.field] = value;
+            return true;
+        },
+        now: () => clock++
+    });
+    return journal;
+}
+
+function colorChange(cue, after) {
+    return { target: 'cue', list: '1', cue: cue.cue_number, part: 0, field: 'color', before: cue.color, after: after };
+}
+
+test('changes that change nothing are not recorded', () => {
+    const cue = { cue_number: '1', color: '#ff0000' };
+    const journal = setup([cue]);
+    assert.strictEqual(journal.record({ action: 'Color', author: 'Sam', changes: [colorChange(cue, '#ff0000')] }), null);
+    assert.deepStrictEqual(journal.getState(), { undo: null, redo: null });
+    assert.strictEqual(journal.undo('Sam'), null);
+});
+
+test('multi-level undo and redo, a new change drops the redo steps', () => {
+    const cues = [{ cue_number: '1', color: 'a' }, { cue_number: '2', color: 'a' }];
+    const journal = setup(cues);
+    journal.record({ action: 'First', author: 'Sam', changes: cues.map(cue => colorChange(cue, 'b')) });
+    cues.forEach(cue => { cue.color = 'b'; });
+    journal.record({ action: 'Second', author: 'Alex', changes: [colorChange(cues[0], 'c')] });
+    cues[0].color = 'c';
+
+    assert.strictEqual(journal.undo('Sam').entry.action, 'Second');
+    assert.strictEqual(journal.undo('Sam').entry.action, 'First');
+    assert.deepStrictEqual(cues.map(c => c.color), ['a', 'a']);
+    assert.strictEqual(journal.undo('Sam'), null);
+
+    assert.strictEqual(journal.redo().entry.action, 'First');
+    assert.deepStrictEqual(cues.map(c => c.color), ['b', 'b']);
+    assert.strictEqual(journal.getState().redo.action, 'Second');
+
+    journal.record({ action: 'Third', author: 'Sam', changes: [colorChange(cues[1], 'd')] });
+    assert.strictEqual(journal.getState().redo, null);
+    assert.strictEqual(journal.getState().undo.action, 'Third');
+});
+
+test('changes of cues that are gone are skipped', () => {
+    const cues = [{ cue_number: '1', color: 'a' }, { cue_number: '2', color: 'a' }];
+    const journal = setup(cues);
+    journal.record({ action: 'Batch', author: null, changes: cues.map(cue => colorChange(cue, 'b')) });
+    cues.pop();
+    const result = journal.undo(null);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(cues[0].color, 'a');
+});
+
+test('cue history lists changes newest first with their author', () => {
+    const cue = { cue_number: '5', color: 'a', notes: '' };
+    const journal = setup([cue]);
+    journal.record({ action: 'Color of cue 5', author: 'Sam', changes: [colorChange(cue, 'b')] });
+    journal.record({ action: 'Notes of cue 5', author: 'Alex', changes: [{ target: 'cue', list: '1', cue: '5', part: 0, field: 'notes', before: '', after: 'Slow' }] });
+    journal.undo('Sam');
+
+    const history = journal.getCueHistory('1', '5', 0);
+    assert.deepStrictEqual(history.map(h => [h.field, h.author, h.undone]), [['notes', 'Alex', true], ['color', 'Sam', false]]);
+    assert.deepStrictEqual(journal.getCueHistory('2', '5', 0), []);
+    assert.strictEqual(describeCue('2', '5', 1), '2/5 P1');
+    assert.strictEqual(describeCue('1', '5', 0), '5');
+});
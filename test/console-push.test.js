@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createConsolePush, formatEosText, buildLabelCommand, buildNotesCommand } = require('../lib/console-push');
+const { silentLogger } = require('./helpers');
+
+// A console that applies Label / Notes command lines and answers pings and cue requests
+// onCommand(command) runs for every command line, before the console answers anything after it
+function createFakeConsole(consoleCues, onCommand) {
+    const sent = [];
+    let push = null;
+    push = createConsolePush({
+        sendOSC: (address, ...args) => {
+            sent.push([address, ...args]);
+            if (address === '/eos/newcmd' && onCommand) onCommand(args[0]);
+            if (address === '/eos/ping') {
+                setImmediate(() => push.handlePingReply(args));
+            }
+            const text = address === '/eos/newcmd' && args[0].match(/^Cue (\d+)\/([\d.]+)(?: Part (\d+))? (Label|Notes) (?:"(.*)"|\w+)#$/);
+            const edited = text && consoleCues[`${text[1]}/${text[2]}/${text[3] || 0}`];
+            if (edited) {
+                edited[text[4].toLowerCase()] = text[5] || '';
+            }
+            const get = address.match(/^\/eos\/get\/cue\/(\d+)\/([\d.]+)(?:\/(\d+))?$/);
+            if (get) {
+                const cue = consoleCues[`${get[1]}/${get[2]}/${get[3] || 0}`];
+                if (cue) {
+                    const fields = { label: cue.label };
+                    if (cue.notes !== undefined) fields.console_notes = cue.notes;
+                    setImmediate(() => push.handleCueData(get[1], get[2], parseInt(get[3]) || 0, fields));
+                }
+            }
+        },
+        isConnected: () => true,
+        verifyTimeoutMs: 50,
+        logger: silentLogger
+    });
+    return { push, sent };
+}
+
+test('text is made safe for the command line', () => {
+    assert.strictEqual(formatEosText('Sunrise, slow'), 'Sunrise, slow');
+    assert.strictEqual(formatEosText('Say "go"'), "Say 'go'");
+    assert.strictEqual(formatEosText('Cue #5  warm'), 'Cue No.5 warm');
+    assert.strictEqual(formatEosText('Line 1\r\nLine 2\n'), 'Line 1 / Line 2');
+    assert.strictEqual(formatEosText('Tab\there\u0007'), 'Tab here');
+    assert.strictEqual(formatEosText(null), '');
+});
+
+test('label and notes commands address cues and parts', () => {
+    assert.strictEqual(buildLabelCommand('2', '5', 0, 'Storm "big"'), 'Cue 2/5 Label "Storm \'big\'"#');
+    assert.strictEqual(buildLabelCommand('1', '4.5', 2, 'Flash'), 'Cue 1/4.5 Part 2 Label "Flash"#');
+    assert.strictEqual(buildLabelCommand('1', '7', 0, '  '), 'Cue 1/7 Label Label#');
+    assert.strictEqual(buildNotesCommand('1', '7', 0, 'Check cyc'), 'Cue 1/7 Notes "Check cyc"#');
+});
+
+test('a push sends the command lines, re-reads the cue and verifies it', async () => {
+    const consoleCues = { '1/5/0': { label: 'Old', notes: '' } };
+    const { push, sent } = createFakeConsole(consoleCues);
+
+    const result = await push.pushCue(
+        { cue_list: '1', cue_number: '5', part_number: 0, console_notes: '' },
+        { label: 'New look', notes: 'Slow on the cyc' }
+    );
+
+    assert.deepStrictEqual(sent, [
+        ['/eos/newcmd', 'Cue 1/5 Label "New look"#'],
+        ['/eos/newcmd', 'Cue 1/5 Notes "Slow on the cyc"#'],
+        ['/eos/ping', 'qnote-push-1'],
+        ['/eos/get/cue/1/5']
+    ]);
+    assert.strictEqual(result.verified, true);
+    assert.deepStrictEqual(result.label, { sent: 'New look', adjusted: false, console: 'New look', ok: true });
+    assert.strictEqual(result.notes.console, 'Slow on the cyc');
+});
+
+test('notes are skipped on consoles without a cue notes field', async () => {
+    const { push, sent } = createFakeConsole({ '1/5/0': { label: 'Old' } });
+
+    const result = await push.pushCue({ cue_list: '1', cue_number: '5' }, { label: 'New', notes: 'Ignored' });
+    assert.strictEqual(result.verified, true);
+    assert.strictEqual(result.notes.skipped, true);
+    assert.strictEqual(sent.filter(m => m[0] === '/eos/newcmd').length, 1);
+});
+
+test('empty fields keep the console text unless clearing was asked for', async () => {
+    const consoleCues = { '4/1/0': { label: 'Blue wash', notes: 'Check the cyc' } };
+    const { push, sent } = createFakeConsole(consoleCues);
+    const cue = { cue_list: '4', cue_number: '1', console_notes: 'Check the cyc' };
+
+    const kept = await push.pushCue(cue, { label: 'Blue wash', notes: '' });
+    assert.strictEqual(kept.verified, true);
+    assert.strictEqual(kept.notes.skipped, true);
+    assert.strictEqual(consoleCues['4/1/0'].notes, 'Check the cyc');
+    assert.deepStrictEqual(sent.filter(m => m[0] === '/eos/newcmd'), [['/eos/newcmd', 'Cue 4/1 Label "Blue wash"#']]);
+
+    const nothing = await push.pushCue(cue, { label: ' ', notes: '' });
+    assert.match(nothing.error, /Nothing to push/);
+
+    const cleared = await push.pushCue(cue, { label: '', clear: ['label'] });
+    assert.strictEqual(cleared.verified, true);
+    assert.strictEqual(consoleCues['4/1/0'].label, '');
+});
+
+test('a console that keeps a different value fails verification', async () => {
+    const consoleCues = { '1/5/0': { label: 'Old' } };
+    const { push } = createFakeConsole(consoleCues);
+    Object.defineProperty(consoleCues['1/5/0'], 'label', { get: () => 'Locked', set: () => {} });
+
+    const result = await push.pushCue({ cue_list: '1', cue_number: '5' }, { label: 'New' });
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.label.console, 'Locked');
+});
+
+test('cue data from a request sent before the push is not taken as the read-back', async () => {
+    const consoleCues = { '1/5/0': { label: 'Old' } };
+    // A cue sync request for cue 5 is still on its way back when the push is typed
+    const { push } = createFakeConsole(consoleCues, () => {
+        setImmediate(() => push.handleCueData('1', '5', 0, { label: 'Old' }));
+    });
+
+    const result = await push.pushCue({ cue_list: '1', cue_number: '5' }, { label: 'New' });
+    assert.strictEqual(result.verified, true);
+    assert.strictEqual(result.label.console, 'New');
+});
+
+test('no reply from the console is reported, not treated as success', async () => {
+    const { push } = createFakeConsole({});
+
+    const result = await push.pushCue({ cue_list: '1', cue_number: '99' }, { label: 'Ghost' });
+    assert.strictEqual(result.verified, false);
+    assert.match(result.error, /No reply/);
+    assert.strictEqual(push.getPendingCount(), 0);
+});
+
+test('bulk pushes run one cue at a time and report progress', async () => {
+    const consoleCues = { '1/1/0': { label: 'A' }, '1/2/0': { label: 'B' } };
+    const { push, sent } = createFakeConsole(consoleCues);
+    const progress = [];
+
+    const results = await push.pushCues([
+        { cue: { cue_list: '1', cue_number: '1' }, values: { label: 'One' } },
+        { cue: { cue_list: '1', cue_number: '2' }, values: { label: 'Two' } }
+    ], (done, total) => progress.push(`${done}/${total}`));
+
+    assert.deepStrictEqual(results.map(r => r.verified), [true, true]);
+    assert.deepStrictEqual(progress, ['1/2', '2/2']);
+    assert.deepStrictEqual(sent.map(m => m[0]), ['/eos/newcmd', '/eos/ping', '/eos/get/cue/1/1', '/eos/newcmd', '/eos/ping', '/eos/get/cue/1/2']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectAttachmentType, getCueAttachments, getCoverImage, migrateCueAttachments, mergeAttachments, reorderAttachments, normalizeCaption } = require('../lib/cue-attachments');
+
+const pdf = { id: 'p1', file: '1-plot.pdf', name: 'plot.pdf', caption: 'Magic sheet', type: 'pdf' };
+const photo = { id: 'i1', file: '2-focus.jpg', name: 'focus.jpg', caption: '', type: 'image' };
+
+test('PDFs and images are attachments, anything else is not', () => {
+    assert.strictEqual(detectAttachmentType(Buffer.from('%PDF-1.7\n%...')), 'pdf');
+    assert.strictEqual(detectAttachmentType(Buffer.concat([Buffer.from('ffd8ffe0', 'hex'), Buffer.alloc(12)])), 'image');
+    assert.strictEqual(detectAttachmentType(Buffer.from('PK\x03\x04 not a pdf')), null);
+    assert.strictEqual(normalizeCaption('  Focus\n  SR  '), 'Focus SR');
+    assert.strictEqual(normalizeCaption('x'.repeat(300)).length, 200);
+});
+
+test('a single image_path becomes the first attachment', () => {
+    const cues = [
+        { cue_number: '1', image_path: 'old.png', attachments: [pdf] },
+        { cue_number: '2', image_path: null },
+        { cue_number: '3', attachments: [photo] }
+    ];
+    assert.deepStrictEqual(getCueAttachments(cues[0]).map(a => a.file), ['old.png', '1-plot.pdf']);
+    assert.strictEqual(getCoverImage(cues[0]).file, 'old.png');
+
+    assert.strictEqual(migrateCueAttachments(cues), true);
+    assert.deepStrictEqual(cues.map(c => 'image_path' in c), [false, false, false]);
+    assert.deepStrictEqual(cues[0].attachments.map(a => [a.id, a.type]), [['img-old.png', 'image'], ['p1', 'pdf']]);
+    assert.deepStrictEqual(cues[1].attachments, []);
+    assert.strictEqual(migrateCueAttachments(cues), false);
+    assert.strictEqual(getCoverImage({ attachments: [pdf, photo] }), photo);
+});
+
+test('merging keeps order and skips files the target has', () => {
+    const target = { attachments: [photo] };
+    mergeAttachments(target, { image_path: '2-focus.jpg', attachments: [pdf] });
+    assert.deepStrictEqual(target.attachments.map(a => a.id), ['i1', 'p1']);
+});
+
+test('a new order has to name every attachment once', () => {
+    assert.deepStrictEqual(reorderAttachments([photo, pdf], ['p1', 'i1']), [pdf, photo]);
+    assert.throws(() => reorderAttachments([photo, pdf], ['p1']), /every attachment once/);
+    assert.throws(() => reorderAttachments([photo, pdf], ['p1', 'p1']), /every attachment once/);
+    assert.throws(() => reorderAttachments([photo, pdf], ['p1', 'x']), /Unknown attachment/);
+});
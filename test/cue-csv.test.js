@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCueCsv, parseCueCsvImport, getChangedFields } = require('../lib/cue-csv');
+
+const cues = [
+    { cue_list: '1', cue_number: '2', part_number: 0, label: 'Sunrise', notes: 'Slow, "very" slow\nwatch the actor', tags: ['Slow', 'Check'], page: '12', color: '#ff0000' },
+    { cue_list: '1', cue_number: '1', part_number: 0, label: 'Preset', notes: '=SUM(A1)', tags: [], page: '', color: '#ffffff' },
+    { cue_list: '1', cue_number: '2', part_number: 1, label: 'Part', notes: '', tags: [] },
+    { cue_list: '2', cue_number: '1', part_number: 0, label: 'Other list', notes: '' }
+];
+
+test('the export has one sorted row per cue and part with scenes and durations', () => {
+    const csv = buildCueCsv(cues, {
+        sceneOf: { 1: { 1: 'Prologue', 2: 'Prologue' } },
+        durations: { 1: 0, 2: 12.25 },
+        mainPlaybackList: '1'
+    });
+    assert.ok(csv.startsWith('\uFEFFList,Cue,Part,Label,Scene,Duration (s),Notes,Tags,Page,Cue Color\r\n'));
+    const lines = csv.slice(1).split('\r\n');
+    assert.strictEqual(lines[1], `1,1,0,Preset,Prologue,0.0,'=SUM(A1),,,`);
+    assert.strictEqual(lines[2], '1,2,0,Sunrise,Prologue,12.3,"Slow, ""very"" slow\nwatch the actor",Slow; Check,12,#ff0000');
+    assert.strictEqual(lines[3], '1,2,1,Part,,,,,,');
+    assert.strictEqual(lines[4], '2,1,0,Other list,,,,,,');
+});
+
+test('an exported sheet imports back to the same user fields', () => {
+    const parsed = parseCueCsvImport(buildCueCsv(cues));
+    assert.deepStrictEqual(parsed.columns, ['notes', 'tags', 'page', 'color']);
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.strictEqual(parsed.rows.length, 4);
+
+    const [preset, sunrise] = parsed.rows;
+    assert.deepStrictEqual(preset.fields, { notes: '=SUM(A1)', tags: [], page: '', color: '#ffffff' });
+    assert.deepStrictEqual(getChangedFields(cues[1], preset.fields), []);
+    assert.deepStrictEqual(sunrise, {
+        line: 3, list: '1', cue: '2', part: 0,
+        fields: { notes: 'Slow, "very" slow\nwatch the actor', tags: ['Slow', 'Check'], page: '12', color: '#ff0000' }
+    });
+    assert.deepStrictEqual(getChangedFields(cues[0], sunrise.fields), []);
+});
+
+test('every cell a spreadsheet could run as a formula is kept as text', () => {
+    const risky = ['=1+2', '+1+2', '-1+2', '@SUM(A1)', '\t=1+2', '\r=1+2'];
+    const sheet = risky.map((notes, index) => ({ cue_list: '1', cue_number: String(index + 1), part_number: 0, label: '', notes: notes }));
+    const csv = buildCueCsv(sheet);
+    const lines = csv.slice(1).split('\r\n');
+    assert.strictEqual(lines[1], `1,1,0,,,,'=1+2,,,`);
+    assert.strictEqual(lines[2], `1,2,0,,,,'+1+2,,,`);
+    assert.strictEqual(lines[3], `1,3,0,,,,'-1+2,,,`);
+    assert.strictEqual(lines[4], `1,4,0,,,,'@SUM(A1),,,`);
+    assert.strictEqual(lines[5], `1,5,0,,,,'\t=1+2,,,`);
+    assert.ok(csv.includes(`1,6,0,,,,"'\r=1+2",,,`));
+    assert.deepStrictEqual(parseCueCsvImport(csv).rows.map(row => row.fields.notes), risky);
+});
+
+test('a hand-made sheet with semicolons updates only its columns', () => {
+    const parsed = parseCueCsvImport('Cue;Notes;Color\n1;Go on the bow;\n1.50;New note;FF8800\nabc;x;\n3;y;red\n');
+    assert.deepStrictEqual(parsed.columns, ['notes', 'color']);
+    assert.deepStrictEqual(parsed.rows.map(row => [row.line, row.list, row.cue, row.part, row.fields]), [
+        [2, '1', '1', 0, { notes: 'Go on the bow', color: '#ffffff' }],
+        [3, '1', '1.5', 0, { notes: 'New note', color: '#ff8800' }]
+    ]);
+    assert.deepStrictEqual(parsed.errors.map(e => e.line), [4, 5]);
+    assert.deepStrictEqual(getChangedFields(cues[1], parsed.rows[0].fields), ['notes']);
+});
+
+test('a sheet without cue or user columns is refused', () => {
+    assert.throws(() => parseCueCsvImport(''), /empty/);
+    assert.throws(() => parseCueCsvImport('Label,Notes\nx,y\n'), /No "Cue" column/);
+    assert.throws(() => parseCueCsvImport('Cue,Label\n1,x\n'), /No Notes, Tags, Page or Cue Color column/);
+});
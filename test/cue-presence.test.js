@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCuePresence, PRESENCE_TIMEOUT } = require('../lib/cue-presence');
+
+function setup() {
+    const harness = { time: 1700000000000, changes: [] };
+    harness.presence = createCuePresence({
+        now: () => harness.time,
+        onChange: (editors) => harness.changes.push(editors)
+    });
+    return harness;
+}
+
+test('opening, switching and closing the editor is reported once each', () => {
+    const harness = setup();
+    const { presence } = harness;
+    presence.update('tab-a', 'Sam', { cue_list: '1', cue_number: 12, part_number: 0 });
+    presence.update('tab-a', 'Sam', { cue_list: '1', cue_number: '12' });
+    assert.strictEqual(harness.changes.length, 1);
+    assert.deepStrictEqual(presence.list(), [{
+        clientId: 'tab-a', name: 'Sam', cue_list: '1', cue_number: '12', part_number: 0,
+        since: new Date(1700000000000).toISOString()
+    }]);
+
+    presence.update('tab-b', 'Alex', { cue_list: '2', cue_number: '5', part_number: 1 });
+    presence.update('tab-a', 'Sam', { cue_list: '1', cue_number: '13' });
+    presence.leave('tab-b');
+    presence.leave('tab-b');
+    assert.strictEqual(harness.changes.length, 4);
+    assert.deepStrictEqual(presence.list().map(e => [e.name, e.cue_number]), [['Sam', '13']]);
+});
+
+test('editors without a heartbeat are dropped', () => {
+    const harness = setup();
+    const { presence } = harness;
+    presence.update('tab-a', 'Sam', { cue_number: '1' });
+    presence.update('tab-b', 'Alex', { cue_number: '2' });
+    harness.time += PRESENCE_TIMEOUT / 2;
+    presence.update('tab-b', 'Alex', { cue_number: '2' });
+    harness.time += PRESENCE_TIMEOUT / 2 + 1;
+    presence.prune();
+    assert.deepStrictEqual(presence.list().map(e => e.clientId), ['tab-b']);
+
+    presence.clear();
+    assert.deepStrictEqual(presence.list(), []);
+    assert.deepStrictEqual(harness.changes[harness.changes.length - 1], []);
+});
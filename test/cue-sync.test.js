@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture, flushImmediate } = require('./helpers');
+
+const refreshList1 = loadFixture('refresh-list1.json');
+const refreshList1Wildcard = loadFixture('refresh-list1-wildcard.json');
+const playback = loadFixture('playback-traffic.json');
+
+// Run a complete refresh of list 1 from the recorded responses
+async function refreshList(harness, messages = refreshList1) {
+    harness.sync.requestAllCues(1);
+    harness.replay(messages);
+    await flushImmediate();
+}
+
+function makeCue(list, cue, extra = {}) {
+    return Object.assign({
+        cue_number: cue, cue_list: list, part_number: 0, label: '', notes: '', color: '#ffffff', tags: []
+    }, extra);
+}
+
+// ========== BULK REFRESH ==========
+
+test('refresh loads every cue and stores parts as separate records', async () => {
+    const h = createHarness();
+    await refreshList(h);
+
+    assert.deepStrictEqual(h.sent[0], ['/eos/get/cue/1/count']);
+    assert.deepStrictEqual(h.cues.map(c => `${c.cue_number}/${c.part_number}`),
+        ['1/0', '2/0', '2/1', '2/2', '3/0', '4.5/0']);
+    assert.strictEqual(h.find(1, '2').part_count, 2);
+    assert.strictEqual(h.find(1, '2', 1).label, 'Lightning');
+    assert.strictEqual(h.find(1, '2', 2).up_delay, 1);
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, false);
+    assert.strictEqual(h.sync.getState().lastKnownCueCount[1], 6);
+});
+
+test('wildcard responses complete a refresh without a count response', async () => {
+    const h = createHarness();
+    await refreshList(h, refreshList1Wildcard);
+
+    assert.strictEqual(h.cues.length, 6);
+    assert.strictEqual(h.find(1, '4.5').scene_end, true);
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, false);
+});
+
+test('refresh keeps user fields and ignores empty console values', async () => {
+    const h = createHarness({
+        cues: [makeCue('1', '1', { label: 'Old label', notes: 'Check the cyc', color: '#ff0000', tags: ['Sound'] })]
+    });
+    await refreshList(h);
+
+    const cue = h.find(1, '1');
+    assert.strictEqual(cue.label, 'Preset');
+    assert.strictEqual(cue.notes, 'Check the cyc');
+    assert.strictEqual(cue.color, '#ff0000');
+    assert.deepStrictEqual(cue.tags, ['Sound']);
+    assert.strictEqual(h.cues.filter(c => c.cue_number === '1').length, 1);
+});
+
+test('refresh removes cues deleted on the console but not cues of other lists', async () => {
+    const h = createHarness({
+        cues: [makeCue('1', '9', { notes: 'Cut in tech' }), makeCue('2', '9', { notes: 'Other list' })]
+    });
+    await refreshList(h);
+
+    assert.strictEqual(h.find(1, '9'), undefined);
+    assert.ok(h.find(2, '9'));
+    const deletes = h.events.filter(e => e.type === 'cue-delete').map(e => e.data);
+    assert.deepStrictEqual(deletes, [{ cue_list: '1', cue_number: '9', part_number: 0 }]);
+});
+
+test('an empty list removes all of its cues', async () => {
+    const h = createHarness({ cues: [makeCue('1', '1'), makeCue('1', '2'), makeCue('2', '1')] });
+    h.sync.requestAllCues(1);
+    h.replay([['/eos/out/get/cue/1/count', 0]]);
+
+    assert.deepStrictEqual(h.cues.map(c => `${c.cue_list}/${c.cue_number}`), ['2/1']);
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, false);
+});
+
+// ========== STALE REFRESH SESSIONS ==========
+
+test('responses for another list do not count towards the running refresh', async () => {
+    const h = createHarness();
+    h.sync.requestAllCues(1);
+    h.replay([
+        ['/eos/out/get/cue/2/count', 2],
+        ['/eos/out/get/cue/1/count', 6]
+    ]);
+    assert.strictEqual(h.sync.getState().bulkRefreshExpectedCount, 6);
+
+    // A late list 2 response (e.g. from an earlier session) is stored but not counted
+    h.replay([['/eos/out/get/cue/2/1/0/list/0/2', 0, 'uid-2-1', 'Haze look']]);
+    h.replay(refreshList1.slice(1, 6));
+    await flushImmediate();
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, true);
+    assert.ok(h.find(2, '1'));
+
+    // Out-of-range indices are ignored too
+    h.replay([['/eos/out/get/cue/1/99/0/list/42/6', 42, 'uid-99', 'Ghost']]);
+    await flushImmediate();
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, true);
+
+    h.replay(refreshList1.slice(6));
+    await flushImmediate();
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, false);
+});
+
+test('aborting a refresh keeps cues that were not received yet', async () => {
+    const h = createHarness({ cues: [makeCue('1', '9', { notes: 'Keep me' })] });
+    h.sync.requestAllCues(1);
+    h.replay(refreshList1.slice(0, 3));
+    h.sync.abortBulkRefresh();
+
+    // Responses still in flight from the aborted session arrive afterwards
+    h.replay(refreshList1.slice(3));
+    await flushImmediate();
+
+    assert.strictEqual(h.find(1, '9').notes, 'Keep me');
+    assert.strictEqual(h.sync.getState().bulkRefreshInProgress, false);
+    assert.strictEqual(h.events.filter(e => e.type === 'cue-delete').length, 0);
+});
+
+test('queued lists are refreshed one after another', async () => {
+    const h = createHarness();
+    h.sync.requestAllCues(1);
+    h.sync.requestAllCues(2);
+    h.sync.requestAllCues(2);
+    h.sync.requestAllCues(1);
+    assert.deepStrictEqual(h.sync.getState().bulkRefreshQueue, [2]);
+
+    h.replay(refreshList1);
+    await flushImmediate();
+
+    assert.deepStrictEqual(h.sent.filter(m => m[0].endsWith('/count')), [['/eos/get/cue/1/count'], ['/eos/get/cue/2/count']]);
+    assert.strictEqual(h.sync.getState().bulkRefreshCueList, 2);
+    h.sync.abortBulkRefresh();
+});
+
+// ========== ACTIVE / PENDING ==========
+
+test('active and pending cues are tracked per list', async () => {
+    const h = createHarness();
+    await refreshList(h);
+    h.sync.updateOrCreateCue('1', { cue_list: '2', label: 'Haze look' });
+    h.sync.updateOrCreateCue('2', { cue_list: '2', label: 'Flicker' });
+
+    h.replay(playback.goMainList);
+    h.replay(playback.goSecondList);
+
+    assert.deepStrictEqual(h.seenIn('active', 1), ['1']);
+    assert.deepStrictEqual(h.seenIn('pending', 1), ['2']);
+    assert.deepStrictEqual(h.seenIn('active', 2), ['1']);
+    assert.deepStrictEqual(h.seenIn('pending', 2), ['2']);
+
+    const lastState = h.events.filter(e => e.type === 'cue-state').pop().data;
+    assert.deepStrictEqual(lastState, { type: 'pending', cue_list: '2', cue_number: '2', part_number: 0 });
+    assert.deepStrictEqual(h.fired.map(f => `${f.list}/${f.cue}`), ['1/1', '1/1', '1/1', '2/1', '2/1']);
+});
+
+test('a reset text clears only the list it came from', async () => {
+    const h = createHarness();
+    await refreshList(h);
+    h.sync.updateOrCreateCue('1', { cue_list: '2' });
+    h.sync.updateOrCreateCue('2', { cue_list: '2' });
+    h.replay(playback.goMainList);
+    h.replay(playback.goSecondList);
+
+    h.replay(playback.releaseSecondList);
+    assert.deepStrictEqual(h.seenIn('active', 2), []);
+    assert.deepStrictEqual(h.seenIn('pending', 2), []);
+    assert.deepStrictEqual(h.seenIn('active', 1), ['1']);
+
+    // "0.0 100%" without a list in the address clears every list
+    h.replay(playback.resetWithoutList);
+    assert.deepStrictEqual(h.seenIn('active', 1), []);
+    assert.deepStrictEqual(h.seenIn('pending', 1), ['2']);
+});
+
+test('a part going active marks its cue active', async () => {
+    const h = createHarness();
+    await refreshList(h);
+    h.replay(playback.goPart);
+
+    assert.strictEqual(h.find(1, '2').last_seen, 'active');
+    assert.strictEqual(h.find(1, '2', 1).last_seen, undefined);
+    assert.strictEqual(h.cues.filter(c => c.last_seen === 'active').length, 1);
+});
+
+test('an active cue that is not known yet is created', () => {
+    const h = createHarness();
+    h.replay(playback.unknownCue);
+
+    assert.strictEqual(h.cues.length, 1);
+    assert.strictEqual(h.find(1, '7').last_seen, 'active');
+    assert.deepStrictEqual(h.fired, [{ list: '1', cue: '7', label: '' }]);
+});
+
+test('fade time is taken from cue text only at 0% or for pending cues', () => {
+    const h = createHarness();
+    h.sync.parseCueText('1/5 Sunrise 15 100%', 'active');
+    assert.strictEqual(h.find(1, '5').fade_time, '');
+    h.sync.parseCueText('1/5 Sunrise 15 0%', 'active');
+    assert.strictEqual(h.find(1, '5').fade_time, '15');
+    h.sync.parseCueText('1/6 Dawn 20', 'pending');
+    assert.strictEqual(h.find(1, '6').fade_time, '20');
+});
+
+// ========== DISCOVERY AND NOTIFICATIONS ==========
+
+test('cue lists are discovered and refreshed, system lists skipped', () => {
+    const h = createHarness();
+    h.replay([
+        ['/eos/out/get/cuelist/count', 2],
+        ['/eos/out/get/cuelist/-1/list/0/2', 0, 'uid-system'],
+        ['/eos/out/get/cuelist/1/list/1/2', 1, 'uid-main', 'Main']
+    ]);
+
+    assert.deepStrictEqual(h.sent.slice(0, 3), [
+        ['/eos/get/cuelist/index/0'], ['/eos/get/cuelist/index/1'], ['/eos/get/cue/1/count']
+    ]);
+    assert.deepStrictEqual(h.sync.getState().knownCueLists, [1]);
+    h.sync.resetDiscovery();
+    assert.deepStrictEqual(h.sync.getState().knownCueLists, []);
+});
+
+test('a notification with a new cue count triggers a refresh of that list', async () => {
+    const h = createHarness();
+    await refreshList(h);
+    h.sent = [];
+
+    h.replay([['/eos/out/notify/cue/1/list/2/6', 1, '3']]);
+    assert.deepStrictEqual(h.sent, [['/eos/get/cue/1/3']]);
+
+    h.replay([['/eos/out/notify/cue/1/list/2/7', 2, '3.5']]);
+    assert.deepStrictEqual(h.sent[1], ['/eos/get/cue/1/count']);
+    assert.strictEqual(h.sync.getState().bulkRefreshCueList, 1);
+    h.sync.abortBulkRefresh();
+});
+
+test('show name and main fader config are passed to the server', () => {
+    const h = createHarness();
+    h.replay([
+        ['/eos/out/show/name', 'Hamlet'],
+        ['/eos/out/get/fader/0/config', 0, 1, 3, 'Main'],
+        ['/eos/out/get/fader/0/config', 0, 2, 4, 'Submaster']
+    ]);
+
+    assert.deepStrictEqual(h.showNames, ['Hamlet']);
+    assert.strictEqual(h.mainPlaybackList, '3');
+});
+
+test('effect and link sub-responses are ignored', () => {
+    const h = createHarness();
+    h.replay([
+        ['/eos/out/get/cue/1/1/0/fx/list/0/1', 0, 'uid-fx'],
+        ['/eos/out/get/cue/1/1/0/links/list/0/1', 0, 'uid-link']
+    ]);
+    assert.strictEqual(h.cues.length, 0);
+});
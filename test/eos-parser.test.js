@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCueText, parseCueGetAddress, parseCueGetArgs, formatFadeTime } = require('../lib/eos-parser');
+const { loadFixture } = require('./helpers');
+
+test('parseCueText reads list, cue, label, fade and completion', () => {
+    assert.deepStrictEqual(parseCueText('1/2 cue 2 label 1.8 3%'), {
+        list: '1', cue: '2', label: 'cue 2 label', fadeTime: '1.8', completion: '3%'
+    });
+    assert.deepStrictEqual(parseCueText('1/2.5 Storm 1.9'), {
+        list: '1', cue: '2.5', label: 'Storm', fadeTime: '1.9', completion: ''
+    });
+});
+
+test('parseCueText handles cues without a label', () => {
+    assert.deepStrictEqual(parseCueText('3/10 5.0 100%'), {
+        list: '3', cue: '10', label: '', fadeTime: '5.0', completion: '100%'
+    });
+    assert.deepStrictEqual(parseCueText('3/10 0:05'), {
+        list: '3', cue: '10', label: '', fadeTime: '0:05', completion: ''
+    });
+    assert.deepStrictEqual(parseCueText('3/10'), {
+        list: '3', cue: '10', label: '', fadeTime: '', completion: ''
+    });
+});
+
+test('parseCueText keeps numbers inside labels', () => {
+    const parsed = parseCueText('1/7 Act 2 Scene 3 4 100%');
+    assert.strictEqual(parsed.label, 'Act 2 Scene 3');
+    assert.strictEqual(parsed.fadeTime, '4');
+});
+
+test('parseCueText falls back to the context list for bare cue numbers', () => {
+    assert.deepStrictEqual(parseCueText('5 Haze look 5.0 100%', '2'), {
+        list: '2', cue: '5', label: 'Haze look', fadeTime: '5.0', completion: '100%'
+    });
+    assert.strictEqual(parseCueText('5 Haze look 5.0 100%'), null);
+    assert.strictEqual(parseCueText('Haze look', '2'), null);
+});
+
+test('parseCueText recognises EOS reset texts', () => {
+    ['', '   ', '0.0 100%', '0.0 0%', '0/0 0.0'].forEach(text => {
+        assert.deepStrictEqual(parseCueText(text, '2'), { reset: true }, `"${text}"`);
+    });
+    assert.deepStrictEqual(parseCueText(undefined), { reset: true });
+});
+
+test('parseCueGetAddress reads legacy, wildcard and count responses', () => {
+    assert.deepStrictEqual(parseCueGetAddress('/eos/out/get/cue/1/2/1/list/2/6'), {
+        isWildcard: false, isCount: false, listNum: '1', cueNumber: '2', partNumber: '1', pathIndex: 2, pathCount: 6
+    });
+    assert.deepStrictEqual(parseCueGetAddress('/eos/out/get/cuelist/3/cue/4.5/0/list/5/6'), {
+        isWildcard: true, isCount: false, listNum: '3', cueNumber: '4.5', partNumber: '0', pathIndex: 5, pathCount: 6
+    });
+    const count = parseCueGetAddress('/eos/out/get/cue/2/count');
+    assert.strictEqual(count.isCount, true);
+    assert.strictEqual(count.listNum, '2');
+    assert.strictEqual(count.pathCount, null);
+});
+
+test('parseCueGetArgs converts a recorded cue response', () => {
+    const [, preset, storm, , cyc, clears, blackout] = loadFixture('refresh-list1.json').map(m => m.slice(1));
+
+    const presetFields = parseCueGetArgs(preset);
+    assert.strictEqual(presetFields.label, 'Preset');
+    assert.strictEqual(presetFields.fade_time, '↑3 ↓5');
+    assert.strictEqual(presetFields.mark, 'M');
+    assert.strictEqual(presetFields.scene, 'Act 1');
+    assert.strictEqual(presetFields.focus_time, null);
+    assert.strictEqual(presetFields.duration, 5);
+
+    const stormFields = parseCueGetArgs(storm);
+    assert.strictEqual(stormFields.fade_time, '1');
+    assert.strictEqual(stormFields.follow_hang, 'F0.5');
+    assert.strictEqual(stormFields.part_count, 2);
+
+    assert.strictEqual(parseCueGetArgs(cyc).up_delay, 1);
+    assert.strictEqual(parseCueGetArgs(clears).follow_hang, 'H2');
+    assert.strictEqual(parseCueGetArgs(clears).block, 'B');
+    assert.strictEqual(parseCueGetArgs(blackout).scene_end, true);
+    assert.strictEqual(parseCueGetArgs(blackout).duration, null);
+});
+
+test('formatFadeTime shows split times only when they differ', () => {
+    assert.strictEqual(formatFadeTime(3, 3), '3');
+    assert.strictEqual(formatFadeTime(3, 5), '↑3 ↓5');
+    assert.strictEqual(formatFadeTime(null, 5), '5');
+    assert.strictEqual(formatFadeTime(null, null), '');
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const osc = require('osc');
+const { createRemoteControl, buildRemoteCommand, isRemoteFiringEnabled } = require('../lib/eos-remote');
+const { createEosSimulator } = require('../tools/eos-simulator');
+const { silentLogger } = require('./helpers');
+
+const noPending = () => null;
+
+function createRemote(options = {}) {
+    const state = Object.assign({ enabled: true, connected: true, pending: {} }, options);
+    const sent = [];
+    const changes = [];
+    const remote = createRemoteControl({
+        sendOSC: (address, ...args) => sent.push([address, ...args]),
+        isConnected: () => state.connected,
+        isEnabled: () => state.enabled,
+        getMainPlaybackList: () => '1',
+        getPendingCue: (list) => state.pending[list] || null,
+        onStateChange: (s) => changes.push(s),
+        armWindowMs: options.armWindowMs,
+        logger: silentLogger
+    });
+    return { remote, sent, changes, state };
+}
+
+// ========== MESSAGE BUILDING ==========
+
+test('GO uses the GO key on the main list and fires the pending cue on other lists', () => {
+    assert.deepStrictEqual(buildRemoteCommand('go', {}, '1', noPending).address, '/eos/key/go_0');
+    assert.deepStrictEqual(buildRemoteCommand('go', { list: 1 }, '1', noPending).address, '/eos/key/go_0');
+    assert.strictEqual(buildRemoteCommand('go', { list: '2' }, '1', () => '7.5').address, '/eos/cue/2/7.5/fire');
+
+    const nothingPending = buildRemoteCommand('go', { list: '2' }, '1', noPending);
+    assert.strictEqual(nothingPending.success, false);
+    assert.strictEqual(nothingPending.status, 409);
+});
+
+test('Stop/Back is only sent for the main playback list', () => {
+    assert.strictEqual(buildRemoteCommand('stop', { list: '3' }, '3', noPending).address, '/eos/key/stop');
+    assert.strictEqual(buildRemoteCommand('stop', { list: '1' }, '3', noPending).status, 400);
+});
+
+test('Go To Cue builds a command line and rejects anything that is not a cue number', () => {
+    assert.deepStrictEqual(buildRemoteCommand('goto', { list: '2', cue: '12.5' }, '1', noPending).args, ['Go_To_Cue 2/12.5#']);
+    assert.deepStrictEqual(buildRemoteCommand('goto', { cue: 4, part: 2 }, '1', noPending).args, ['Go_To_Cue 1/4 Part 2#']);
+
+    ['', '5#Chan 1 Full', '1/5', '-3'].forEach(cue => {
+        assert.strictEqual(buildRemoteCommand('goto', { cue: cue }, '1', noPending).status, 400, `cue "${cue}"`);
+    });
+    assert.strictEqual(buildRemoteCommand('goto', { list: '1 Chan', cue: '5' }, '1', noPending).status, 400);
+    assert.strictEqual(buildRemoteCommand('record', {}, '1', noPending).status, 400);
+});
+
+// ========== SAFEGUARDS ==========
+
+test('nothing is sent until remote firing is armed', () => {
+    const { remote, sent } = createRemote();
+    assert.strictEqual(remote.execute('go').status, 409);
+    assert.deepStrictEqual(sent, []);
+
+    remote.arm();
+    assert.strictEqual(remote.execute('go').success, true);
+    assert.deepStrictEqual(sent, [['/eos/key/go_0']]);
+
+    remote.disarm();
+    assert.strictEqual(remote.execute('stop').status, 409);
+    assert.strictEqual(sent.length, 1);
+});
+
+test('a show with remote firing disabled cannot be armed or fired', () => {
+    const { remote, sent, state } = createRemote();
+    remote.arm();
+    state.enabled = false;
+
+    assert.strictEqual(remote.execute('go').status, 403);
+    assert.strictEqual(remote.arm().status, 403);
+    assert.strictEqual(remote.getState().enabled, false);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('remote firing is off until an admin turns it on for the show', () => {
+    assert.strictEqual(isRemoteFiringEnabled({}), false);
+    assert.strictEqual(isRemoteFiringEnabled({ remote_firing: false }), false);
+    // Saved while remote firing defaulted to on
+    assert.strictEqual(isRemoteFiringEnabled({ remote_firing: true }), false);
+    assert.strictEqual(isRemoteFiringEnabled({ remote_firing: true, remote_firing_set: true }), true);
+    assert.strictEqual(isRemoteFiringEnabled({ remote_firing: false, remote_firing_set: true }), false);
+});
+
+test('commands are refused while disconnected', () => {
+    const { remote, sent } = createRemote({ connected: false });
+    remote.arm();
+    assert.strictEqual(remote.execute('goto', { cue: '5' }).status, 409);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('arming expires on its own and is reported', async () => {
+    const { remote, changes } = createRemote({ armWindowMs: 30 });
+    remote.arm();
+    assert.strictEqual(remote.isArmed(), true);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(remote.isArmed(), false);
+    assert.strictEqual(remote.execute('go').status, 409);
+    assert.strictEqual(changes[changes.length - 1].armed, false);
+});
+
+// ========== SIMULATOR ==========
+
+test('the simulator follows GO, Stop/Back, fire and Go To Cue', async (t) => {
+    const simulator = createEosSimulator({
+        fixturePath: path.join(__dirname, 'fixtures', 'eos-show.json'), tcpPort: 0, udpPort: null, quiet: true
+    });
+    await simulator.start();
+    const port = new osc.TCPSocketPort({ address: '127.0.0.1', port: simulator.tcpPort, useSLIP: true });
+    await new Promise((resolve, reject) => {
+        port.once('ready', resolve);
+        port.once('error', reject);
+        port.open();
+    });
+    t.after(async () => {
+        port.close();
+        await simulator.stop();
+    });
+
+    const actives = [];
+    port.on('message', msg => {
+        if (msg.address === '/eos/out/active/cue/text') actives.push(msg.args[0].value);
+    });
+    const send = (command) => port.send({
+        address: command.address,
+        args: command.args.map(value => ({ type: 's', value: value }))
+    });
+    const waitForActive = async (count) => {
+        const started = Date.now();
+        while (actives.length < count) {
+            if (Date.now() - started > 3000) throw new Error('Timed out waiting for the simulator');
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+
+    send(buildRemoteCommand('go', {}, '1', noPending));
+    send(buildRemoteCommand('go', {}, '1', noPending));
+    await waitForActive(2);
+    assert.strictEqual(simulator.getPlaybackState(1).active, '2');
+
+    send(buildRemoteCommand('stop', {}, '1', noPending));
+    await waitForActive(3);
+    assert.strictEqual(simulator.getPlaybackState(1).active, '1');
+
+    send(buildRemoteCommand('goto', { cue: '4.5' }, '1', noPending));
+    await waitForActive(4);
+    assert.strictEqual(simulator.getPlaybackState(1).active, '4.5');
+
+    send(buildRemoteCommand('go', { list: '2' }, '1', () => simulator.getPlaybackState(2).pending));
+    await waitForActive(5);
+    assert.strictEqual(simulator.getPlaybackState(2).active, '1');
+});
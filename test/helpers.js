@@ -0,0 +1,62 @@
+// Shared helpers for the cue sync tests
+const path = require('path');
+const { createCueSync } = require('../lib/cue-sync');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+    return require(path.join(FIXTURES_DIR, name));
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// Build a cue sync wired to in-memory storage that records everything it does
+function createHarness(options = {}) {
+    const harness = {
+        cues: options.cues || [],
+        sent: [],
+        events: [],
+        fired: [],
+        showNames: [],
+        mainPlaybackList: options.mainPlaybackList || '1',
+        saveCount: 0
+    };
+
+    harness.sync = createCueSync({
+        getCues: () => harness.cues,
+        setCues: (cues) => { harness.cues = cues; },
+        saveCues: () => { harness.saveCount++; },
+        broadcastEvent: (type, data) => harness.events.push({ type, data }),
+        sendOSC: options.sendOSC || ((address, ...args) => harness.sent.push([address, ...args])),
+        canSendOSC: () => true,
+        isConnected: () => options.connected !== undefined ? options.connected : false,
+        getMainPlaybackList: () => harness.mainPlaybackList,
+        setMainPlaybackList: (list) => { harness.mainPlaybackList = list; },
+        onShowName: (name) => harness.showNames.push(name),
+        onCueFired: (list, cue, label) => harness.fired.push({ list, cue, label }),
+        onCueData: options.onCueData,
+        onRefreshComplete: options.onRefreshComplete,
+        logger: silentLogger
+    });
+
+    // Feed a list of recorded messages into the parser
+    harness.replay = (messages) => messages.forEach(msg => harness.sync.parseEOSCueMessage(msg));
+
+    harness.find = (list, cue, part = 0) => harness.cues.find(c =>
+        String(c.cue_list) === String(list) &&
+        String(c.cue_number) === String(cue) &&
+        (c.part_number || 0) === part);
+
+    harness.seenIn = (type, list) => harness.cues
+        .filter(c => c.last_seen === type && String(c.cue_list) === String(list))
+        .map(c => c.cue_number);
+
+    return harness;
+}
+
+// Resolves after pending setImmediate callbacks (refresh completion uses setImmediate)
+function flushImmediate() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { createHarness, loadFixture, flushImmediate, silentLogger };
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOscRecorder, createReplay, listSessions, readSession, isValidSessionName } = require('../lib/osc-recorder');
+const { createHarness } = require('./helpers');
+
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qnote-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function stopAndFlush(recorder) {
+    return new Promise(resolve => {
+        recorder.stop();
+        setTimeout(resolve, 20);
+    });
+}
+
+function runReplay(entries, options = {}) {
+    return new Promise(resolve => {
+        const seen = [];
+        const replay = createReplay(entries, {
+            ...options,
+            onEntry: (entry) => {
+                seen.push(entry);
+                if (options.onEntry) options.onEntry(entry, replay);
+            },
+            onDone: (result) => resolve({ seen, result })
+        });
+        replay.start();
+    });
+}
+
+test('recorder writes a meta line and every message with a timestamp', async (t) => {
+    const dir = makeTempDir(t);
+    const recorder = createOscRecorder();
+    recorder.record('in', '/eos/out/ping');  // Ignored while not recording
+
+    const name = recorder.start(dir, { show: 'Hamlet', protocol: 'tcp' });
+    recorder.record('out', '/eos/get/cue/1/count', []);
+    recorder.record('in', '/eos/out/get/cue/1/count', [12]);
+    assert.strictEqual(recorder.getSessionName(), name);
+    await stopAndFlush(recorder);
+
+    assert.strictEqual(recorder.isRecording(), false);
+    const entries = readSession(path.join(dir, name));
+    assert.strictEqual(entries.length, 3);
+    assert.strictEqual(entries[0].dir, 'meta');
+    assert.strictEqual(entries[0].show, 'Hamlet');
+    assert.deepStrictEqual(entries.slice(1).map(e => [e.dir, e.address, e.args]), [
+        ['out', '/eos/get/cue/1/count', []],
+        ['in', '/eos/out/get/cue/1/count', [12]]
+    ]);
+    assert.ok(entries.every(e => typeof e.time === 'number'));
+    assert.deepStrictEqual(listSessions(dir).map(s => s.name), [name]);
+});
+
+test('a session cut off mid-line is still readable', (t) => {
+    const dir = makeTempDir(t);
+    const file = path.join(dir, 'session-crash.jsonl');
+    fs.writeFileSync(file, '{"time":1,"dir":"meta"}\n{"time":2,"dir":"in","address":"/eos/out/ping","args":[]}\n{"time":3,"dir":"in","addr');
+    assert.strictEqual(readSession(file).length, 2);
+});
+
+test('session names cannot leave the sessions folder', () => {
+    assert.ok(isValidSessionName('session-2026-10-19T20-15-03.jsonl'));
+    assert.ok(!isValidSessionName('../cues.jsonl'));
+    assert.ok(!isValidSessionName('..\\cues.jsonl'));
+    assert.ok(!isValidSessionName('.hidden.jsonl'));
+    assert.ok(!isValidSessionName('cues.json'));
+});
+
+test('replay keeps the recorded spacing divided by speed', async () => {
+    const entries = [
+        { time: 1000, dir: 'meta' },
+        { time: 1000, dir: 'in', address: '/a' },
+        { time: 1200, dir: 'out', address: '/b' },
+        { time: 1400, dir: 'in', address: '/c' }
+    ];
+    const started = Date.now();
+    const { seen, result } = await runReplay(entries, { speed: 4 });
+    const elapsed = Date.now() - started;
+
+    assert.deepStrictEqual(seen.map(e => e.address), ['/a', '/b', '/c']);
+    assert.deepStrictEqual(result, { completed: true, played: 3, total: 3 });
+    assert.ok(elapsed >= 90, `replay took ${elapsed}ms`);
+    assert.ok(elapsed < 1000, `replay took ${elapsed}ms`);
+});
+
+test('a stopped replay reports how far it got', async () => {
+    const entries = [1, 2, 3, 4].map(i => ({ time: i * 1000, dir: 'in', address: `/m/${i}` }));
+    const { seen, result } = await runReplay(entries, {
+        speed: 0,
+        onEntry: (entry, replay) => { if (entry.address === '/m/2') replay.stop(); }
+    });
+    assert.strictEqual(seen.length, 2);
+    assert.deepStrictEqual(result, { completed: false, played: 2, total: 4 });
+});
+
+test('replayed poll requests restore the list of bare cue texts', async () => {
+    const h = createHarness();
+    const entries = [
+        { time: 0, dir: 'out', address: '/eos/get/cue/2/active', args: [] },
+        { time: 10, dir: 'in', address: '/eos/out/active/cue/text', args: ['5 Haze look 5.0 100%'] }
+    ];
+    await runReplay(entries, {
+        speed: 0,
+        onEntry: (entry) => {
+            if (entry.dir === 'out') h.sync.trackPollRequest(entry.address);
+            else h.sync.parseEOSCueMessage([entry.address, ...entry.args]);
+        }
+    });
+    assert.deepStrictEqual(h.seenIn('active', 2), ['5']);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { buildCueListPdf, parseNoteRuns } = require('../lib/pdf-report');
+const { createPdfDocument, wrapText, wrapRuns, encodeText } = require('../lib/pdf-writer');
+
+// Page content streams of a generated PDF, inflated
+function readPages(pdf) {
+    const text = pdf.toString('latin1');
+    const streams = [];
+    const pattern = /<< \/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const start = match.index + match[0].length;
+        streams.push(zlib.inflateSync(pdf.slice(start, start + parseInt(match[1]))).toString('latin1'));
+    }
+    return streams;
+}
+
+function makeCues(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        cue_list: '1',
+        cue_number: String(i + 1),
+        part_number: 0,
+        label: `Look ${i + 1}`,
+        notes: i === 0 ? 'Wait for *the bow* then _slowly_ ~fast~' : '',
+        tags: ['Check'],
+        color: i === 1 ? '#ff0000' : '#ffffff'
+    }));
+}
+
+function makePng(width, height, rgba) {
+    const crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+    const crc = (buffer) => {
+        let c = 0xFFFFFFFF;
+        for (const byte of buffer) c = crcTable[(c ^ byte) & 0xFF] ^ (c >>> 8);
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    };
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        const checksum = Buffer.alloc(4);
+        checksum.writeUInt32BE(crc(body));
+        return Buffer.concat([length, body, checksum]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+    const rows = [];
+    for (let y = 0; y < height; y++) rows.push(Buffer.from([0]), Buffer.from(rgba.slice(y * width * 4, (y + 1) * width * 4)));
+    return Buffer.concat([
+        Buffer.from('89504e470d0a1a0a', 'hex'),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+test('text is encoded as WinAnsi and wrapped to the column width', () => {
+    assert.deepStrictEqual([...encodeText('Blende über – 🎭 ok')], [...Buffer.from('Blende \xFCber \x96  ok', 'latin1')]);
+    assert.deepStrictEqual(wrapText('one two three', 40, 10), ['one two', 'three']);
+    const lines = wrapRuns(parseNoteRuns('plain *bold* text'), 1000, 10);
+    assert.deepStrictEqual(lines[0].map(s => [s.text, s.font]), [['plain ', 'regular'], ['bold', 'bold'], [' text', 'regular']]);
+});
+
+test('a long cue list gets page headers, footers and the table header on every page', () => {
+    const pdf = buildCueListPdf({
+        showName: 'Hamlet',
+        cues: makeCues(120),
+        showNotes: 'Half hour call at 19:00',
+        generatedAt: new Date('2026-03-01T19:00:00Z')
+    });
+    assert.strictEqual(pdf.toString('latin1', 0, 8), '%PDF-1.4');
+    assert.match(pdf.toString('latin1'), /\/MediaBox \[0 0 595\.28 841\.89\]/);
+
+    const pages = readPages(pdf);
+    assert.ok(pages.length > 1);
+    pages.forEach((content, index) => {
+        assert.ok(content.includes('(Hamlet) Tj'));
+        assert.ok(content.includes('(CUE #) Tj'));
+        assert.ok(content.includes(`(Page ${index + 1} of ${pages.length}) Tj`));
+    });
+    assert.ok(pages[pages.length - 1].includes('(Show Notes) Tj'));
+    assert.ok(pages[0].includes('(the bow) Tj'));
+
+    // Object offsets in the cross reference table point at the objects
+    const text = pdf.toString('latin1');
+    const xrefStart = parseInt(text.match(/startxref\n(\d+)/)[1]);
+    const offsets = text.slice(xrefStart).match(/^\d{10} 00000 n/gm).map(line => parseInt(line));
+    offsets.forEach((offset, index) => {
+        assert.ok(text.startsWith(`${index + 1} 0 obj`, offset));
+    });
+});
+
+test('landscape pages, durations and images are optional', () => {
+    const cues = makeCues(3);
+    cues[0].image_path = 'a.png';
+    cues[1].image_path = 'b.gif';
+    const pdf = buildCueListPdf({
+        showName: 'Hamlet',
+        cues: cues,
+        orientation: 'landscape',
+        includeDurations: true,
+        durations: { 1: 0, 2: 12.5 },
+        includeImages: true,
+        loadImage: (cue) => cue.image_path === 'a.png'
+            ? makePng(2, 1, [255, 0, 0, 255, 0, 0, 255, 128])
+            : Buffer.from('GIF89a')
+    });
+    const text = pdf.toString('latin1');
+    assert.match(text, /\/MediaBox \[0 0 841\.89 595\.28\]/);
+    assert.match(text, /\/Subtype \/Image \/Width 2 \/Height 1 \/ColorSpace \/DeviceRGB .*\/SMask \d+ 0 R/);
+
+    const content = readPages(pdf)[0];
+    assert.ok(content.includes('(DURATION) Tj'));
+    assert.ok(content.includes('(0:12.5) Tj'));
+    assert.ok(content.includes('/Im1 Do'));
+    assert.ok(content.includes('\\(image not embeddable\\)'));
+});
+
+test('JPEG images are embedded as they are', () => {
+    // SOI + SOF0 header of a 4x3 RGB image, enough for the writer
+    const jpeg = Buffer.from('ffd8ffc0001108000300040301220002110103110100', 'hex');
+    const doc = createPdfDocument();
+    assert.deepStrictEqual(doc.addImage(jpeg), { id: 0, width: 4, height: 3 });
+    assert.strictEqual(doc.addImage(Buffer.from('not an image')), null);
+    assert.match(doc.toBuffer().toString('latin1'), /\/Width 4 \/Height 3 \/ColorSpace \/DeviceRGB \/BitsPerComponent 8 \/Filter \/DCTDecode/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRefreshReport, hasChanges } = require('../lib/refresh-report');
+const { createHarness, loadFixture, flushImmediate } = require('./helpers');
+
+const refreshList1 = loadFixture('refresh-list1.json');
+
+function consoleCue(cue, extra = {}) {
+    return Object.assign({
+        cue_number: cue, cue_list: '1', part_number: 0, label: '', uid: `uid-${cue}`,
+        up_time: 5, down_time: 5, follow_time: null, hang_time: null, mark: '', block: '', assert: ''
+    }, extra);
+}
+
+// ========== REPORT ==========
+
+test('added, deleted and changed cues are reported', () => {
+    const before = [consoleCue('1', { label: 'Preset' }), consoleCue('2', { label: 'Storm' }), consoleCue('3')];
+    const after = [
+        consoleCue('1', { label: 'Preset' }),
+        consoleCue('2', { label: 'Big storm', up_time: 3, follow_time: 1.5, mark: 'M' }),
+        consoleCue('4', { label: 'New' })
+    ];
+
+    const report = buildRefreshReport('1', before, after);
+    assert.deepStrictEqual(report.summary, { added: 1, deleted: 1, renumbered: 0, changed: 1 });
+    assert.deepStrictEqual(report.added, [{ cue_number: '4', part_number: 0, label: 'New' }]);
+    assert.deepStrictEqual(report.deleted, [{ cue_number: '3', part_number: 0, label: '' }]);
+    assert.deepStrictEqual(report.changed[0].changes, [
+        { field: 'label', from: 'Storm', to: 'Big storm' },
+        { field: 'up_time', from: 5, to: 3 },
+        { field: 'follow_time', from: null, to: 1.5 },
+        { field: 'mark', from: null, to: 'M' }
+    ]);
+    assert.strictEqual(report.complete, true);
+});
+
+test('a cue that keeps its uid under a new number is reported as renumbered', () => {
+    const before = [consoleCue('5', { label: 'Sunset', uid: 'abc' })];
+    const after = [consoleCue('5.5', { label: 'Sunset', uid: 'abc', down_time: 8 })];
+
+    const report = buildRefreshReport('1', before, after);
+    assert.deepStrictEqual(report.summary, { added: 0, deleted: 0, renumbered: 1, changed: 0 });
+    assert.deepStrictEqual(report.renumbered[0].from, { cue_number: '5', part_number: 0, label: 'Sunset' });
+    assert.strictEqual(report.renumbered[0].to.cue_number, '5.5');
+    assert.deepStrictEqual(report.renumbered[0].changes, [{ field: 'down_time', from: 5, to: 8 }]);
+});
+
+test('two cues that swap numbers are both reported as renumbered', () => {
+    const before = [consoleCue('1', { label: 'Preset' }), consoleCue('2', { label: 'Storm' }), consoleCue('3')];
+    const after = [consoleCue('1', { label: 'Storm', uid: 'uid-2' }), consoleCue('2', { label: 'Preset', uid: 'uid-1' }), consoleCue('3')];
+
+    const report = buildRefreshReport('1', before, after);
+    assert.deepStrictEqual(report.summary, { added: 0, deleted: 0, renumbered: 2, changed: 0 });
+    assert.deepStrictEqual(report.renumbered.map(entry => [entry.from.cue_number, entry.to.cue_number, entry.label]),
+        [['1', '2', 'Preset'], ['2', '1', 'Storm']]);
+});
+
+test('a moved cue is renumbered even when a new cue takes its old number', () => {
+    const before = [consoleCue('5', { label: 'Sunset' })];
+    const after = [consoleCue('5', { label: 'Dusk', uid: 'uid-new' }), consoleCue('5.5', { label: 'Sunset', uid: 'uid-5' })];
+
+    const report = buildRefreshReport('1', before, after);
+    assert.deepStrictEqual(report.summary, { added: 1, deleted: 0, renumbered: 1, changed: 0 });
+    assert.deepStrictEqual(report.added, [{ cue_number: '5', part_number: 0, label: 'Dusk' }]);
+    assert.deepStrictEqual([report.renumbered[0].from.cue_number, report.renumbered[0].to.cue_number], ['5', '5.5']);
+
+    // Re-recorded in place: the old cue is gone and a new one has its number
+    const replaced = buildRefreshReport('1', before, [consoleCue('5', { label: 'Dusk', uid: 'uid-new' })]);
+    assert.deepStrictEqual(replaced.summary, { added: 1, deleted: 1, renumbered: 0, changed: 0 });
+    // Cues stored before uids were kept still match by number
+    const legacy = buildRefreshReport('1', [consoleCue('5', { label: 'Sunset', uid: undefined })], [consoleCue('5', { label: 'Sunset' })]);
+    assert.strictEqual(hasChanges(legacy), false);
+});
+
+test('missing, empty and null values are not reported as changes', () => {
+    const before = [{ cue_number: '1', part_number: 0, label: '', mark: '' }];
+    const after = [consoleCue('1', { up_time: null, down_time: null })];
+
+    const report = buildRefreshReport('1', before, after);
+    assert.strictEqual(hasChanges(report), false);
+});
+
+// ========== CUE SYNC ==========
+
+test('a console refresh reports against the cues it started from', async () => {
+    const reports = [];
+    const h = createHarness({
+        onRefreshComplete: (report, previousCues) => reports.push({ report, previousCues }),
+        cues: [
+            consoleCue('1', { label: 'Old preset', uid: '02c7b1f8-5113-4e05-a0c4-02c7b1f80001', up_time: 3, down_time: 5, mark: 'M' }),
+            consoleCue('9', { notes: 'Cut in tech', uid: 'gone' })
+        ]
+    });
+    h.sync.requestAllCues(1);
+    h.replay(refreshList1);
+    await flushImmediate();
+
+    assert.strictEqual(reports.length, 1);
+    const { report, previousCues } = reports[0];
+    assert.strictEqual(report.cue_list, '1');
+    assert.strictEqual(report.cue_count, 6);
+    assert.deepStrictEqual(report.added.map(c => `${c.cue_number}/${c.part_number}`), ['2/0', '2/1', '2/2', '3/0', '4.5/0']);
+    assert.deepStrictEqual(report.deleted, [{ cue_number: '9', part_number: 0, label: '' }]);
+    assert.deepStrictEqual(report.changed[0].changes, [{ field: 'label', from: 'Old preset', to: 'Preset' }]);
+    // The server needs the notes of the deleted cue for the orphan bin
+    assert.strictEqual(previousCues.find(c => c.cue_number === '9').notes, 'Cut in tech');
+});
+
+test('an aborted refresh does not produce a report', () => {
+    const reports = [];
+    const h = createHarness({ onRefreshComplete: (report) => reports.push(report) });
+    h.sync.requestAllCues(1);
+    h.replay(refreshList1.slice(0, 3));
+    h.sync.abortBulkRefresh();
+
+    assert.deepStrictEqual(reports, []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { buildReport, getCellText, normalizeReportOptions, DEFAULT_PRESETS } = require('../lib/report-builder');
+const { buildCueListPdf } = require('../lib/pdf-report');
+const { getSceneMap } = require('../lib/show-runs');
+
+const cues = [
+    { cue_list: '1', cue_number: '3', part_number: 0, label: 'Storm', tags: ['Special'], page: '14', up_time: 3, up_delay: 1, mark: 'M', follow_hang: 'F2' },
+    { cue_list: '1', cue_number: '1', part_number: 0, label: 'Preset', tags: [], page: '', scene: 'Prologue' },
+    { cue_list: '1', cue_number: '2', part_number: 0, label: 'Dawn', tags: ['special'], page: '12a', up_time: 5, scene_end: true },
+    { cue_list: '1', cue_number: '2', part_number: 1, label: 'Dawn part', tags: [], page: '12' },
+    { cue_list: '2', cue_number: '1', part_number: 0, label: 'Haze', tags: ['Special'], page: '20', scene: 'Other' }
+];
+const sceneOf = { 1: getSceneMap(cues, '1'), 2: getSceneMap(cues, '2') };
+
+test('options are normalized and columns keep print order', () => {
+    const options = normalizeReportOptions({ columns: ['notes', 'cue', 'bogus'], pageFrom: '12', orientation: 'sideways' });
+    assert.deepStrictEqual(options.columns, ['cue', 'notes']);
+    assert.strictEqual(options.pageFrom, 12);
+    assert.strictEqual(options.pageTo, null);
+    assert.strictEqual(options.orientation, 'portrait');
+    assert.deepStrictEqual(normalizeReportOptions({}).columns, ['cue', 'label', 'tags', 'notes', 'page']);
+    assert.deepStrictEqual(DEFAULT_PRESETS.map(p => p.name), ['LX operator sheet', 'SM calling script']);
+});
+
+test('cues are filtered by list, tag, scene and page range', () => {
+    const keys = (report) => report.groups.flatMap(g => g.cues).map(c => `${c.cue_list}/${c.cue_number}/${c.part_number}`);
+    assert.deepStrictEqual(keys(buildReport(cues, {}, { sceneOf })), ['1/1/0', '1/2/0', '1/2/1', '1/3/0', '2/1/0']);
+    assert.deepStrictEqual(keys(buildReport(cues, { lists: ['1'], tags: ['SPECIAL'] }, { sceneOf })), ['1/2/0', '1/3/0']);
+    assert.deepStrictEqual(keys(buildReport(cues, { scenes: ['Prologue'] }, { sceneOf })), ['1/1/0', '1/2/0', '1/2/1']);
+    assert.deepStrictEqual(keys(buildReport(cues, { pageFrom: 12, pageTo: 14 }, { sceneOf })), ['1/2/0', '1/2/1', '1/3/0']);
+});
+
+test('grouping by scene carries the scene notes and color', () => {
+    const report = buildReport(cues, { groupByScene: true }, {
+        sceneOf,
+        sceneData: { Prologue: { notes: 'Slow build', color: '#336699' }, Other: { notes: '', color: '#ffffff' } }
+    });
+    assert.deepStrictEqual(report.groups.map(g => [g.scene, g.notes, g.color, g.cues.length]), [
+        ['Prologue', 'Slow build', '#336699', 3],
+        [null, '', null, 1],
+        ['Other', '', null, 1]
+    ]);
+    assert.strictEqual(report.cueCount, 5);
+});
+
+test('cells show times with delays, flags, follow/hang and durations', () => {
+    const context = { sceneOf, durations: { 3: 75.5 }, mainPlaybackList: '1' };
+    assert.strictEqual(getCellText(cues[0], 'up', context), 'D1 3');
+    assert.strictEqual(getCellText(cues[0], 'flags', context), 'M');
+    assert.strictEqual(getCellText(cues[0], 'follow_hang', context), 'F2');
+    assert.strictEqual(getCellText(cues[0], 'duration', context), '1:15.5');
+    assert.strictEqual(getCellText(cues[3], 'cue', context), '2 P1');
+    assert.strictEqual(getCellText(cues[3], 'scene', context), '');
+    assert.strictEqual(getCellText(cues[4], 'cue', context), '2/1');
+    assert.strictEqual(getCellText(cues[4], 'duration', context), '');
+});
+
+test('the PDF prints the chosen columns and a header per scene', () => {
+    const report = buildReport(cues, { columns: ['cue', 'label', 'up', 'page'], groupByScene: true }, {
+        sceneOf,
+        sceneData: { Prologue: { notes: 'Slow build', color: '#336699' } }
+    });
+    const pdf = buildCueListPdf({ showName: 'Tempest', columns: report.columns.map(c => c.key), groups: report.groups, sceneOf });
+    const text = pdf.toString('latin1');
+    const match = /\/Length (\d+) >>\nstream\n/.exec(text);
+    const content = zlib.inflateSync(pdf.slice(match.index + match[0].length, match.index + match[0].length + parseInt(match[1]))).toString('latin1');
+    ['(UP) Tj', '(PAGE) Tj', '(Prologue) Tj', '(Slow build) Tj', '(D1 3) Tj', '(12a) Tj', '5 cues'].forEach(expected => {
+        assert.ok(content.includes(expected), expected);
+    });
+    assert.ok(!content.includes('(NOTES) Tj'));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LINES_PER_PAGE, parseScriptText, parseScriptUpload, findScriptMarker, setScriptMarker, removeScriptMarker, getMarkerPage, reconcileScriptMarkers } = require('../lib/script-view');
+const { followRenumberedCues } = require('../lib/refresh-report');
+
+const CUE_12 = { cue_list: '1', cue_number: '12', part_number: 0 };
+
+test('pages split at form feeds, at "Page N" lines or every LINES_PER_PAGE lines', () => {
+    assert.deepStrictEqual(parseScriptText('\uFEFFACT ONE\r\nHAMLET: Who\'s there?\n\n\fBERNARDO: Long live the king!\n\f\n'), [
+        { number: '1', lines: ['ACT ONE', 'HAMLET: Who\'s there?'] },
+        { number: '2', lines: ['BERNARDO: Long live the king!'] }
+    ]);
+    assert.deepStrictEqual(parseScriptText('HAMLET\nPage 4\nLine A\n-- Page 5a --\nLine B\n'), [
+        { number: '4', lines: ['HAMLET', 'Line A'] },
+        { number: '5a', lines: ['Line B'] }
+    ]);
+    const chunked = parseScriptText(Array.from({ length: LINES_PER_PAGE + 3 }, (_, index) => `Line ${index}`).join('\n'));
+    assert.deepStrictEqual(chunked.map(page => [page.number, page.lines.length]), [['1', LINES_PER_PAGE], ['2', 3]]);
+});
+
+test('one file per page is numbered by its file name', () => {
+    const pages = parseScriptUpload([
+        { name: 'hamlet-p10.txt', text: 'Ten' },
+        { name: 'hamlet-p9.txt', text: 'Nine\n\n' },
+        { name: 'cover.txt', text: 'Hamlet' }
+    ]);
+    assert.deepStrictEqual(pages, [
+        { number: '1', lines: ['Hamlet'] },
+        { number: '9', lines: ['Nine'] },
+        { number: '10', lines: ['Ten'] }
+    ]);
+    assert.throws(() => parseScriptUpload([]), /No script file/);
+    assert.throws(() => parseScriptUpload([{ name: 'empty.txt', text: '\n\f\n' }]), /empty/);
+});
+
+test('a cue has one marker and its page comes from the placement', () => {
+    const pages = parseScriptText('A\nB\fC\nD\nE');
+    let markers = setScriptMarker([], CUE_12, { page_index: 0, line: 1 }, pages);
+    markers = setScriptMarker(markers, CUE_12, { page_index: '1', line: '2' }, pages);
+    assert.deepStrictEqual(markers, [{ cue_list: '1', cue_number: '12', part_number: 0, page_index: 1, line: 2 }]);
+    assert.strictEqual(getMarkerPage(pages, findScriptMarker(markers, { cue_list: '1', cue_number: '12', part_number: '0' })), '2');
+    assert.throws(() => setScriptMarker(markers, CUE_12, { page_index: 0, line: 2 }, pages), /not in the script/);
+    assert.throws(() => setScriptMarker(markers, CUE_12, { page_index: 5, line: 0 }, pages), /not in the script/);
+    assert.deepStrictEqual(removeScriptMarker(markers, CUE_12), []);
+});
+
+test('markers survive a new script where their line still exists and follow renumbered cues', () => {
+    const pages = parseScriptText('A\nB\fC\nD\nE');
+    const markers = [
+        setScriptMarker([], CUE_12, { page_index: 1, line: 2 }, pages)[0],
+        setScriptMarker([], { cue_list: '1', cue_number: '13' }, { page_index: 0, line: 0 }, pages)[0]
+    ];
+    const { kept, dropped } = reconcileScriptMarkers(markers, parseScriptText('A\fC\nD'));
+    assert.deepStrictEqual(kept.map(marker => marker.cue_number), ['13']);
+    assert.deepStrictEqual(dropped.map(marker => marker.cue_number), ['12']);
+
+    const renumbered = [{ from: { cue_number: '12', part_number: 0 }, to: { cue_number: '12.5', part_number: 0 } }];
+    assert.strictEqual(followRenumberedCues(markers, '2', renumbered), 0);
+    assert.strictEqual(followRenumberedCues(markers, '1', renumbered), 1);
+    assert.deepStrictEqual(markers.map(marker => marker.cue_number), ['12.5', '13']);
+});
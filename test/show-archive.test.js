@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const path = require('path');
+const { buildShowArchive, parseShowArchive, getUniqueShowName, checkShowName, checkShowDir } = require('../lib/show-archive');
+const { getReferencedImages } = require('../lib/show-images');
+
+const files = {
+    'cues.json': [
+        { cue_list: '1', cue_number: '1', part_number: 0, notes: 'Preset', image_path: 'a.png' },
+        { cue_list: '1', cue_number: '2', part_number: 0, notes: '', image_path: null }
+    ],
+    'orphaned_notes.json': [{ cue_number: '9', notes: 'Cut', image_path: 'b.jpg' }],
+    'scene-data.json': { Prologue: { notes: 'Slow', color: '#336699' } }
+};
+
+test('an archive round trips the show files and images', () => {
+    const buffer = buildShowArchive({
+        showName: 'Hamlet',
+        appVersion: '3.5.0',
+        files: files,
+        images: { 'a.png': Buffer.from([1, 2, 3]) },
+        thumbnails: { 'a.png.jpg': Buffer.from([4]) },
+        missingImages: ['b.jpg']
+    });
+    assert.deepStrictEqual([...buffer.slice(0, 2)], [0x1f, 0x8b]);
+
+    const archive = parseShowArchive(buffer);
+    assert.strictEqual(archive.showName, 'Hamlet');
+    assert.strictEqual(archive.appVersion, '3.5.0');
+    assert.deepStrictEqual(archive.files, files);
+    assert.deepStrictEqual([...archive.images['a.png']], [1, 2, 3]);
+    assert.deepStrictEqual([...archive.thumbnails['a.png.jpg']], [4]);
+    assert.deepStrictEqual(archive.missingImages, ['b.jpg']);
+    assert.deepStrictEqual(getReferencedImages(files), ['a.png', 'b.jpg']);
+});
+
+test('archives that are broken, unsafe or too new are refused', () => {
+    const pack = (archive) => zlib.gzipSync(Buffer.from(JSON.stringify(archive)));
+    const valid = { format: 'qnote-show-archive', version: 1, showName: 'X', files: { 'cues.json': [] } };
+
+    assert.throws(() => parseShowArchive(Buffer.from('not gzip')), /Not a Qnote show archive/);
+    assert.throws(() => parseShowArchive(pack({ format: 'other' })), /Not a Qnote show archive/);
+    assert.throws(() => parseShowArchive(pack({ ...valid, version: 2 })), /newer version of Qnote/);
+    assert.throws(() => parseShowArchive(pack({ ...valid, files: {} })), /no cue list/);
+    assert.throws(() => parseShowArchive(pack({ ...valid, files: { 'cues.json': [], '../evil.json': {} } })), /Invalid file name/);
+    assert.throws(() => parseShowArchive(pack({ ...valid, images: { '../../x.png': '' } })), /Invalid image name/);
+    assert.strictEqual(parseShowArchive(pack({ ...valid, showName: ' ' })).showName, 'Imported Show');
+    const padded = pack({ ...valid, padding: ' '.repeat(4096) });
+    assert.ok(padded.length < 1024);
+    assert.throws(() => parseShowArchive(padded, 1024), /unpacks to more than/);
+    assert.strictEqual(parseShowArchive(padded, 8192).showName, 'X');
+});
+
+test('show names that are not a plain folder name are refused', () => {
+    assert.strictEqual(checkShowName('  Hamlet (2) '), 'Hamlet (2)');
+    assert.strictEqual(checkShowName('Oh mein Gott - Kellner'), 'Oh mein Gott - Kellner');
+    assert.throws(() => checkShowName(''), /required/);
+    assert.throws(() => checkShowName('   '), /required/);
+    assert.throws(() => checkShowName(undefined), /required/);
+    assert.throws(() => checkShowName('.'), /Invalid show name/);
+    assert.throws(() => checkShowName(' .. '), /Invalid show name/);
+    assert.throws(() => checkShowName('a/b'), /Invalid show name/);
+    assert.throws(() => checkShowName('../data'), /Invalid show name/);
+    assert.throws(() => checkShowName('a\\b'), /Invalid show name/);
+    assert.throws(() => checkShowName('Ham\nlet'), /Invalid show name/);
+    assert.throws(() => checkShowName('Ham\u0000let'), /Invalid show name/);
+    assert.throws(() => checkShowName('Ham\u007flet'), /Invalid show name/);
+});
+
+test('only folders directly in the shows folder can be replaced or deleted', () => {
+    const showsDir = path.join('data', 'shows');
+    assert.strictEqual(checkShowDir(showsDir, path.join(showsDir, 'Hamlet')), path.join(showsDir, 'Hamlet'));
+    assert.throws(() => checkShowDir(showsDir, path.join(showsDir, '..')), /Not a show folder/);
+    assert.throws(() => checkShowDir(showsDir, path.join(showsDir, '.')), /Not a show folder/);
+    assert.throws(() => checkShowDir(showsDir, path.join(showsDir, 'a', 'b')), /Not a show folder/);
+    assert.throws(() => checkShowDir(showsDir, 'data'), /Not a show folder/);
+});
+
+test('taken show names get a counter', () => {
+    assert.strictEqual(getUniqueShowName('Hamlet', ['Default']), 'Hamlet');
+    assert.strictEqual(getUniqueShowName('Hamlet', ['hamlet', 'Hamlet (2)']), 'Hamlet (3)');
+    assert.strictEqual(getUniqueShowName('Hamlet (2)', ['Hamlet', 'Hamlet (2)']), 'Hamlet (3)');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonFileSync, listBackups, createBackup, readJsonFileWithRecovery, readBackupFiles, restoreBackup, MAX_BACKUPS } = require('../lib/show-backups');
+
+function makeShowDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qnote-backups-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('atomic writes leave no temp file behind', (t) => {
+    const dir = makeShowDir(t);
+    const file = path.join(dir, 'cues.json');
+    writeJsonFileSync(file, [{ cue_number: '1' }]);
+    writeJsonFileSync(file, [{ cue_number: '2' }]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ cue_number: '2' }]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['cues.json']);
+});
+
+test('backups rotate and are listed newest first', (t) => {
+    const dir = makeShowDir(t);
+    writeJsonFileSync(path.join(dir, 'cues.json'), []);
+    writeJsonFileSync(path.join(dir, 'show_notes.json'), { notes: '' });
+    for (let i = 0; i < MAX_BACKUPS + 2; i++) {
+        createBackup(dir, Date.UTC(2026, 0, 1, 20, 0, i));
+    }
+    const backups = listBackups(dir);
+    assert.strictEqual(backups.length, MAX_BACKUPS);
+    assert.strictEqual(backups[0].name, '2026-01-01T20-00-21-000Z');
+    assert.strictEqual(backups[0].time, '2026-01-01T20:00:21.000Z');
+    assert.deepStrictEqual(backups[0].files, ['cues.json', 'show_notes.json']);
+    assert.strictEqual(backups[MAX_BACKUPS - 1].name, '2026-01-01T20-00-02-000Z');
+});
+
+test('a truncated file is set aside and restored from the newest valid backup', (t) => {
+    const dir = makeShowDir(t);
+    const file = path.join(dir, 'cues.json');
+    writeJsonFileSync(file, [{ cue_number: '1' }]);
+    createBackup(dir, Date.UTC(2026, 0, 1, 20, 0, 0));
+    writeJsonFileSync(file, [{ cue_number: '1' }, { cue_number: '2' }]);
+    createBackup(dir, Date.UTC(2026, 0, 1, 20, 10, 0));
+    // The newest backup is damaged too - the one before it is used
+    fs.writeFileSync(path.join(dir, 'backups', '2026-01-01T20-10-00-000Z', 'cues.json'), '[{"cue_');
+    fs.writeFileSync(file, '[{"cue_number": "1"}, {"cue');
+
+    const result = readJsonFileWithRecovery(file, Date.UTC(2026, 0, 1, 21, 0, 0));
+    assert.deepStrictEqual(result.data, [{ cue_number: '1' }]);
+    assert.strictEqual(result.recoveredFrom, '2026-01-01T20-00-00-000Z');
+    assert.strictEqual(path.basename(result.corruptFile), 'cues.json.corrupt-2026-01-01T21-00-00-000Z');
+    assert.strictEqual(fs.readFileSync(result.corruptFile, 'utf8'), '[{"cue_number": "1"}, {"cue');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ cue_number: '1' }]);
+
+    assert.deepStrictEqual(readJsonFileWithRecovery(path.join(dir, 'missing.json')).data, undefined);
+});
+
+test('restoring a backup puts its files back', (t) => {
+    const dir = makeShowDir(t);
+    const file = path.join(dir, 'cues.json');
+    writeJsonFileSync(file, [{ cue_number: '1', notes: 'old' }]);
+    const name = createBackup(dir, Date.UTC(2026, 0, 1, 20, 0, 0));
+    writeJsonFileSync(file, []);
+    assert.deepStrictEqual(restoreBackup(dir, name), ['cues.json']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ cue_number: '1', notes: 'old' }]);
+    assert.throws(() => restoreBackup(dir, '../cues'), /Invalid backup name/);
+    assert.throws(() => restoreBackup(dir, '2026-01-02T20-00-00-000Z'), /Backup not found/);
+});
+
+test('the files of every backup are read for the image cleanup', (t) => {
+    const dir = makeShowDir(t);
+    const file = path.join(dir, 'cues.json');
+    writeJsonFileSync(file, [{ cue_number: '1', attachments: [{ file: 'old.png' }] }]);
+    createBackup(dir, Date.UTC(2026, 0, 1, 20, 0, 0));
+    writeJsonFileSync(file, []);
+    writeJsonFileSync(path.join(dir, 'orphaned_notes.json'), []);
+    createBackup(dir, Date.UTC(2026, 0, 1, 20, 10, 0));
+    fs.writeFileSync(path.join(dir, 'backups', '2026-01-01T20-10-00-000Z', 'orphaned_notes.json'), '[{');
+
+    assert.deepStrictEqual(readBackupFiles(dir, ['cues.json', 'orphaned_notes.json']), [
+        { 'cues.json': [] },
+        { 'cues.json': [{ cue_number: '1', attachments: [{ file: 'old.png' }] }] }
+    ]);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectImageType, makeImageFileName, getThumbnailName, findOrphanedImages } = require('../lib/show-images');
+
+test('images are recognized by their content, not their name', () => {
+    const pad = (hex) => Buffer.concat([Buffer.from(hex, 'hex'), Buffer.alloc(12)]);
+    assert.strictEqual(detectImageType(pad('ffd8ffe0')), 'jpeg');
+    assert.strictEqual(detectImageType(pad('89504e470d0a1a0a')), 'png');
+    assert.strictEqual(detectImageType(Buffer.from('GIF89a\0\0\0\0\0\0')), 'gif');
+    assert.strictEqual(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+    assert.strictEqual(detectImageType(Buffer.from('<svg onload="x()"></svg>')), null);
+    assert.strictEqual(detectImageType(Buffer.from('ffd8')), null);
+});
+
+test('stored names are safe and carry the real extension', () => {
+    assert.strictEqual(makeImageFileName('My Photo (1).jpeg', 'jpeg', 1700), '1700-My_Photo_1.jpg');
+    assert.strictEqual(makeImageFileName('../../etc/passwd.png', 'png', 1700), '1700-passwd.png');
+    assert.strictEqual(makeImageFileName('Bühne.gif', 'webp', 1700), '1700-B_hne.webp');
+    assert.strictEqual(makeImageFileName('', 'png', 1700), '1700-image.png');
+    assert.strictEqual(getThumbnailName('1700-a.png'), '1700-a.png.jpg');
+});
+
+test('unused images and thumbnails without a used image are orphaned', () => {
+    const orphans = findOrphanedImages(
+        ['a.png', 'gone.jpg'],
+        ['a.png', 'b.png'],
+        ['a.png.jpg', 'b.png.jpg', 'gone.jpg.jpg', 'stray.txt']
+    );
+    assert.deepStrictEqual(orphans.images, ['b.png']);
+    assert.deepStrictEqual(orphans.thumbnails, ['b.png.jpg', 'gone.jpg.jpg', 'stray.txt']);
+});
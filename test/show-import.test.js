@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseShowExport, parseCueCsv, parseCsvRows, parseTime } = require('../lib/show-import');
+const { createHarness, loadFixture, flushImmediate } = require('./helpers');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Console fields of every cue in a list, as a refresh or an import leaves them
+// (exports carry neither the uid nor the console notes)
+function consoleFields(harness, list) {
+    return harness.cues
+        .filter(c => String(c.cue_list) === String(list))
+        .map(c => {
+            const copy = Object.assign({}, c);
+            delete copy.uid;
+            delete copy.console_notes;
+            return copy;
+        });
+}
+
+function importInto(harness, parsed) {
+    parsed.cues.forEach(item => harness.sync.updateOrCreateCue(item.cueNumber, item.updates));
+}
+
+async function refreshedFromConsole() {
+    const h = createHarness();
+    h.sync.requestAllCues(1);
+    h.replay(loadFixture('refresh-list1.json'));
+    await flushImmediate();
+    return h;
+}
+
+test('an ASCII export builds the same cues as a console refresh', async () => {
+    const fromConsole = await refreshedFromConsole();
+    const fromFile = createHarness();
+    const parsed = parseShowExport(readFixture('eos-export.asc'), 'show.asc');
+    importInto(fromFile, parsed);
+
+    assert.strictEqual(parsed.format, 'ascii');
+    assert.deepStrictEqual(consoleFields(fromFile, 1), consoleFields(fromConsole, 1));
+});
+
+test('a CSV export builds the same cues as a console refresh', async () => {
+    const fromConsole = await refreshedFromConsole();
+    const fromFile = createHarness();
+    const parsed = parseShowExport(readFixture('eos-export.csv'), 'show.csv');
+    importInto(fromFile, parsed);
+
+    assert.strictEqual(parsed.format, 'csv');
+    assert.strictEqual(parsed.cues.length, 6);  // The group section is skipped
+    assert.deepStrictEqual(consoleFields(fromFile, 1), consoleFields(fromConsole, 1));
+});
+
+test('ASCII cue lists, quoted labels and ETC time extensions are read', () => {
+    const parsed = parseShowExport(readFixture('eos-export.asc'));
+    const haze = parsed.cues.find(c => c.updates.cue_list === '2').updates;
+
+    assert.strictEqual(haze.label, 'Haze look!');
+    assert.strictEqual(haze.focus_time, 2);
+    assert.strictEqual(haze.focus_delay, 1.5);
+    assert.strictEqual(haze.assert, 'A');
+    assert.strictEqual(haze.fade_time, '5');
+    // The group after cue 4.5 does not leak into it
+    assert.strictEqual(parsed.cues.find(c => c.cueNumber === '4.5').updates.label, 'Blackout');
+});
+
+test('importing keeps notes, tags, colors and pages', () => {
+    const h = createHarness({
+        cues: [{
+            cue_number: '3', cue_list: '1', part_number: 0, label: 'Old label', notes: 'Check the cyc',
+            color: '#ff0000', tags: ['Sound'], page: '12', fade_time: '1'
+        }]
+    });
+    importInto(h, parseShowExport(readFixture('eos-export.asc')));
+
+    const cue = h.find(1, '3');
+    assert.strictEqual(cue.label, 'Storm clears');
+    assert.strictEqual(cue.fade_time, '10');
+    assert.strictEqual(cue.notes, 'Check the cyc');
+    assert.strictEqual(cue.color, '#ff0000');
+    assert.deepStrictEqual(cue.tags, ['Sound']);
+    assert.strictEqual(cue.page, '12');
+    assert.strictEqual(h.cues.filter(c => c.cue_number === '3' && c.cue_list === '1').length, 1);
+});
+
+test('hand-made CSV sheets with short column names are accepted', () => {
+    const records = parseCueCsv('Cue,Label,Time,Mark\r\n1,"Storm, ""big""",3,yes\r\n2.50,Fade out,0:04,\r\nnotes,,,\r\n');
+
+    assert.deepStrictEqual(records.map(r => [r.list, r.cue, r.label, r.up, r.down, r.mark]), [
+        ['1', '1', 'Storm, "big"', 3, 3, 'M'],
+        ['1', '2.5', 'Fade out', 4, 4, '']
+    ]);
+});
+
+test('CSV fields may contain line breaks and times use m:ss', () => {
+    assert.deepStrictEqual(parseCsvRows('a,"line 1\nline 2",c\n'), [['a', 'line 1\nline 2', 'c']]);
+    assert.strictEqual(parseTime('1:30'), 90);
+    assert.strictEqual(parseTime('0:05.5'), 5.5);
+    assert.strictEqual(parseTime(''), null);
+    assert.strictEqual(parseTime('Manual'), null);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildBaselineTimings, buildBaselinePauses, computeRunStatistics, getSceneMap, normalizeBaseline, summarizeRun } = require('../lib/show-runs');
+
+// A run from the gaps between cues: makeRun('r1', '2026-01-01', { 1: 0, 2: 10, 3: 20 })
+function makeRun(id, date, gaps) {
+    let timestamp = 0;
+    const cueTimings = Object.entries(gaps)
+        .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
+        .map(([cueNumber, gap]) => {
+            timestamp += gap;
+            return { cueNumber: cueNumber, cueList: '1', label: `Cue ${cueNumber}`, timestamp: timestamp, timeFromPrevious: gap };
+        });
+    return { id: id, date: date, notes: '', cueTimings: cueTimings };
+}
+
+const runs = [
+    makeRun('c', '2026-03-03T19:30:00.000Z', { 1: 0, 2: 14, 3: 26 }),
+    makeRun('a', '2026-03-01T19:30:00.000Z', { 1: 0, 2: 10, 3: 20 }),
+    makeRun('b', '2026-03-02T19:30:00.000Z', { 1: 0, 2: 12, 3: 24 })
+];
+
+test('the last run is the default baseline', () => {
+    assert.deepStrictEqual(normalizeBaseline({}), { mode: 'last', count: 3, runId: null });
+    assert.strictEqual(buildBaselineTimings(runs, null), runs[0].cueTimings);
+    assert.strictEqual(buildBaselineTimings(runs, { mode: 'run', runId: 'a' }), runs[1].cueTimings);
+    assert.strictEqual(buildBaselineTimings(runs, { mode: 'run', runId: 'gone' }), runs[0].cueTimings);
+    assert.deepStrictEqual(buildBaselineTimings([], { mode: 'average' }), []);
+});
+
+test('an average baseline uses the mean show time of each cue over the last N runs', () => {
+    const average = buildBaselineTimings(runs, { mode: 'average', count: 2 });
+    assert.deepStrictEqual(average.map(t => [t.cueNumber, t.timestamp, t.timeFromPrevious]), [
+        ['1', 0, 0], ['2', 13, 13], ['3', 38, 25]
+    ]);
+});
+
+test('a cue skipped in one run does not shift the cues after it', () => {
+    const skipped = makeRun('d', '2026-03-04T19:30:00.000Z', { 1: 0, 3: 30 });
+    const average = buildBaselineTimings([runs[1], skipped], { mode: 'average', count: 2 });
+    assert.deepStrictEqual(average.map(t => [t.cueNumber, t.timestamp]), [['1', 0], ['2', 10], ['3', 30]]);
+});
+
+test('statistics per cue, per scene and for the whole show', () => {
+    const sceneOf = getSceneMap([
+        { cue_list: '1', cue_number: '1', scene: 'Prologue' },
+        { cue_list: '1', cue_number: '2', scene_end: true },
+        { cue_list: '1', cue_number: '2', part_number: 1, scene: 'Ignored part' },
+        { cue_list: '1', cue_number: '3' },
+        { cue_list: '2', cue_number: '3', scene: 'Other list' }
+    ], '1');
+    assert.deepStrictEqual(sceneOf, { 1: 'Prologue', 2: 'Prologue' });
+
+    const stats = computeRunStatistics(runs, sceneOf);
+    assert.deepStrictEqual(stats.runs.map(r => r.id), ['a', 'b', 'c']);
+
+    const cue2 = stats.cues.find(row => row.cueNumber === '2');
+    assert.deepStrictEqual(cue2.values, [10, 12, 14]);
+    assert.deepStrictEqual(cue2.deltas, [null, 2, 2]);
+    assert.deepStrictEqual(cue2.stats, { count: 3, mean: 12, min: 10, max: 14, stddev: 2 });
+    assert.strictEqual(cue2.scene, 'Prologue');
+
+    assert.deepStrictEqual(stats.scenes, [{
+        scene: 'Prologue',
+        values: [10, 12, 14],
+        deltas: [null, 2, 2],
+        stats: { count: 3, mean: 12, min: 10, max: 14, stddev: 2 }
+    }]);
+    assert.deepStrictEqual(stats.totals.values, [30, 36, 40]);
+    assert.deepStrictEqual(stats.totals.deltas, [null, 6, 4]);
+});
+
+test('a cue missing from a run has no value there', () => {
+    const stats = computeRunStatistics([runs[1], makeRun('d', '2026-03-04T19:30:00.000Z', { 1: 0, 3: 30 })]);
+    const cue2 = stats.cues.find(row => row.cueNumber === '2');
+    assert.deepStrictEqual(cue2.values, [10, null]);
+    assert.deepStrictEqual(cue2.deltas, [null, null]);
+    assert.deepStrictEqual(cue2.stats, { count: 1, mean: 10, min: 10, max: 10, stddev: 0 });
+});
+
+test('pauses are kept apart from the show time and averaged per cue', () => {
+    const first = makeRun('p1', '2026-03-05T19:30:00.000Z', { 1: 0, 2: 10, 3: 20 });
+    first.pauses = [{ type: 'intermission', label: 'Intermission', afterCue: '2', at: 10, duration: 900 }];
+    const second = makeRun('p2', '2026-03-06T19:30:00.000Z', { 1: 0, 2: 12, 3: 20 });
+    second.pauses = [
+        { type: 'pause', label: 'Pause', afterCue: '1', at: 5, duration: 60 },
+        { type: 'intermission', label: 'Intermission', afterCue: '2', at: 12, duration: 1100 }
+    ];
+
+    assert.deepStrictEqual(summarizeRun(second), {
+        id: 'p2', date: '2026-03-06T19:30:00.000Z', stoppedAt: null, notes: '',
+        cueCount: 3, totalTime: 32, pauseCount: 2, pauseTime: 1160
+    });
+    assert.strictEqual(buildBaselinePauses([first, second], null), second.pauses);
+    assert.deepStrictEqual(buildBaselinePauses([first, second], { mode: 'average', count: 2 }), [
+        { type: 'pause', label: 'Pause', afterCue: '1', at: 5, duration: 60 },
+        { type: 'intermission', label: 'Intermission', afterCue: '2', at: 11, duration: 1000 }
+    ]);
+    assert.deepStrictEqual(buildBaselinePauses(runs, null), []);
+
+    const stats = computeRunStatistics([first, second]);
+    assert.deepStrictEqual(stats.totals.values, [30, 32]);
+    assert.deepStrictEqual(stats.pauses.values, [900, 1160]);
+    assert.deepStrictEqual(stats.pauses.deltas, [null, 260]);
+});
@@ -0,0 +1,136 @@
+// Integration: cue sync talking to the EOS simulator over TCP with SLIP framing
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const osc = require('osc');
+const { createEosSimulator, parseArgs } = require('../tools/eos-simulator');
+const { createConsolePush } = require('../lib/console-push');
+const { createHarness, silentLogger } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'eos-show.json');
+
+function waitFor(condition, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for condition'));
+            setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+// Connect a harness to the simulator the same way initializeOSC() does
+async function connect(simulator, options = {}) {
+    const port = new osc.TCPSocketPort({ address: '127.0.0.1', port: simulator.tcpPort, useSLIP: true });
+    const harness = createHarness({
+        connected: true,
+        onCueData: options.onCueData,
+        sendOSC: (address, ...args) => port.send({
+            address: address,
+            args: args.map(arg => typeof arg === 'number' ? { type: 'i', value: arg } : { type: 's', value: String(arg) })
+        })
+    });
+    port.on('message', oscMsg => {
+        const args = oscMsg.args ? oscMsg.args.map(a => a.value !== undefined ? a.value : a) : [];
+        if (oscMsg.address === '/eos/out/ping') {
+            if (options.onPing) options.onPing(args);
+            return;
+        }
+        harness.sync.parseEOSCueMessage([oscMsg.address, ...args]);
+    });
+    await new Promise((resolve, reject) => {
+        port.once('ready', resolve);
+        port.once('error', reject);
+        port.open();
+    });
+    harness.port = port;
+    return harness;
+}
+
+function refreshIdle(harness) {
+    const state = harness.sync.getState();
+    return !state.bulkRefreshInProgress && state.bulkRefreshQueue.length === 0;
+}
+
+test('simulator session: discovery, playback, edits and deletes', async (t) => {
+    const simulator = createEosSimulator({ fixturePath: FIXTURE, tcpPort: 0, udpPort: null, quiet: true });
+    await simulator.start();
+    const h = await connect(simulator);
+    t.after(async () => {
+        h.sync.resetDiscovery();
+        h.port.close();
+        await simulator.stop();
+    });
+
+    // Same queries Qnote sends after connecting
+    ['/eos/get/cuelist/count', '/eos/get/version', '/eos/get/fader/0/config'].forEach(a => h.port.send({ address: a }));
+    h.port.send({ address: '/eos/subscribe', args: [{ type: 'i', value: 1 }] });
+
+    await waitFor(() => h.sync.getState().knownCueLists.length === 2 && refreshIdle(h) && h.cues.length === 8);
+    assert.deepStrictEqual(h.showNames, ['Test Show']);
+    assert.deepStrictEqual(h.cues.map(c => `${c.cue_list}/${c.cue_number}/${c.part_number}`),
+        ['1/1/0', '1/2/0', '1/2/1', '1/2/2', '1/3/0', '1/4.5/0', '2/1/0', '2/2/0']);
+
+    // GO on both lists
+    simulator.go(1);
+    simulator.go(2);
+    await waitFor(() => h.seenIn('active', 2).length === 1);
+    assert.deepStrictEqual(h.seenIn('active', 1), ['1']);
+    assert.deepStrictEqual(h.seenIn('pending', 1), ['2']);
+    assert.deepStrictEqual(h.seenIn('active', 2), ['1']);
+
+    // A label edit on the console is fetched through the notification
+    simulator.updateCue(1, '3', { label: 'Storm clears (new)' });
+    await waitFor(() => h.find(1, '3').label === 'Storm clears (new)');
+
+    // Deleting a cue changes the count and triggers a refresh that removes it
+    simulator.deleteCue(1, '4.5');
+    await waitFor(() => !h.find(1, '4.5') && refreshIdle(h));
+    assert.strictEqual(h.cues.length, 7);
+    assert.ok(h.events.some(e => e.type === 'cue-delete' && e.data.cue_number === '4.5'));
+});
+
+test('labels and notes pushed to the simulator are read back and verified', async (t) => {
+    const simulator = createEosSimulator({ fixturePath: FIXTURE, tcpPort: 0, udpPort: null, quiet: true });
+    await simulator.start();
+    let push = null;
+    const h = await connect(simulator, {
+        onCueData: (...args) => push.handleCueData(...args),
+        onPing: (args) => push.handlePingReply(args)
+    });
+    push = createConsolePush({
+        sendOSC: (address, ...args) => h.port.send({ address: address, args: args.map(value => ({ type: 's', value: value })) }),
+        isConnected: () => true,
+        logger: silentLogger
+    });
+    t.after(async () => {
+        h.sync.resetDiscovery();
+        h.port.close();
+        await simulator.stop();
+    });
+
+    h.sync.requestAllCues(1);
+    await waitFor(() => refreshIdle(h) && h.cues.length === 6);
+
+    const result = await push.pushCue(h.find(1, '3'), { label: 'Storm "clears" #2', notes: 'Line 1\nLine 2' });
+    assert.strictEqual(result.verified, true);
+    assert.strictEqual(result.label.console, "Storm 'clears' No.2");
+    assert.strictEqual(result.label.adjusted, true);
+    assert.strictEqual(result.notes.console, 'Line 1 / Line 2');
+    assert.strictEqual(h.find(1, '3').label, "Storm 'clears' No.2");
+
+    // Parts are addressed with Part, and an empty label is removed
+    const part = await push.pushCue(h.find(1, '2', 1), { label: '', clear: ['label'] });
+    assert.strictEqual(part.verified, true);
+    assert.strictEqual(part.label.console, '');
+});
+
+test('the command line knows --help and refuses unknown options', () => {
+    assert.deepStrictEqual(parseArgs(['--tcp-port', '3100', '--script', '--loop']), { tcpPort: 3100, runScript: true, loop: true });
+    assert.deepStrictEqual(parseArgs(['-h']), { help: true });
+    assert.strictEqual(parseArgs(['--help']).help, true);
+    assert.throws(() => parseArgs(['--tcp']), /Unknown option: --tcp/);
+    assert.throws(() => parseArgs(['--fixture']), /Missing value for --fixture/);
+});
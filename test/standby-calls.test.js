@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCallSeconds, parseCallOverride, getCallPlan, formatCallText, createStandbyCaller, addCallLogEntry } = require('../lib/standby-calls');
+
+const SETTINGS = { warning_seconds: 60, standby_seconds: 30 };
+
+test('cues change their calls with tags or notes lines', () => {
+    assert.deepStrictEqual(parseCallOverride('Standby: 20s'), { type: 'standby', seconds: 20 });
+    assert.deepStrictEqual(parseCallOverride('warning 90'), { type: 'warning', seconds: 90 });
+    assert.deepStrictEqual(parseCallOverride('Warning: off'), { type: 'warning', seconds: 0 });
+    assert.deepStrictEqual(parseCallOverride('No Standby'), { type: 'all', seconds: 0 });
+    assert.strictEqual(parseCallOverride('Standby'), null);
+    assert.strictEqual(parseCallOverride('Standby for the blackout'), null);
+
+    assert.deepStrictEqual(getCallPlan(SETTINGS, { notes: 'Slow fade\nStandby: 15' }), { warning: 60, standby: 15 });
+    assert.deepStrictEqual(getCallPlan(SETTINGS, { notes: 'Warning 120', tags: ['No Warning'] }), { warning: 0, standby: 30 });
+    assert.deepStrictEqual(getCallPlan(SETTINGS, { tags: ['Important', 'No Standby'] }), { warning: 0, standby: 0 });
+    assert.strictEqual(formatCallText('standby', 'LX', { cue_number: '45' }), 'Standby LX 45');
+    assert.strictEqual(formatCallText('warning', ' ', { cue_number: '45' }), 'Warning 45');
+});
+
+test('each call is given once for the pending cue, the standby replaces a late warning', () => {
+    const caller = createStandbyCaller();
+    const plan = { warning: 60, standby: 30 };
+    const tick = (key, dueIn, own = plan) => caller.update({ key: key, dueIn: dueIn, plan: own });
+
+    assert.deepStrictEqual(tick('1/45', 90), { calls: [], current: null });
+    assert.deepStrictEqual(tick('1/45', 59.5), { calls: ['warning'], current: 'warning' });
+    assert.deepStrictEqual(tick('1/45', 58.5), { calls: [], current: 'warning' });
+    assert.deepStrictEqual(tick('1/45', 29.5), { calls: ['standby'], current: 'standby' });
+    assert.deepStrictEqual(tick('1/45', -2), { calls: [], current: 'standby' });
+
+    // The next cue is already close when it becomes pending - only the standby
+    assert.deepStrictEqual(tick('1/46', 12), { calls: ['standby'], current: 'standby' });
+    assert.deepStrictEqual(tick('1/47', 12, { warning: 60, standby: 0 }), { calls: ['warning'], current: 'warning' });
+    assert.deepStrictEqual(tick('1/48', -5), { calls: [], current: null });
+    assert.deepStrictEqual(caller.update(null), { calls: [], current: null });
+    assert.deepStrictEqual(tick('1/48', 20), { calls: ['standby'], current: 'standby' });
+});
+
+test('call times are whole seconds and the log keeps the latest entries', () => {
+    assert.strictEqual(normalizeCallSeconds('45'), 45);
+    assert.strictEqual(normalizeCallSeconds(0), 0);
+    assert.throws(() => normalizeCallSeconds('-1'), /whole seconds/);
+    assert.throws(() => normalizeCallSeconds('2.5'), /whole seconds/);
+    assert.throws(() => normalizeCallSeconds(''), /whole seconds/);
+
+    let log = [];
+    for (let index = 0; index < 2005; index++) log = addCallLogEntry(log, { cue_number: String(index) });
+    assert.strictEqual(log.length, 2000);
+    assert.strictEqual(log[0].cue_number, '5');
+});
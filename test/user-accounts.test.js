@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUserAccounts, hasRole, signToken, parseCookies, ADMIN_PIN_WINDOW } = require('../lib/user-accounts');
+
+function setup() {
+    const harness = { time: 1700000000000, stored: null };
+    harness.accounts = createUserAccounts({
+        load: () => harness.stored,
+        save: (accounts) => { harness.stored = JSON.parse(JSON.stringify(accounts)); },
+        secret: 'test-secret',
+        now: () => harness.time
+    });
+    return harness;
+}
+
+test('roles include everything below them', () => {
+    assert.strictEqual(hasRole('admin', 'note-taker'), true);
+    assert.strictEqual(hasRole('stage-manager', 'stage-manager'), true);
+    assert.strictEqual(hasRole('note-taker', 'stage-manager'), false);
+    assert.strictEqual(hasRole('viewer', 'note-taker'), false);
+    assert.strictEqual(hasRole('admin', 'superuser'), false);
+    assert.deepStrictEqual(parseCookies('a=1; qnote_session=x.y%3D; broken'), { a: '1', qnote_session: 'x.y=' });
+});
+
+test('signing in checks the PIN and stores only its hash', () => {
+    const { accounts, stored } = setup();
+    assert.strictEqual(stored, null);
+    const sam = accounts.createUser({ name: 'Sam', role: 'admin', pin: '1234' });
+    assert.strictEqual(accounts.verifyLogin('sam', '1234').id, sam.id);
+    assert.strictEqual(accounts.verifyLogin('Sam', '4321'), null);
+    assert.strictEqual(accounts.verifyLogin('Alex', '1234'), null);
+    assert.throws(() => accounts.createUser({ name: 'SAM', role: 'viewer', pin: '1234' }), /already a user/);
+    assert.throws(() => accounts.createUser({ name: 'Alex', role: 'viewer', pin: '12' }), /4 to 8 digits/);
+    assert.throws(() => accounts.createUser({ name: 'Alex', role: 'owner', pin: '1234' }), /Unknown role/);
+});
+
+test('sessions reject tampering, expire the admin PIN and end when the PIN changes', () => {
+    const harness = setup();
+    const { accounts } = harness;
+    const sam = accounts.createUser({ name: 'Sam', role: 'admin', pin: '1234' });
+    const alex = accounts.createUser({ name: 'Alex', role: 'note-taker', pin: '5678' });
+
+    const token = accounts.issueSession(alex);
+    assert.deepStrictEqual(accounts.readSession(token).user, { id: alex.id, name: 'Alex', role: 'note-taker', created_at: alex.created_at });
+    const [body] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), uid: sam.id })).toString('base64url');
+    assert.strictEqual(accounts.readSession(`${forged}.${token.split('.')[1]}`), null);
+    assert.strictEqual(accounts.readSession(signToken({ uid: sam.id, v: 1, exp: harness.time + 1000 }, 'other-secret')), null);
+
+    const adminToken = accounts.issueSession(sam, { adminPin: true });
+    assert.strictEqual(accounts.readSession(adminToken).adminPin, true);
+    harness.time += ADMIN_PIN_WINDOW + 1;
+    assert.strictEqual(accounts.readSession(adminToken).adminPin, false);
+
+    accounts.updateUser(alex.id, { pin: '9999' });
+    assert.strictEqual(accounts.readSession(token), null);
+    assert.strictEqual(accounts.readSession(accounts.issueSession(alex)).user.name, 'Alex');
+});
+
+test('the last admin stays an admin', () => {
+    const { accounts } = setup();
+    const sam = accounts.createUser({ name: 'Sam', role: 'admin', pin: '1234' });
+    assert.throws(() => accounts.updateUser(sam.id, { role: 'viewer' }), /last admin/);
+    assert.throws(() => accounts.deleteUser(sam.id), /last admin/);
+    const kim = accounts.createUser({ name: 'Kim', role: 'admin', pin: '1234' });
+    accounts.updateUser(sam.id, { role: 'stage-manager' });
+    assert.throws(() => accounts.deleteUser(kim.id), /last admin/);
+    assert.deepStrictEqual(accounts.listUsers().map(user => [user.name, user.role]), [['Sam', 'stage-manager'], ['Kim', 'admin']]);
+});
+
+test('viewer links sign phones in read-only until they expire or are deleted', () => {
+    const harness = setup();
+    const { accounts } = harness;
+    const link = accounts.createViewerLink({ label: 'Costumes', days: 1 });
+    assert.strictEqual(accounts.openViewerLink(link.token).id, link.id);
+    assert.strictEqual(accounts.openViewerLink(`${link.token}x`), null);
+
+    const session = accounts.readSession(accounts.issueLinkSession(link));
+    assert.deepStrictEqual(session.user, { id: null, name: 'Costumes', role: 'viewer' });
+
+    harness.time += 24 * 60 * 60 * 1000 + 1;
+    assert.strictEqual(accounts.openViewerLink(link.token), null);
+    assert.strictEqual(accounts.listViewerLinks()[0].expired, true);
+
+    const lasting = accounts.createViewerLink({ label: '', days: 0 });
+    const token = accounts.issueLinkSession(lasting);
+    assert.strictEqual(accounts.readSession(token).user.name, 'Viewer');
+    accounts.deleteViewerLink(lasting.id);
+    assert.strictEqual(accounts.readSession(token), null);
+    assert.strictEqual(harness.stored.links.length, 1);
+});
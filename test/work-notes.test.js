@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { getLocalDay, createWorkNote, updateWorkNote, filterWorkNotes, moveWorkNotes, buildDailyReport } = require('../lib/work-notes');
+const { buildWorkNotesPdf } = require('../lib/work-notes-pdf');
+const { buildRefreshReport } = require('../lib/refresh-report');
+
+const MORNING = new Date(2026, 9, 19, 10, 0, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+function note(cue, fields, now = MORNING) {
+    return createWorkNote({ cue_list: '1', cue_number: cue, part_number: 0 }, Object.assign({ department: 'LX', text: `Fix cue ${cue}` }, fields), 'Sam', now);
+}
+
+test('work notes are validated and closing stamps the time', () => {
+    const created = note('12', { priority: 'high', assignee: ' Kim ' });
+    assert.strictEqual(created.status, 'open');
+    assert.strictEqual(created.assignee, 'Kim');
+    assert.strictEqual(created.created_by, 'Sam');
+    assert.strictEqual(created.closed_at, null);
+    assert.throws(() => note('12', { department: 'Props' }), /Unknown department/);
+    assert.throws(() => note('12', { text: '  ' }), /needs a text/);
+
+    const done = updateWorkNote(created, { status: 'done' }, MORNING + 1000);
+    assert.strictEqual(done.closed_at, new Date(MORNING + 1000).toISOString());
+    assert.strictEqual(created.status, 'open');
+    assert.strictEqual(updateWorkNote(done, { status: 'open' }).closed_at, null);
+    assert.throws(() => updateWorkNote(done, { status: 'later' }), /Unknown status/);
+});
+
+test('filters by department and status in cue order', () => {
+    const notes = [
+        note('10', { department: 'Sound', priority: 'low' }),
+        note('2', { priority: 'low' }),
+        note('2', { priority: 'high' }),
+        updateWorkNote(note('5', {}), { status: 'wontfix' })
+    ];
+    assert.deepStrictEqual(filterWorkNotes(notes, { department: 'LX', status: 'open' }).map(n => [n.cue_number, n.priority]),
+        [['2', 'high'], ['2', 'low']]);
+    assert.deepStrictEqual(filterWorkNotes(notes, { department: 'all', status: 'wontfix' }).map(n => n.cue_number), ['5']);
+    assert.strictEqual(filterWorkNotes(notes).length, 4);
+});
+
+test('notes follow renumbered cues, also when two cues swap numbers', () => {
+    const notes = [note('1'), note('2'), note('3'), Object.assign(note('1'), { cue_list: '2' })];
+    const consoleCue = (cue, uid) => ({ cue_number: cue, part_number: 0, uid: uid });
+    const { renumbered } = buildRefreshReport('1',
+        [consoleCue('1', 'uid-a'), consoleCue('2', 'uid-b'), consoleCue('3', 'uid-c')],
+        [consoleCue('1', 'uid-b'), consoleCue('2', 'uid-a'), consoleCue('3', 'uid-c')]);
+    assert.strictEqual(moveWorkNotes(notes, '1', renumbered), 2);
+    assert.deepStrictEqual(notes.map(n => `${n.cue_list}/${n.cue_number}`), ['1/2', '1/1', '1/3', '2/1']);
+    assert.strictEqual(notes[0].text, 'Fix cue 1');
+});
+
+test('the daily report lists open notes per department and what was closed that day', () => {
+    const day = getLocalDay(MORNING);
+    const notes = [
+        note('1', {}, MORNING - DAY),
+        note('2', { department: 'Sound' }),
+        updateWorkNote(note('3', {}, MORNING - DAY), { status: 'done' }, MORNING + 1000),
+        updateWorkNote(note('4', {}, MORNING - 2 * DAY), { status: 'done' }, MORNING - DAY),
+        note('5', { department: 'Video' })
+    ];
+    const report = buildDailyReport(notes, day, ['LX', 'Sound']);
+    assert.deepStrictEqual(report.departments.map(section => [section.department,
+        section.open.map(n => `${n.cue_number}${n.isNew ? ' new' : ''}`), section.closed.map(n => n.cue_number)]),
+    [['LX', ['1'], ['3']], ['Sound', ['2 new'], []]]);
+    assert.deepStrictEqual(report.summary, { open: 2, created: 1, closed: 1 });
+
+    const pdf = buildWorkNotesPdf({ showName: 'Hamlet', report: report, cueLabel: (n) => `Look ${n.cue_number}`, generatedAt: new Date(MORNING) });
+    assert.strictEqual(pdf.slice(0, 8).toString('latin1'), '%PDF-1.4');
+    const text = pdf.toString('latin1');
+    const match = /<< \/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/.exec(text);
+    const start = match.index + match[0].length;
+    const page = zlib.inflateSync(pdf.slice(start, start + parseInt(match[1]))).toString('latin1');
+    ['(Hamlet - Work Notes)', '(LX)', '(Sound)', '(Look 2)', '(New)', '(Done)'].forEach(snippet => {
+        assert.ok(page.includes(snippet), `${snippet} is on the page`);
+    });
+});
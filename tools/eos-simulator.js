@@ -0,0 +1,698 @@
+// EOS Console Simulator
+// Fake ETC EOS console for rehearsing Qnote at a desk and for integration tests.
+// Speaks OSC over TCP (SLIP framing, like EOS port 3037) and over UDP.
+//
+// Usage:
+//   node tools/eos-simulator.js [--fixture file.json] [--tcp-port 3037]
+//                               [--udp-port 8000] [--udp-reply-port 8001]
+//                               [--script] [--speed 2] [--loop] [--help]
+//
+// Point Qnote at 127.0.0.1 (TCP port 3037, or UDP port 8000) and connect.
+// Type "help" at the prompt for console commands (go, fire, notify, ...).
+
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const osc = require('osc');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'demo-show.json');
+
+// ========== FIXTURE HELPERS ==========
+
+function loadFixture(fixturePath) {
+    const raw = fs.readFileSync(fixturePath, 'utf8');
+    return JSON.parse(raw);
+}
+
+// Fixture times are seconds, EOS sends milliseconds (-1 = not set)
+function toMilliseconds(seconds) {
+    return (typeof seconds === 'number' && seconds >= 0) ? Math.round(seconds * 1000) : -1;
+}
+
+function compareCueNumbers(a, b) {
+    return parseFloat(a) - parseFloat(b);
+}
+
+// Build a deterministic UID so refreshes return the same UID for the same cue
+function makeUid(list, cue, part) {
+    const seed = `${list}-${cue}-${part}`;
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+        hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+    }
+    const hex = hash.toString(16).padStart(8, '0');
+    return `${hex}-5113-4e05-a0c4-${hex}${String(list).padStart(4, '0')}`;
+}
+
+// ========== SIMULATOR ==========
+
+function createEosSimulator(options = {}) {
+    const fixture = options.fixture || loadFixture(options.fixturePath || DEFAULT_FIXTURE);
+    const tcpPortNumber = options.tcpPort !== undefined ? options.tcpPort : 3037;
+    const udpPortNumber = options.udpPort !== undefined ? options.udpPort : 8000;
+    const udpReplyPort = options.udpReplyPort !== undefined ? options.udpReplyPort : 8001;
+    const log = options.quiet ? () => {} : console.log;
+
+    const showName = fixture.showName || 'Simulator Show';
+    const version = fixture.version || '3.2.0.sim';
+    const cueLists = new Map(); // list number -> { label, cues: [] }
+    const playback = new Map(); // list number -> { active, pending } (cue numbers)
+    let mainPlaybackList = String(fixture.mainPlaybackList || 1);
+    let notifySequence = 0;
+
+    let tcpServer = null;
+    let udpPort = null;
+    const tcpClients = new Set();
+    const udpPeers = new Map(); // "address" -> { address, port }
+    let scriptTimer = null;
+    let scriptRunning = false;
+
+    (fixture.cueLists || []).forEach(cueList => {
+        const list = String(cueList.list);
+        const cues = (cueList.cues || []).map(cue => Object.assign({}, cue, { cue: String(cue.cue) }));
+        cues.sort((a, b) => compareCueNumbers(a.cue, b.cue));
+        cueLists.set(list, { label: cueList.label || `List ${list}`, cues: cues });
+        playback.set(list, { active: null, pending: cues.length > 0 ? cues[0].cue : null });
+    });
+
+    // EOS indexes cues and their parts as separate entries of the same list
+    function getListEntries(list) {
+        const cueList = cueLists.get(String(list));
+        if (!cueList) return [];
+        const entries = [];
+        cueList.cues.forEach(cue => {
+            const parts = cue.parts || [];
+            entries.push({ cue: cue, part: 0, data: cue, partCount: parts.length });
+            parts.forEach(part => {
+                entries.push({ cue: cue, part: part.part, data: part, partCount: 0 });
+            });
+        });
+        return entries;
+    }
+
+    function findCue(list, cueNumber) {
+        const cueList = cueLists.get(String(list));
+        if (!cueList) return null;
+        return cueList.cues.find(c => parseFloat(c.cue) === parseFloat(cueNumber)) || null;
+    }
+
+    // ========== OSC OUTPUT ==========
+
+    function oscArg(value) {
+        if (typeof value === 'boolean') return { type: value ? 'T' : 'F', value: value };
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? { type: 'i', value: value } : { type: 'f', value: value };
+        }
+        return { type: 's', value: String(value === null || value === undefined ? '' : value) };
+    }
+
+    function buildMessage(address, args = []) {
+        return { address: address, args: args.map(oscArg) };
+    }
+
+    function sendTo(target, address, args) {
+        const message = buildMessage(address, args);
+        if (target.tcp) {
+            target.tcp.send(message);
+        } else if (target.udp) {
+            udpPort.send(message, target.udp.address, target.udp.port);
+        }
+    }
+
+    function broadcast(address, args) {
+        tcpClients.forEach(client => sendTo({ tcp: client }, address, args));
+        udpPeers.forEach(peer => sendTo({ udp: peer }, address, args));
+        log(`📤 ${address}`, args && args.length ? args : '');
+    }
+
+    // Mirrors the argument layout of /eos/out/get/cue/... (see parseEOSCueMessage)
+    function buildCueArgs(list, entry, index) {
+        const data = entry.data;
+        const cue = entry.cue;
+        const upTime = data.up !== undefined ? data.up : (data.time !== undefined ? data.time : 0);
+        const downTime = data.down !== undefined ? data.down : upTime;
+        return [
+            index,
+            data.uid || makeUid(list, cue.cue, entry.part),
+            data.label || '',
+            toMilliseconds(upTime),
+            toMilliseconds(data.upDelay || 0),
+            toMilliseconds(downTime),
+            toMilliseconds(data.downDelay || 0),
+            toMilliseconds(data.focus),
+            toMilliseconds(data.focusDelay || 0),
+            toMilliseconds(data.color),
+            toMilliseconds(data.colorDelay || 0),
+            toMilliseconds(data.beam),
+            toMilliseconds(data.beamDelay || 0),
+            false,                          // preheat
+            0,                              // curve
+            100,                            // rate
+            data.mark || '',
+            data.block || '',
+            data.assert || '',
+            data.link || '',
+            toMilliseconds(data.follow),
+            toMilliseconds(data.hang),
+            false,                          // all fade
+            0,                              // loop
+            false,                          // solo
+            '',                             // timecode
+            entry.partCount,
+            data.notes || '',
+            entry.part === 0 ? (cue.scene || '') : '',
+            entry.part === 0 ? cue.sceneEnd === true : false
+        ];
+    }
+
+    function sendCueEntry(target, list, entries, index) {
+        const entry = entries[index];
+        const address = `/eos/out/get/cue/${list}/${entry.cue.cue}/${entry.part}/list/${index}/${entries.length}`;
+        sendTo(target, address, buildCueArgs(list, entry, index));
+    }
+
+    // Active/pending text looks like "1/5 Label 3.0 100%" on a real desk
+    function formatCueText(list, cueNumber, completion) {
+        const cue = findCue(list, cueNumber);
+        if (!cue) return '';
+        const time = cue.up !== undefined ? cue.up : (cue.time !== undefined ? cue.time : 0);
+        const parts = [`${list}/${cue.cue}`];
+        if (cue.label) parts.push(cue.label);
+        parts.push(Number(time).toFixed(1));
+        if (completion) parts.push(completion);
+        return parts.join(' ');
+    }
+
+    // ========== OSC INPUT ==========
+
+    function handleMessage(message, target) {
+        const address = message.address;
+        const args = (message.args || []).map(a => (a && a.value !== undefined) ? a.value : a);
+        let match;
+
+        if (address !== '/eos/ping') {
+            log(`📥 ${address}`, args.length ? args : '');
+        }
+
+        if (address === '/eos/ping') {
+            sendTo(target, '/eos/out/ping', args);
+            return;
+        }
+
+        if (address === '/eos/get/version') {
+            sendTo(target, '/eos/out/get/version', [version]);
+            return;
+        }
+
+        if (address === '/eos/subscribe') {
+            if (Number(args[0]) !== 0) {
+                sendTo(target, '/eos/out/show/name', [showName]);
+                if (options.runScript && !scriptRunning) {
+                    runScript();
+                }
+            }
+            return;
+        }
+
+        if (address === '/eos/get/cuelist/count') {
+            sendTo(target, '/eos/out/get/cuelist/count', [cueLists.size]);
+            return;
+        }
+
+        if ((match = address.match(/^\/eos\/get\/cuelist\/index\/(\d+)$/))) {
+            const index = parseInt(match[1]);
+            const lists = Array.from(cueLists.keys());
+            if (index < lists.length) {
+                const list = lists[index];
+                sendTo(target, `/eos/out/get/cuelist/${list}/list/${index}/${lists.length}`,
+                    [index, makeUid(list, 0, 0), cueLists.get(list).label]);
+            }
+            return;
+        }
+
+        if ((match = address.match(/^\/eos\/get\/fader\/0\/config$/))) {
+            const cueList = cueLists.get(mainPlaybackList);
+            sendTo(target, '/eos/out/get/fader/0/config',
+                [0, 1, parseInt(mainPlaybackList), cueList ? cueList.label : '']);
+            return;
+        }
+
+        if ((match = address.match(/^\/eos\/get\/cue\/(\d+)\/count$/))) {
+            const list = match[1];
+            sendTo(target, `/eos/out/get/cue/${list}/count`, [getListEntries(list).length]);
+            return;
+        }
+
+        if ((match = address.match(/^\/eos\/get\/cue\/(\d+)\/index\/(\d+)$/))) {
+            const list = match[1];
+            const index = parseInt(match[2]);
+            const entries = getListEntries(list);
+            if (index < entries.length) {
+                sendCueEntry(target, list, entries, index);
+            }
+            return;
+        }
+
+        // Qnote polls active/pending per list when it is not subscribed
+        if ((match = address.match(/^\/eos\/get\/cue\/(\d+)\/(active|pending)$/))) {
+            const list = match[1];
+            const type = match[2];
+            const state = playback.get(list);
+            const cueNumber = state ? state[type] : null;
+            const text = cueNumber ? formatCueText(list, cueNumber, type === 'active' ? '100%' : '') : '';
+            sendTo(target, `/eos/out/${type}/cue/${list}/text`, [text]);
+            return;
+        }
+
+        // Single cue request: /eos/get/cue/<list>/<cue>[/<part>]
+        if ((match = address.match(/^\/eos\/get\/cue\/(\d+)\/(\d+(?:\.\d+)?)(?:\/(\d+))?$/))) {
+            const list = match[1];
+            const part = match[3] !== undefined ? parseInt(match[3]) : 0;
+            const entries = getListEntries(list);
+            const index = entries.findIndex(e => parseFloat(e.cue.cue) === parseFloat(match[2]) && e.part === part);
+            if (index >= 0) {
+                sendCueEntry(target, list, entries, index);
+            }
+            return;
+        }
+
+        // Playback keys: no argument is a full press, 1 = key down, 0 = key up
+        if ((match = address.match(/^\/eos\/key\/(go_0|stop)$/))) {
+            if (args.length === 0 || Number(args[0]) !== 0) {
+                if (match[1] === 'go_0') {
+                    go(mainPlaybackList);
+                } else {
+                    back(mainPlaybackList);
+                }
+            }
+            return;
+        }
+
+        if ((match = address.match(/^\/eos\/cue\/(\d+)\/(\d+(?:\.\d+)?)(?:\/\d+)?\/fire$/))) {
+            fire(match[1], match[2]);
+            return;
+        }
+
+        // Only Go To Cue and cue Label / Notes are understood from the command line
+        if (address === '/eos/newcmd' || address === '/eos/cmd') {
+            const command = String(args[0] || '');
+            const goToCue = command.match(/^Go_To_Cue\s+(?:(\d+)\/)?(\d+(?:\.\d+)?)(?:\s+Part\s+\d+)?\s*#$/i);
+            const cueText = command.match(/^Cue\s+(\d+)\/(\d+(?:\.\d+)?)(?:\s+Part\s+(\d+))?\s+(Label|Notes)\s+(?:"([^"]*)"|Label|Notes)\s*#$/i);
+            if (goToCue) {
+                fire(goToCue[1] || mainPlaybackList, goToCue[2]);
+            } else if (cueText) {
+                const field = cueText[4].toLowerCase() === 'label' ? 'label' : 'notes';
+                setCueText(cueText[1], cueText[2], parseInt(cueText[3]) || 0, field, cueText[5] || '');
+            } else {
+                log(`⚠️ Simulator ignoring command line: ${command}`);
+            }
+            return;
+        }
+
+        log(`⚠️ Simulator ignoring unsupported request: ${address}`);
+    }
+
+    // ========== CONSOLE ACTIONS ==========
+
+    function nextCueNumber(list, cueNumber) {
+        const cueList = cueLists.get(String(list));
+        if (!cueList || cueList.cues.length === 0) return null;
+        if (cueNumber === null) return cueList.cues[0].cue;
+        const next = cueList.cues.find(c => compareCueNumbers(c.cue, cueNumber) > 0);
+        return next ? next.cue : null;
+    }
+
+    // Fire a specific cue: sends the active/pending pair a desk sends on GO
+    function fire(list, cueNumber) {
+        list = String(list || mainPlaybackList);
+        const cue = findCue(list, cueNumber);
+        if (!cue) {
+            log(`⚠️ Cue ${list}/${cueNumber} does not exist`);
+            return false;
+        }
+        const state = playback.get(list);
+        state.active = cue.cue;
+        state.pending = nextCueNumber(list, cue.cue);
+
+        broadcast(`/eos/out/active/cue/${list}/${cue.cue}`, []);
+        broadcast('/eos/out/active/cue/text', [formatCueText(list, cue.cue, '100%')]);
+        if (state.pending) {
+            broadcast(`/eos/out/pending/cue/${list}/${state.pending}`, []);
+            broadcast('/eos/out/pending/cue/text', [formatCueText(list, state.pending, '')]);
+        } else {
+            broadcast('/eos/out/pending/cue/text', ['']);
+        }
+        return true;
+    }
+
+    function go(list) {
+        list = String(list || mainPlaybackList);
+        const state = playback.get(list);
+        if (!state || !state.pending) {
+            log(`⚠️ Nothing pending in list ${list}`);
+            return false;
+        }
+        return fire(list, state.pending);
+    }
+
+    // Label or Notes typed on the command line (part 0 = the cue itself)
+    function setCueText(list, cueNumber, part, field, text) {
+        const cue = findCue(list, cueNumber);
+        const target = cue && part > 0 ? (cue.parts || []).find(p => p.part === part) : cue;
+        if (!target) {
+            log(`⚠️ Cue ${list}/${cueNumber}${part > 0 ? ` part ${part}` : ''} does not exist`);
+            return false;
+        }
+        target[field] = text;
+        notify(list, cue.cue);
+        return true;
+    }
+
+    // Stop/Back: step back to the cue before the active one
+    function back(list) {
+        list = String(list || mainPlaybackList);
+        const state = playback.get(list);
+        const cueList = cueLists.get(list);
+        if (!state || !state.active) {
+            log(`⚠️ Nothing active in list ${list}`);
+            return false;
+        }
+        const previous = cueList.cues.filter(c => compareCueNumbers(c.cue, state.active) < 0).pop();
+        if (!previous) {
+            log(`⚠️ Cue ${list}/${state.active} is the first cue`);
+            return false;
+        }
+        return fire(list, previous.cue);
+    }
+
+    // Tell subscribers a cue changed (count in the path lets Qnote detect adds/deletes)
+    function notify(list, cueNumber) {
+        list = String(list);
+        const entries = getListEntries(list);
+        const index = Math.max(0, entries.findIndex(e => parseFloat(e.cue.cue) === parseFloat(cueNumber)));
+        notifySequence++;
+        broadcast(`/eos/out/notify/cue/${list}/list/${index}/${entries.length}`, [notifySequence, String(cueNumber)]);
+    }
+
+    function updateCue(list, cueNumber, changes = {}) {
+        list = String(list);
+        let cueList = cueLists.get(list);
+        if (!cueList) {
+            cueList = { label: `List ${list}`, cues: [] };
+            cueLists.set(list, cueList);
+            playback.set(list, { active: null, pending: null });
+        }
+        let cue = findCue(list, cueNumber);
+        if (!cue) {
+            cue = { cue: String(cueNumber) };
+            cueList.cues.push(cue);
+            cueList.cues.sort((a, b) => compareCueNumbers(a.cue, b.cue));
+        }
+        Object.assign(cue, changes);
+        notify(list, cue.cue);
+        return cue;
+    }
+
+    function deleteCue(list, cueNumber) {
+        list = String(list);
+        const cueList = cueLists.get(list);
+        const cue = findCue(list, cueNumber);
+        if (!cueList || !cue) {
+            log(`⚠️ Cue ${list}/${cueNumber} does not exist`);
+            return false;
+        }
+        cueList.cues.splice(cueList.cues.indexOf(cue), 1);
+        const state = playback.get(list);
+        if (state.active === cue.cue) state.active = null;
+        if (state.pending === cue.cue) state.pending = nextCueNumber(list, state.active);
+        notify(list, cue.cue);
+        return true;
+    }
+
+    function setShowName(name) {
+        broadcast('/eos/out/show/name', [name]);
+    }
+
+    function runStep(step) {
+        switch (step.action) {
+            case 'go': return go(step.list);
+            case 'fire': return fire(step.list, step.cue);
+            case 'notify': return notify(step.list, step.cue);
+            case 'update': return updateCue(step.list, step.cue, step.changes);
+            case 'delete': return deleteCue(step.list, step.cue);
+            case 'show': return setShowName(step.name);
+            case 'send': return broadcast(step.address, step.args || []);
+            default:
+                log(`⚠️ Unknown script action: ${step.action}`);
+        }
+    }
+
+    // Script steps run in order; "delay" is seconds after the previous step
+    function runScript(steps = fixture.script || [], speed = options.speed || 1) {
+        stopScript();
+        if (steps.length === 0) {
+            log('⚠️ Fixture has no script');
+            return;
+        }
+        scriptRunning = true;
+        log(`🎬 Running script (${steps.length} steps at ${speed}x)`);
+        let index = 0;
+        const scheduleNext = () => {
+            if (index >= steps.length) {
+                if (options.loop) {
+                    index = 0;
+                } else {
+                    scriptRunning = false;
+                    scriptTimer = null;
+                    log('🎬 Script finished');
+                    return;
+                }
+            }
+            const step = steps[index++];
+            scriptTimer = setTimeout(() => {
+                runStep(step);
+                scheduleNext();
+            }, ((step.delay || 0) * 1000) / speed);
+        };
+        scheduleNext();
+    }
+
+    function stopScript() {
+        if (scriptTimer) clearTimeout(scriptTimer);
+        scriptTimer = null;
+        scriptRunning = false;
+    }
+
+    // ========== TRANSPORTS ==========
+
+    function startTcp() {
+        return new Promise((resolve, reject) => {
+            tcpServer = net.createServer(socket => {
+                const port = new osc.TCPSocketPort({ socket: socket, useSLIP: true, metadata: true });
+                tcpClients.add(port);
+                log(`🔌 TCP client connected from ${socket.remoteAddress}:${socket.remotePort}`);
+                port.on('message', message => handleMessage(message, { tcp: port }));
+                port.on('error', error => log('❌ TCP client error:', error.message));
+                port.on('close', () => {
+                    tcpClients.delete(port);
+                    log('🔌 TCP client disconnected');
+                });
+            });
+            tcpServer.once('error', reject);
+            tcpServer.listen(tcpPortNumber, options.host || '0.0.0.0', () => {
+                tcpServer.removeListener('error', reject);
+                log(`✅ Simulator TCP (SLIP) listening on port ${tcpServer.address().port}`);
+                resolve();
+            });
+        });
+    }
+
+    function startUdp() {
+        return new Promise((resolve, reject) => {
+            udpPort = new osc.UDPPort({
+                localAddress: options.host || '0.0.0.0',
+                localPort: udpPortNumber,
+                metadata: true
+            });
+            udpPort.once('error', reject);
+            udpPort.on('ready', () => {
+                udpPort.removeListener('error', reject);
+                udpPort.on('error', error => log('❌ UDP error:', error.message));
+                log(`✅ Simulator UDP listening on port ${udpPort.socket.address().port} (replies to port ${udpReplyPort})`);
+                resolve();
+            });
+            udpPort.on('message', (message, timeTag, info) => {
+                const peer = { address: info.address, port: udpReplyPort };
+                if (!udpPeers.has(info.address)) {
+                    udpPeers.set(info.address, peer);
+                    log(`🔌 UDP peer ${info.address} (replying on ${udpReplyPort})`);
+                }
+                handleMessage(message, { udp: peer });
+            });
+            udpPort.open();
+        });
+    }
+
+    async function start() {
+        if (tcpPortNumber !== null) await startTcp();
+        if (udpPortNumber !== null) await startUdp();
+        return api;
+    }
+
+    function stop() {
+        stopScript();
+        tcpClients.forEach(client => client.socket.destroy());
+        tcpClients.clear();
+        udpPeers.clear();
+        const closing = [];
+        if (tcpServer) {
+            closing.push(new Promise(resolve => tcpServer.close(() => resolve())));
+            tcpServer = null;
+        }
+        if (udpPort) {
+            udpPort.close();
+            udpPort = null;
+        }
+        return Promise.all(closing);
+    }
+
+    const api = {
+        start,
+        stop,
+        go,
+        back,
+        fire,
+        notify,
+        updateCue,
+        deleteCue,
+        setShowName,
+        runScript,
+        stopScript,
+        broadcast,
+        get tcpPort() { return tcpServer ? tcpServer.address().port : null; },
+        get udpPort() { return udpPort && udpPort.socket ? udpPort.socket.address().port : null; },
+        getPlaybackState: (list) => Object.assign({}, playback.get(String(list || mainPlaybackList)))
+    };
+    return api;
+}
+
+// ========== CLI ==========
+
+// Command line -> simulator options ({ help: true } for --help); throws on an unknown option
+function parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        if (arg === '--help' || arg === '-h') opts.help = true;
+        else if (arg === '--fixture') opts.fixturePath = path.resolve(next());
+        else if (arg === '--tcp-port') opts.tcpPort = parseInt(next());
+        else if (arg === '--udp-port') opts.udpPort = parseInt(next());
+        else if (arg === '--udp-reply-port') opts.udpReplyPort = parseInt(next());
+        else if (arg === '--host') opts.host = next();
+        else if (arg === '--script') opts.runScript = true;
+        else if (arg === '--speed') opts.speed = parseFloat(next()) || 1;
+        else if (arg === '--loop') opts.loop = true;
+        else if (arg === '--quiet') opts.quiet = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return opts;
+}
+
+const USAGE_TEXT = `
+Usage: node tools/eos-simulator.js [options]
+
+Options:
+  --fixture <file.json>          Show to load (default: tools/fixtures/demo-show.json)
+  --tcp-port <port>              OSC over TCP with SLIP framing (default: 3037)
+  --udp-port <port>              OSC over UDP (default: 8000)
+  --udp-reply-port <port>        UDP port replies are sent to (default: 8001)
+  --host <address>               Address to listen on (default: 0.0.0.0)
+  --script                       Run the fixture script on start
+  --speed <factor>               Script speed (default: 1)
+  --loop                         Start the script over when it ends
+  --quiet                        Log less
+  -h, --help                     Show this help
+`;
+
+const HELP_TEXT = `
+Commands:
+  go [list]                      GO on a list (default: main playback list)
+  back [list]                    Stop/Back to the previous cue
+  fire <list> <cue>              Jump straight to a cue
+  notify <list> <cue>            Send a cue change notification
+  label <list> <cue> <text...>   Change a cue label and notify
+  add <list> <cue> [label...]    Add a cue and notify (count changes)
+  delete <list> <cue>            Delete a cue and notify (count changes)
+  show <name...>                 Announce a new show name
+  script | stop                  Run / stop the fixture script
+  quit
+`;
+
+function startPrompt(simulator) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'eos> ' });
+    rl.on('line', line => {
+        const [command, ...words] = line.trim().split(/\s+/);
+        switch (command) {
+            case 'go': simulator.go(words[0]); break;
+            case 'back': simulator.back(words[0]); break;
+            case 'fire': simulator.fire(words[0], words[1]); break;
+            case 'notify': simulator.notify(words[0], words[1]); break;
+            case 'label': simulator.updateCue(words[0], words[1], { label: words.slice(2).join(' ') }); break;
+            case 'add': simulator.updateCue(words[0], words[1], { label: words.slice(2).join(' '), up: 3 }); break;
+            case 'delete': simulator.deleteCue(words[0], words[1]); break;
+            case 'show': simulator.setShowName(words.join(' ')); break;
+            case 'script': simulator.runScript(); break;
+            case 'stop': simulator.stopScript(); break;
+            case 'quit':
+            case 'exit':
+                rl.close();
+                return;
+            case '':
+            case undefined:
+                break;
+            default:
+                console.log(HELP_TEXT);
+        }
+        rl.prompt();
+    });
+    rl.on('close', () => {
+        simulator.stop().then(() => process.exit(0));
+    });
+    rl.prompt();
+}
+
+if (require.main === module) {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE_TEXT);
+        process.exit(1);
+    }
+    if (opts.help) {
+        console.log(USAGE_TEXT + HELP_TEXT);
+        process.exit(0);
+    }
+    const simulator = createEosSimulator(opts);
+    simulator.start().then(() => {
+        console.log('🎛️ EOS simulator ready - point Qnote at 127.0.0.1');
+        if (process.stdin.isTTY) {
+            startPrompt(simulator);
+        }
+    }).catch(error => {
+        console.error('❌ Simulator failed to start:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        simulator.stop().then(() => process.exit(0));
+    });
+}
+
+module.exports = { createEosSimulator, loadFixture, parseArgs };